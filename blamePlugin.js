@@ -0,0 +1,100 @@
+/* blamePlugin.js */
+/* 各行を最後に変更したコミットをガターに表示する (git blame) */
+const { StateField, RangeSet } = require("@codemirror/state");
+const { EditorView, gutter, GutterMarker } = require("@codemirror/view");
+
+/* ========== Gutter Marker ========== */
+
+class BlameMarker extends GutterMarker {
+    constructor(commit) {
+        super();
+        this.commit = commit; // null は未コミット
+    }
+
+    eq(other) {
+        return other.commit === this.commit;
+    }
+
+    toDOM() {
+        const el = document.createElement("div");
+        el.className = "cm-blame-entry";
+
+        if (!this.commit) {
+            el.textContent = "未コミット";
+            el.classList.add("uncommitted");
+            return el;
+        }
+
+        const date = new Date(this.commit.timestamp * 1000).toLocaleDateString();
+        el.textContent = `${this.commit.oid.slice(0, 7)} ${this.commit.author} ${date}`;
+        el.title = `${this.commit.oid}\n${this.commit.author} <${this.commit.email}>\n${new Date(this.commit.timestamp * 1000).toLocaleString()}\n\n${this.commit.message.trim()}`;
+        return el;
+    }
+}
+
+/* ========== Extension ========== */
+
+/**
+ * blame ガターを作る
+ * 同じコミットが続く行は、先頭行にだけ表示する
+ * @param {Array<Object|null>} lineCommits - 行ごとのコミット情報（0始まり）。null は未コミット
+ * @param {Function} [onClickCommit] - (commit) => void マーカーのクリック時
+ */
+function blameGutter(lineCommits, onClickCommit) {
+    const markersField = StateField.define({
+        create(state) {
+            const ranges = [];
+            const lineCount = Math.min(lineCommits.length, state.doc.lines);
+            let previous;
+            for (let i = 0; i < lineCount; i++) {
+                const commit = lineCommits[i];
+                if (i > 0 && commit === previous) continue;
+                previous = commit;
+                ranges.push(new BlameMarker(commit).range(state.doc.line(i + 1).from));
+            }
+            return RangeSet.of(ranges);
+        },
+        update(markers, tr) {
+            return tr.docChanged ? markers.map(tr.changes) : markers;
+        }
+    });
+
+    return [
+        markersField,
+        gutter({
+            class: "cm-blame-gutter",
+            markers: view => view.state.field(markersField),
+            domEventHandlers: {
+                mousedown(view, line) {
+                    if (!onClickCommit) return false;
+                    const cursor = view.state.field(markersField).iter(line.from);
+                    if (cursor.value && cursor.from === line.from && cursor.value.commit) {
+                        onClickCommit(cursor.value.commit);
+                        return true;
+                    }
+                    return false;
+                }
+            }
+        }),
+        EditorView.baseTheme({
+            ".cm-blame-gutter": {
+                minWidth: "16em",
+                fontSize: "11px",
+                opacity: "0.75"
+            },
+            ".cm-blame-entry": {
+                padding: "0 8px",
+                whiteSpace: "nowrap",
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+                cursor: "pointer"
+            },
+            ".cm-blame-entry.uncommitted": {
+                fontStyle: "italic",
+                cursor: "default"
+            }
+        })
+    ];
+}
+
+exports.blameGutter = blameGutter;
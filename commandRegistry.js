@@ -0,0 +1,65 @@
+/**
+ * commandRegistry.js
+ * IDE の操作をコマンド（ID・タイトル・処理）として登録し、ID で実行する
+ * ツールバーのボタン・ショートカットキー・コマンドパレットはすべてここを経由する
+ * ショートカットキーの割り当ては keybindings.js で扱う
+ */
+
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+    }
+
+    /**
+     * @param {Object} command
+     * @param {string} command.id - 'format.bold' のような一意の ID
+     * @param {string} command.title - コマンドパレットに表示する名前
+     * @param {string} [command.category] - 'ファイル' などの分類
+     * @param {string} [command.keybinding] - 既定のショートカット（keybindings.js の表記）
+     * @param {string} [command.mac] - macOS での既定のショートカット（keybinding と異なる場合）
+     * @param {string} [command.when] - ショートカットが有効になる条件
+     * @param {Function} command.run - (...args) => any
+     */
+    register(command) {
+        if (this.commands.has(command.id)) {
+            console.warn(`Command already registered: ${command.id}`);
+        }
+        this.commands.set(command.id, command);
+    }
+
+    registerAll(commands) {
+        commands.forEach(command => this.register(command));
+    }
+
+    get(id) {
+        return this.commands.get(id) || null;
+    }
+
+    getAll() {
+        return Array.from(this.commands.values());
+    }
+
+    execute(id, ...args) {
+        const command = this.commands.get(id);
+        if (!command) {
+            console.warn(`Unknown command: ${id}`);
+            return false;
+        }
+        try {
+            const result = command.run(...args);
+            // 非同期コマンドの失敗も同期の場合と同じく記録する（未処理の rejection にしない）
+            if (result && typeof result.then === 'function') {
+                return result.catch(error => {
+                    console.error(`Command failed: ${id}`, error);
+                    return false;
+                });
+            }
+            return result;
+        } catch (error) {
+            console.error(`Command failed: ${id}`, error);
+            return false;
+        }
+    }
+}
+
+module.exports = { CommandRegistry };
@@ -0,0 +1,289 @@
+/**
+ * diffUtils.js
+ * テキスト差分の計算ユーティリティ (Myers の O(ND) アルゴリズム)
+ */
+
+// 編集距離（削除・挿入の数）がこれを超える場合は差分を求めず、共通の先頭・末尾以外を丸ごと置き換えたものとする
+// （経路の記録は編集距離の2乗に比例してメモリを使うため）
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * 2つの配列の編集スクリプトを計算する
+ * @param {Array} a - 変更前の要素列
+ * @param {Array} b - 変更後の要素列
+ * @param {number} [maxEditDistance] - これを超える場合は丸ごと置き換える
+ * @returns {Array<{type: 'equal'|'delete'|'insert', a?: number, b?: number}>} 先頭からの編集操作
+ */
+function diffSequences(a, b, maxEditDistance = MAX_EDIT_DISTANCE) {
+    // 共通の先頭・末尾は比較しない
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ type: 'equal', a: i, b: i });
+
+    const middle = diffRange(a, b, start, endA, endB, maxEditDistance);
+    if (middle) {
+        ops.push(...middle);
+    } else {
+        for (let i = start; i < endA; i++) ops.push({ type: 'delete', a: i });
+        for (let i = start; i < endB; i++) ops.push({ type: 'insert', b: i });
+    }
+
+    for (let i = 0; i < a.length - endA; i++) ops.push({ type: 'equal', a: endA + i, b: endB + i });
+    return ops;
+}
+
+// a[start..endA) と b[start..endB) の差分 (Myers の O(ND))。編集距離が maxEditDistance を超える場合は null
+function diffRange(a, b, start, endA, endB, maxEditDistance) {
+    const n = endA - start;
+    const m = endB - start;
+    const max = Math.min(n + m, maxEditDistance);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 4);
+    // 各 d で読むのは対角線 -d-1..d+1 だけなので、その範囲だけを記録する
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x;
+            if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                x = v[offset + k + 1];
+            } else {
+                x = v[offset + k - 1] + 1;
+            }
+            let y = x - k;
+            while (x < n && y < m && a[start + x] === b[start + y]) { x++; y++; }
+            v[offset + k] = x;
+            if (x >= n && y >= m) { found = true; break; }
+        }
+    }
+    if (!found) return null;
+
+    // 経路を逆順にたどって編集操作を復元する
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const vd = trace[d];
+        const at = (k) => vd[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', a: start + x - 1, b: start + y - 1 });
+            x--; y--;
+        }
+        if (d > 0) {
+            if (x === prevX) ops.push({ type: 'insert', b: start + y - 1 });
+            else ops.push({ type: 'delete', a: start + x - 1 });
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return ops.reverse();
+}
+
+// 空文字列は「0行」として扱う（新規・削除されたファイルの差分で空行が出ないように）
+function splitLines(text) {
+    return text === '' ? [] : text.split('\n');
+}
+
+/**
+ * 行単位の差分を計算し、同じ種類の連続する行をまとめて返す
+ * @param {string} oldText - 変更前のテキスト
+ * @param {string} newText - 変更後のテキスト
+ * @returns {Array<{type: 'equal'|'delete'|'insert', lines: string[], oldStart: number, newStart: number}>}
+ *          oldStart / newStart はチャンク開始位置の0始まりの行番号
+ */
+function diffLines(oldText, newText) {
+    const oldLines = splitLines(oldText);
+    const newLines = splitLines(newText);
+    const ops = diffSequences(oldLines, newLines);
+
+    const chunks = [];
+    let oldLine = 0;
+    let newLine = 0;
+    for (const op of ops) {
+        const line = op.type === 'insert' ? newLines[op.b] : oldLines[op.a];
+        let last = chunks[chunks.length - 1];
+        if (!last || last.type !== op.type) {
+            last = { type: op.type, lines: [], oldStart: oldLine, newStart: newLine };
+            chunks.push(last);
+        }
+        last.lines.push(line);
+        if (op.type !== 'insert') oldLine++;
+        if (op.type !== 'delete') newLine++;
+    }
+    return chunks;
+}
+
+/**
+ * 変更後の各行が、変更前のどの行に対応するかを求める（blame 用）
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {number[]} 変更後の行ごとの、変更前の行番号（0始まり）。新しく追加された行は -1
+ */
+function mapLines(oldText, newText) {
+    const newLines = splitLines(newText);
+    const mapping = new Array(newLines.length).fill(-1);
+    for (const op of diffSequences(splitLines(oldText), newLines)) {
+        if (op.type === 'equal') mapping[op.b] = op.a;
+    }
+    return mapping;
+}
+
+/**
+ * 共通の先頭・末尾を除いた最小の置換範囲を求める
+ * （エディタへ反映する際にカーソル位置を保つため）
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {{from: number, to: number, insert: string}|null} 差分がなければ null
+ */
+function getMinimalReplacement(oldText, newText) {
+    if (oldText === newText) return null;
+
+    let start = 0;
+    const minLength = Math.min(oldText.length, newText.length);
+    while (start < minLength && oldText[start] === newText[start]) start++;
+
+    let oldEnd = oldText.length;
+    let newEnd = newText.length;
+    while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+        oldEnd--; newEnd--;
+    }
+
+    return { from: start, to: oldEnd, insert: newText.slice(start, newEnd) };
+}
+
+/**
+ * 変更箇所（連続する削除・挿入行のまとまり）をハンクとして返す
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{oldStart: number, oldLines: string[], newStart: number, newLines: string[]}>}
+ */
+function computeHunks(oldText, newText) {
+    const hunks = [];
+    let current = null;
+    for (const chunk of diffLines(oldText, newText)) {
+        if (chunk.type === 'equal') {
+            current = null;
+            continue;
+        }
+        if (!current) {
+            current = { oldStart: chunk.oldStart, oldLines: [], newStart: chunk.newStart, newLines: [] };
+            hunks.push(current);
+        }
+        if (chunk.type === 'delete') current.oldLines.push(...chunk.lines);
+        else current.newLines.push(...chunk.lines);
+    }
+    return hunks;
+}
+
+/**
+ * 変更前のテキストにハンクを適用する
+ * @param {string} oldText
+ * @param {Array} hunks - oldText を基準に computeHunks で得たハンク
+ * @returns {string}
+ */
+function applyHunks(oldText, hunks) {
+    const lines = splitLines(oldText);
+    [...hunks]
+        .sort((a, b) => b.oldStart - a.oldStart)
+        .forEach(hunk => lines.splice(hunk.oldStart, hunk.oldLines.length, ...hunk.newLines));
+    return lines.join('\n');
+}
+
+/**
+ * 変更後のテキストからハンクを取り消す（その範囲を変更前の行に戻す）
+ * @param {string} newText
+ * @param {Object} hunk
+ * @returns {string}
+ */
+function revertHunk(newText, hunk) {
+    const lines = splitLines(newText);
+    lines.splice(hunk.newStart, hunk.newLines.length, ...hunk.oldLines);
+    return lines.join('\n');
+}
+
+// 変更後テキスト上の行範囲が重なる（または接する）か
+function hunksTouch(a, b) {
+    return a.newStart <= b.newStart + b.newLines.length && b.newStart <= a.newStart + a.newLines.length;
+}
+
+/**
+ * HEAD→作業ツリーのハンクが、すでにインデックスへステージ済みかを判定する
+ * @param {string} indexText - インデックス上の内容
+ * @param {string} workingText - 作業ツリーの内容
+ * @param {Object} hunk - HEAD と workingText の間のハンク
+ */
+function isHunkStaged(indexText, workingText, hunk) {
+    return !computeHunks(indexText, workingText).some(h => hunksTouch(h, hunk));
+}
+
+/**
+ * ハンクをステージした後のインデックスの内容を求める
+ * インデックスと作業ツリーの差分のうち、ハンクと重なる部分だけをインデックスへ適用する
+ * @param {string} indexText
+ * @param {string} workingText
+ * @param {Object} hunk - HEAD と workingText の間のハンク
+ * @returns {string}
+ */
+function stageHunk(indexText, workingText, hunk) {
+    const targets = computeHunks(indexText, workingText).filter(h => hunksTouch(h, hunk));
+    return applyHunks(indexText, targets);
+}
+
+// 和文は1文字ずつ、欧文は単語単位で比較する
+const WORD_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}_]+|\s+|[^\s]/gu;
+
+/**
+ * 行内の単語レベルの差分
+ * @param {string} oldLine
+ * @param {string} newLine
+ * @returns {{oldSegments: Array<{text: string, changed: boolean}>, newSegments: Array<{text: string, changed: boolean}>}}
+ */
+function diffWords(oldLine, newLine) {
+    const oldTokens = oldLine.match(WORD_PATTERN) || [];
+    const newTokens = newLine.match(WORD_PATTERN) || [];
+    const oldSegments = [];
+    const newSegments = [];
+
+    const push = (segments, text, changed) => {
+        const last = segments[segments.length - 1];
+        if (last && last.changed === changed) last.text += text;
+        else segments.push({ text, changed });
+    };
+
+    for (const op of diffSequences(oldTokens, newTokens)) {
+        if (op.type === 'equal') {
+            push(oldSegments, oldTokens[op.a], false);
+            push(newSegments, newTokens[op.b], false);
+        } else if (op.type === 'delete') {
+            push(oldSegments, oldTokens[op.a], true);
+        } else {
+            push(newSegments, newTokens[op.b], true);
+        }
+    }
+    return { oldSegments, newSegments };
+}
+
+module.exports = {
+    diffSequences,
+    diffLines,
+    mapLines,
+    getMinimalReplacement,
+    computeHunks,
+    applyHunks,
+    revertHunk,
+    isHunkStaged,
+    stageHunk,
+    diffWords
+};
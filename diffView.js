@@ -0,0 +1,345 @@
+/**
+ * diffView.js
+ * Git の HEAD と作業ツリーの差分を表示するビュー（Pane のタブとして表示する）
+ * - インライン表示 / 左右並べて表示 の切り替え
+ * - 変更行どうしの単語レベルのハイライト（和文は文字単位）
+ * - ハンクごとのステージ / 元に戻すボタン
+ */
+
+const { computeHunks, isHunkStaged, diffWords } = require('./diffUtils.js');
+
+// 変更箇所の前後に表示する変更のない行数
+const CONTEXT_LINES = 3;
+
+class DiffView {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - 対象ファイルの絶対パス
+     * @param {string} options.fileName - 表示名
+     * @param {string} [options.mode] - 'inline' | 'split'
+     * @param {Function} options.loadData - async () => ({ head, index, working }) 各内容は存在しなければ null
+     * @param {Function} options.onStageHunk - async (data, hunk) => void
+     * @param {Function} options.onRevertHunk - async (data, hunk) => void
+     * @param {Function} [options.onOpenFile] - () => void
+     * @param {Function} [options.onModeChange] - (mode) => void
+     */
+    constructor(options) {
+        this.options = options;
+        this.mode = options.mode === 'split' ? 'split' : 'inline';
+        this.data = null;
+        this.expandedFolds = new Set();
+        this.isBusy = false;
+
+        this.element = document.createElement('div');
+        this.element.className = 'diff-view';
+
+        this.toolbar = this.createToolbar();
+        this.content = document.createElement('div');
+        this.content.className = 'diff-view-content';
+
+        this.element.appendChild(this.toolbar);
+        this.element.appendChild(this.content);
+    }
+
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'diff-view-toolbar';
+
+        const title = document.createElement('span');
+        title.className = 'diff-view-title';
+        title.textContent = `${this.options.fileName} — HEAD ↔ 作業ツリー`;
+        toolbar.appendChild(title);
+
+        this.summary = document.createElement('span');
+        this.summary.className = 'diff-view-summary';
+        toolbar.appendChild(this.summary);
+
+        const addButton = (label, titleText, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'diff-view-btn';
+            btn.textContent = label;
+            btn.title = titleText;
+            btn.addEventListener('click', onClick);
+            toolbar.appendChild(btn);
+            return btn;
+        };
+
+        this.modeButtons = {
+            inline: addButton('インライン', 'インライン表示', () => this.setMode('inline')),
+            split: addButton('左右', '左右に並べて表示', () => this.setMode('split'))
+        };
+        this.updateModeButtons();
+
+        addButton('🔄', '再読み込み', () => this.refresh());
+        if (this.options.onOpenFile) {
+            addButton('ファイルを開く', '編集用にファイルを開く', () => this.options.onOpenFile());
+        }
+
+        return toolbar;
+    }
+
+    setMode(mode) {
+        if (this.mode === mode) return;
+        this.mode = mode;
+        this.updateModeButtons();
+        if (this.options.onModeChange) this.options.onModeChange(mode);
+        this.render();
+    }
+
+    updateModeButtons() {
+        Object.entries(this.modeButtons).forEach(([mode, btn]) => {
+            btn.classList.toggle('active', mode === this.mode);
+        });
+    }
+
+    async refresh() {
+        try {
+            this.data = await this.options.loadData();
+        } catch (error) {
+            console.error('Failed to load diff:', error);
+            this.data = null;
+            this.renderMessage(`差分を取得できませんでした: ${error.message}`);
+            return;
+        }
+        this.render();
+    }
+
+    renderMessage(text) {
+        this.summary.textContent = '';
+        this.content.innerHTML = '';
+        const message = document.createElement('div');
+        message.className = 'diff-view-message';
+        message.textContent = text;
+        this.content.appendChild(message);
+    }
+
+    render() {
+        if (!this.data) return;
+
+        const head = this.data.head ?? '';
+        const working = this.data.working ?? '';
+        const index = this.data.index ?? head;
+        const hunks = computeHunks(head, working);
+
+        const added = hunks.reduce((sum, h) => sum + h.newLines.length, 0);
+        const removed = hunks.reduce((sum, h) => sum + h.oldLines.length, 0);
+        this.summary.textContent = hunks.length > 0 ? `+${added} −${removed}` : '';
+
+        if (hunks.length === 0) {
+            this.renderMessage('HEAD との差分はありません');
+            return;
+        }
+
+        const scrollTop = this.content.scrollTop;
+        this.content.innerHTML = '';
+
+        const body = document.createElement('div');
+        body.className = `diff-view-body ${this.mode}`;
+
+        const oldLines = head === '' ? [] : head.split('\n');
+        let oldPos = 0;
+        let newPos = 0;
+
+        hunks.forEach((hunk, i) => {
+            this.renderUnchanged(body, oldLines, oldPos, newPos, hunk.oldStart - oldPos, i === 0, false);
+            const staged = isHunkStaged(index, working, hunk);
+            this.renderHunk(body, hunk, staged);
+            oldPos = hunk.oldStart + hunk.oldLines.length;
+            newPos = hunk.newStart + hunk.newLines.length;
+        });
+        this.renderUnchanged(body, oldLines, oldPos, newPos, oldLines.length - oldPos, false, true);
+
+        this.content.appendChild(body);
+        this.content.scrollTop = scrollTop;
+    }
+
+    // 変更のない行（変更箇所から離れた部分は折りたたむ）
+    renderUnchanged(body, oldLines, oldStart, newStart, count, isFirst, isLast) {
+        if (count <= 0) return;
+
+        const keepBefore = isFirst ? 0 : CONTEXT_LINES;
+        const keepAfter = isLast ? 0 : CONTEXT_LINES;
+        const foldKey = oldStart;
+        const canFold = count > keepBefore + keepAfter + 1 && !this.expandedFolds.has(foldKey);
+
+        const appendLines = (from, to) => {
+            for (let i = from; i < to; i++) {
+                this.appendRow(body, 'equal', oldStart + i, newStart + i, oldLines[oldStart + i], oldLines[oldStart + i]);
+            }
+        };
+
+        if (!canFold) {
+            appendLines(0, count);
+            return;
+        }
+
+        appendLines(0, keepBefore);
+
+        const fold = document.createElement('div');
+        fold.className = 'diff-row fold';
+        fold.textContent = `⋯ 変更のない ${count - keepBefore - keepAfter} 行`;
+        fold.title = 'クリックで展開';
+        fold.addEventListener('click', () => {
+            this.expandedFolds.add(foldKey);
+            this.render();
+        });
+        body.appendChild(fold);
+
+        appendLines(count - keepAfter, count);
+    }
+
+    renderHunk(body, hunk, staged) {
+        const { oldLines, newLines } = hunk;
+        const actions = this.createHunkActions(hunk, staged);
+
+        // 削除行と挿入行を順に対応させて単語差分を取る
+        const pairs = [];
+        for (let i = 0; i < Math.max(oldLines.length, newLines.length); i++) {
+            const oldLine = oldLines[i];
+            const newLine = newLines[i];
+            if (oldLine !== undefined && newLine !== undefined) {
+                const { oldSegments, newSegments } = diffWords(oldLine, newLine);
+                pairs.push({ oldSegments, newSegments });
+            } else {
+                pairs.push({
+                    oldSegments: oldLine !== undefined ? [{ text: oldLine, changed: false }] : null,
+                    newSegments: newLine !== undefined ? [{ text: newLine, changed: false }] : null
+                });
+            }
+        }
+
+        let isFirstRow = true;
+        const rowActions = () => {
+            if (!isFirstRow) return null;
+            isFirstRow = false;
+            return actions;
+        };
+
+        if (this.mode === 'split') {
+            pairs.forEach((pair, i) => {
+                this.appendRow(body, 'change',
+                    pair.oldSegments ? hunk.oldStart + i : null,
+                    pair.newSegments ? hunk.newStart + i : null,
+                    pair.oldSegments, pair.newSegments, rowActions());
+            });
+        } else {
+            pairs.forEach((pair, i) => {
+                if (pair.oldSegments) this.appendRow(body, 'delete', hunk.oldStart + i, null, pair.oldSegments, null, rowActions());
+            });
+            pairs.forEach((pair, i) => {
+                if (pair.newSegments) this.appendRow(body, 'insert', null, hunk.newStart + i, null, pair.newSegments, rowActions());
+            });
+        }
+    }
+
+    createHunkActions(hunk, staged) {
+        const actions = document.createElement('span');
+        actions.className = 'diff-hunk-actions';
+
+        const addAction = (label, title, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'diff-hunk-btn';
+            btn.textContent = label;
+            btn.title = title;
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                if (this.isBusy) return;
+                this.isBusy = true;
+                try {
+                    await onClick();
+                } finally {
+                    this.isBusy = false;
+                }
+                await this.refresh();
+            });
+            actions.appendChild(btn);
+        };
+
+        if (staged) {
+            const mark = document.createElement('span');
+            mark.className = 'diff-hunk-staged';
+            mark.textContent = '✓';
+            mark.title = 'ステージ済み';
+            actions.appendChild(mark);
+        } else {
+            addAction('+', 'このハンクをステージ', () => this.options.onStageHunk(this.data, hunk));
+        }
+        addAction('↶', 'このハンクを元に戻す', () => this.options.onRevertHunk(this.data, hunk));
+
+        return actions;
+    }
+
+    /**
+     * 1行分を追加する
+     * inline: type は 'equal' | 'delete' | 'insert'。old/new のどちらか（equal は両方）を表示
+     * split: 左に変更前、右に変更後を表示。片側がなければ空欄
+     */
+    appendRow(body, type, oldNo, newNo, oldContent, newContent, actions = null) {
+        const row = document.createElement('div');
+        row.className = `diff-row ${type}`;
+
+        const gutter = (lineIndex) => {
+            const cell = document.createElement('span');
+            cell.className = 'diff-gutter';
+            cell.textContent = lineIndex === null ? '' : String(lineIndex + 1);
+            return cell;
+        };
+
+        const actionCell = document.createElement('span');
+        actionCell.className = 'diff-gutter-actions';
+        if (actions) actionCell.appendChild(actions);
+
+        if (this.mode === 'split') {
+            const left = document.createElement('div');
+            left.className = `diff-side old ${type === 'change' && oldContent ? 'delete' : ''} ${oldContent === null ? 'empty' : ''}`;
+            left.appendChild(gutter(oldNo));
+            left.appendChild(this.createText(oldContent));
+
+            const right = document.createElement('div');
+            right.className = `diff-side new ${type === 'change' && newContent ? 'insert' : ''} ${newContent === null ? 'empty' : ''}`;
+            right.appendChild(actionCell);
+            right.appendChild(gutter(newNo));
+            right.appendChild(this.createText(newContent));
+
+            row.appendChild(left);
+            row.appendChild(right);
+        } else {
+            row.appendChild(actionCell);
+            row.appendChild(gutter(oldNo));
+            row.appendChild(gutter(newNo));
+            row.appendChild(this.createText(type === 'insert' ? newContent : oldContent));
+        }
+
+        body.appendChild(row);
+    }
+
+    // content は文字列、または diffWords のセグメント配列
+    createText(content) {
+        const text = document.createElement('span');
+        text.className = 'diff-text';
+        if (content === null || content === undefined) return text;
+
+        if (typeof content === 'string') {
+            text.textContent = content;
+            return text;
+        }
+
+        content.forEach(segment => {
+            if (segment.changed) {
+                const word = document.createElement('span');
+                word.className = 'diff-word';
+                word.textContent = segment.text;
+                text.appendChild(word);
+            } else {
+                text.appendChild(document.createTextNode(segment.text));
+            }
+        });
+        return text;
+    }
+
+    destroy() {
+        if (this.element.parentNode) this.element.parentNode.removeChild(this.element);
+    }
+}
+
+module.exports = { DiffView };
@@ -0,0 +1,175 @@
+/* foldingPlugin.js */
+/* 見出し・リスト・コードブロック・表・引用の折りたたみと、セクションへの絞り込み (narrowing) */
+const { EditorView, Decoration, showPanel, keymap } = require("@codemirror/view");
+const { StateField, StateEffect, EditorState, Transaction } = require("@codemirror/state");
+const {
+    codeFolding, foldGutter, foldKeymap, foldable, foldEffect, unfoldEffect, foldedRanges, ensureSyntaxTree
+} = require("@codemirror/language");
+const { buildSectionTree, findSectionAt } = require("./outlineUtils.js");
+
+/* ========== Folding ========== */
+
+// 折りたためる範囲は @codemirror/lang-markdown が決める
+// （見出しは次の同じ階層以上の見出しまで、リストの項目・コードブロック・表・引用はブロックの終わりまで）
+const markdownFolding = [
+    codeFolding({ placeholderText: "…" }),
+    foldGutter({ openText: "▾", closedText: "▸" }),
+    keymap.of(foldKeymap)
+];
+
+/**
+ * 折りたたんでいる範囲の開始行
+ * @param {EditorState} state
+ * @returns {number[]} 0 始まりの行番号
+ */
+function getFoldedLines(state) {
+    const lines = [];
+    foldedRanges(state).between(0, state.doc.length, (from) => {
+        lines.push(state.doc.lineAt(from).number - 1);
+    });
+    return lines;
+}
+
+/**
+ * 保存しておいた行を折りたたみ直す（ファイルが変わって折りたためなくなった行は無視する）
+ * @param {EditorView} view
+ * @param {number[]} lines - getFoldedLines の結果
+ */
+function restoreFolds(view, lines) {
+    if (!lines || lines.length === 0) return;
+    const { state } = view;
+    // 折りたためる範囲は構文木から求めるため、先に文書の末尾まで解析しておく
+    ensureSyntaxTree(state, state.doc.length, 200);
+
+    const effects = [];
+    lines.forEach(lineIndex => {
+        if (lineIndex < 0 || lineIndex >= state.doc.lines) return;
+        const line = state.doc.line(lineIndex + 1);
+        const range = foldable(state, line.from, line.to);
+        if (range) effects.push(foldEffect.of(range));
+    });
+    if (effects.length > 0) view.dispatch({ effects });
+}
+
+// 折りたたみ・展開を行ったトランザクションか
+function hasFoldChange(transactions) {
+    return transactions.some(tr => tr.effects.some(e => e.is(foldEffect) || e.is(unfoldEffect)));
+}
+
+/* ========== Narrowing ========== */
+
+// { from, to, title } を絞り込む範囲として設定する（null で解除）
+const setNarrowing = StateEffect.define();
+
+function buildNarrowingDecorations(state, range) {
+    const decorations = [];
+    // 範囲の前後の行を隠す（範囲の境目の改行は残す）
+    if (range.from > 0) decorations.push(Decoration.replace({ block: true }).range(0, range.from - 1));
+    if (range.to < state.doc.length) decorations.push(Decoration.replace({ block: true }).range(range.to + 1, state.doc.length));
+    return Decoration.set(decorations);
+}
+
+function createNarrowingPanel(view) {
+    const dom = document.createElement("div");
+    dom.className = "cm-narrowing-panel";
+
+    const label = document.createElement("span");
+    label.className = "cm-narrowing-label";
+    dom.appendChild(label);
+
+    const button = document.createElement("button");
+    button.className = "cm-narrowing-exit";
+    button.textContent = "全体を表示";
+    button.addEventListener("click", () => {
+        view.dispatch({ effects: setNarrowing.of(null), scrollIntoView: true });
+        view.focus();
+    });
+    dom.appendChild(button);
+
+    const update = (state) => {
+        const range = state.field(narrowingField).range;
+        if (range) label.textContent = `セクション「${range.title}」だけを表示しています`;
+    };
+    update(view.state);
+    return { dom, top: true, update: (viewUpdate) => update(viewUpdate.state) };
+}
+
+const narrowingField = StateField.define({
+    create() {
+        return { range: null, decorations: Decoration.none };
+    },
+    update(value, tr) {
+        let range = value.range;
+        for (const e of tr.effects) {
+            if (e.is(setNarrowing)) range = e.value;
+        }
+        if (!range) return range === value.range ? value : { range: null, decorations: Decoration.none };
+
+        if (tr.docChanged && range === value.range) {
+            // 範囲の先頭・末尾での入力は範囲に含める
+            range = { ...range, from: tr.changes.mapPos(range.from, -1), to: tr.changes.mapPos(range.to, 1) };
+        }
+        if (range === value.range) return value;
+        return { range, decorations: buildNarrowingDecorations(tr.state, range) };
+    },
+    provide: f => [
+        EditorView.decorations.from(f, v => v.decorations),
+        // 隠した行にカーソルが入らないようにする
+        EditorView.atomicRanges.of(view => view.state.field(f).decorations),
+        showPanel.from(f, v => (v.range ? createNarrowingPanel : null))
+    ]
+});
+
+// 隠した行にかかる入力・削除は取り消す
+// 別のペインとの同期や外部での変更 (userEvent のないトランザクション) はそのまま適用する
+const narrowingChangeFilter = EditorState.changeFilter.of(tr => {
+    const range = tr.startState.field(narrowingField).range;
+    if (!range || tr.annotation(Transaction.userEvent) === undefined) return true;
+    let isOutside = false;
+    tr.changes.iterChangedRanges((fromA, toA) => {
+        if (fromA < range.from || toA > range.to) isOutside = true;
+    });
+    return !isOutside;
+});
+
+/**
+ * カーソルのある見出しのセクションだけを表示する。絞り込み中の場合は解除する
+ * @param {EditorView} view
+ * @returns {boolean} 見出しの下にカーソルがない場合は false
+ */
+function toggleSectionNarrowing(view) {
+    const { state } = view;
+    if (state.field(narrowingField).range) {
+        view.dispatch({ effects: setNarrowing.of(null), scrollIntoView: true });
+        return true;
+    }
+
+    const lines = state.doc.toString().split("\n");
+    const cursorLine = state.doc.lineAt(state.selection.main.head).number - 1;
+    const section = findSectionAt(buildSectionTree(lines), cursorLine);
+    if (!section) return false;
+
+    const from = state.doc.line(section.line + 1).from;
+    // セクションの末尾の空行は含めない
+    let lastLine = section.endLine;
+    while (lastLine > section.line + 1 && !lines[lastLine - 1].trim()) lastLine--;
+    const to = state.doc.line(lastLine).to;
+
+    view.dispatch({
+        effects: setNarrowing.of({ from, to, title: section.text }),
+        // 末尾の空行にあるカーソルは範囲の外になるため、見出しに移す
+        selection: state.selection.main.head < from || state.selection.main.head > to ? { anchor: from } : undefined,
+        scrollIntoView: true
+    });
+    return true;
+}
+
+// 絞り込みの拡張（createEditorState の extensions に入れる）
+const sectionNarrowing = [narrowingField, narrowingChangeFilter];
+
+exports.markdownFolding = markdownFolding;
+exports.getFoldedLines = getFoldedLines;
+exports.restoreFolds = restoreFolds;
+exports.hasFoldChange = hasFoldChange;
+exports.sectionNarrowing = sectionNarrowing;
+exports.toggleSectionNarrowing = toggleSectionNarrowing;
@@ -0,0 +1,309 @@
+/**
+ * frontMatter.js
+ * ノート先頭の YAML (front matter) の検出・解析・書き出しと、プロパティによるノートの絞り込み
+ * ライブプレビュー・プロパティの編集・PDF 出力・ワークスペースの索引 (main プロセス) で共通に使う
+ *
+ * 依存を増やさないよう、ノートのプロパティとして使う範囲の YAML だけを扱う
+ * - key: 値（文字列・数値・真偽値・null。引用符で囲んだ文字列も可）
+ * - key: [a, b] と、key: の後に "- 値" の行が続くリスト
+ * - key: の後に字下げした "子: 値" の行が続くもの（1段の入れ子）
+ * - key: | / key: > の複数行の文字列
+ * YAML と同じく、引用符の外の " #" 以降と値の先頭の # 以降はコメント（# を含む値は引用符で囲む）
+ * 解釈できない行は元の記述のまま残す
+ */
+
+const KEY_PATTERN = /^([^\s#:-][^:]*?)\s*:(?:\s+(.*?))?\s*$/;
+const LIST_ITEM_PATTERN = /^\s*-(?:\s+(.*?))?\s*$/;
+const CHILD_KEY_PATTERN = /^\s+([^\s#:][^:]*?)\s*:(?:\s+(.*?))?\s*$/;
+const NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?$/;
+
+/**
+ * ノート先頭の front matter を探す（1行目が --- で、--- または ... の行で閉じているもの）
+ * @param {string[]} lines - 文書の各行
+ * @returns {{startLine: number, endLine: number, source: string}|null} 行番号は 0 始まり（startLine / endLine は区切りの行）
+ */
+function findFrontMatter(lines) {
+    if (lines.length < 2 || lines[0].trimEnd() !== '---') return null;
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i].trimEnd();
+        if (line === '---' || line === '...') {
+            return { startLine: 0, endLine: i, source: lines.slice(1, i).join('\n') };
+        }
+    }
+    return null;
+}
+
+// 引用符の外にある区切り文字で分割する（[a, "b, c"] の要素に分けるため）
+function splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let quote = null;
+    let current = '';
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === separator) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * 1つの値を解釈する
+ * @param {string} text
+ * @returns {string|number|boolean|null|Array}
+ */
+function parseScalar(text) {
+    let value = (text || '').trim();
+
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value.replace(/^"|"$/g, '');
+        }
+    }
+    if (value.startsWith("'")) {
+        return value.replace(/^'|'$/g, '').replace(/''/g, "'");
+    }
+
+    // 引用符のない値の " #" 以降はコメント
+    value = value.replace(/\s+#.*$/, '');
+
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        return inner ? splitOutsideQuotes(inner, ',').map(parseScalar) : [];
+    }
+    if (value === '' || value === '~' || value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (NUMBER_PATTERN.test(value)) return Number(value);
+    return value;
+}
+
+// 字下げをそろえて取り除く
+function dedent(lines) {
+    const indents = lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length);
+    const indent = indents.length > 0 ? Math.min(...indents) : 0;
+    return lines.map(line => line.slice(indent));
+}
+
+function parseEntryValue(inlineValue, childLines) {
+    const inline = (inlineValue || '').trim();
+
+    // 複数行の文字列（| は改行を残し、> は空白でつなぐ）
+    if (/^[|>][+-]?$/.test(inline)) {
+        const text = dedent(childLines).join(inline.startsWith('|') ? '\n' : ' ');
+        return text.replace(/\s+$/, '');
+    }
+    if (inline && !inline.startsWith('#')) return parseScalar(inline);
+
+    const children = childLines.filter(line => line.trim() && !/^\s*#/.test(line));
+    if (children.length === 0) return null;
+
+    if (LIST_ITEM_PATTERN.test(children[0])) {
+        return children
+            .map(line => line.match(LIST_ITEM_PATTERN))
+            .filter(Boolean)
+            .map(match => parseScalar(match[1]));
+    }
+
+    const object = {};
+    children.forEach(line => {
+        const match = line.match(CHILD_KEY_PATTERN);
+        if (match) object[match[1]] = parseScalar(match[2]);
+    });
+    return object;
+}
+
+/**
+ * front matter の YAML を解釈する
+ * @param {string} source - 区切りの --- を除いた中身
+ * @returns {{data: Object, entries: Array<{key: string, value: any, raw: string}>, trailing: string, error: string|null}}
+ *          entries の raw は項目の元の記述（直前のコメント・空行を含む）、trailing は最後の項目より後のコメント・空行
+ */
+function parseFrontMatter(source) {
+    const lines = source ? source.split('\n') : [];
+    const data = {};
+    const entries = [];
+    let pending = [];
+    let error = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const match = line.match(KEY_PATTERN);
+        if (!match) {
+            if (line.trim() && !/^\s*#/.test(line) && !error) {
+                error = `${i + 1} 行目を解釈できません: ${line.trim()}`;
+            }
+            pending.push(line);
+            continue;
+        }
+
+        // 字下げした行と "- " で始まる行はこの項目に含める（末尾の空行は次の項目に回す）
+        let end = i + 1;
+        while (end < lines.length && (/^\s/.test(lines[end]) || !lines[end].trim() || LIST_ITEM_PATTERN.test(lines[end]))) end++;
+        while (end > i + 1 && !lines[end - 1].trim()) end--;
+
+        const key = match[1];
+        const value = parseEntryValue(match[2], lines.slice(i + 1, end));
+        data[key] = value;
+        entries.push({ key, value, raw: [...pending, ...lines.slice(i, end)].join('\n') });
+        pending = [];
+        i = end - 1;
+    }
+
+    return { data, entries, trailing: pending.join('\n'), error };
+}
+
+// YAML で別の意味になる値・記号で始まる値は引用符で囲む
+function formatScalar(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+    const text = String(value);
+    const needsQuotes = text === '' ||
+        text !== text.trim() ||
+        /^[-?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+        /: |\s#|\n/.test(text) ||
+        ['true', 'false', 'null', '~'].includes(text) ||
+        NUMBER_PATTERN.test(text);
+    return needsQuotes ? JSON.stringify(text) : text;
+}
+
+/**
+ * 1つの項目を YAML にする
+ * @param {string} key
+ * @param {any} value
+ * @returns {string}
+ */
+function formatEntry(key, value) {
+    if (Array.isArray(value)) {
+        if (value.length === 0) return `${key}: []`;
+        return [`${key}:`, ...value.map(item => `  - ${formatScalar(item)}`)].join('\n');
+    }
+    if (value && typeof value === 'object') {
+        return [`${key}:`, ...Object.entries(value).map(([k, v]) => `  ${k}: ${formatScalar(v)}`.trimEnd())].join('\n');
+    }
+    return `${key}: ${formatScalar(value)}`.trimEnd();
+}
+
+/**
+ * 項目の一覧から front matter 全体（区切りの --- を含む）を作る
+ * 元の記述 (raw) がある項目はそのまま使い、コメントや書式を残す
+ * @param {Array<{key: string, value: any, raw?: string}>} entries
+ * @param {string} [trailing]
+ * @returns {string} 項目がなければ空文字列
+ */
+function formatFrontMatter(entries, trailing = '') {
+    if (entries.length === 0) return '';
+    const body = entries.map(entry => entry.raw !== undefined ? entry.raw : formatEntry(entry.key, entry.value));
+    if (trailing.trim()) body.push(trailing);
+    return `---\n${body.join('\n')}\n---\n`;
+}
+
+/**
+ * 文書を front matter と本文に分ける
+ * @param {string} text
+ * @returns {{frontMatter: Object|null, body: string, bodyLine: number}} frontMatter は parseFrontMatter の結果、bodyLine は本文の開始行（0 始まり）
+ */
+function splitFrontMatter(text) {
+    const lines = text.split('\n');
+    const block = findFrontMatter(lines);
+    if (!block) return { frontMatter: null, body: text, bodyLine: 0 };
+    return {
+        frontMatter: parseFrontMatter(block.source),
+        body: lines.slice(block.endLine + 1).join('\n'),
+        bodyLine: block.endLine + 1
+    };
+}
+
+// tags は "a, b" のような文字列でも書けるようにする
+// 引用符のない # はコメントになるため、# 付きで書く場合は tags: "#a #b" や tags: ["#a", "#b"] のように引用符で囲む
+function normalizeTags(value) {
+    if (value === null || value === undefined) return [];
+    const items = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+    return items
+        .map(tag => String(tag).trim().replace(/^#/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * ノートのプロパティ（索引・検索用に title / tags / date をそろえたもの）
+ * @param {string} text - ノートの内容
+ * @returns {{title: string|null, tags: string[], date: string|null, data: Object}}
+ */
+function getNoteProperties(text) {
+    const { frontMatter } = splitFrontMatter(text);
+    const data = frontMatter ? frontMatter.data : {};
+    const title = data.title !== undefined && data.title !== null ? String(data.title) : null;
+    const date = data.date !== undefined && data.date !== null ? String(data.date)
+        : data.created !== undefined && data.created !== null ? String(data.created) : null;
+    return { title, tags: normalizeTags(data.tags !== undefined ? data.tags : data.tag), date, data };
+}
+
+/**
+ * プロパティの検索条件を解釈する（例: 'tag:project date:2024 会議'）
+ * key:value は該当するプロパティを、それ以外の語はタイトル・ファイル名を部分一致で絞り込む
+ * @param {string} query
+ * @returns {{conditions: Array<{key: string, value: string}>, words: string[]}}
+ */
+function parsePropertyQuery(query) {
+    const conditions = [];
+    const words = [];
+    query.trim().split(/\s+/).filter(Boolean).forEach(term => {
+        const match = term.match(/^([^:]+):(.*)$/);
+        if (match) conditions.push({ key: match[1].toLowerCase(), value: match[2].toLowerCase() });
+        else words.push(term.toLowerCase());
+    });
+    return { conditions, words };
+}
+
+/**
+ * ノートが検索条件に合うか
+ * @param {{title: string|null, tags: string[], date: string|null, data: Object}} properties
+ * @param {string} name - ファイル名など、タイトルの代わりに使う名前
+ * @param {{conditions: Array, words: string[]}} query - parsePropertyQuery の結果
+ */
+function matchesPropertyQuery(properties, name, query) {
+    const title = (properties.title || name).toLowerCase();
+    if (!query.words.every(word => title.includes(word) || name.toLowerCase().includes(word))) return false;
+
+    return query.conditions.every(({ key, value }) => {
+        if (key === 'tag' || key === 'tags') {
+            // 階層のあるタグ (a/b) は親のタグでも見つかるようにする
+            return properties.tags.some(tag => {
+                const lower = tag.toLowerCase();
+                return lower === value || lower.startsWith(`${value}/`);
+            });
+        }
+        if (key === 'title') return title.includes(value);
+        if (key === 'date') return (properties.date || '').toLowerCase().startsWith(value);
+
+        const dataKey = Object.keys(properties.data).find(k => k.toLowerCase() === key);
+        if (dataKey === undefined) return false;
+        const propertyValue = properties.data[dataKey];
+        const values = Array.isArray(propertyValue) ? propertyValue : [propertyValue];
+        // 値を省略した場合 (key:) はプロパティがあるノートすべて
+        return !value || values.some(v => String(v).toLowerCase().includes(value));
+    });
+}
+
+module.exports = {
+    findFrontMatter,
+    parseFrontMatter,
+    parseScalar,
+    formatEntry,
+    formatFrontMatter,
+    splitFrontMatter,
+    normalizeTags,
+    getNoteProperties,
+    parsePropertyQuery,
+    matchesPropertyQuery
+};
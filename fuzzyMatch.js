@@ -0,0 +1,51 @@
+/**
+ * fuzzyMatch.js
+ * クイックオープン・コマンドパレット用のあいまい検索
+ */
+
+// 単語の区切りとみなす文字
+const SEPARATORS = new Set(['/', '\\', '_', '-', '.', ' ', ':']);
+
+function isWordStart(text, index) {
+    if (index === 0) return true;
+    const prev = text[index - 1];
+    if (SEPARATORS.has(prev)) return true;
+    // camelCase の大文字
+    const ch = text[index];
+    return prev === prev.toLowerCase() && ch !== ch.toLowerCase();
+}
+
+/**
+ * query の文字が順に text に含まれているかを調べ、一致の良さを点数にする
+ * 連続した一致・単語の先頭での一致ほど高く、短い text ほどわずかに高い
+ * @param {string} query - 空白は無視する
+ * @param {string} text
+ * @returns {{score: number, positions: number[]}|null} 一致しなければ null
+ */
+function fuzzyMatch(query, text) {
+    const needle = query.replace(/\s+/g, '').toLowerCase();
+    if (!needle) return { score: 0, positions: [] };
+
+    const haystack = text.toLowerCase();
+    const positions = [];
+    let score = 0;
+    let from = 0;
+
+    for (const ch of needle) {
+        const index = haystack.indexOf(ch, from);
+        if (index === -1) return null;
+
+        score += 1;
+        if (positions.length > 0 && index === positions[positions.length - 1] + 1) score += 5;
+        if (isWordStart(text, index)) score += 4;
+        score -= Math.min(index - from, 10) * 0.1;
+
+        positions.push(index);
+        from = index + 1;
+    }
+
+    score -= text.length * 0.01;
+    return { score, positions };
+}
+
+module.exports = { fuzzyMatch };
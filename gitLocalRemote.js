@@ -0,0 +1,153 @@
+// gitLocalRemote.js
+// ローカルパス（file:// や ディレクトリパス）をリモートとする push / fetch
+// isomorphic-git は HTTP 以外のトランスポートを持たないため、
+// オブジェクトをリポジトリ間で直接コピーして同等の処理を行う
+
+const fs = require('fs');
+const path = require('path');
+const git = require('isomorphic-git');
+
+/**
+ * リモート URL がローカルのリポジトリを指しているか
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isLocalRemoteUrl(url) {
+    if (!url) return false;
+    if (url.startsWith('file://')) return true;
+    // scp 形式 (git@host:path) や http(s):// 以外はパスとして扱う
+    return !/^[a-z][a-z0-9+.-]*:\/\//i.test(url) && !/^[^/\\]+@[^/\\]+:/.test(url);
+}
+
+/**
+ * リモート URL から gitdir を求める（bare リポジトリならそのまま、通常のリポジトリなら .git）
+ * @param {string} dir - ローカルリポジトリのルート（相対パスの基準）
+ * @param {string} url
+ * @returns {string}
+ */
+function resolveLocalGitdir(dir, url) {
+    let remotePath = url.startsWith('file://') ? decodeURIComponent(url.slice('file://'.length)) : url;
+    // Windows の file:///C:/... 形式
+    if (/^\/[a-zA-Z]:/.test(remotePath)) remotePath = remotePath.slice(1);
+    remotePath = path.resolve(dir, remotePath);
+
+    const dotGit = path.join(remotePath, '.git');
+    return fs.existsSync(dotGit) ? dotGit : remotePath;
+}
+
+async function hasObject(gitdir, oid) {
+    try {
+        await git.readObject({ fs, gitdir, oid, format: 'deflated' });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * commitOid から到達できるオブジェクトのうち、コピー先にないものをコピーする
+ * コピー先に存在するコミット・ツリーより先はたどらない（その祖先も存在するはずのため）
+ */
+async function copyMissingObjects(sourceGitdir, targetGitdir, commitOid) {
+    const copy = async (oid) => {
+        // packfile 内のオブジェクトは 'deflated' を指定しても展開済み ('content') で返るため、返された形式のまま書き込む
+        const object = await git.readObject({ fs, gitdir: sourceGitdir, oid, format: 'deflated' });
+        await git.writeObject({ fs, gitdir: targetGitdir, type: object.type, object: object.object, format: object.format, oid });
+    };
+
+    const copyTree = async (treeOid) => {
+        if (await hasObject(targetGitdir, treeOid)) return;
+        const { tree } = await git.readTree({ fs, gitdir: sourceGitdir, oid: treeOid });
+        for (const entry of tree) {
+            if (entry.type === 'tree') {
+                await copyTree(entry.oid);
+            } else if (entry.type === 'blob' && !(await hasObject(targetGitdir, entry.oid))) {
+                await copy(entry.oid);
+            }
+            // entry.type === 'commit' はサブモジュールなのでコピーしない
+        }
+        await copy(treeOid);
+    };
+
+    const pending = [commitOid];
+    const visited = new Set();
+    while (pending.length > 0) {
+        const oid = pending.pop();
+        if (visited.has(oid)) continue;
+        visited.add(oid);
+        if (await hasObject(targetGitdir, oid)) continue;
+
+        const { commit } = await git.readCommit({ fs, gitdir: sourceGitdir, oid });
+        await copyTree(commit.tree);
+        pending.push(...commit.parent);
+        await copy(oid);
+    }
+}
+
+async function resolveRefOrNull(gitdir, ref) {
+    try {
+        return await git.resolveRef({ fs, gitdir, ref });
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * ローカルリモートへ push する（fast-forward のみ許可）
+ * @param {Object} options
+ * @param {string} options.dir - ローカルリポジトリのルート
+ * @param {string} options.remote - リモート名
+ * @param {string} options.url - リモート URL
+ * @param {string} options.ref - push するローカルブランチ
+ * @param {string} options.remoteRef - リモート側のブランチ
+ */
+async function pushToLocal({ dir, remote, url, ref, remoteRef }) {
+    const gitdir = path.join(dir, '.git');
+    const targetGitdir = resolveLocalGitdir(dir, url);
+
+    const localOid = await git.resolveRef({ fs, dir, ref: `refs/heads/${ref}` });
+    const remoteOid = await resolveRefOrNull(targetGitdir, `refs/heads/${remoteRef}`);
+
+    if (remoteOid && remoteOid !== localOid) {
+        const isFastForward = (await hasObject(gitdir, remoteOid)) &&
+            await git.isDescendent({ fs, dir, oid: localOid, ancestor: remoteOid, depth: -1 });
+        if (!isFastForward) {
+            throw new Error(`リモートの ${remoteRef} に取り込まれていない変更があります。先に Pull してください`);
+        }
+    }
+
+    // 作業ツリーを持つリポジトリのチェックアウト中のブランチは更新しない（git の receive.denyCurrentBranch と同じ）
+    // ref だけを進めると、リモート側の作業ツリーとインデックスが古いコミットのまま取り残されるため
+    if (path.basename(targetGitdir) === '.git') {
+        const targetBranch = await git.currentBranch({ fs, gitdir: targetGitdir, fullname: true });
+        if (targetBranch === `refs/heads/${remoteRef}`) {
+            throw new Error(`リモートの ${remoteRef} はリモート側でチェックアウトされているため push できません。bare リポジトリを使うか、別のブランチへ push してください`);
+        }
+    }
+
+    await copyMissingObjects(gitdir, targetGitdir, localOid);
+    await git.writeRef({ fs, gitdir: targetGitdir, ref: `refs/heads/${remoteRef}`, value: localOid, force: true });
+    await git.writeRef({ fs, dir, ref: `refs/remotes/${remote}/${remoteRef}`, value: localOid, force: true });
+}
+
+/**
+ * ローカルリモートから fetch し、リモート追跡ブランチを更新する
+ * @returns {Promise<string|null>} 取得したコミット（リモートにブランチがなければ null）
+ */
+async function fetchFromLocal({ dir, remote, url, remoteRef }) {
+    const gitdir = path.join(dir, '.git');
+    const sourceGitdir = resolveLocalGitdir(dir, url);
+
+    const remoteOid = await resolveRefOrNull(sourceGitdir, `refs/heads/${remoteRef}`);
+    if (!remoteOid) return null;
+
+    await copyMissingObjects(sourceGitdir, gitdir, remoteOid);
+    await git.writeRef({ fs, dir, ref: `refs/remotes/${remote}/${remoteRef}`, value: remoteOid, force: true });
+    return remoteOid;
+}
+
+module.exports = {
+    isLocalRemoteUrl,
+    pushToLocal,
+    fetchFromLocal
+};
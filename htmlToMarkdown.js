@@ -0,0 +1,179 @@
+/**
+ * htmlToMarkdown.js
+ * クリップボードの HTML（ブラウザ・Word・Confluence など）を GFM の Markdown に変換する
+ * 表は tablePlugin.js で編集できる形式（| a | b | と区切り行）で出力する
+ */
+
+const TurndownService = require('turndown');
+
+// セルの中では | と改行を使えない（tablePlugin は | で単純に分割するため文字参照にする）
+function formatTableCell(markdown) {
+    return markdown
+        .trim()
+        .replace(/\|/g, '&#124;')
+        .replace(/\s*\n+\s*/g, '<br>');
+}
+
+/**
+ * コードブロックの言語を推定する
+ * GitHub: <div class="highlight-source-js">、Confluence: data-syntaxhighlighter-params="brush: java"、
+ * 一般的なもの: <code class="language-js">
+ */
+function detectCodeLanguage(pre) {
+    const code = pre.querySelector('code');
+    const candidates = [code, pre, pre.parentNode].filter(node => node && node.getAttribute);
+
+    for (const node of candidates) {
+        const dataLanguage = node.getAttribute('data-language') || node.getAttribute('data-lang');
+        if (dataLanguage) return dataLanguage;
+
+        const className = node.getAttribute('class') || '';
+        const classMatch = className.match(/(?:^|\s)(?:language|lang|highlight-source)-([\w+#-]+)/);
+        if (classMatch) return classMatch[1];
+
+        const params = node.getAttribute('data-syntaxhighlighter-params') || '';
+        const brushMatch = params.match(/brush:\s*([\w+#-]+)/);
+        if (brushMatch) return brushMatch[1];
+    }
+    return '';
+}
+
+function createTurndownService() {
+    const service = new TurndownService({
+        headingStyle: 'atx',
+        hr: '---',
+        bulletListMarker: '-',
+        codeBlockStyle: 'fenced',
+        emDelimiter: '*'
+    });
+
+    service.remove(['script', 'style', 'meta', 'link', 'title', 'noscript']);
+
+    service.addRule('strikethrough', {
+        filter: ['del', 's', 'strike'],
+        replacement: content => `~~${content}~~`
+    });
+
+    service.addRule('highlight', {
+        filter: 'mark',
+        replacement: content => `==${content}==`
+    });
+
+    // Google ドキュメントは全体を <b style="font-weight:normal"> で囲むため太字にしない
+    service.addRule('normalWeightBold', {
+        filter: node => node.nodeName === 'B' && /font-weight:\s*(normal|400)/.test(node.getAttribute('style') || ''),
+        replacement: content => content
+    });
+
+    service.addRule('taskListItem', {
+        filter: node => node.nodeName === 'INPUT' && node.getAttribute('type') === 'checkbox',
+        replacement: (content, node) => (node.hasAttribute('checked') ? '[x] ' : '[ ] ')
+    });
+
+    // 行頭の記号の後は空白1つにする（既定では "-   " になる）
+    service.addRule('listItem', {
+        filter: 'li',
+        replacement: (content, node) => {
+            const parent = node.parentNode;
+            let prefix = '- ';
+            if (parent.nodeName === 'OL') {
+                const start = parseInt(parent.getAttribute('start'), 10) || 1;
+                prefix = `${start + Array.prototype.indexOf.call(parent.children, node)}. `;
+            }
+            const body = content
+                .replace(/^\n+/, '')
+                .replace(/\n+$/, '\n')
+                .replace(/^\[( |x)\]\s*/, '[$1] ')
+                .replace(/\n/gm, '\n' + ' '.repeat(prefix.length));
+            return prefix + body + (node.nextSibling && !/\n$/.test(body) ? '\n' : '');
+        }
+    });
+
+    service.addRule('fencedCodeWithLanguage', {
+        filter: 'pre',
+        replacement: (content, node) => {
+            const code = node.textContent.replace(/\n$/, '');
+            // コード中の ``` より長いフェンスにする
+            const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(longestRun + 1);
+            return `\n\n${fence}${detectCodeLanguage(node)}\n${code}\n${fence}\n\n`;
+        }
+    });
+
+    // 表は セル → 行 → 表 の順に組み立てる（セルは " 内容 |"、行は "|" で始まる1行）
+    service.addRule('tableCell', {
+        filter: ['th', 'td'],
+        replacement: (content, node) => {
+            // 結合セルは空のセルで埋める
+            const colspan = parseInt(node.getAttribute('colspan'), 10) || 1;
+            return ` ${formatTableCell(content)} |` + '  |'.repeat(colspan - 1);
+        }
+    });
+
+    service.addRule('tableRow', {
+        filter: 'tr',
+        replacement: content => `\n|${content}\n`
+    });
+
+    service.addRule('table', {
+        filter: 'table',
+        replacement: content => {
+            const rows = content.split('\n').filter(line => line.startsWith('|'));
+            if (rows.length === 0) return content;
+
+            // 行ごとのセル数をそろえ、見出し行がなくても1行目を見出しにする（GFM の表は見出し行が必須のため）
+            const countCells = line => line.match(/\|/g).length - 1;
+            const columnCount = Math.max(...rows.map(countCells));
+            const lines = rows.map(line => line + '  |'.repeat(columnCount - countCells(line)));
+            lines.splice(1, 0, `| ${Array(columnCount).fill('---').join(' | ')} |`);
+            return `\n\n${lines.join('\n')}\n\n`;
+        }
+    });
+
+    service.addRule('image', {
+        filter: 'img',
+        replacement: (content, node) => {
+            const alt = (node.getAttribute('alt') || '').replace(/[[\]]/g, '\\$&').replace(/\s+/g, ' ');
+            const target = imageHandler(node.getAttribute('src') || '', alt);
+            return target ? `![${alt}](${target.replace(/ /g, '%20')})` : '';
+        }
+    });
+
+    return service;
+}
+
+let turndownService = null;
+// 変換中の画像の扱い（htmlToMarkdown の呼び出しごとに設定する）
+let imageHandler = null;
+
+const defaultResolveImage = src => (/^https?:\/\//i.test(src) ? src : null);
+
+/**
+ * HTML を Markdown に変換する
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {Function} [options.resolveImage] - (src, alt) => Markdown に書く画像のパス（null なら画像を貼り付けない）。
+ *   省略時は http(s) の画像だけをそのまま使う
+ * @returns {{markdown: string, skippedImages: number}} skippedImages は貼り付けなかった画像の数
+ */
+function htmlToMarkdown(html, options = {}) {
+    if (!turndownService) turndownService = createTurndownService();
+
+    const resolveImage = options.resolveImage || defaultResolveImage;
+    let skippedImages = 0;
+    imageHandler = (src, alt) => {
+        const target = src ? resolveImage(src, alt) : null;
+        if (!target) skippedImages++;
+        return target;
+    };
+
+    const markdown = turndownService.turndown(html)
+        .replace(/\u00a0/g, ' ')
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return { markdown, skippedImages };
+}
+
+module.exports = { htmlToMarkdown };
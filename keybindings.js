@@ -0,0 +1,298 @@
+/**
+ * keybindings.js
+ * コマンドのショートカットキー（既定値・ユーザー設定・条件・連続キー）を扱う
+ *
+ * 表記は CodeMirror と同じ形式（例: 'Mod-Shift-p'。Mod は macOS では Cmd、それ以外では Ctrl）
+ * 空白で区切ると連続キーになる（例: 'Mod-k Mod-s' は Ctrl+K に続けて Ctrl+S）
+ * 英字・数字は物理キー (event.code) で、記号は入力される文字 (event.key) で判定するため、
+ * JIS 配列と US 配列で位置の異なる記号は、それぞれの配列で押したキーを登録すればよい
+ * 記号には Shift を付けず、Shift を押して入力される文字で書く（例: Ctrl+Shift+/ は 'Mod-?'）
+ *
+ * 条件 (when) には以下を && / || / ! で組み合わせて書く（例: 'treeFocus && !inputFocus'）
+ * - editorFocus: エディタにフォーカスがある
+ * - treeFocus: ファイルツリーにフォーカスがある
+ * - terminalFocus: ターミナルにフォーカスがある
+ * - inputFocus: エディタ・ターミナル以外の入力欄にフォーカスがある
+ * - zenMode: Zen モード中
+ */
+
+const IS_MAC = typeof process !== 'undefined' && process.platform === 'darwin';
+
+// 修飾キーの並び順（正規化した表記で使う）
+const MODIFIER_ORDER = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+const MODIFIER_ALIASES = {
+    mod: IS_MAC ? 'Meta' : 'Ctrl',
+    ctrl: 'Ctrl',
+    control: 'Ctrl',
+    c: 'Ctrl',
+    alt: 'Alt',
+    a: 'Alt',
+    shift: 'Shift',
+    s: 'Shift',
+    meta: 'Meta',
+    cmd: 'Meta',
+    m: 'Meta'
+};
+
+const KEY_DISPLAY_NAMES = {
+    ' ': 'Space',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→'
+};
+
+// 条件の判定に使う状態の組み合わせ（フォーカスは同時に1か所。ツリー内の入力欄だけは両方）
+const FOCUS_STATES = [
+    {},
+    { editorFocus: true },
+    { treeFocus: true },
+    { terminalFocus: true },
+    { inputFocus: true },
+    { treeFocus: true, inputFocus: true }
+];
+const CONTEXT_STATES = FOCUS_STATES.flatMap(state => [state, { ...state, zenMode: true }]);
+
+function normalizeKeyName(key) {
+    if (key === 'Space') return ' ';
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * 1つのキーの表記を比較用にそろえる（'Mod-Shift-p' → 'Ctrl-Shift-P'）
+ * @param {string} binding
+ * @returns {string|null} 不正な表記なら null
+ */
+function normalizeKeybinding(binding) {
+    if (!binding) return null;
+    // 最後の '-' より後ろがキー（'Mod--' のように - 自体がキーの場合も考慮する）
+    const match = binding.match(/^((?:[^-]+-)*)(.+)$/);
+    if (!match) return null;
+
+    const modifiers = new Set();
+    for (const part of match[1].split('-').filter(Boolean)) {
+        const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+        if (!modifier) return null;
+        modifiers.add(modifier);
+    }
+    const key = normalizeKeyName(match[2]);
+    return [...MODIFIER_ORDER.filter(m => modifiers.has(m)), key].join('-');
+}
+
+/**
+ * 連続キーを含む表記を、正規化したキーの配列にする（'Mod-k Mod-s' → ['Ctrl-K', 'Ctrl-S']）
+ * @returns {string[]|null} 不正な表記なら null
+ */
+function parseKeySequence(sequence) {
+    if (!sequence) return null;
+    const chords = sequence.trim().split(/\s+/).map(normalizeKeybinding);
+    return chords.every(Boolean) ? chords : null;
+}
+
+/**
+ * キーボードイベントを正規化したキーの表記にする（修飾キーだけの場合は null）
+ */
+function keybindingFromEvent(event) {
+    let key = event.key;
+    if (/^Key[A-Z]$/.test(event.code)) key = event.code.slice(3);
+    else if (/^Digit[0-9]$/.test(event.code)) key = event.code.slice(5);
+    if (['Control', 'Alt', 'Shift', 'Meta', 'Dead', 'Process', 'Unidentified'].includes(key)) return null;
+
+    // 記号の event.key は Shift を押した後の文字 (Shift+/ → ?) なので、Shift は表記に含めない
+    const isSymbol = key.length === 1 && !/[\p{L}\p{N}\s]/u.test(key);
+
+    const modifiers = [];
+    if (event.ctrlKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey && !isSymbol) modifiers.push('Shift');
+    if (event.metaKey) modifiers.push('Meta');
+    return [...modifiers, normalizeKeyName(key)].join('-');
+}
+
+/**
+ * 表示用の表記にする（'Mod-k Mod-s' → 'Ctrl+K Ctrl+S'）
+ */
+function formatKeybinding(sequence) {
+    const chords = parseKeySequence(sequence);
+    if (!chords) return '';
+    return chords.map(chord => chord.split('-').map(part => {
+        if (part === 'Meta') return IS_MAC ? '⌘' : 'Meta';
+        return KEY_DISPLAY_NAMES[part] || part;
+    }).join('+')).join(' ');
+}
+
+/**
+ * 条件を判定する（条件がなければ常に true、未知の名前は false として扱う）
+ * @param {string} [when]
+ * @param {Object} context - { editorFocus: boolean, ... }
+ */
+function evaluateWhen(when, context) {
+    if (!when || !when.trim()) return true;
+    return when.split('||').some(clause =>
+        clause.split('&&').every(term => {
+            const name = term.trim();
+            return name.startsWith('!') ? !context[name.slice(1).trim()] : !!context[name];
+        })
+    );
+}
+
+// 2つの条件が同時に成り立つことがあるか
+function canOverlap(whenA, whenB) {
+    return CONTEXT_STATES.some(state => evaluateWhen(whenA, state) && evaluateWhen(whenB, state));
+}
+
+// 一方の連続キーがもう一方と同じか、その途中までと同じか
+function isSequencePrefix(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+function isSameSequence(a, b) {
+    if (!a || !b) return !a && !b;
+    const chordsA = parseKeySequence(a);
+    const chordsB = parseKeySequence(b);
+    return !!chordsA && !!chordsB && chordsA.join(' ') === chordsB.join(' ');
+}
+
+class KeybindingManager {
+    /**
+     * @param {CommandRegistry} registry - コマンドの keybinding（macOS では mac があればそれ）と when を既定値として使う
+     * @param {Object} options
+     * @param {Function} options.getContext - () => 条件の判定に使う状態
+     * @param {Function} [options.onPendingChange] - (sequence: string[]) => void 連続キーの入力途中の表示用（空配列で終了）
+     */
+    constructor(registry, options) {
+        this.registry = registry;
+        this.options = options;
+        // コマンド ID → ユーザーが設定したキー（null は割り当てなし）
+        this.overrides = {};
+        this.pending = [];
+    }
+
+    setOverrides(overrides) {
+        this.overrides = { ...(overrides || {}) };
+        this.setPending([]);
+    }
+
+    getOverrides() {
+        return { ...this.overrides };
+    }
+
+    getDefaultKeybinding(id) {
+        const command = this.registry.get(id);
+        if (!command) return null;
+        return (IS_MAC && command.mac) || command.keybinding || null;
+    }
+
+    getKeybinding(id) {
+        if (Object.prototype.hasOwnProperty.call(this.overrides, id)) return this.overrides[id];
+        return this.getDefaultKeybinding(id);
+    }
+
+    isCustomized(id) {
+        return Object.prototype.hasOwnProperty.call(this.overrides, id);
+    }
+
+    // sequence が null なら割り当てを外す。既定値と同じなら上書きをやめる
+    setKeybinding(id, sequence) {
+        if (isSameSequence(sequence, this.getDefaultKeybinding(id))) {
+            delete this.overrides[id];
+        } else {
+            this.overrides[id] = sequence;
+        }
+    }
+
+    resetKeybinding(id) {
+        delete this.overrides[id];
+    }
+
+    // キーが割り当てられているコマンドと、その正規化したキー
+    getBindings() {
+        const bindings = [];
+        this.registry.getAll().forEach(command => {
+            const chords = parseKeySequence(this.getKeybinding(command.id));
+            if (chords) bindings.push({ command, chords });
+        });
+        return bindings;
+    }
+
+    /**
+     * sequence と重なるコマンド（同じキー、または一方が他方の連続キーの途中と同じで、条件が同時に成り立つもの）
+     * @returns {Array<Object>} コマンド
+     */
+    findConflicts(sequence, when, exceptId = null) {
+        const chords = parseKeySequence(sequence);
+        if (!chords) return [];
+        return this.getBindings()
+            .filter(binding => binding.command.id !== exceptId)
+            .filter(binding => isSequencePrefix(chords, binding.chords) && canOverlap(when, binding.command.when))
+            .map(binding => binding.command);
+    }
+
+    // 重なりのあるコマンドの一覧（コマンド ID → 重なる相手のコマンド）
+    getConflicts() {
+        const conflicts = new Map();
+        const bindings = this.getBindings();
+        bindings.forEach((a, i) => {
+            bindings.slice(i + 1).forEach(b => {
+                if (!isSequencePrefix(a.chords, b.chords) || !canOverlap(a.command.when, b.command.when)) return;
+                if (!conflicts.has(a.command.id)) conflicts.set(a.command.id, []);
+                if (!conflicts.has(b.command.id)) conflicts.set(b.command.id, []);
+                conflicts.get(a.command.id).push(b.command);
+                conflicts.get(b.command.id).push(a.command);
+            });
+        });
+        return conflicts;
+    }
+
+    /**
+     * キー入力に対応するコマンドを実行する
+     * @returns {boolean} キー入力を処理した（既定の動作を止めるべき）なら true
+     */
+    handleKeyEvent(event) {
+        const pressed = keybindingFromEvent(event);
+        if (!pressed) return false;
+
+        const sequence = [...this.pending, pressed];
+        const context = this.options.getContext();
+        const candidates = this.getBindings().filter(binding =>
+            binding.chords.length >= sequence.length &&
+            isSequencePrefix(sequence, binding.chords) &&
+            evaluateWhen(binding.command.when, context)
+        );
+
+        // 続きのキーがあるものを優先して待つ
+        if (candidates.some(binding => binding.chords.length > sequence.length)) {
+            this.setPending(sequence);
+            return true;
+        }
+
+        this.setPending([]);
+        const exact = candidates.find(binding => binding.chords.length === sequence.length);
+        if (exact) {
+            this.registry.execute(exact.command.id);
+            return true;
+        }
+        // 連続キーの途中で対応しないキーが押された場合も、そのキーは入力しない
+        return sequence.length > 1;
+    }
+
+    setPending(sequence) {
+        const changed = sequence.length > 0 || this.pending.length > 0;
+        this.pending = sequence;
+        if (changed && this.options.onPendingChange) this.options.onPendingChange(sequence);
+    }
+}
+
+module.exports = {
+    KeybindingManager,
+    normalizeKeybinding,
+    parseKeySequence,
+    keybindingFromEvent,
+    formatKeybinding,
+    evaluateWhen
+};
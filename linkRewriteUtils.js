@@ -0,0 +1,203 @@
+/**
+ * linkRewriteUtils.js
+ * ファイル・フォルダの移動（名前の変更を含む）に合わせて、Markdown のリンクを書き換える変更を求める
+ * - 通常のリンク・画像 [text](path) / ![alt](path) と参照定義 [id]: path（相対パスのみ）
+ * - wiki リンク [[Note]]
+ */
+
+const path = require('path');
+const { parseWikiLinks, isInInlineCode, normalizeLinkTarget, resolveWikiTarget, getLinkTargetName } = require('./wikiLinkUtils');
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+// [text](dest "title") / ![alt](dest)  dest は <...> で囲まれていてもよい
+const INLINE_LINK_PATTERN = /!?\[[^\]\n]*\]\(\s*(<[^>\n]*>|[^()\s]+)(?:\s+(?:"[^"\n]*"|'[^'\n]*'))?\s*\)/dg;
+// [id]: dest
+const REFERENCE_DEFINITION_PATTERN = /^ {0,3}\[[^\]\n]+\]:\s*(<[^>\n]*>|\S+)/d;
+// スキーム付きの URL (http:, mailto: など)
+const URL_SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:/i;
+
+/**
+ * テキスト中の相対パスのリンク先を列挙する（コードブロック・インラインコード内は除く）
+ * @param {string} text
+ * @returns {Array<{from: number, to: number, dest: string, line: number}>} from/to はリンク先部分の範囲
+ */
+function parseRelativeLinks(text) {
+    const links = [];
+    let offset = 0;
+    let fence = null;
+
+    const add = (lineText, lineNumber, start, end) => {
+        const dest = lineText.slice(start, end);
+        const inner = dest.startsWith('<') ? dest.slice(1, -1) : dest;
+        if (!inner || inner.startsWith('#') || inner.startsWith('/') || URL_SCHEME_PATTERN.test(inner)) return;
+        if (isInInlineCode(lineText, start)) return;
+        links.push({ from: offset + start, to: offset + end, dest, line: lineNumber });
+    };
+
+    text.split('\n').forEach((lineText, i) => {
+        const fenceMatch = lineText.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            if (!fence) fence = fenceMatch[1][0];
+            else if (fenceMatch[1][0] === fence) fence = null;
+        } else if (!fence) {
+            const definition = lineText.match(REFERENCE_DEFINITION_PATTERN);
+            if (definition) {
+                add(lineText, i + 1, definition.indices[1][0], definition.indices[1][1]);
+            } else if (lineText.includes('](')) {
+                const re = new RegExp(INLINE_LINK_PATTERN.source, 'dg');
+                let match;
+                while ((match = re.exec(lineText)) !== null) {
+                    add(lineText, i + 1, match.indices[1][0], match.indices[1][1]);
+                }
+            }
+        }
+        offset += lineText.length + 1;
+    });
+    return links;
+}
+
+/**
+ * 移動の一覧から、移動前後のパスを変換する関数を作る（フォルダの移動は配下のパスにも適用する）
+ * @param {Array<{oldPath: string, newPath: string}>} moves
+ */
+function createPathMapper(moves) {
+    const map = (filePath, fromKey, toKey) => {
+        for (const move of moves) {
+            const from = move[fromKey];
+            if (filePath === from) return move[toKey];
+            if (filePath.startsWith(from + path.sep)) return move[toKey] + filePath.slice(from.length);
+        }
+        return filePath;
+    };
+    return {
+        toNew: (filePath) => map(filePath, 'oldPath', 'newPath'),
+        toOld: (filePath) => map(filePath, 'newPath', 'oldPath')
+    };
+}
+
+// リンク先の書き方（./ の有無、URL エンコード、<> 囲み）を元の表記に合わせる
+function formatLinkDest(originalDest, relativePath, suffix) {
+    const isAngle = originalDest.startsWith('<');
+    const inner = isAngle ? originalDest.slice(1, -1) : originalDest;
+
+    let result = relativePath;
+    if (inner.startsWith('./') && !result.startsWith('../')) result = './' + result;
+
+    if (inner.includes('%')) {
+        result = encodeURI(result);
+    } else if (!isAngle) {
+        result = result.replace(/ /g, '%20');
+    }
+    result += suffix;
+    return isAngle ? `<${result}>` : result;
+}
+
+function decodeLinkPath(linkPath) {
+    try {
+        return decodeURI(linkPath);
+    } catch (e) {
+        return linkPath;
+    }
+}
+
+// 1ファイル分の通常のリンクの書き換え
+function planRelativeLinkEdits(text, filePath, oldFilePath, mapper, exists) {
+    const edits = [];
+    parseRelativeLinks(text).forEach(link => {
+        const inner = link.dest.startsWith('<') ? link.dest.slice(1, -1) : link.dest;
+        const suffixIndex = inner.search(/[#?]/);
+        const linkPath = suffixIndex === -1 ? inner : inner.slice(0, suffixIndex);
+        const suffix = suffixIndex === -1 ? '' : inner.slice(suffixIndex);
+        if (!linkPath) return;
+
+        const oldTarget = path.resolve(path.dirname(oldFilePath), decodeLinkPath(linkPath));
+        const newTarget = mapper.toNew(oldTarget);
+        if (filePath === oldFilePath && newTarget === oldTarget) return;
+        // もともとリンク切れのものは触らない
+        if (!exists(newTarget)) return;
+
+        const relativePath = path.relative(path.dirname(filePath), newTarget).split(path.sep).join('/') || path.basename(newTarget);
+        const newDest = formatLinkDest(link.dest, relativePath, suffix);
+        if (newDest !== link.dest) {
+            edits.push({ from: link.from, to: link.to, text: link.dest, insert: newDest, line: link.line });
+        }
+    });
+    return edits;
+}
+
+// 1ファイル分の wiki リンクの書き換え（リンク先のノートが移動し、元の表記では解決できなくなるもの）
+function planWikiLinkEdits(text, filePath, oldFilePath, context) {
+    const edits = [];
+    parseWikiLinks(text).forEach(link => {
+        if (!link.target) return;
+        const name = normalizeLinkTarget(link.target).split('/').pop();
+        if (!context.movedNoteNames.has(name)) return;
+
+        const oldTarget = resolveWikiTarget(link.target, context.oldNotePaths, context.rootDir, oldFilePath);
+        if (!oldTarget) return;
+        const newTarget = context.mapper.toNew(oldTarget);
+        if (newTarget === oldTarget) return;
+        if (resolveWikiTarget(link.target, context.newNotePaths, context.rootDir, filePath) === newTarget) return;
+
+        const inner = text.slice(link.from + 2, link.to - 2);
+        const targetEnd = inner.search(/[#|]/);
+        const from = link.from + 2;
+        const to = from + (targetEnd === -1 ? inner.length : targetEnd);
+        const insert = getLinkTargetName(newTarget, context.newNotePaths, context.rootDir);
+        edits.push({ from, to, text: text.slice(from, to), insert, line: link.line });
+    });
+    return edits;
+}
+
+/**
+ * 移動に合わせたリンクの書き換えを求める（移動した後に呼ぶ）
+ * @param {Object} options
+ * @param {Array<{oldPath: string, newPath: string}>} options.moves - 移動したファイル・フォルダ
+ * @param {Array<{filePath: string, text: string}>} options.notes - 移動後のワークスペースの全 Markdown ファイル
+ * @param {string} options.rootDir
+ * @param {Function} options.exists - (filePath) => boolean
+ * @returns {Array<{filePath: string, edits: Array<{from: number, to: number, text: string, insert: string, line: number}>}>}
+ */
+function planLinkRewrites({ moves, notes, rootDir, exists }) {
+    const mapper = createPathMapper(moves);
+    const newNotePaths = notes.map(note => note.filePath);
+    const oldNotePaths = newNotePaths.map(mapper.toOld);
+
+    const movedNoteNames = new Set();
+    oldNotePaths.forEach((oldPath, i) => {
+        if (oldPath !== newNotePaths[i]) movedNoteNames.add(normalizeLinkTarget(path.basename(oldPath)));
+    });
+
+    const context = { mapper, rootDir, newNotePaths, oldNotePaths, movedNoteNames };
+    const results = [];
+
+    notes.forEach(({ filePath, text }, i) => {
+        const oldFilePath = oldNotePaths[i];
+        const edits = [
+            ...planRelativeLinkEdits(text, filePath, oldFilePath, mapper, exists),
+            ...planWikiLinkEdits(text, filePath, oldFilePath, context)
+        ].sort((a, b) => a.from - b.from);
+        if (edits.length > 0) results.push({ filePath, edits });
+    });
+    return results;
+}
+
+/**
+ * planLinkRewrites の変更をテキストへ適用する
+ * 求めた後に内容が変わっていた場合は null
+ */
+function applyTextEdits(text, edits) {
+    let result = text;
+    for (const edit of [...edits].sort((a, b) => b.from - a.from)) {
+        if (result.slice(edit.from, edit.to) !== edit.text) return null;
+        result = result.slice(0, edit.from) + edit.insert + result.slice(edit.to);
+    }
+    return result;
+}
+
+module.exports = {
+    parseRelativeLinks,
+    createPathMapper,
+    planLinkRewrites,
+    applyTextEdits
+};
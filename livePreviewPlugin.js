@@ -1,7 +1,10 @@
 /* livePreviewPlugin.js */
-const { ViewPlugin, Decoration, WidgetType, keymap } = require("@codemirror/view");
+const { ViewPlugin, Decoration, WidgetType, EditorView, keymap } = require("@codemirror/view");
 const { syntaxTree } = require("@codemirror/language");
-const { RangeSetBuilder } = require("@codemirror/state");
+const { RangeSetBuilder, StateField, StateEffect, Facet } = require("@codemirror/state");
+const { findInlineMath, findMathBlocks, renderMath } = require("./mathUtils.js");
+const { findMermaidBlocks, renderMermaid } = require("./mermaidUtils.js");
+const { findFrontMatter, parseFrontMatter } = require("./frontMatter.js");
 
 /* ========== Helper Functions & Widgets ========== */
 
@@ -73,16 +76,128 @@ class HRWidget extends WidgetType {
     ignoreEvent() { return false; }
 }
 
+/* --- Image Widget ---
+ * ![説明|幅](パス) の幅で表示し、説明をキャプションにする
+ * 右下のハンドルをドラッグすると Markdown の幅を書き換える */
+
+// 画像の扱いを renderer で設定する（ファイルの場所を知っているのは renderer のため）
+// - resolveSrc: (view, src) => 表示用の URL（相対パスは開いているファイルのフォルダから解決する）
+// - locateImage: (view, src) => Promise<新しいパス|null> 見つからない画像の代わりのファイルを選ぶ
+const imageOptions = Facet.define({
+    combine: values => values[0] || { resolveSrc: (view, src) => src, locateImage: async () => null }
+});
+
+const IMAGE_WIDTH_PATTERN = /^(.*?)\s*\|\s*(\d+)$/;
+const MIN_IMAGE_WIDTH = 32;
+
+// "説明|300" → { caption: "説明", width: 300 }
+function parseImageAlt(rawAlt) {
+    const match = rawAlt.match(IMAGE_WIDTH_PATTERN);
+    return match ? { caption: match[1], width: parseInt(match[2], 10) } : { caption: rawAlt, width: null };
+}
+
 class ImageWidget extends WidgetType {
-    constructor(alt, src) { super(); this.alt = alt; this.src = src; }
-    toDOM() {
+    // markdown: ![...](...) の記述全体（書き換えるときに行の中から探す）
+    constructor(rawAlt, src, markdown) {
+        super();
+        this.rawAlt = rawAlt;
+        this.src = src;
+        this.markdown = markdown;
+        const { caption, width } = parseImageAlt(rawAlt);
+        this.caption = caption;
+        this.width = width;
+    }
+    eq(other) { return other.markdown === this.markdown; }
+    toDOM(view) {
+        const figure = document.createElement("figure");
+        figure.className = "cm-live-image";
+
+        const frame = document.createElement("div");
+        frame.className = "cm-live-image-frame";
+
         const img = document.createElement("img");
         img.className = "cm-live-widget-image";
-        img.src = this.src;
-        img.alt = this.alt;
-        return img;
+        img.alt = this.caption;
+        if (this.width) img.style.width = `${this.width}px`;
+        img.addEventListener("load", () => view.requestMeasure());
+        img.addEventListener("error", () => {
+            figure.replaceChild(this.createBrokenPlaceholder(view, figure), frame);
+            view.requestMeasure();
+        });
+        img.src = view.state.facet(imageOptions).resolveSrc(view, this.src);
+
+        const handle = document.createElement("div");
+        handle.className = "cm-live-image-resize-handle";
+        handle.title = "ドラッグで大きさを変更";
+        handle.addEventListener("mousedown", (e) => this.startResize(e, view, figure, img));
+
+        frame.appendChild(img);
+        frame.appendChild(handle);
+        figure.appendChild(frame);
+
+        if (this.caption) {
+            const caption = document.createElement("figcaption");
+            caption.className = "cm-live-image-caption";
+            caption.textContent = this.caption;
+            figure.appendChild(caption);
+        }
+        return figure;
+    }
+    createBrokenPlaceholder(view, figure) {
+        const placeholder = document.createElement("div");
+        placeholder.className = "cm-live-image-broken";
+
+        const message = document.createElement("span");
+        message.textContent = `画像が見つかりません: ${this.src}`;
+
+        const locateBtn = document.createElement("button");
+        locateBtn.className = "cm-live-image-locate";
+        locateBtn.textContent = "ファイルを指定...";
+        locateBtn.addEventListener("click", async (e) => {
+            e.preventDefault();
+            const newSrc = await view.state.facet(imageOptions).locateImage(view, this.src);
+            if (newSrc) this.replaceMarkdown(view, figure, `![${this.rawAlt}](${newSrc})`);
+        });
+
+        placeholder.appendChild(message);
+        placeholder.appendChild(locateBtn);
+        return placeholder;
+    }
+    startResize(event, view, figure, img) {
+        event.preventDefault();
+        event.stopPropagation();
+        const startX = event.clientX;
+        const startWidth = img.getBoundingClientRect().width;
+        const maxWidth = view.contentDOM.clientWidth;
+        figure.classList.add("resizing");
+
+        const onMouseMove = (e) => {
+            const width = Math.min(maxWidth, Math.max(MIN_IMAGE_WIDTH, startWidth + e.clientX - startX));
+            img.style.width = `${Math.round(width)}px`;
+        };
+        const onMouseUp = () => {
+            document.removeEventListener("mousemove", onMouseMove);
+            document.removeEventListener("mouseup", onMouseUp);
+            figure.classList.remove("resizing");
+            const width = parseInt(img.style.width, 10);
+            if (!width || width === this.width) return;
+            // ![説明|幅] の部分だけを書き換え、パスとタイトルはそのまま残す
+            const rest = this.markdown.slice(this.rawAlt.length + 3);
+            this.replaceMarkdown(view, figure, `![${this.caption}|${width}]${rest}`);
+        };
+        document.addEventListener("mousemove", onMouseMove);
+        document.addEventListener("mouseup", onMouseUp);
+    }
+    replaceMarkdown(view, dom, insert) {
+        const line = view.state.doc.lineAt(view.posAtDOM(dom));
+        const index = line.text.indexOf(this.markdown);
+        if (index < 0 || view.state.readOnly) return;
+        view.dispatch({ changes: { from: line.from + index, to: line.from + index + this.markdown.length, insert } });
+    }
+    // リサイズのハンドルと「ファイルを指定」ボタンの操作はエディタで扱わない（画像のクリックはソースの表示に使う）
+    ignoreEvent(event) {
+        return event.target instanceof Element && !!event.target.closest(".cm-live-image-resize-handle, .cm-live-image-locate");
     }
-    ignoreEvent() { return false; }
 }
 
 class CheckboxWidget extends WidgetType {
@@ -132,6 +247,67 @@ class PageBreakWidget extends WidgetType {
     ignoreEvent() { return true; }
 }
 
+/* --- 数式 (KaTeX) Widget --- */
+class MathWidget extends WidgetType {
+    constructor(tex, displayMode) { super(); this.tex = tex; this.displayMode = displayMode; }
+    eq(other) { return other.tex === this.tex && other.displayMode === this.displayMode; }
+    toDOM() {
+        const element = document.createElement(this.displayMode ? "div" : "span");
+        element.className = this.displayMode ? "cm-math-block" : "cm-math-inline";
+
+        const { html, error } = renderMath(this.tex, this.displayMode);
+        if (error) {
+            // 構文エラーは元の記述とエラー内容をその場に表示する
+            const errorElement = document.createElement("span");
+            errorElement.className = "cm-math-error";
+            errorElement.textContent = this.displayMode ? `$$${this.tex}$$` : `$${this.tex}$`;
+            errorElement.title = error;
+            element.appendChild(errorElement);
+        } else {
+            element.innerHTML = html;
+        }
+        return element;
+    }
+    ignoreEvent() { return false; }
+}
+
+/* --- Mermaid 図 Widget --- */
+class MermaidWidget extends WidgetType {
+    constructor(source, isSourceHidden) { super(); this.source = source; this.isSourceHidden = isSourceHidden; }
+    eq(other) { return other.source === this.source && other.isSourceHidden === this.isSourceHidden; }
+    toDOM(view) {
+        const container = document.createElement("div");
+        container.className = "cm-mermaid-widget";
+
+        const toggle = document.createElement("button");
+        toggle.className = "cm-mermaid-toggle";
+        toggle.textContent = this.isSourceHidden ? "ソースを表示" : "ソースを隠す";
+
+        const diagram = document.createElement("div");
+        diagram.className = "cm-mermaid-diagram";
+        diagram.textContent = "描画中...";
+
+        renderMermaid(this.source).then(({ svg, error }) => {
+            if (error) {
+                diagram.className = "cm-mermaid-diagram cm-mermaid-error";
+                diagram.textContent = error;
+            } else {
+                diagram.innerHTML = svg;
+            }
+            // 描画後に高さが変わるため測り直す
+            view.requestMeasure();
+        });
+
+        container.appendChild(toggle);
+        container.appendChild(diagram);
+        return container;
+    }
+    // 切り替えボタン以外の操作はエディタで扱わない（クリックでカーソルが移動して図が消えないように）
+    ignoreEvent(event) {
+        return !(event.target instanceof Element && event.target.closest(".cm-mermaid-toggle"));
+    }
+}
+
 /* --- ★追加: Bookmark (Link Card) Widget --- */
 // キャッシュ用マップ（同じURLの再フェッチを防ぐ）
 const bookmarkCache = new Map();
@@ -279,19 +455,278 @@ class BookmarkWidget extends WidgetType {
 
 /* ========== Decoration Logic ========== */
 
+// コード（インラインコード・コードブロック）の中か
+function isInCode(state, pos) {
+    let node = syntaxTree(state).resolveInner(pos, 1);
+    while (node) {
+        if (node.name === "InlineCode" || node.name === "FencedCode" || node.name === "CodeBlock") return true;
+        node = node.parent;
+    }
+    return false;
+}
+
+/* --- Front matter (先頭の --- で囲んだ YAML) ---
+ * カーソルが外にあるときは折りたためるプロパティの表にする（複数行を置き換えるため StateField で扱う）
+ * カーソルが中にあるときは YAML をそのまま表示する（見出し・水平線としては扱わない） */
+
+// プロパティの表の折りたたみを切り替える
+const toggleFrontMatter = StateEffect.define();
+
+// プロパティの編集フォームを開く関数 editProperties: (view) => void（フォームは renderer で表示する）
+const frontMatterOptions = Facet.define({
+    combine: values => values[0] || { editProperties: () => {} }
+});
+
+function appendPropertyValue(cell, value) {
+    if (Array.isArray(value)) {
+        value.forEach(item => {
+            const chip = document.createElement("span");
+            chip.className = "cm-frontmatter-chip";
+            chip.textContent = String(item);
+            cell.appendChild(chip);
+        });
+    } else if (value && typeof value === "object") {
+        cell.textContent = Object.entries(value).map(([k, v]) => `${k}: ${v}`).join(", ");
+    } else {
+        cell.textContent = value === null ? "" : String(value);
+    }
+}
+
+class FrontMatterWidget extends WidgetType {
+    constructor(source, isCollapsed) { super(); this.source = source; this.isCollapsed = isCollapsed; }
+    eq(other) { return other.source === this.source && other.isCollapsed === this.isCollapsed; }
+    toDOM() {
+        const { entries, error } = parseFrontMatter(this.source);
+
+        const container = document.createElement("div");
+        container.className = "cm-frontmatter";
+
+        const header = document.createElement("div");
+        header.className = "cm-frontmatter-header";
+
+        const toggle = document.createElement("button");
+        toggle.className = "cm-frontmatter-toggle";
+        toggle.textContent = `${this.isCollapsed ? "▸" : "▾"} プロパティ (${entries.length})`;
+
+        const editBtn = document.createElement("button");
+        editBtn.className = "cm-frontmatter-edit";
+        editBtn.textContent = "編集";
+
+        header.appendChild(toggle);
+        header.appendChild(editBtn);
+        container.appendChild(header);
+
+        if (!this.isCollapsed && entries.length > 0) {
+            const table = document.createElement("table");
+            table.className = "cm-frontmatter-table";
+            entries.forEach(entry => {
+                const row = document.createElement("tr");
+                const keyCell = document.createElement("th");
+                keyCell.textContent = entry.key;
+                const valueCell = document.createElement("td");
+                appendPropertyValue(valueCell, entry.value);
+                row.appendChild(keyCell);
+                row.appendChild(valueCell);
+                table.appendChild(row);
+            });
+            container.appendChild(table);
+        }
+
+        if (error) {
+            const errorEl = document.createElement("div");
+            errorEl.className = "cm-frontmatter-error";
+            errorEl.textContent = error;
+            container.appendChild(errorEl);
+        }
+        return container;
+    }
+    // ボタン以外のクリックはエディタで扱い、カーソルを移して YAML を表示する
+    ignoreEvent(event) {
+        return event.target instanceof Element && !!event.target.closest(".cm-frontmatter-toggle, .cm-frontmatter-edit");
+    }
+}
+
+function findFrontMatterRange(state) {
+    const block = findFrontMatter(state.doc.toJSON());
+    if (!block) return null;
+    return { from: 0, to: state.doc.line(block.endLine + 1).to, source: block.source };
+}
+
+function buildFrontMatterDecorations(state, frontMatter, isCollapsed, isEditing) {
+    const builder = new RangeSetBuilder();
+    if (!frontMatter) return builder.finish();
+
+    if (!isEditing) {
+        builder.add(frontMatter.from, frontMatter.to, Decoration.replace({ widget: new FrontMatterWidget(frontMatter.source, isCollapsed), block: true }));
+    } else {
+        const lastLine = state.doc.lineAt(frontMatter.to).number;
+        for (let i = 1; i <= lastLine; i++) {
+            const line = state.doc.line(i);
+            builder.add(line.from, line.from, Decoration.line({ class: "cm-live-frontmatter" }));
+        }
+    }
+    return builder.finish();
+}
+
+function isCursorInFrontMatter(state, frontMatter) {
+    const cursor = state.selection.main.head;
+    return !!frontMatter && cursor >= frontMatter.from && cursor <= frontMatter.to;
+}
+
+// isEditing: YAML を表示しているか
+// 開いた直後はカーソルが先頭 (front matter の中) にあるため、カーソルを front matter に移したときだけ YAML を表示する
+const frontMatterField = StateField.define({
+    create(state) {
+        const frontMatter = findFrontMatterRange(state);
+        return { frontMatter, isCollapsed: false, isEditing: false, decorations: buildFrontMatterDecorations(state, frontMatter, false, false) };
+    },
+    update(value, tr) {
+        let { frontMatter, isCollapsed, isEditing } = value;
+        let isChanged = false;
+
+        if (tr.docChanged) {
+            frontMatter = findFrontMatterRange(tr.state);
+            isChanged = true;
+        }
+        for (const effect of tr.effects) {
+            if (effect.is(toggleFrontMatter)) {
+                isCollapsed = !isCollapsed;
+                isChanged = true;
+            }
+        }
+        if (tr.selection || (tr.docChanged && isEditing)) {
+            isEditing = isCursorInFrontMatter(tr.state, frontMatter);
+        }
+
+        if (isChanged || isEditing !== value.isEditing) {
+            return { frontMatter, isCollapsed, isEditing, decorations: buildFrontMatterDecorations(tr.state, frontMatter, isCollapsed, isEditing) };
+        }
+        return value;
+    },
+    provide: f => EditorView.decorations.from(f, value => value.decorations)
+});
+
+/* --- Mermaid 図 (```mermaid) ---
+ * カーソルがコードブロックの外にあるとき、図をコードブロックの下に表示する
+ * 「ソースを隠す」とコードブロックごと図に置き換える（ブロックのウィジェットは StateField で扱う） */
+
+// ソースの表示・非表示を切り替える（値はコードブロック内の位置）
+const toggleMermaidSource = StateEffect.define();
+
+function findMermaidBlockRanges(state) {
+    return findMermaidBlocks(state.doc.toJSON()).map(block => ({
+        from: state.doc.line(block.startLine + 1).from,
+        to: state.doc.line(block.endLine + 1).to,
+        source: block.source
+    }));
+}
+
+// hiddenBlocks: ソースを隠しているブロックの開始位置
+function buildMermaidDecorations(state, blocks, hiddenBlocks) {
+    const cursor = state.selection.main.head;
+    const builder = new RangeSetBuilder();
+    for (const block of blocks) {
+        if (cursor >= block.from && cursor <= block.to) continue;
+        if (hiddenBlocks.has(block.from)) {
+            builder.add(block.from, block.to, Decoration.replace({ widget: new MermaidWidget(block.source, true), block: true }));
+        } else {
+            builder.add(block.to, block.to, Decoration.widget({ widget: new MermaidWidget(block.source, false), block: true, side: 1 }));
+        }
+    }
+    return builder.finish();
+}
+
+const mermaidField = StateField.define({
+    create(state) {
+        const blocks = findMermaidBlockRanges(state);
+        const hiddenBlocks = new Set();
+        return { blocks, hiddenBlocks, decorations: buildMermaidDecorations(state, blocks, hiddenBlocks) };
+    },
+    update(value, tr) {
+        let { blocks, hiddenBlocks } = value;
+        let isChanged = false;
+
+        if (tr.docChanged) {
+            blocks = findMermaidBlockRanges(tr.state);
+            // 位置を変更に合わせ、なくなったブロックの設定は捨てる
+            const starts = new Set(blocks.map(block => block.from));
+            hiddenBlocks = new Set([...hiddenBlocks].map(pos => tr.changes.mapPos(pos)).filter(pos => starts.has(pos)));
+            isChanged = true;
+        }
+
+        for (const effect of tr.effects) {
+            if (!effect.is(toggleMermaidSource)) continue;
+            const block = blocks.find(b => effect.value >= b.from && effect.value <= b.to);
+            if (!block) continue;
+            hiddenBlocks = new Set(hiddenBlocks);
+            if (hiddenBlocks.has(block.from)) hiddenBlocks.delete(block.from);
+            else hiddenBlocks.add(block.from);
+            isChanged = true;
+        }
+
+        if (isChanged || tr.selection) {
+            return { blocks, hiddenBlocks, decorations: buildMermaidDecorations(tr.state, blocks, hiddenBlocks) };
+        }
+        return value;
+    },
+    provide: f => EditorView.decorations.from(f, value => value.decorations)
+});
+
+/* --- ブロック数式 ($$ ... $$) ---
+ * 複数行を置き換えるウィジェットはプラグインからは指定できないため StateField で扱う */
+
+function findMathBlockRanges(state) {
+    return findMathBlocks(state.doc.toJSON()).map(block => ({
+        from: state.doc.line(block.startLine + 1).from,
+        to: state.doc.line(block.endLine + 1).to,
+        tex: block.tex
+    }));
+}
+
+function buildMathBlockDecorations(state, blocks) {
+    const cursor = state.selection.main.head;
+    const builder = new RangeSetBuilder();
+    for (const block of blocks) {
+        // カーソルがブロック内にある間は記述をそのまま表示する
+        if (cursor >= block.from && cursor <= block.to) continue;
+        builder.add(block.from, block.to, Decoration.replace({ widget: new MathWidget(block.tex, true), block: true }));
+    }
+    return builder.finish();
+}
+
+const mathBlockField = StateField.define({
+    create(state) {
+        const blocks = findMathBlockRanges(state);
+        return { blocks, decorations: buildMathBlockDecorations(state, blocks) };
+    },
+    update(value, tr) {
+        if (tr.docChanged) {
+            const blocks = findMathBlockRanges(tr.state);
+            return { blocks, decorations: buildMathBlockDecorations(tr.state, blocks) };
+        }
+        if (tr.selection) {
+            return { blocks: value.blocks, decorations: buildMathBlockDecorations(tr.state, value.blocks) };
+        }
+        return value;
+    },
+    provide: f => EditorView.decorations.from(f, value => value.decorations)
+});
+
 function buildDecorations(view) {
     const { state } = view;
     const cursor = state.selection.main.head;
     const processedLines = new Set();
     const collectedDecos = [];
+    const mathBlocks = state.field(mathBlockField, false)?.blocks || [];
+    const frontMatter = state.field(frontMatterField, false)?.frontMatter;
 
     for (const { from, to } of view.visibleRanges) {
         // 1. まず各行のテキストベースでのチェック（改ページ検出、ブックマーク検出など）
         for (let pos = from; pos < to;) {
             const line = state.doc.lineAt(pos);
 
-            // 既に処理済みの行はスキップ
-            if (processedLines.has(line.from)) {
+            // 既に処理済みの行と front matter の行はスキップ
+            if (processedLines.has(line.from) || (frontMatter && line.from <= frontMatter.to)) {
                 pos = line.to + 1;
                 continue;
             }
@@ -373,6 +808,24 @@ function buildDecorations(view) {
                 }
             }
 
+            // インライン数式 ($...$) の検出（ブロック数式の中は StateField 側で扱う）
+            const isInMathBlock = mathBlocks.some(block => line.from >= block.from && line.from <= block.to);
+            if (!isInMathBlock) {
+                for (const math of findInlineMath(lineText)) {
+                    const start = line.from + math.from;
+                    const end = line.from + math.to;
+                    if (cursor >= start && cursor <= end) continue;
+                    if (isInCode(state, start)) continue;
+                    // 同じ位置の行の装飾より後、mark より前に並べる
+                    collectedDecos.push({
+                        from: start,
+                        to: end,
+                        side: -0.5,
+                        deco: Decoration.replace({ widget: new MathWidget(math.tex, false) })
+                    });
+                }
+            }
+
             pos = line.to + 1;
         }
 
@@ -382,6 +835,8 @@ function buildDecorations(view) {
             to,
             enter: (node) => {
                 const n = node.node || node;
+                // front matter は StateField 側で扱う（--- を水平線・見出しの下線として扱わない）
+                if (frontMatter && node.name !== "Document" && node.from <= frontMatter.to) return false;
                 const line = state.doc.lineAt(node.from);
 
                 const isCursorOnLine = (cursor >= line.from && cursor <= line.to);
@@ -564,7 +1019,7 @@ function buildDecorations(view) {
                     const alt = findLinkText(node, state);
                     const urlNode = (typeof n.getChild === "function") ? n.getChild("URL") : null;
                     const src = urlNode ? state.doc.sliceString(urlNode.from, urlNode.to) : "";
-                    collectedDecos.push({ from: line.from, to: line.to, side: -1, deco: Decoration.replace({ widget: new ImageWidget(alt, src) }) });
+                    collectedDecos.push({ from: line.from, to: line.to, side: -1, deco: Decoration.replace({ widget: new ImageWidget(alt, src, state.doc.sliceString(node.from, node.to)) }) });
                     processedLines.add(line.from);
                     return false;
                 }
@@ -666,6 +1121,21 @@ const plugin = ViewPlugin.define(
         eventHandlers: {
             mousedown: (e, view) => {
                 const target = e.target;
+                if (target.classList.contains("cm-frontmatter-toggle")) {
+                    e.preventDefault();
+                    view.dispatch({ effects: toggleFrontMatter.of(null) });
+                    return true;
+                }
+                if (target.classList.contains("cm-frontmatter-edit")) {
+                    e.preventDefault();
+                    view.state.facet(frontMatterOptions).editProperties(view);
+                    return true;
+                }
+                if (target.classList.contains("cm-mermaid-toggle")) {
+                    e.preventDefault();
+                    view.dispatch({ effects: toggleMermaidSource.of(view.posAtDOM(target)) });
+                    return true;
+                }
                 if (target.classList.contains("cm-live-checkbox-input")) {
                     e.preventDefault();
                     const pos = view.posAtDOM(target);
@@ -738,4 +1208,6 @@ const plugin = ViewPlugin.define(
     }
 );
 
-exports.livePreviewPlugin = [plugin, codeBlockAutoClose];
\ No newline at end of file
+exports.livePreviewPlugin = [plugin, codeBlockAutoClose, mathBlockField, mermaidField, frontMatterField];
+exports.imageOptions = imageOptions;
+exports.frontMatterOptions = frontMatterOptions;
\ No newline at end of file
@@ -7,6 +7,13 @@ const iconv = require('iconv-lite')
 const os = require('os')
 const git = require('isomorphic-git')
 const http = require('isomorphic-git/http/node')
+const { isLocalRemoteUrl, pushToLocal, fetchFromLocal } = require('./gitLocalRemote');
+const { mapLines } = require('./diffUtils');
+const { buildSearchRegExp, findMatches } = require('./searchUtils');
+const { parseWikiLinks, extractHeadings } = require('./wikiLinkUtils');
+const { getNoteProperties } = require('./frontMatter');
+const { extractTags } = require('./tagUtils');
+const { planLinkRewrites, applyTextEdits } = require('./linkRewriteUtils');
 const { terminalService } = require('./terminalService');
 const got = require('got'); // URLタイトル取得用
 
@@ -63,7 +70,8 @@ function loadAppSettings() {
     fontSize: '16px',
     fontFamily: '"Segoe UI", "Helvetica Neue", Arial, sans-serif',
     theme: 'light',
-    autoSave: true
+    autoSave: true,
+    autoSaveDelay: 1000
   };
 }
 
@@ -81,6 +89,64 @@ function saveAppSettings(settings) {
   }
 }
 
+/**
+ * Load user keybindings (command id -> key sequence, null = unbound) from disk
+ */
+function loadKeybindings() {
+  const keybindingsPath = path.join(app.getPath('userData'), 'keybindings.json');
+  try {
+    if (fs.existsSync(keybindingsPath)) {
+      return JSON.parse(fs.readFileSync(keybindingsPath, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Failed to load keybindings:', error);
+  }
+  return {};
+}
+
+/**
+ * Save user keybindings to disk
+ */
+function saveKeybindings(keybindings) {
+  const keybindingsPath = path.join(app.getPath('userData'), 'keybindings.json');
+  try {
+    fs.writeFileSync(keybindingsPath, JSON.stringify(keybindings, null, 2), 'utf8');
+    return true;
+  } catch (error) {
+    console.error('Failed to save keybindings:', error);
+    return false;
+  }
+}
+
+/**
+ * Load fold state (file path -> folded line numbers) from disk
+ */
+function loadFoldState() {
+  const foldStatePath = path.join(app.getPath('userData'), 'fold-state.json');
+  try {
+    if (fs.existsSync(foldStatePath)) {
+      return JSON.parse(fs.readFileSync(foldStatePath, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Failed to load fold state:', error);
+  }
+  return {};
+}
+
+/**
+ * Save fold state to disk
+ */
+function saveFoldState(foldState) {
+  const foldStatePath = path.join(app.getPath('userData'), 'fold-state.json');
+  try {
+    fs.writeFileSync(foldStatePath, JSON.stringify(foldState), 'utf8');
+    return true;
+  } catch (error) {
+    console.error('Failed to save fold state:', error);
+    return false;
+  }
+}
+
 /**
  * 全ての起動中ターミナルのカレントディレクトリを変更するヘルパー関数
  * @param {string} targetPath - 移動先のディレクトリパス
@@ -456,6 +522,22 @@ function createWindow() {
     return saveAppSettings(settings);
   });
 
+  ipcMain.handle('load-keybindings', () => {
+    return loadKeybindings();
+  });
+
+  ipcMain.handle('save-keybindings', (event, keybindings) => {
+    return saveKeybindings(keybindings);
+  });
+
+  ipcMain.handle('load-fold-state', () => {
+    return loadFoldState();
+  });
+
+  ipcMain.handle('save-fold-state', (event, foldState) => {
+    return saveFoldState(foldState);
+  });
+
   // Open the DevTools.
   if (process.env.NODE_ENV === 'development') {
     try {
@@ -519,8 +601,32 @@ function createWindow() {
     }
   }, 30000); // Every 30 seconds
 
+  // 閉じる前にレンダラーへ通知し、自動保存の完了を待つ
+  let isCloseConfirmed = false;
+  mainWindow.on('close', (event) => {
+    if (isCloseConfirmed) return;
+    event.preventDefault();
+    mainWindow.webContents.send('app-before-close');
+
+    // レンダラーが応答しない場合でも閉じられるようにする
+    setTimeout(() => {
+      if (mainWindow && !mainWindow.isDestroyed() && !isCloseConfirmed) {
+        isCloseConfirmed = true;
+        mainWindow.close();
+      }
+    }, 5000);
+  });
+
+  const onCloseConfirmed = (event) => {
+    if (!mainWindow || event.sender !== mainWindow.webContents) return;
+    isCloseConfirmed = true;
+    mainWindow.close();
+  };
+  ipcMain.on('app-close-confirmed', onCloseConfirmed);
+
   // ウィンドウが閉じられたらマップから削除
   mainWindow.on('closed', () => {
+    ipcMain.removeListener('app-close-confirmed', onCloseConfirmed);
     clearInterval(saveInterval);
     workingDirectories.delete(webContentsId);
 
@@ -704,9 +810,82 @@ ipcMain.handle('execute-command', async (event, command, currentDir) => {
 });
 
 // Git operations
+
+// blame でさかのぼるコミット数の上限
+const BLAME_MAX_COMMITS = 200;
+// blame で比較する行数の合計の上限（差分の計算はメインプロセスで同期的に行うため、長い履歴で止まらないようにする）
+const BLAME_MAX_DIFF_LINES = 200000;
+
+// 指定パスを含むリポジトリのルートを探す（見つからなければ指定パスをそのまま使う）
+async function resolveGitDir(repoPath) {
+  const startPath = repoPath || os.homedir();
+  try {
+    return await git.findRoot({ fs, filepath: startPath });
+  } catch (e) {
+    return startPath;
+  }
+}
+
+// 絶対パスをリポジトリ内のパス（/ 区切り）へ変換する
+function toRepoPath(dir, filePath) {
+  return path.relative(dir, filePath).split(path.sep).join('/');
+}
+
+// 指定コミット時点のファイル内容（存在しなければ null）
+async function readFileAtCommit(dir, oid, filepath) {
+  try {
+    const { blob } = await git.readBlob({ fs, dir, oid, filepath });
+    return Buffer.from(blob).toString('utf8');
+  } catch (e) {
+    return null;
+  }
+}
+
+function summarizeCommit({ oid, commit }) {
+  return {
+    oid,
+    message: commit.message,
+    author: commit.author.name,
+    email: commit.author.email,
+    timestamp: commit.author.timestamp,
+    parents: commit.parent
+  };
+}
+
+// git config の user.name / user.email を取得（未設定ならデフォルト）
+async function getGitAuthor(dir) {
+  const author = {
+    name: 'User',
+    email: 'user@example.com'
+  };
+
+  try {
+    const name = await git.getConfig({ fs, dir, path: 'user.name' });
+    const email = await git.getConfig({ fs, dir, path: 'user.email' });
+    if (name) author.name = name;
+    if (email) author.email = email;
+  } catch (e) {
+    // Use defaults if config not found
+  }
+  return author;
+}
+
+// push / pull の進捗をレンダラーへ通知する
+function createGitProgressHandler(sender, operation) {
+  return (progress) => {
+    if (sender.isDestroyed()) return;
+    sender.send('git-progress', {
+      operation,
+      phase: progress.phase,
+      loaded: progress.loaded,
+      total: progress.total
+    });
+  };
+}
+
 ipcMain.handle('git-status', async (event, repoPath) => {
   try {
-    const dir = repoPath || os.homedir();
+    const dir = await resolveGitDir(repoPath);
     const matrix = await git.statusMatrix({ fs, dir });
 
     const staged = [];
@@ -729,7 +908,8 @@ ipcMain.handle('git-status', async (event, repoPath) => {
       }
     }
 
-    return { success: true, staged, unstaged };
+    const branch = await git.currentBranch({ fs, dir });
+    return { success: true, root: dir, branch, staged, unstaged };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -742,8 +922,8 @@ function getStatusText(HEADStatus, WorkdirStatus, StageStatus, type) {
     if (HEADStatus === 1 && WorkdirStatus === 2) return 'modified';
     if (HEADStatus === 1 && WorkdirStatus === 0) return 'deleted';
   } else if (type === 'stage') {
-    if (HEADStatus === 0 && StageStatus === 2) return 'added';
-    if (HEADStatus === 1 && StageStatus === 2) return 'modified';
+    if (HEADStatus === 0 && StageStatus >= 2) return 'added';
+    if (HEADStatus === 1 && StageStatus >= 2) return 'modified';
     if (HEADStatus === 1 && StageStatus === 0) return 'deleted';
   }
   return 'unknown';
@@ -751,8 +931,13 @@ function getStatusText(HEADStatus, WorkdirStatus, StageStatus, type) {
 
 ipcMain.handle('git-add', async (event, repoPath, filepath) => {
   try {
-    const dir = repoPath || os.homedir();
-    await git.add({ fs, dir, filepath });
+    const dir = await resolveGitDir(repoPath);
+    // 作業ツリーから削除されたファイルは、削除をステージする
+    if (fs.existsSync(path.join(dir, filepath))) {
+      await git.add({ fs, dir, filepath });
+    } else {
+      await git.remove({ fs, dir, filepath });
+    }
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -761,7 +946,7 @@ ipcMain.handle('git-add', async (event, repoPath, filepath) => {
 
 ipcMain.handle('git-remove', async (event, repoPath, filepath) => {
   try {
-    const dir = repoPath || os.homedir();
+    const dir = await resolveGitDir(repoPath);
     await git.remove({ fs, dir, filepath });
     return { success: true };
   } catch (error) {
@@ -769,65 +954,405 @@ ipcMain.handle('git-remove', async (event, repoPath, filepath) => {
   }
 });
 
-ipcMain.handle('git-commit', async (event, repoPath, message) => {
+// ステージを取り消す（インデックスを HEAD の状態に戻す。作業ツリーはそのまま）
+ipcMain.handle('git-reset-index', async (event, repoPath, filepath) => {
   try {
-    const dir = repoPath || os.homedir();
+    const dir = await resolveGitDir(repoPath);
+    await git.resetIndex({ fs, dir, filepath });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-    // Get author info from git config or use defaults
-    let author = {
-      name: 'User',
-      email: 'user@example.com'
-    };
+// ファイルの HEAD 上・インデックス上の内容を取得する（差分表示用）
+ipcMain.handle('git-read-file-versions', async (event, filePath) => {
+  try {
+    const dir = await resolveGitDir(path.dirname(filePath));
+    const filepath = toRepoPath(dir, filePath);
 
+    let head = null;
     try {
-      const name = await git.getConfig({ fs, dir, path: 'user.name' });
-      const email = await git.getConfig({ fs, dir, path: 'user.email' });
-      if (name) author.name = name;
-      if (email) author.email = email;
+      const oid = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+      head = await readFileAtCommit(dir, oid, filepath);
     } catch (e) {
-      // Use defaults if config not found
+      // 初回コミット前
     }
 
-    const sha = await git.commit({
+    let index = null;
+    const [indexOid] = await git.walk({
       fs,
       dir,
-      message,
-      author
+      trees: [git.STAGE()],
+      map: async (entryPath, [entry]) => {
+        if (entryPath === '.') return;
+        if (entryPath === filepath) return entry.oid();
+        // 対象ファイルを含まないディレクトリには降りない
+        if (filepath.startsWith(entryPath + '/')) return;
+        return null;
+      }
     });
+    if (indexOid) {
+      const { blob } = await git.readBlob({ fs, dir, oid: indexOid });
+      index = Buffer.from(blob).toString('utf8');
+    }
 
-    return { success: true, sha };
+    return { success: true, root: dir, filepath, head, index };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 指定した内容をインデックスへ書き込む（ハンク単位のステージ用。作業ツリーは変更しない）
+ipcMain.handle('git-stage-content', async (event, filePath, content) => {
+  try {
+    const dir = await resolveGitDir(path.dirname(filePath));
+    const filepath = toRepoPath(dir, filePath);
+    const oid = await git.writeBlob({ fs, dir, blob: Buffer.from(content, 'utf8') });
+    await git.updateIndex({ fs, dir, filepath, oid, add: true });
+    return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('git-push', async (event, repoPath) => {
+// コミット履歴（filePath を指定すると、そのファイルを変更したコミットのみ）
+ipcMain.handle('git-log', async (event, repoPath, filePath = null, depth = 200) => {
   try {
-    const dir = repoPath || os.homedir();
-    await git.push({
+    const dir = await resolveGitDir(filePath ? path.dirname(filePath) : repoPath);
+    const options = { fs, dir, depth };
+    if (filePath) options.filepath = toRepoPath(dir, filePath);
+
+    const commits = await git.log(options);
+    return { success: true, root: dir, commits: commits.map(summarizeCommit) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// コミットで変更されたファイル（親コミットとの比較）
+ipcMain.handle('git-commit-files', async (event, repoPath, oid) => {
+  try {
+    const dir = await resolveGitDir(repoPath);
+    const { commit } = await git.readCommit({ fs, dir, oid });
+    const trees = [git.TREE({ ref: oid })];
+    if (commit.parent.length > 0) trees.push(git.TREE({ ref: commit.parent[0] }));
+
+    const files = await git.walk({
       fs,
-      http,
       dir,
-      remote: 'origin',
-      ref: 'main'
+      trees,
+      map: async (filepath, [current, parent]) => {
+        if (filepath === '.') return;
+        const currentType = current ? await current.type() : null;
+        const parentType = parent ? await parent.type() : null;
+        if (currentType === 'tree' || parentType === 'tree') {
+          // 中身が同じディレクトリには降りない
+          if (current && parent && (await current.oid()) === (await parent.oid())) return null;
+          return;
+        }
+        const currentOid = current ? await current.oid() : null;
+        const parentOid = parent ? await parent.oid() : null;
+        if (currentOid === parentOid) return;
+
+        const status = !parentOid ? 'added' : !currentOid ? 'deleted' : 'modified';
+        return { filepath, status };
+      }
     });
-    return { success: true };
+
+    return { success: true, root: dir, files };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 指定コミット時点のファイル内容
+ipcMain.handle('git-read-file-at', async (event, filePath, oid) => {
+  try {
+    const dir = await resolveGitDir(path.dirname(filePath));
+    const content = await readFileAtCommit(dir, oid, toRepoPath(dir, filePath));
+    if (content === null) throw new Error('このコミットにはファイルが存在しません');
+    return { success: true, content };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * 各行を最後に変更したコミットを求める
+ * 新しいコミットから順に1つ前の版と比較し、前の版にない行をそのコミットの変更とみなす
+ * workingContent（エディタの内容）の行のうち HEAD にない行は未コミット (null)
+ */
+ipcMain.handle('git-blame', async (event, filePath, workingContent) => {
+  try {
+    const dir = await resolveGitDir(path.dirname(filePath));
+    const filepath = toRepoPath(dir, filePath);
+    const commits = await git.log({ fs, dir, filepath, depth: BLAME_MAX_COMMITS });
+
+    const lineCount = workingContent === '' ? 0 : workingContent.split('\n').length;
+    const lines = new Array(lineCount).fill(null);
+    // pending[i]: 現在比較中の版の i 行目が、エディタの何行目にあたるか
+    let pending = Array.from({ length: lineCount }, (_, i) => i);
+    let newerText = workingContent;
+    let newerOid = null;
+    let diffLineCount = 0;
+
+    for (const { oid } of commits) {
+      // すべての行のコミットが決まった
+      if (!pending.some(line => line !== undefined)) break;
+
+      const olderText = (await readFileAtCommit(dir, oid, filepath)) ?? '';
+      diffLineCount += olderText.split('\n').length + newerText.split('\n').length;
+      // 打ち切っても残りの行は直前に比較したコミットのものとする（最初のコミットは必ず比較する）
+      if (newerOid && diffLineCount > BLAME_MAX_DIFF_LINES) break;
+
+      // 他のウィンドウの IPC を処理できるよう、コミットごとにイベントループへ戻る
+      await new Promise(resolve => setImmediate(resolve));
+      const mapping = mapLines(olderText, newerText);
+      const nextPending = [];
+      pending.forEach((line, i) => {
+        if (line === undefined) return;
+        if (mapping[i] === -1) lines[line] = newerOid;
+        else nextPending[mapping[i]] = line;
+      });
+      pending = nextPending;
+      newerText = olderText;
+      newerOid = oid;
+    }
+    // さかのぼれる最古のコミット（または上限で打ち切ったコミット）まで残った行は、そのコミットのもの
+    pending.forEach(line => {
+      if (line !== undefined) lines[line] = newerOid;
+    });
+
+    const commitInfo = {};
+    commits.forEach(entry => { commitInfo[entry.oid] = summarizeCommit(entry); });
+
+    return { success: true, lines, commits: commitInfo };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('git-pull', async (event, repoPath) => {
+ipcMain.handle('git-commit', async (event, repoPath, message) => {
   try {
-    const dir = repoPath || os.homedir();
-    await git.pull({
+    const dir = await resolveGitDir(repoPath);
+    const author = await getGitAuthor(dir);
+
+    const sha = await git.commit({
       fs,
-      http,
       dir,
-      remote: 'origin',
-      ref: 'main',
-      singleBranch: true
+      message,
+      author
     });
+
+    return { success: true, sha };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ブランチの上流（branch.<name>.remote / branch.<name>.merge）を取得する
+async function getUpstream(dir, branch) {
+  const remote = await git.getConfig({ fs, dir, path: `branch.${branch}.remote` });
+  const merge = await git.getConfig({ fs, dir, path: `branch.${branch}.merge` });
+  return {
+    remote: remote || null,
+    remoteRef: merge ? merge.replace(/^refs\/heads\//, '') : null
+  };
+}
+
+// push / pull の対象を決める（指定がなければ現在のブランチとその上流、なければ origin の同名ブランチ）
+async function resolveSyncTarget(dir, options = {}) {
+  const ref = options.ref || await git.currentBranch({ fs, dir });
+  if (!ref) throw new Error('ブランチがチェックアウトされていません (detached HEAD)');
+
+  const upstream = await getUpstream(dir, ref);
+  const remote = options.remote || upstream.remote || 'origin';
+  const remoteRef = options.remoteRef || upstream.remoteRef || ref;
+
+  const url = await git.getConfig({ fs, dir, path: `remote.${remote}.url` });
+  if (!url) throw new Error(`リモート「${remote}」が設定されていません`);
+
+  return { ref, remote, remoteRef, url, hasUpstream: !!upstream.remote };
+}
+
+async function setUpstream(dir, branch, remote, remoteRef) {
+  await git.setConfig({ fs, dir, path: `branch.${branch}.remote`, value: remote || undefined });
+  await git.setConfig({ fs, dir, path: `branch.${branch}.merge`, value: remote ? `refs/heads/${remoteRef || branch}` : undefined });
+}
+
+// 現在のブランチへマージし、作業ツリーへ反映する（merge は参照しか更新しないため）
+// 未コミットの変更（追跡中のファイルの変更・ステージ）があればエラーにする
+// merge はブランチを先に進めてから作業ツリーを更新するため、変更があると途中で止まり、マージが半分だけ適用された状態になる
+async function assertCleanWorkingTree(dir) {
+  const matrix = await git.statusMatrix({ fs, dir });
+  const changed = matrix
+    .filter(([, head, workdir, stage]) => {
+      const isUnmodified = head === 1 && workdir === 1 && stage === 1;
+      const isUntracked = head === 0 && workdir === 2 && stage === 0;
+      return !isUnmodified && !isUntracked;
+    })
+    .map(([filepath]) => filepath);
+  if (changed.length > 0) {
+    const list = changed.slice(0, 5).join(', ') + (changed.length > 5 ? ` ほか ${changed.length - 5} 件` : '');
+    throw new Error(`未コミットの変更があります。コミットしてから実行してください (${list})`);
+  }
+}
+
+async function mergeIntoCurrentBranch(dir, theirs) {
+  const ours = await git.currentBranch({ fs, dir });
+  if (!ours) throw new Error('ブランチがチェックアウトされていません (detached HEAD)');
+  await assertCleanWorkingTree(dir);
+
+  const oldOid = await git.resolveRef({ fs, dir, ref: ours });
+  const result = await git.merge({ fs, dir, ours, theirs, author: await getGitAuthor(dir) });
+  try {
+    await git.checkout({ fs, dir, ref: ours });
+  } catch (error) {
+    // 作業ツリーを更新できなかった場合は、ブランチをマージ前に戻す
+    await git.writeRef({ fs, dir, ref: `refs/heads/${ours}`, value: oldOid, force: true });
+    const filepaths = error.data && error.data.filepaths;
+    throw new Error(filepaths
+      ? `作業ツリーのファイルと競合するため、マージを取り消しました: ${filepaths.join(', ')}`
+      : `作業ツリーを更新できなかったため、マージを取り消しました: ${error.message}`);
+  }
+  return result;
+}
+
+ipcMain.handle('git-push', async (event, repoPath, options = {}) => {
+  try {
+    const dir = await resolveGitDir(repoPath);
+    const target = await resolveSyncTarget(dir, options);
+
+    if (isLocalRemoteUrl(target.url)) {
+      await pushToLocal({ dir, ...target });
+    } else {
+      await git.push({
+        fs,
+        http,
+        dir,
+        onProgress: createGitProgressHandler(event.sender, 'push'),
+        remote: target.remote,
+        ref: target.ref,
+        remoteRef: target.remoteRef
+      });
+    }
+
+    // 初回の push では上流を設定する (git push -u 相当)
+    if (!target.hasUpstream) {
+      await setUpstream(dir, target.ref, target.remote, target.remoteRef);
+    }
+    return { success: true, remote: target.remote, ref: target.ref, remoteRef: target.remoteRef };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-pull', async (event, repoPath, options = {}) => {
+  try {
+    const dir = await resolveGitDir(repoPath);
+    const target = await resolveSyncTarget(dir, options);
+
+    if (isLocalRemoteUrl(target.url)) {
+      const oid = await fetchFromLocal({ dir, ...target });
+      if (!oid) throw new Error(`リモートにブランチ「${target.remoteRef}」がありません`);
+      await mergeIntoCurrentBranch(dir, `refs/remotes/${target.remote}/${target.remoteRef}`);
+    } else {
+      await assertCleanWorkingTree(dir);
+      await git.pull({
+        fs,
+        http,
+        dir,
+        author: await getGitAuthor(dir),
+        onProgress: createGitProgressHandler(event.sender, 'pull'),
+        remote: target.remote,
+        ref: target.ref,
+        remoteRef: target.remoteRef,
+        singleBranch: true
+      });
+    }
+    return { success: true, remote: target.remote, ref: target.ref, remoteRef: target.remoteRef };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Branch operations
+ipcMain.handle('git-branches', async (event, repoPath) => {
+  try {
+    const dir = await resolveGitDir(repoPath);
+    const current = await git.currentBranch({ fs, dir });
+
+    const branches = [];
+    for (const name of await git.listBranches({ fs, dir })) {
+      branches.push({ name, upstream: await getUpstream(dir, name) });
+    }
+
+    const remotes = await git.listRemotes({ fs, dir });
+    const remoteBranches = {};
+    for (const { remote } of remotes) {
+      const names = await git.listBranches({ fs, dir, remote });
+      remoteBranches[remote] = names.filter(name => name !== 'HEAD');
+    }
+
+    return { success: true, current, branches, remotes, remoteBranches };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-create-branch', async (event, repoPath, name, checkout = true) => {
+  try {
+    const dir = await resolveGitDir(repoPath);
+    await git.branch({ fs, dir, ref: name, checkout });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-checkout', async (event, repoPath, branch) => {
+  try {
+    const dir = await resolveGitDir(repoPath);
+    await git.checkout({ fs, dir, ref: branch });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-delete-branch', async (event, repoPath, name) => {
+  try {
+    const dir = await resolveGitDir(repoPath);
+    if (name === await git.currentBranch({ fs, dir })) {
+      throw new Error('現在のブランチは削除できません');
+    }
+    await git.deleteBranch({ fs, dir, ref: name });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-merge', async (event, repoPath, theirs) => {
+  try {
+    const dir = await resolveGitDir(repoPath);
+    const result = await mergeIntoCurrentBranch(dir, theirs);
+    return {
+      success: true,
+      oid: result.oid,
+      alreadyMerged: !!result.alreadyMerged,
+      fastForward: !!result.fastForward
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-set-upstream', async (event, repoPath, branch, remote, remoteRef) => {
+  try {
+    const dir = await resolveGitDir(repoPath);
+    await setUpstream(dir, branch, remote, remoteRef);
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -946,6 +1471,43 @@ ipcMain.handle('delete-file', async (event, filepath) => {
   }
 });
 
+// 画像などの添付ファイルを保存する（同名のファイルがある場合は "name-1.png" のように番号を付ける）
+// 添付ファイルの保存先（同名のファイルがある場合は番号を付ける）
+async function getAttachmentPath(dirPath, fileName) {
+  await fs.promises.mkdir(dirPath, { recursive: true });
+
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  let targetPath = path.join(dirPath, fileName);
+  for (let i = 1; fs.existsSync(targetPath); i++) {
+    targetPath = path.join(dirPath, `${base}-${i}${ext}`);
+  }
+  return targetPath;
+}
+
+ipcMain.handle('save-attachment', async (event, dirPath, fileName, data) => {
+  try {
+    const targetPath = await getAttachmentPath(dirPath, fileName);
+    await fs.promises.writeFile(targetPath, Buffer.from(data), { flag: 'wx' });
+    return { success: true, path: targetPath };
+  } catch (error) {
+    console.error('Failed to save attachment:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// 既存のファイル（HTML の貼り付けに含まれていた file: の画像など）を添付ファイルとしてコピーする
+ipcMain.handle('copy-attachment', async (event, srcPath, dirPath, fileName) => {
+  try {
+    const targetPath = await getAttachmentPath(dirPath, fileName);
+    await fs.promises.copyFile(srcPath, targetPath, fs.constants.COPYFILE_EXCL);
+    return { success: true, path: targetPath };
+  } catch (error) {
+    console.error('Failed to copy attachment:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('create-directory', async (event, dirPath) => {
   try {
     if (!fs.existsSync(dirPath)) {
@@ -958,6 +1520,185 @@ ipcMain.handle('create-directory', async (event, dirPath) => {
   }
 });
 
+// ワークスペース内のファイルを再帰的に列挙する（隠しファイル・隠しフォルダ・node_modules は除く）
+const MARKDOWN_EXTENSIONS = new Set(['.md', '.markdown']);
+const MAX_WORKSPACE_FILES = 5000;
+
+async function collectWorkspaceFiles(rootDir, filter = () => true, limit = MAX_WORKSPACE_FILES) {
+  const files = [];
+  const pending = [rootDir];
+  while (pending.length > 0 && files.length < limit) {
+    const dir = pending.shift();
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      continue;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        pending.push(fullPath);
+      } else if (filter(entry.name)) {
+        files.push(fullPath);
+        if (files.length >= limit) break;
+      }
+    }
+  }
+  return files;
+}
+
+function collectMarkdownFiles(rootDir) {
+  return collectWorkspaceFiles(rootDir, name => MARKDOWN_EXTENSIONS.has(path.extname(name).toLowerCase()));
+}
+
+ipcMain.handle('list-workspace-files', async (event, rootDir) => {
+  try {
+    return { success: true, files: await collectWorkspaceFiles(rootDir) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('list-markdown-files', async (event, rootDir) => {
+  try {
+    return { success: true, files: await collectMarkdownFiles(rootDir) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ワークスペース全体の全文検索
+// overrides: { [filePath]: content } 開いているファイルは未保存の内容で検索する
+const MAX_SEARCH_MATCHES = 5000;
+
+ipcMain.handle('search-workspace', async (event, rootDir, query, options = {}, overrides = {}) => {
+  try {
+    const regExp = buildSearchRegExp(query, options);
+    const results = [];
+    let total = 0;
+
+    for (const filePath of await collectMarkdownFiles(rootDir)) {
+      if (total >= MAX_SEARCH_MATCHES) break;
+
+      let text = overrides[filePath];
+      if (text === undefined) {
+        try {
+          text = await fs.promises.readFile(filePath, 'utf8');
+        } catch (e) {
+          continue;
+        }
+      }
+
+      const matches = findMatches(text, regExp, MAX_SEARCH_MATCHES - total)
+        .map(({ from, to, line, column, lineText }) => ({ from, to, line, column, lineText }));
+      if (matches.length > 0) {
+        results.push({ filePath, matches });
+        total += matches.length;
+      }
+    }
+
+    return { success: true, results, total, truncated: total >= MAX_SEARCH_MATCHES };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// wiki リンクの索引（各ノートの見出し・そこから出ているリンク・front matter のプロパティ）
+// overrides: { [filePath]: content } 開いているファイルは未保存の内容を使う
+ipcMain.handle('wiki-link-index', async (event, rootDir, overrides = {}) => {
+  try {
+    const notes = [];
+    for (const filePath of await collectMarkdownFiles(rootDir)) {
+      let text = overrides[filePath];
+      if (text === undefined) {
+        try {
+          text = await fs.promises.readFile(filePath, 'utf8');
+        } catch (e) {
+          continue;
+        }
+      }
+      notes.push({ filePath, headings: extractHeadings(text), links: parseWikiLinks(text), properties: getNoteProperties(text) });
+    }
+    return { success: true, notes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ノートごとのタグ。targets（ファイルまたはフォルダのパス）を指定した場合はその配下だけを集計する
+// 存在しないパスは結果に含まれないので、レンダラー側で削除されたものとして扱う
+ipcMain.handle('tag-index', async (event, rootDir, targets = null, overrides = {}) => {
+  try {
+    let filePaths = [];
+    if (!targets) {
+      filePaths = await collectMarkdownFiles(rootDir);
+    } else {
+      for (const target of targets) {
+        const segments = path.relative(rootDir, target).split(path.sep);
+        if (segments.some(segment => segment.startsWith('.') || segment === 'node_modules')) continue;
+        if (MARKDOWN_EXTENSIONS.has(path.extname(target).toLowerCase())) filePaths.push(target);
+        else filePaths.push(...await collectMarkdownFiles(target));
+      }
+    }
+
+    const notes = [];
+    for (const filePath of filePaths) {
+      let text = overrides[filePath];
+      if (text === undefined) {
+        try {
+          text = await fs.promises.readFile(filePath, 'utf8');
+        } catch (e) {
+          continue;
+        }
+      }
+      notes.push({ filePath, tags: extractTags(text) });
+    }
+    return { success: true, notes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 移動・名前の変更に合わせたリンクの書き換えを求める（移動した後に呼ぶ）
+// moves: [{ oldPath, newPath }]、overrides: { [filePath]: content } 開いているファイルは未保存の内容を使う
+ipcMain.handle('plan-link-rewrites', async (event, rootDir, moves, overrides = {}) => {
+  try {
+    const notes = [];
+    for (const filePath of await collectMarkdownFiles(rootDir)) {
+      let text = overrides[filePath];
+      if (text === undefined) {
+        try {
+          text = await fs.promises.readFile(filePath, 'utf8');
+        } catch (e) {
+          continue;
+        }
+      }
+      notes.push({ filePath, text });
+    }
+    const changes = planLinkRewrites({ moves, notes, rootDir, exists: fs.existsSync });
+    return { success: true, changes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// plan-link-rewrites で求めた変更をファイルへ適用する
+ipcMain.handle('apply-text-edits', async (event, filePath, edits) => {
+  try {
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const newText = applyTextEdits(text, edits);
+    if (newText === null) {
+      return { success: false, error: 'ファイルの内容が変更されています' };
+    }
+    await fs.promises.writeFile(filePath, newText, 'utf8');
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('list-files', async (event, dirPath) => {
   try {
     const entries = fs.readdirSync(dirPath);
@@ -999,8 +1740,29 @@ ipcMain.handle('select-folder', async (event) => {
   }
 });
 
+// 画像ファイル選択ダイアログ（見つからない画像の代わりを指定する）
+ipcMain.handle('select-image-file', async (event, defaultPath) => {
+  try {
+    const mainWindow = BrowserWindow.fromWebContents(event.sender);
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile'],
+      title: '画像ファイルを選択してください',
+      defaultPath,
+      filters: [{ name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'bmp'] }]
+    });
+
+    if (!result.canceled && result.filePaths.length > 0) {
+      return { success: true, path: result.filePaths[0] };
+    }
+    return { success: false, path: null };
+  } catch (error) {
+    console.error('Failed to select image file:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // PDF生成 (プレビュー用 - Base64返し) のIPC ハンドラー
-ipcMain.handle('generate-pdf', async (event, htmlContent) => {
+ipcMain.handle('generate-pdf', async (event, htmlContent, metadata = {}) => {
   try {
     const mainWindow = BrowserWindow.fromWebContents(event.sender);
     if (!mainWindow) {
@@ -1017,7 +1779,7 @@ ipcMain.handle('generate-pdf', async (event, htmlContent) => {
     });
 
     // Load HTML content
-    const htmlTemplate = getPdfHtmlTemplate(htmlContent);
+    const htmlTemplate = getPdfHtmlTemplate(htmlContent, metadata);
 
     await pdfWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(htmlTemplate)}`);
 
@@ -1041,7 +1803,7 @@ ipcMain.handle('generate-pdf', async (event, htmlContent) => {
 });
 
 // ★追加: PDFエクスポート（ファイル保存）のIPCハンドラー
-ipcMain.handle('export-pdf', async (event, htmlContent) => {
+ipcMain.handle('export-pdf', async (event, htmlContent, metadata = {}) => {
   try {
     const mainWindow = BrowserWindow.fromWebContents(event.sender);
     if (!mainWindow) {
@@ -1051,7 +1813,7 @@ ipcMain.handle('export-pdf', async (event, htmlContent) => {
     // 保存先ダイアログを開く
     const { filePath, canceled } = await dialog.showSaveDialog(mainWindow, {
       title: 'PDFとしてエクスポート',
-      defaultPath: 'document.pdf',
+      defaultPath: `${(metadata.title || 'document').replace(/[\\/:*?"<>|]/g, '_')}.pdf`,
       filters: [
         { name: 'PDF Files', extensions: ['pdf'] },
         { name: 'All Files', extensions: ['*'] }
@@ -1071,7 +1833,7 @@ ipcMain.handle('export-pdf', async (event, htmlContent) => {
       }
     });
 
-    const htmlTemplate = getPdfHtmlTemplate(htmlContent);
+    const htmlTemplate = getPdfHtmlTemplate(htmlContent, metadata);
     await pdfWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(htmlTemplate)}`);
 
     // PDF生成
@@ -1095,13 +1857,24 @@ ipcMain.handle('export-pdf', async (event, htmlContent) => {
   }
 });
 
+function escapeHtmlAttribute(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 // HTMLテンプレートを生成するヘルパー関数
-function getPdfHtmlTemplate(htmlContent) {
+// metadata: { title, author, keywords } front matter から取り出した文書の情報（title は PDF のタイトルになる）
+function getPdfHtmlTemplate(htmlContent, metadata = {}) {
+  const metaTags = [
+    metadata.title ? `<title>${escapeHtmlAttribute(metadata.title)}</title>` : '',
+    metadata.author ? `<meta name="author" content="${escapeHtmlAttribute(metadata.author)}">` : '',
+    metadata.keywords ? `<meta name="keywords" content="${escapeHtmlAttribute(metadata.keywords)}">` : ''
+  ].filter(Boolean).join('\n          ');
   return `
       <!DOCTYPE html>
       <html>
         <head>
           <meta charset="UTF-8">
+          ${metaTags}
           <style>
             body {
               font-family: "Segoe UI", "Helvetica Neue", Arial, "Hiragino Kaku Gothic ProN", "Hiragino Sans", Meiryo, sans-serif;
@@ -1174,6 +1947,31 @@ function getPdfHtmlTemplate(htmlContent) {
               border-radius: 2px;
             }
 
+            /* Math ($...$ / $$...$$) rendered as MathML */
+            .math-display {
+              margin: 16px 0;
+              overflow-x: auto;
+            }
+            .math-error {
+              color: #d73a49;
+              font-family: monospace;
+            }
+
+            /* Mermaid diagrams rendered as SVG */
+            .mermaid-diagram {
+              margin: 16px 0;
+              text-align: center;
+              page-break-inside: avoid;
+            }
+            .mermaid-diagram svg {
+              max-width: 100%;
+              height: auto;
+            }
+            .mermaid-error {
+              color: #d73a49;
+              white-space: pre-wrap;
+            }
+
             table {
               border-collapse: collapse;
               width: 100%;
@@ -0,0 +1,157 @@
+/**
+ * mathUtils.js
+ * 数式 ($inline$ / $$block$$) の検出と KaTeX による描画
+ * ライブプレビュー (livePreviewPlugin.js) と PDF 出力 (processMarkdownForExport) で共通に使う
+ */
+
+const katex = require('katex');
+const { isInInlineCode } = require('./wikiLinkUtils');
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+// $$ で始まる行（先頭の空白は3つまで）
+const BLOCK_OPEN_PATTERN = /^ {0,3}\$\$/;
+// $...$ （$ の直後・閉じ $ の直前は空白以外、閉じ $ の直後は数字以外。$5 と $10 のような金額を避ける）
+const INLINE_MATH_PATTERN = /(?<![\\$])\$(?![\s$])((?:\\.|[^$\\\n])*?[^\s\\])\$(?![$\d])/g;
+
+/**
+ * 行の中のインライン数式を列挙する（インラインコード内は除く）
+ * @param {string} lineText
+ * @returns {Array<{from: number, to: number, tex: string}>} from/to は $ を含む行内の位置
+ */
+function findInlineMath(lineText) {
+    const results = [];
+    if (!lineText.includes('$')) return results;
+
+    const re = new RegExp(INLINE_MATH_PATTERN.source, 'g');
+    let match;
+    while ((match = re.exec(lineText)) !== null) {
+        if (isInInlineCode(lineText, match.index)) continue;
+        results.push({ from: match.index, to: match.index + match[0].length, tex: match[1] });
+    }
+    return results;
+}
+
+/**
+ * ブロック数式 ($$ ... $$) を列挙する（コードブロック内は除く）
+ * 1行で書いた $$ x $$ も、複数行にまたがるものも対象
+ * @param {string[]} lines - 文書の各行
+ * @returns {Array<{startLine: number, endLine: number, tex: string}>} 行番号は 0 始まり
+ */
+function findMathBlocks(lines) {
+    const blocks = [];
+    let fence = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const lineText = lines[i];
+        const fenceMatch = lineText.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            if (!fence) fence = fenceMatch[1][0];
+            else if (fenceMatch[1][0] === fence) fence = null;
+            continue;
+        }
+        if (fence || !BLOCK_OPEN_PATTERN.test(lineText)) continue;
+
+        const opening = lineText.trim().slice(2);
+        // 1行で閉じている場合
+        if (opening.length >= 2 && opening.endsWith('$$')) {
+            blocks.push({ startLine: i, endLine: i, tex: opening.slice(0, -2).trim() });
+            continue;
+        }
+
+        for (let j = i + 1; j < lines.length; j++) {
+            const closing = lines[j].trim();
+            if (closing.endsWith('$$')) {
+                const body = [opening, ...lines.slice(i + 1, j), closing.slice(0, -2)];
+                blocks.push({ startLine: i, endLine: j, tex: body.join('\n').trim() });
+                i = j;
+                break;
+            }
+            // 空行で終わる段落の外までは探さない
+            if (!closing) break;
+        }
+    }
+    return blocks;
+}
+
+/**
+ * 数式を HTML にする。構文エラーの場合は例外を投げずに error を返す
+ * @param {string} tex
+ * @param {boolean} displayMode - ブロック数式なら true
+ * @param {string} [output] - KaTeX の出力形式 ('htmlAndMathml' | 'html' | 'mathml')
+ * @returns {{html: string, error: string|null}}
+ */
+function renderMath(tex, displayMode, output = 'htmlAndMathml') {
+    try {
+        return { html: katex.renderToString(tex, { displayMode, output, throwOnError: true }), error: null };
+    } catch (error) {
+        return { html: null, error: error.message };
+    }
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// 出力用の HTML（エラーの場合は元の記述とエラー内容を表示する）
+function renderMathHtml(tex, displayMode, output) {
+    const { html, error } = renderMath(tex, displayMode, output);
+    if (!error) return html;
+    const source = displayMode ? `$$${tex}$$` : `$${tex}$`;
+    return `<span class="math-error" title="${escapeHtml(error)}">${escapeHtml(source)}</span>`;
+}
+
+// marked がタグの間の文字を Markdown として解釈しないよう、記号を文字参照にする
+function protectFromMarkdown(html) {
+    return html.replace(/>([^<]+)</g, (match, text) =>
+        '>' + text.replace(/[\\`*_~[\]|$=]/g, c => `&#${c.charCodeAt(0)};`) + '<'
+    );
+}
+
+/**
+ * Markdown 中の数式を HTML に置き換える（marked に渡す前に使う）
+ * PDF 用のウィンドウでは KaTeX のフォントを読み込めないため、既定では MathML で出力する
+ * @param {string} markdown
+ * @param {string} [output]
+ */
+function renderMathInMarkdown(markdown, output = 'mathml') {
+    const lines = markdown.split('\n');
+    const blocks = findMathBlocks(lines);
+    const blockByStart = new Map(blocks.map(block => [block.startLine, block]));
+    const result = [];
+    let fence = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const block = blockByStart.get(i);
+        if (block) {
+            // HTML ブロックとして扱われるよう前後を空行にする
+            result.push('', protectFromMarkdown(`<div class="math-display">${renderMathHtml(block.tex, true, output)}</div>`), '');
+            i = block.endLine;
+            continue;
+        }
+
+        const lineText = lines[i];
+        const fenceMatch = lineText.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            if (!fence) fence = fenceMatch[1][0];
+            else if (fenceMatch[1][0] === fence) fence = null;
+        }
+        if (fence || fenceMatch) {
+            result.push(lineText);
+            continue;
+        }
+
+        let replaced = lineText;
+        findInlineMath(lineText).reverse().forEach(math => {
+            replaced = replaced.slice(0, math.from) + protectFromMarkdown(renderMathHtml(math.tex, false, output)) + replaced.slice(math.to);
+        });
+        result.push(replaced);
+    }
+    return result.join('\n');
+}
+
+module.exports = {
+    findInlineMath,
+    findMathBlocks,
+    renderMath,
+    renderMathInMarkdown
+};
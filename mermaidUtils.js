@@ -0,0 +1,111 @@
+/**
+ * mermaidUtils.js
+ * ```mermaid コードブロックの検出と図 (SVG) の描画
+ * ライブプレビュー (livePreviewPlugin.js) と PDF 出力 (processMarkdownForExport) で共通に使う
+ *
+ * mermaid は ES Module のみのパッケージで require できないため、index.html で読み込んだ window.mermaid を使う
+ */
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+
+// 描画結果のキャッシュ（同じ図を再描画しない）
+const MAX_CACHE_SIZE = 50;
+const svgCache = new Map();
+let renderCount = 0;
+let isInitialized = false;
+
+/**
+ * ```mermaid コードブロックを列挙する
+ * @param {string[]} lines - 文書の各行
+ * @returns {Array<{startLine: number, endLine: number, source: string}>} 行番号は 0 始まり（startLine / endLine は ``` の行）
+ */
+function findMermaidBlocks(lines) {
+    const blocks = [];
+    let open = null;
+
+    lines.forEach((lineText, i) => {
+        const match = lineText.match(FENCE_PATTERN);
+        if (!open) {
+            if (match) open = { fence: match[1], lang: match[2].toLowerCase(), startLine: i };
+            return;
+        }
+        // 開始と同じ記号で、同じ長さ以上の ``` だけの行で閉じる
+        if (match && match[1][0] === open.fence[0] && match[1].length >= open.fence.length && !match[2]) {
+            if (open.lang === 'mermaid') {
+                blocks.push({ startLine: open.startLine, endLine: i, source: lines.slice(open.startLine + 1, i).join('\n') });
+            }
+            open = null;
+        }
+    });
+    return blocks;
+}
+
+function getMermaid() {
+    const mermaid = typeof window !== 'undefined' ? window.mermaid : null;
+    if (mermaid && !isInitialized) {
+        mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: 'default' });
+        isInitialized = true;
+    }
+    return mermaid;
+}
+
+/**
+ * 図を SVG にする。構文エラーの場合は例外を投げずに error を返す
+ * @param {string} source
+ * @returns {Promise<{svg: string|null, error: string|null}>}
+ */
+function renderMermaid(source) {
+    if (svgCache.has(source)) return svgCache.get(source);
+
+    const promise = (async () => {
+        const mermaid = getMermaid();
+        if (!mermaid) return { svg: null, error: 'mermaid を読み込めませんでした' };
+        try {
+            // 構文エラーの場合に mermaid がエラー表示用の要素を追加しないよう、先に構文だけ確認する
+            await mermaid.parse(source);
+            const { svg } = await mermaid.render(`mermaid-diagram-${++renderCount}`, source);
+            return { svg, error: null };
+        } catch (error) {
+            return { svg: null, error: error.message || String(error) };
+        }
+    })();
+
+    svgCache.set(source, promise);
+    if (svgCache.size > MAX_CACHE_SIZE) svgCache.delete(svgCache.keys().next().value);
+    return promise;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Markdown 中の ```mermaid コードブロックを描画した SVG に置き換える（marked に渡す前に使う）
+ * @param {string} markdown
+ * @returns {Promise<string>}
+ */
+async function renderMermaidInMarkdown(markdown) {
+    const lines = markdown.split('\n');
+    const blocks = findMermaidBlocks(lines);
+    if (blocks.length === 0) return markdown;
+
+    const results = await Promise.all(blocks.map(block => renderMermaid(block.source)));
+
+    // 後ろから置き換えて行番号がずれないようにする
+    for (let i = blocks.length - 1; i >= 0; i--) {
+        const { svg, error } = results[i];
+        const html = error
+            ? `<pre class="mermaid-error">${escapeHtml(error)}\n${escapeHtml(blocks[i].source)}</pre>`
+            : `<div class="mermaid-diagram">${svg}</div>`;
+        // HTML ブロックとして扱われるよう前後を空行にし、途中に空行を含めない
+        const replacement = ['', html.replace(/\n\s*\n/g, '\n'), ''];
+        lines.splice(blocks[i].startLine, blocks[i].endLine - blocks[i].startLine + 1, ...replacement);
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    findMermaidBlocks,
+    renderMermaid,
+    renderMermaidInMarkdown
+};
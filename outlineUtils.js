@@ -0,0 +1,128 @@
+/**
+ * outlineUtils.js
+ * 見出しからセクション（見出しと次の同じ階層以上の見出しまでの本文）の木を作り、
+ * セクションの移動・見出しの階層の変更を行う（アウトラインのパネルとコマンドで使う）
+ */
+
+const { findFrontMatter } = require('./frontMatter');
+
+const HEADING_PATTERN = /^( {0,3})(#{1,6})([ \t]+.*?)?[ \t]*$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * 見出しの行を列挙する（front matter とコードブロックの中は除く）
+ * @param {string[]} lines
+ * @returns {Array<{line: number, level: number, text: string}>} line は 0 始まり
+ */
+function findHeadings(lines) {
+    const headings = [];
+    const frontMatter = findFrontMatter(lines);
+    let fence = null;
+
+    for (let i = frontMatter ? frontMatter.endLine + 1 : 0; i < lines.length; i++) {
+        const fenceMatch = lines[i].match(FENCE_PATTERN);
+        if (fenceMatch) {
+            if (!fence) fence = fenceMatch[1][0];
+            else if (fenceMatch[1][0] === fence) fence = null;
+            continue;
+        }
+        if (fence) continue;
+
+        const match = lines[i].match(HEADING_PATTERN);
+        if (!match) continue;
+        // 末尾の閉じの # は見出しの文字列に含めない
+        const text = (match[3] || '').replace(/[ \t]+#+$/, '').trim();
+        headings.push({ line: i, level: match[2].length, text });
+    }
+    return headings;
+}
+
+/**
+ * セクションの木を作る
+ * @param {string[]} lines
+ * @returns {Array<{line: number, endLine: number, level: number, text: string, children: Array}>}
+ *          endLine はセクションの次の行（次の同じ階層以上の見出し、または文書の末尾）
+ */
+function buildSectionTree(lines) {
+    const roots = [];
+    const stack = [];
+
+    findHeadings(lines).forEach(heading => {
+        const section = { ...heading, endLine: lines.length, children: [] };
+        while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+            stack.pop().endLine = heading.line;
+        }
+        if (stack.length > 0) stack[stack.length - 1].children.push(section);
+        else roots.push(section);
+        stack.push(section);
+    });
+    return roots;
+}
+
+/**
+ * 行を含む最も深いセクション
+ * @param {Array} sections - buildSectionTree の結果
+ * @param {number} line - 0 始まり
+ */
+function findSectionAt(sections, line) {
+    for (const section of sections) {
+        if (line >= section.line && line < section.endLine) {
+            return findSectionAt(section.children, line) || section;
+        }
+    }
+    return null;
+}
+
+/**
+ * セクションを移動する
+ * @param {string[]} lines
+ * @param {{line: number, endLine: number}} section
+ * @param {number} insertLine - この行の前に移動する（セクションの範囲内は不可）
+ * @returns {{lines: string[], line: number}|null} 移動後の文書と、移動したセクションの見出しの行。移動できない場合は null
+ */
+function moveSection(lines, section, insertLine) {
+    if (insertLine >= section.line && insertLine <= section.endLine) return null;
+
+    const sectionLines = lines.slice(section.line, section.endLine);
+    // 文書の末尾のセクションは空行で終わっていないことがあるため、見出しの前に移す場合は空行を補う
+    if (insertLine < lines.length && sectionLines[sectionLines.length - 1].trim() !== '') sectionLines.push('');
+
+    const result = lines.slice();
+    result.splice(section.line, section.endLine - section.line);
+    const target = insertLine > section.line ? insertLine - (section.endLine - section.line) : insertLine;
+
+    // 文書の末尾に移す場合は、直前の行との間に空行を入れる
+    if (target === result.length && result.length > 0 && result[result.length - 1].trim() !== '') {
+        result.push('');
+        result.push(...sectionLines);
+        return { lines: result, line: target + 1 };
+    }
+    result.splice(target, 0, ...sectionLines);
+    return { lines: result, line: target };
+}
+
+/**
+ * セクションの見出しと、その下の見出しの階層をまとめて変える
+ * @param {string[]} lines
+ * @param {{line: number, endLine: number}} section
+ * @param {number} delta - -1 で上げる (## → #)、1 で下げる (## → ###)
+ * @returns {string[]|null} 変更後の文書。H1 より上・H6 より下になる見出しがある場合は null
+ */
+function shiftSectionLevel(lines, section, delta) {
+    const headings = findHeadings(lines).filter(h => h.line >= section.line && h.line < section.endLine);
+    if (headings.some(h => h.level + delta < 1 || h.level + delta > 6)) return null;
+
+    const result = lines.slice();
+    headings.forEach(({ line, level }) => {
+        result[line] = result[line].replace(/^( {0,3})#{1,6}/, (all, indent) => indent + '#'.repeat(level + delta));
+    });
+    return result;
+}
+
+module.exports = {
+    findHeadings,
+    buildSectionTree,
+    findSectionAt,
+    moveSection,
+    shiftSectionLevel
+};
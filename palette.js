@@ -0,0 +1,223 @@
+/**
+ * palette.js
+ * 画面上部に表示する入力欄付きの選択リスト（クイックオープン・コマンドパレットで使う）
+ * - 入力のたびに getItems で候補を取り直す
+ * - ↑↓ で選択、Enter で決定（修飾キーは onSelect に渡す）、Esc または外側のクリックで閉じる
+ */
+
+// 一度に表示する候補の最大数
+const MAX_VISIBLE_ITEMS = 100;
+
+class Palette {
+    /**
+     * @param {Object} options
+     * @param {string} [options.placeholder]
+     * @param {Function} options.getItems - (query) => Array<PaletteItem>
+     *        PaletteItem: { label, description?, hint?, icon?: {text, color}, labelPositions?: number[], descriptionPositions?: number[] }
+     *        labelPositions / descriptionPositions は強調表示する文字の位置
+     * @param {Function} options.onSelect - (item, { ctrlKey, shiftKey, altKey }) => void
+     * @param {string} [options.footer] - 下部に表示する操作説明
+     */
+    constructor(options) {
+        this.options = options;
+        this.items = [];
+        this.selectedIndex = 0;
+        this.overlay = null;
+    }
+
+    get isOpen() {
+        return !!this.overlay;
+    }
+
+    open(initialQuery = '') {
+        if (this.isOpen) {
+            this.input.focus();
+            this.input.select();
+            return;
+        }
+
+        this.previousFocus = document.activeElement;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'palette-overlay';
+        this.overlay.addEventListener('mousedown', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        const container = document.createElement('div');
+        container.className = 'palette';
+
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.className = 'palette-input';
+        this.input.placeholder = this.options.placeholder || '';
+        this.input.value = initialQuery;
+        this.input.addEventListener('input', () => this.refresh());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.list = document.createElement('div');
+        this.list.className = 'palette-list';
+
+        container.appendChild(this.input);
+        container.appendChild(this.list);
+
+        if (this.options.footer) {
+            const footer = document.createElement('div');
+            footer.className = 'palette-footer';
+            footer.textContent = this.options.footer;
+            container.appendChild(footer);
+        }
+
+        this.overlay.appendChild(container);
+        document.body.appendChild(this.overlay);
+
+        this.input.focus();
+        this.input.select();
+        this.refresh();
+    }
+
+    close(restoreFocus = true) {
+        if (!this.overlay) return;
+        this.overlay.remove();
+        this.overlay = null;
+        if (restoreFocus && this.previousFocus && document.contains(this.previousFocus)) {
+            this.previousFocus.focus();
+        }
+    }
+
+    // 入力内容で候補を取り直す（候補の元データが変わったときにも呼ぶ）
+    refresh() {
+        if (!this.isOpen) return;
+        this.items = this.options.getItems(this.input.value).slice(0, MAX_VISIBLE_ITEMS);
+        this.selectedIndex = 0;
+        this.render();
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.items.length === 0) return;
+            const delta = e.key === 'ArrowDown' ? 1 : -1;
+            this.select((this.selectedIndex + delta + this.items.length) % this.items.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.accept(this.selectedIndex, e);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.close();
+        }
+    }
+
+    select(index) {
+        const previous = this.list.children[this.selectedIndex];
+        if (previous) previous.classList.remove('selected');
+        this.selectedIndex = index;
+        const current = this.list.children[index];
+        if (current) {
+            current.classList.add('selected');
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    accept(index, event) {
+        const item = this.items[index];
+        if (!item) return;
+        // 選んだ先へフォーカスを移すので、元の位置には戻さない
+        this.close(false);
+        this.options.onSelect(item, {
+            ctrlKey: event.ctrlKey || event.metaKey,
+            shiftKey: event.shiftKey,
+            altKey: event.altKey
+        });
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        if (this.items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'palette-empty';
+            empty.textContent = '一致する項目はありません';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        this.items.forEach((item, index) => {
+            const row = document.createElement('div');
+            row.className = 'palette-item' + (index === this.selectedIndex ? ' selected' : '');
+
+            if (item.icon) {
+                const icon = document.createElement('span');
+                icon.className = 'palette-item-icon';
+                icon.textContent = item.icon.text;
+                if (item.icon.color) icon.style.color = item.icon.color;
+                row.appendChild(icon);
+            }
+
+            const label = document.createElement('span');
+            label.className = 'palette-item-label';
+            this.appendHighlighted(label, item.label, item.labelPositions);
+            row.appendChild(label);
+
+            if (item.description) {
+                const description = document.createElement('span');
+                description.className = 'palette-item-description';
+                this.appendHighlighted(description, item.description, item.descriptionPositions);
+                row.appendChild(description);
+            }
+
+            if (item.hint) {
+                const hint = document.createElement('span');
+                hint.className = 'palette-item-hint';
+                hint.textContent = item.hint;
+                row.appendChild(hint);
+            }
+
+            row.addEventListener('mousemove', () => {
+                if (this.selectedIndex !== index) this.select(index);
+            });
+            row.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.accept(index, e);
+            });
+
+            this.list.appendChild(row);
+        });
+    }
+
+    // positions の文字を強調表示して追加する
+    appendHighlighted(element, text, positions) {
+        if (!positions || positions.length === 0) {
+            element.textContent = text;
+            return;
+        }
+
+        const marked = new Set(positions);
+        let buffer = '';
+        let isMarked = false;
+        const flush = () => {
+            if (!buffer) return;
+            if (isMarked) {
+                const mark = document.createElement('span');
+                mark.className = 'palette-match';
+                mark.textContent = buffer;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(buffer));
+            }
+            buffer = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            if (marked.has(i) !== isMarked) {
+                flush();
+                isMarked = marked.has(i);
+            }
+            buffer += text[i];
+        }
+        flush();
+    }
+}
+
+module.exports = { Palette };
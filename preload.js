@@ -31,9 +31,27 @@ window.electronAPI = {
   gitStatus: (repoPath) => ipcRenderer.invoke('git-status', repoPath),
   gitAdd: (repoPath, filepath) => ipcRenderer.invoke('git-add', repoPath, filepath),
   gitRemove: (repoPath, filepath) => ipcRenderer.invoke('git-remove', repoPath, filepath),
+  gitResetIndex: (repoPath, filepath) => ipcRenderer.invoke('git-reset-index', repoPath, filepath),
+  gitReadFileVersions: (filePath) => ipcRenderer.invoke('git-read-file-versions', filePath),
+  gitStageContent: (filePath, content) => ipcRenderer.invoke('git-stage-content', filePath, content),
+  gitLog: (repoPath, filePath, depth) => ipcRenderer.invoke('git-log', repoPath, filePath, depth),
+  gitCommitFiles: (repoPath, oid) => ipcRenderer.invoke('git-commit-files', repoPath, oid),
+  gitReadFileAt: (filePath, oid) => ipcRenderer.invoke('git-read-file-at', filePath, oid),
+  gitBlame: (filePath, workingContent) => ipcRenderer.invoke('git-blame', filePath, workingContent),
   gitCommit: (repoPath, message) => ipcRenderer.invoke('git-commit', repoPath, message),
-  gitPush: (repoPath) => ipcRenderer.invoke('git-push', repoPath),
-  gitPull: (repoPath) => ipcRenderer.invoke('git-pull', repoPath),
+  gitPush: (repoPath, options) => ipcRenderer.invoke('git-push', repoPath, options),
+  gitPull: (repoPath, options) => ipcRenderer.invoke('git-pull', repoPath, options),
+  gitBranches: (repoPath) => ipcRenderer.invoke('git-branches', repoPath),
+  gitCreateBranch: (repoPath, name, checkout) => ipcRenderer.invoke('git-create-branch', repoPath, name, checkout),
+  gitCheckout: (repoPath, branch) => ipcRenderer.invoke('git-checkout', repoPath, branch),
+  gitDeleteBranch: (repoPath, name) => ipcRenderer.invoke('git-delete-branch', repoPath, name),
+  gitMerge: (repoPath, theirs) => ipcRenderer.invoke('git-merge', repoPath, theirs),
+  gitSetUpstream: (repoPath, branch, remote, remoteRef) => ipcRenderer.invoke('git-set-upstream', repoPath, branch, remote, remoteRef),
+  onGitProgress: (callback) => {
+    const handler = (event, payload) => callback(payload);
+    ipcRenderer.on('git-progress', handler);
+    return () => ipcRenderer.removeListener('git-progress', handler);
+  },
 
   // File operations
   saveFile: (filepath, content) => ipcRenderer.invoke('save-file', filepath, content),
@@ -41,10 +59,20 @@ window.electronAPI = {
   renameFile: (oldPath, newName) => ipcRenderer.invoke('rename-file', oldPath, newName),
   moveFile: (srcPath, destPath) => ipcRenderer.invoke('move-file', srcPath, destPath), // ★追加
   listFiles: (dirPath) => ipcRenderer.invoke('list-files', dirPath),
+  listWorkspaceFiles: (rootDir) => ipcRenderer.invoke('list-workspace-files', rootDir),
+  listMarkdownFiles: (rootDir) => ipcRenderer.invoke('list-markdown-files', rootDir),
+  searchWorkspace: (rootDir, query, options, overrides) => ipcRenderer.invoke('search-workspace', rootDir, query, options, overrides),
+  getWikiLinkIndex: (rootDir, overrides) => ipcRenderer.invoke('wiki-link-index', rootDir, overrides),
+  getTagIndex: (rootDir, targets, overrides) => ipcRenderer.invoke('tag-index', rootDir, targets, overrides),
+  planLinkRewrites: (rootDir, moves, overrides) => ipcRenderer.invoke('plan-link-rewrites', rootDir, moves, overrides),
+  applyTextEdits: (filePath, edits) => ipcRenderer.invoke('apply-text-edits', filePath, edits),
   readDirectory: (dirPath) => ipcRenderer.invoke('read-directory', dirPath),
   deleteFile: (filepath) => ipcRenderer.invoke('delete-file', filepath),
   createDirectory: (dirPath) => ipcRenderer.invoke('create-directory', dirPath),
+  saveAttachment: (dirPath, fileName, data) => ipcRenderer.invoke('save-attachment', dirPath, fileName, data),
+  copyAttachment: (srcPath, dirPath, fileName) => ipcRenderer.invoke('copy-attachment', srcPath, dirPath, fileName),
   selectFolder: () => ipcRenderer.invoke('select-folder'),
+  selectImageFile: (defaultPath) => ipcRenderer.invoke('select-image-file', defaultPath),
 
   // Window operations
   minimizeWindow: () => ipcRenderer.invoke('window-minimize'),
@@ -52,8 +80,8 @@ window.electronAPI = {
   closeWindow: () => ipcRenderer.invoke('window-close'),
 
   // PDF
-  generatePdf: (htmlContent) => ipcRenderer.invoke('generate-pdf', htmlContent),
-  exportPdf: (htmlContent) => ipcRenderer.invoke('export-pdf', htmlContent), // ★追加
+  generatePdf: (htmlContent, metadata) => ipcRenderer.invoke('generate-pdf', htmlContent, metadata),
+  exportPdf: (htmlContent, metadata) => ipcRenderer.invoke('export-pdf', htmlContent, metadata), // ★追加
 
   // Utility
   fetchUrlTitle: (url) => ipcRenderer.invoke('fetch-url-title', url), // ★追加: URLタイトル取得
@@ -62,6 +90,14 @@ window.electronAPI = {
   // Settings
   loadAppSettings: () => ipcRenderer.invoke('load-app-settings'),
   saveAppSettings: (settings) => ipcRenderer.invoke('save-app-settings', settings),
+  loadKeybindings: () => ipcRenderer.invoke('load-keybindings'),
+  saveKeybindings: (keybindings) => ipcRenderer.invoke('save-keybindings', keybindings),
+  loadFoldState: () => ipcRenderer.invoke('load-fold-state'),
+  saveFoldState: (foldState) => ipcRenderer.invoke('save-fold-state', foldState),
+
+  // Close handshake (未保存ファイルの保存を待ってから閉じる)
+  onBeforeClose: (callback) => ipcRenderer.on('app-before-close', () => callback()),
+  confirmClose: () => ipcRenderer.send('app-close-confirmed'),
 
   // Context Menu Helper
   showFileContextMenu: (filePath, isDirectory) => ipcRenderer.send('show-file-context-menu', filePath, isDirectory),
@@ -14,18 +14,41 @@ window.addEventListener('unhandledrejection', (event) => {
 console.log("🚀 [Debug] Renderer script loaded. Logging enabled.");
 
 const path = require('path');
-const { EditorState, Prec, Compartment, Annotation } = require("@codemirror/state");
+const { pathToFileURL, fileURLToPath } = require('url');
+const { EditorState, Prec, Compartment, Annotation, Transaction, ChangeSet } = require("@codemirror/state");
 const { EditorView, keymap, highlightActiveLine, lineNumbers } = require("@codemirror/view");
 const { defaultKeymap, history, historyKeymap, undo, redo, indentMore, indentLess } = require("@codemirror/commands");
 const { markdown, markdownLanguage } = require("@codemirror/lang-markdown");
-const { syntaxHighlighting, defaultHighlightStyle, LanguageDescription, indentUnit } = require("@codemirror/language");
+const { syntaxHighlighting, defaultHighlightStyle, LanguageDescription, indentUnit, foldAll, unfoldAll } = require("@codemirror/language");
 const { javascript } = require("@codemirror/lang-javascript");
 const { oneDark } = require("@codemirror/theme-one-dark");
-const { livePreviewPlugin } = require("./livePreviewPlugin.js");
+const { search, searchKeymap, highlightSelectionMatches } = require("@codemirror/search");
+const { livePreviewPlugin, imageOptions, frontMatterOptions } = require("./livePreviewPlugin.js");
 const { tablePlugin } = require("./tablePlugin.js");
+const { diffLines, getMinimalReplacement, stageHunk, revertHunk } = require("./diffUtils.js");
+const { DiffView } = require("./diffView.js");
+const { blameGutter } = require("./blamePlugin.js");
+const { buildSearchRegExp, buildReplaceChanges } = require("./searchUtils.js");
+const { wikiLinkPlugin, wikiLinksChanged } = require("./wikiLinkPlugin.js");
+const { tagPlugin, createTagCompletionSource } = require("./tagPlugin.js");
+const { buildTagTree, isTagOrChild } = require("./tagUtils.js");
+const { buildSectionTree, findSectionAt, moveSection, shiftSectionLevel } = require("./outlineUtils.js");
+const { markdownFolding, getFoldedLines, restoreFolds, hasFoldChange, sectionNarrowing, toggleSectionNarrowing } = require("./foldingPlugin.js");
+const { extractHeadings, normalizeLinkTarget, resolveWikiTarget, getLinkTargetName } = require("./wikiLinkUtils.js");
+const { applyTextEdits } = require("./linkRewriteUtils.js");
+const { renderMathInMarkdown } = require("./mathUtils.js");
+const { renderMermaidInMarkdown } = require("./mermaidUtils.js");
+const { htmlToMarkdown } = require("./htmlToMarkdown.js");
+const { findFrontMatter, parseFrontMatter, formatFrontMatter, parseScalar, splitFrontMatter, parsePropertyQuery, matchesPropertyQuery } = require("./frontMatter.js");
+const { fuzzyMatch } = require("./fuzzyMatch.js");
+const { Palette } = require("./palette.js");
+const { CommandRegistry } = require("./commandRegistry.js");
+const { KeybindingManager, formatKeybinding, keybindingFromEvent } = require("./keybindings.js");
 
 // プログラムによる変更を識別するためのアノテーション
 const ExternalChange = Annotation.define();
+// 同じファイルを開いている別ペインから同期された変更を識別するためのアノテーション
+const SyncChange = Annotation.define();
 
 console.log('[Renderer] Script started');
 
@@ -80,15 +103,13 @@ const fileStatsElement = document.getElementById('file-stats');
 
 // ツールバーボタン
 const headingSelector = document.getElementById('heading-selector');
-const btnBulletList = document.getElementById('btn-bullet-list');
-const btnNumberList = document.getElementById('btn-number-list');
-const btnCheckList = document.getElementById('btn-check-list');
 
 // ========== 状態管理 ==========
 let isPositionRight = true;
 let isTerminalVisible = false;
 let isRightActivityBarVisible = true;
 let isRightMarkdownVisible = false; // ★ここに追加
+let isBacklinksVisible = false;
 let isMaximized = false;
 let savedRightActivityBarState = true;
 let activeLayoutManager = null; // ★追加
@@ -101,12 +122,32 @@ let appSettings = {
     fontSize: '16px',
     fontFamily: '"Segoe UI", "Helvetica Neue", Arial, sans-serif',
     theme: 'light',
-    autoSave: true
+    autoSave: true,
+    autoSaveDelay: 1000, // 最後の入力から自動保存までの待ち時間 (ms)
+    attachmentFolder: 'attachments', // 貼り付けた画像の保存先（ワークスペースからの相対パス。"./" で始まる場合はノートのフォルダから）
+    attachmentNaming: 'timestamp' // 貼り付けた画像のファイル名 ('timestamp' | 'note')
 };
 
 // CodeMirror Compartments for dynamic reconfiguration
 const themeCompartment = new Compartment();
 const editorStyleCompartment = new Compartment();
+const blameCompartment = new Compartment();
+
+// #tag の表示・補完（タグの索引もワークスペースごとに renderer 側で持つ）
+const tagOptions = {
+    getTags: () => tagCompletions,
+    openTag: (view, tag) => showTagInPanel(tag)
+};
+const tagExtension = tagPlugin(tagOptions);
+
+// wiki リンク ([[Note]]) の表示・補完（ノートの索引はワークスペースごとに renderer 側で持つ）
+const wikiLinkExtension = wikiLinkPlugin({
+    resolveLink: (view, target) => !!resolveWikiLinkFrom(getFilePathForView(view), target),
+    openLink: (view, link) => openWikiLink(getFilePathForView(view), link.target, link.heading),
+    getNotes: () => wikiNoteCompletions,
+    getHeadings: (view, target) => getWikiNoteHeadings(resolveWikiLinkFrom(getFilePathForView(view), target)),
+    completionSources: [createTagCompletionSource(tagOptions)]
+});
 
 // ========== PDF Preview State ==========
 let isPdfPreviewVisible = false;
@@ -148,8 +189,10 @@ const shellDropdown = document.getElementById('shell-dropdown');
 
 // File System State
 let currentDirectoryPath = null;
-let openedFiles = new Map(); // Map<filePath, {content: string, fileName: string}>
+let openedFiles = new Map(); // Map<filePath, {content: string, fileName: string, diskContent?: string}>
 let fileModificationState = new Map();
+let fileConflicts = new Map(); // Map<filePath, {diskContent: string}> 未保存の変更があるのにディスク側も変更された
+let orphanedFiles = new Set(); // ディスク上から削除された（タブは開いたまま）ファイル
 let currentSortOrder = 'asc';
 
 
@@ -422,6 +465,14 @@ function showPasteOptionModal(url, view) {
 
 const pasteHandler = EditorView.domEventHandlers({
     paste(event, view) {
+        // スクリーンショットなどの画像はファイルに保存してリンクを挿入する
+        const files = Array.from(event.clipboardData.files);
+        if (files.length > 0 && files.every(isImageFile)) {
+            event.preventDefault();
+            insertAttachments(view, files, null, { isPasted: true });
+            return true;
+        }
+
         const text = event.clipboardData.getData("text/plain");
         const urlRegex = /^(http|https):\/\/[^ "]+$/;
 
@@ -430,13 +481,232 @@ const pasteHandler = EditorView.domEventHandlers({
             showPasteOptionModal(text, view);
             return true;
         }
+
+        // ブラウザ・Word などからの書式付きテキストは Markdown にする
+        // （VS Code などのエディタからのコピーは書式のないコードなので、そのまま貼り付ける）
+        const html = event.clipboardData.getData("text/html");
+        if (html && !event.clipboardData.types.includes("vscode-editor-data")) {
+            // data: / file: の画像は添付ファイルとして保存するので、いったん仮のパスで変換する
+            const embeddedImages = [];
+            const { markdown, skippedImages } = htmlToMarkdown(html, {
+                resolveImage: (src) => {
+                    if (/^https?:\/\//i.test(src)) return src;
+                    if (!/^(data:image\/|file:)/i.test(src)) return null;
+                    embeddedImages.push(src);
+                    return getPastedImagePlaceholder(embeddedImages.length - 1);
+                }
+            });
+            if (markdown && markdown !== text.trim()) {
+                event.preventDefault();
+                insertPastedMarkdown(view, markdown, embeddedImages, skippedImages);
+                return true;
+            }
+        }
         return false;
     }
 });
 
+// 書式を付けずにテキストとして貼り付ける
+async function pastePlainText() {
+    const view = getActiveView();
+    if (!view) return;
+    try {
+        const text = await navigator.clipboard.readText();
+        if (!text) return;
+        view.dispatch({ ...view.state.replaceSelection(text), userEvent: "input.paste", scrollIntoView: true });
+        view.focus();
+    } catch (error) {
+        console.error('Failed to read clipboard', error);
+        showNotification('クリップボードを読み取れませんでした', 'error');
+    }
+}
+
+// ========== 画像の貼り付け・ドロップ ==========
+
+const IMAGE_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/svg+xml': '.svg',
+    'image/bmp': '.bmp'
+};
+
+function isImageFile(file) {
+    return Object.prototype.hasOwnProperty.call(IMAGE_EXTENSIONS, file.type);
+}
+
+// 画像のパスを表示用の URL にする（相対パスは開いているファイルのフォルダを基準にする）
+function resolveImageSource(view, src) {
+    // http: / data: / file: などの URL はそのまま使う（C:\ のようなドライブ名は除く）
+    if (!src || (/^[a-z][a-z0-9+.-]*:/i.test(src) && !/^[a-z]:[\\/]/i.test(src))) return src;
+
+    let decoded = src;
+    try {
+        decoded = decodeURI(src);
+    } catch (e) {}
+
+    if (path.isAbsolute(decoded)) return pathToFileURL(decoded).href;
+    const filePath = getFilePathForView(view);
+    if (!filePath) return src;
+    return pathToFileURL(path.resolve(path.dirname(filePath), decoded)).href;
+}
+
+// ノートから targetPath への Markdown 用の相対パス（リンクとして壊れる空白と括弧だけをエスケープする）
+function toMarkdownLinkPath(notePath, targetPath) {
+    const relativePath = path.relative(path.dirname(notePath), targetPath).split(path.sep).join('/');
+    return relativePath.replace(/[ ()]/g, c => ({ ' ': '%20', '(': '%28', ')': '%29' })[c]);
+}
+
+// 見つからない画像の代わりのファイルを選び、ノートからの相対パスを返す（キャンセルした場合は null）
+async function locateImageFile(view, src) {
+    const notePath = getFilePathForView(view);
+    if (!notePath || view.state.readOnly) return null;
+
+    const result = await window.electronAPI.selectImageFile(path.dirname(notePath));
+    if (!result.success || !result.path) return null;
+    return toMarkdownLinkPath(notePath, result.path);
+}
+
+// 添付ファイルの保存先フォルダ
+function getAttachmentFolder(notePath) {
+    const noteDir = path.dirname(notePath);
+    const setting = (appSettings.attachmentFolder || '').trim();
+    if (!setting || setting === '.') return noteDir;
+    if (/^\.\.?([\\/]|$)/.test(setting)) return path.resolve(noteDir, setting);
+    return path.resolve(currentDirectoryPath || noteDir, setting);
+}
+
+// 貼り付けた画像のファイル名（同名のファイルがある場合は保存時に番号を付ける）
+function createAttachmentName(notePath, ext) {
+    if (appSettings.attachmentNaming === 'note') {
+        return path.basename(notePath, path.extname(notePath)) + ext;
+    }
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const date = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`;
+    const time = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    return `image-${date}-${time}${ext}`;
+}
+
+/**
+ * 画像ファイルを保存先フォルダに書き込み、ノートからの相対パスで ![](...) を挿入する
+ * @param {EditorView} view
+ * @param {File[]} files
+ * @param {number|null} pos - 挿入位置（null なら選択範囲を置き換える）
+ * @param {Object} [options]
+ * @param {boolean} [options.isPasted] - 貼り付けた画像（名前のないスクリーンショットなど）なら設定に従って名前を付ける。
+ *   ドロップしたファイルは元の名前を使う
+ */
+async function insertAttachments(view, files, pos, options = {}) {
+    const notePath = getFilePathForView(view);
+    if (!notePath || view.state.readOnly) {
+        showNotification('画像を挿入するには、保存済みのファイルを開いてください', 'error');
+        return;
+    }
+
+    const images = files.filter(isImageFile);
+    const skipped = files.filter(file => !isImageFile(file));
+    if (skipped.length > 0) {
+        showNotification(`画像以外のファイルは挿入できません: ${skipped.map(file => file.name).join(', ')}`, 'error');
+    }
+    if (images.length === 0) return;
+
+    const folder = getAttachmentFolder(notePath);
+    const links = [];
+    for (const file of images) {
+        const fileName = options.isPasted ? createAttachmentName(notePath, IMAGE_EXTENSIONS[file.type]) : file.name;
+        try {
+            const data = new Uint8Array(await file.arrayBuffer());
+            const result = await window.electronAPI.saveAttachment(folder, fileName, data);
+            if (!result.success) throw new Error(result.error);
+
+            links.push(`![](${toMarkdownLinkPath(notePath, result.path)})`);
+        } catch (error) {
+            console.error('Failed to save attachment', error);
+            showNotification(`画像を保存できませんでした: ${fileName}`, 'error');
+        }
+    }
+    if (links.length === 0) return;
+
+    // 画像は独立した行に置き、カーソルを次の行に移してすぐにプレビューを表示する
+    const state = view.state;
+    const from = pos === null ? state.selection.main.from : Math.min(pos, state.doc.length);
+    const to = pos === null ? state.selection.main.to : from;
+    const isLineStart = from === state.doc.lineAt(from).from;
+    const insert = (isLineStart ? '' : '\n') + links.join('\n') + '\n';
+    view.dispatch({
+        changes: { from, to, insert },
+        selection: { anchor: from + insert.length },
+        userEvent: pos === null ? 'input.paste' : 'input.drop',
+        scrollIntoView: true
+    });
+    view.focus();
+}
+
+function getPastedImagePlaceholder(index) {
+    return `pasted-image-${index}`;
+}
+
+/**
+ * HTML の貼り付けに含まれていた data: / file: の画像を添付ファイルとして保存する
+ * @returns {Promise<string|null>} ノートからの相対パス（保存できなければ null）
+ */
+async function savePastedImage(notePath, src) {
+    const folder = getAttachmentFolder(notePath);
+    try {
+        let result;
+        if (/^file:/i.test(src)) {
+            const filePath = fileURLToPath(src);
+            const ext = path.extname(filePath).toLowerCase();
+            if (ext !== '.jpeg' && !Object.values(IMAGE_EXTENSIONS).includes(ext)) return null;
+            result = await window.electronAPI.copyAttachment(filePath, folder, path.basename(filePath));
+        } else {
+            const blob = await (await fetch(src)).blob();
+            if (!isImageFile(blob)) return null;
+            const data = new Uint8Array(await blob.arrayBuffer());
+            result = await window.electronAPI.saveAttachment(folder, createAttachmentName(notePath, IMAGE_EXTENSIONS[blob.type]), data);
+        }
+        if (!result.success) throw new Error(result.error);
+        return toMarkdownLinkPath(notePath, result.path);
+    } catch (error) {
+        console.error('Failed to save pasted image', error);
+        return null;
+    }
+}
+
+// HTML から変換した Markdown を貼り付ける（仮のパスにしておいた画像は保存してから実際のパスに置き換える）
+async function insertPastedMarkdown(view, markdown, embeddedImages, skippedImages) {
+    const notePath = embeddedImages.length > 0 && !view.state.readOnly ? getFilePathForView(view) : null;
+    let skipped = skippedImages;
+    for (let i = 0; i < embeddedImages.length; i++) {
+        const placeholder = getPastedImagePlaceholder(i);
+        const linkPath = notePath ? await savePastedImage(notePath, embeddedImages[i]) : null;
+        if (linkPath) {
+            markdown = markdown.split(`](${placeholder})`).join(`](${linkPath})`);
+        } else {
+            markdown = markdown.replace(new RegExp(`!\\[(?:\\\\.|[^\\]\\\\])*\\]\\(${placeholder}\\)`), '');
+            skipped++;
+        }
+    }
+
+    view.dispatch({ ...view.state.replaceSelection(markdown), userEvent: "input.paste", scrollIntoView: true });
+    if (skipped > 0) {
+        showNotification(`${skipped} 件の画像は貼り付けできませんでした`, 'info');
+    }
+}
+
 // ドロップ時のデフォルト動作防止
 const dropHandler = EditorView.domEventHandlers({
     drop(event, view) {
+        // OS からドロップされたファイルは画像として保存する
+        if (event.dataTransfer.files.length > 0) {
+            event.preventDefault();
+            const pos = view.posAtCoords({ x: event.clientX, y: event.clientY });
+            insertAttachments(view, Array.from(event.dataTransfer.files), pos === null ? view.state.doc.length : pos);
+            return true;
+        }
+
         // タブ移動のデータが含まれているかチェック
         const data = event.dataTransfer.getData('text/plain');
         try {
@@ -463,6 +733,9 @@ class Pane {
         this.activeFilePath = null;
         this.editorView = null;
         this.manager = manager; 
+        this.fileStates = new Map(); // Map<filePath, EditorState>
+        this.scrollPositions = new Map(); // Map<filePath, scrollTop>
+        this.diffViews = new Map(); // Map<diffTabPath, DiffView>
         
         try {
             this.element = document.createElement('div');
@@ -478,9 +751,13 @@ class Pane {
             this.tabsContainer.className = 'pane-tabs-container';
             this.body = document.createElement('div');
             this.body.className = 'pane-body';
+            // 外部変更の競合・削除を知らせるバー
+            this.noticeBar = document.createElement('div');
+            this.noticeBar.className = 'pane-notice-bar hidden';
 
             this.header.appendChild(this.tabsContainer);
             this.element.appendChild(this.header);
+            this.element.appendChild(this.noticeBar);
             this.element.appendChild(this.body);
             
             parentContainer.appendChild(this.element);
@@ -499,49 +776,65 @@ class Pane {
         }
     }
 
-    // ...以下、initEditor() などのメソッドは既存のまま維持...
     initEditor() {
-        // (省略なしで既存コードを維持してください)
-        const initialTheme = appSettings.theme === 'dark' ? oneDark : [];
-        const initialStyle = EditorView.theme({
-            ".cm-content": {
-                fontSize: appSettings.fontSize,
-                fontFamily: appSettings.fontFamily
-            },
-            ".cm-gutters": {
-                fontSize: appSettings.fontSize,
-                fontFamily: appSettings.fontFamily
-            },
-            "&": { height: "100%" },
-            ".cm-scroller": { fontFamily: 'inherit' }
+        this.editorView = new EditorView({
+            state: this.createEditorState(""),
+            parent: this.body,
         });
+    }
 
-        const state = EditorState.create({
-            doc: "",
+    // ファイルごとに独立した EditorState を作成する（Undo履歴・選択範囲はファイル単位で保持される）
+    // options.readOnly: 過去のリビジョンなど編集できない内容を表示する場合
+    createEditorState(content, options = {}) {
+        return EditorState.create({
+            doc: content,
             extensions: [
-                themeCompartment.of(initialTheme),
-                editorStyleCompartment.of(initialStyle),
+                EditorState.readOnly.of(!!options.readOnly),
+                themeCompartment.of(appSettings.theme === 'dark' ? oneDark : []),
+                editorStyleCompartment.of(createEditorStyleTheme()),
+                blameCompartment.of([]),
                 indentUnit.of("    "),
+                // 補完の Enter をリスト継続の Enter より優先するため、リスト用キーマップより前に置く
+                wikiLinkExtension,
+                tagExtension,
                 Prec.highest(keymap.of(obsidianLikeListKeymap)),
                 pasteHandler,
                 dropHandler,
                 history(),
+                search({ top: true }),
+                highlightSelectionMatches(),
                 keymap.of([
                     ...defaultKeymap,
                     ...historyKeymap,
-                    { key: "Mod-s", run: () => { saveCurrentFile(false); return true; } }
+                    ...searchKeymap
                 ]),
                 syntaxHighlighting(defaultHighlightStyle),
                 markdown({ base: markdownLanguage, codeLanguages: codeLanguages }),
                 livePreviewPlugin,
+                imageOptions.of({ resolveSrc: resolveImageSource, locateImage: locateImageFile }),
+                frontMatterOptions.of({ editProperties: openPropertiesForm }),
                 tablePlugin,
                 EditorView.lineWrapping,
                 highlightActiveLine(),
                 lineNumbers(),
+                markdownFolding,
+                sectionNarrowing,
                 EditorView.updateListener.of(update => {
+                    // 行の位置が変わるため、折りたたんでいるファイルは編集のたびに記録し直す
+                    if (hasFoldChange(update.transactions) || (update.docChanged && savedFolds.has(this.activeFilePath))) {
+                        recordFoldState(this.activeFilePath, update.state);
+                    }
                     if (update.docChanged) {
+                        const isSync = update.transactions.some(tr => tr.annotation(SyncChange));
+                        if (isSync) return;
                         const isExternal = update.transactions.some(tr => tr.annotation(ExternalChange));
-                        onEditorInput(!isExternal);
+                        if (this.activeFilePath) {
+                            broadcastDocChanges(this, this.activeFilePath, update.changes);
+                        }
+                        onEditorInput(!isExternal, this);
+                    }
+                    if (update.selectionSet && this === getActivePane()) {
+                        updateActiveOutlineItem(update.view);
                     }
                     if (update.focusChanged && update.view.hasFocus) {
                         // ★変更: this.managerを使用
@@ -552,15 +845,132 @@ class Pane {
                 })
             ],
         });
+    }
 
-        this.editorView = new EditorView({
-            state: state,
-            parent: this.body,
+    // 現在表示中のファイルの状態（EditorState・スクロール位置）を退避する
+    saveActiveFileState() {
+        if (!this.editorView || !this.activeFilePath || isDiffTabPath(this.activeFilePath)) return;
+        this.fileStates.set(this.activeFilePath, this.editorView.state);
+        this.scrollPositions.set(this.activeFilePath, this.editorView.scrollDOM.scrollTop);
+    }
+
+    // 保存済みの状態を復元する。なければ新しい EditorState を作る
+    restoreFileState(filePath, content) {
+        // 表示中のファイルの状態はビューだけが持つ（同期の二重適用を防ぐため）
+        let state = this.fileStates.get(filePath);
+        this.fileStates.delete(filePath);
+        const isNewState = !state;
+
+        if (!state) {
+            state = this.createEditorState(content, { readOnly: isRevisionTabPath(filePath) });
+        } else if (state.doc.toString() !== content) {
+            // 他の場所で内容が更新されていた場合は差し替える（履歴には残さない）
+            state = state.update({
+                changes: { from: 0, to: state.doc.length, insert: content },
+                annotations: [ExternalChange.of(true), Transaction.addToHistory.of(false)]
+            }).state;
+        }
+
+        this.editorView.setState(state);
+        // 保存時から設定（テーマ・フォント）が変わっている可能性があるため再適用
+        this.editorView.dispatch({ effects: getEditorSettingsEffects() });
+        // 前回のセッションで折りたたんでいた箇所を戻す
+        if (isNewState) restoreFolds(this.editorView, savedFolds.get(filePath));
+
+        const scrollTop = this.scrollPositions.get(filePath) || 0;
+        requestAnimationFrame(() => {
+            if (this.editorView) this.editorView.scrollDOM.scrollTop = scrollTop;
+        });
+    }
+
+    /**
+     * 別ペインで行われた編集を、このペインが保持する同じファイルのドキュメントへ適用する
+     * カーソル・スクロール位置・Undo履歴はペインごとに独立したまま維持される
+     * @param {string} filePath - 編集されたファイル
+     * @param {ChangeSet} changes - 適用する変更
+     */
+    applyRemoteChanges(filePath, changes) {
+        const annotations = [SyncChange.of(true), Transaction.addToHistory.of(false)];
+
+        if (this.activeFilePath === filePath && this.editorView) {
+            this.editorView.dispatch({ changes, annotations });
+        } else if (this.fileStates.has(filePath)) {
+            const state = this.fileStates.get(filePath);
+            this.fileStates.set(filePath, state.update({ changes, annotations }).state);
+        }
+    }
+
+    // アクティブなファイルの競合・削除状態に応じて通知バーを表示する
+    updateNoticeBar() {
+        if (!this.noticeBar) return;
+        const filePath = this.activeFilePath;
+        this.noticeBar.innerHTML = '';
+
+        let message = null;
+        let actions = [];
+
+        if (filePath && orphanedFiles.has(filePath)) {
+            message = 'このファイルはディスク上から削除されました。';
+            actions = [
+                { label: '保存して復元', primary: true, run: () => saveFileByPath(filePath) },
+                { label: '閉じる', run: () => this.closeFile(filePath) }
+            ];
+        } else if (filePath && fileConflicts.has(filePath)) {
+            message = 'ディスク上のファイルが変更されましたが、未保存の変更があります。';
+            actions = [
+                { label: '自分の変更を残す', run: () => resolveFileConflict(filePath, 'mine') },
+                { label: 'ディスクの内容を採用', primary: true, run: () => resolveFileConflict(filePath, 'theirs') },
+                { label: '差分を表示', run: () => showConflictDiff(filePath) }
+            ];
+        }
+
+        if (!message) {
+            this.noticeBar.classList.add('hidden');
+            return;
+        }
+
+        const text = document.createElement('span');
+        text.className = 'pane-notice-message';
+        text.textContent = message;
+        this.noticeBar.appendChild(text);
+
+        actions.forEach(action => {
+            const btn = document.createElement('button');
+            btn.className = `pane-notice-btn ${action.primary ? 'primary' : ''}`;
+            btn.textContent = action.label;
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                action.run();
+            });
+            this.noticeBar.appendChild(btn);
         });
+        this.noticeBar.classList.remove('hidden');
+    }
+
+    // リネーム・移動時にファイルパスを差し替える
+    replaceFilePath(oldPath, newPath) {
+        const idx = this.files.indexOf(oldPath);
+        if (idx === -1) return false;
+
+        this.files[idx] = newPath;
+        if (this.activeFilePath === oldPath) this.activeFilePath = newPath;
+
+        if (this.fileStates.has(oldPath)) {
+            this.fileStates.set(newPath, this.fileStates.get(oldPath));
+            this.fileStates.delete(oldPath);
+        }
+        if (this.scrollPositions.has(oldPath)) {
+            this.scrollPositions.set(newPath, this.scrollPositions.get(oldPath));
+            this.scrollPositions.delete(oldPath);
+        }
+        this.updateTabs();
+        return true;
     }
 
     destroy() {
         console.log(`[Pane] Destroying pane ${this.id}`);
+        this.diffViews.forEach(diffView => diffView.destroy());
+        this.diffViews.clear();
         if (this.editorView) {
             this.editorView.destroy();
             this.editorView = null;
@@ -574,15 +984,16 @@ class Pane {
     updateTabs() {
         this.tabsContainer.innerHTML = '';
         this.files.forEach(filePath => {
-            const fileData = openedFiles.get(filePath);
-            const fileName = fileData ? fileData.fileName : path.basename(filePath);
+            const fileName = getTabTitle(filePath);
             const isActive = filePath === this.activeFilePath;
             const isDirty = fileModificationState.has(filePath);
+            const isOrphaned = orphanedFiles.has(filePath);
 
             const tab = document.createElement('div');
-            tab.className = `editor-tab ${isActive ? 'active' : ''}`;
+            tab.className = `editor-tab ${isActive ? 'active' : ''} ${isOrphaned ? 'orphaned' : ''}`;
             tab.dataset.filepath = filePath;
             tab.draggable = true;
+            if (isOrphaned) tab.title = 'ディスク上から削除されています';
             
             tab.innerHTML = `
                 <span class="tab-title">${fileName} ${isDirty ? '●' : ''}</span>
@@ -614,10 +1025,10 @@ class Pane {
             tab.addEventListener('dragend', (e) => {
                 tab.classList.remove('dragging');
                 // ★変更: this.managerを使用
-                if (this.manager) {
-                    this.manager.clearDragSource();
-                    this.manager.hideDropOverlay();
-                }
+                getAllLayoutManagers().forEach(mgr => {
+                    mgr.clearDragSource();
+                    mgr.hideDropOverlay();
+                });
             });
 
             this.tabsContainer.appendChild(tab);
@@ -638,14 +1049,19 @@ class Pane {
         if (index > -1) {
             this.files.splice(index, 1);
             if (this.activeFilePath === filePath) {
+                // 閉じるファイルの状態は退避せずに破棄する
+                this.activeFilePath = null;
                 const nextFile = this.files[index] || this.files[index - 1];
                 if (nextFile) {
                     this.switchToFile(nextFile);
                 } else {
-                    this.activeFilePath = null;
-                    this.setEditorContent("");
+                    this.showEditor();
+                    this.editorView.setState(this.createEditorState(""));
                 }
             }
+            this.destroyDiffView(filePath);
+            this.fileStates.delete(filePath);
+            this.scrollPositions.delete(filePath);
             this.updateTabs();
         }
 
@@ -664,6 +1080,9 @@ class Pane {
             if (!isOpenedElsewhere) {
                 openedFiles.delete(filePath);
                 fileModificationState.delete(filePath);
+                fileConflicts.delete(filePath);
+                orphanedFiles.delete(filePath);
+                revisionContents.delete(filePath);
             }
         }
 
@@ -678,11 +1097,32 @@ class Pane {
     }
 
     switchToFile(filePath) {
+        if (this.activeFilePath === filePath && this.editorView) {
+            this.updateTabs();
+            return;
+        }
+        this.saveActiveFileState();
+
+        // タブ切り替え時に、離れるファイルを自動保存
+        if (this.activeFilePath && fileModificationState.has(this.activeFilePath)) {
+            runAutoSave([this.activeFilePath]);
+        }
+
         this.activeFilePath = filePath;
+
+        if (isDiffTabPath(filePath)) {
+            this.showDiffView(filePath);
+            this.updateTabs();
+            this.updateNoticeBar();
+            return;
+        }
+        this.showEditor();
+
         const fileData = openedFiles.get(filePath);
-        const content = fileData ? fileData.content : "";
-        this.setEditorContent(content);
+        const content = fileData ? fileData.content : (revisionContents.get(filePath) ?? "");
+        if (this.editorView) this.restoreFileState(filePath, content);
         this.updateTabs();
+        this.updateNoticeBar();
         
         // タイトルバー更新は、メインマネージャーのアクティブペインの時だけに行うのが理想だが、
         // 簡易的に activeLayoutManager と照合してもよい
@@ -697,6 +1137,8 @@ class Pane {
         if (activeLayoutManager === this.manager) {
             updateFileStats();
             updateOutline();
+            scheduleHistoryRefresh();
+            renderBacklinks();
         }
         
         if (isPdfPreviewVisible) generatePdfPreview();
@@ -706,6 +1148,35 @@ class Pane {
         }
     }
 
+    // 差分タブを表示する（エディタは空の状態にして隠す）
+    showDiffView(diffTabPath) {
+        if (this.editorView) {
+            this.editorView.setState(this.createEditorState(""));
+            this.editorView.dom.style.display = 'none';
+        }
+
+        let diffView = this.diffViews.get(diffTabPath);
+        if (!diffView) {
+            diffView = createDiffView(getDiffTargetPath(diffTabPath));
+            this.diffViews.set(diffTabPath, diffView);
+            this.body.appendChild(diffView.element);
+        }
+        this.diffViews.forEach(view => view.element.classList.toggle('hidden', view !== diffView));
+        diffView.refresh();
+    }
+
+    showEditor() {
+        this.diffViews.forEach(view => view.element.classList.add('hidden'));
+        if (this.editorView) this.editorView.dom.style.display = '';
+    }
+
+    destroyDiffView(diffTabPath) {
+        const diffView = this.diffViews.get(diffTabPath);
+        if (!diffView) return;
+        diffView.destroy();
+        this.diffViews.delete(diffTabPath);
+    }
+
     setEditorContent(content) {
         if (!this.editorView) return;
         this.editorView.dispatch({
@@ -732,6 +1203,7 @@ class LayoutManager {
         this.rootContainer = document.getElementById(rootId);
         this.dragSource = null;
         this.currentDropZone = null;
+        this.currentDropPaneId = null;
     }
 
     // class LayoutManager 内
@@ -777,8 +1249,10 @@ class LayoutManager {
     removePane(id) {
         if (this.panes.has(id)) {
             const pane = this.panes.get(id);
+            const parentContainer = pane.element ? pane.element.parentElement : null;
             pane.destroy();
             this.panes.delete(id);
+            this.cleanupSplitContainer(parentContainer);
             
             if (this.panes.size > 0) {
                 const keys = Array.from(this.panes.keys());
@@ -816,6 +1290,7 @@ class LayoutManager {
             }
             if (typeof updateFileStats === 'function') updateFileStats();
             if (typeof updateOutline === 'function') updateOutline();
+            if (typeof renderBacklinks === 'function') renderBacklinks();
         }
     }
 
@@ -841,7 +1316,6 @@ class LayoutManager {
     }
 
     // ★修正: 完全なドラッグ＆ドロップロジック
-    // class LayoutManager の中にある setupDragDrop メソッド全体をこれに置き換えてください
     setupDragDrop() {
         const container = document.getElementById(this.dropZoneId);
         if (!container) {
@@ -862,10 +1336,15 @@ class LayoutManager {
         // --- ここからイベントリスナー ---
 
         container.addEventListener('dragover', (e) => {
+            // タブのドラッグ以外（ファイルツリーからのドラッグ等）は無視
+            if (!isTabDragActive()) return;
+
             e.preventDefault();
             e.stopPropagation();
 
-            const rect = container.getBoundingClientRect();
+            // ドロップ先のペイン基準で領域を判定する
+            const targetPane = this.getPaneFromEvent(e);
+            const rect = (targetPane ? targetPane.element : container).getBoundingClientRect();
             const x = e.clientX - rect.left;
             const y = e.clientY - rect.top;
             const w = rect.width;
@@ -873,60 +1352,342 @@ class LayoutManager {
             
             // 領域判定
             let zone = 'center';
-            const threshold = 50; 
+            const thresholdX = Math.min(80, w * 0.25);
+            const thresholdY = Math.min(80, h * 0.25);
 
-            if (x < threshold) zone = 'left';
-            else if (x > w - threshold) zone = 'right';
-            else if (y < threshold) zone = 'top';
-            else if (y > h - threshold) zone = 'bottom';
+            if (x < thresholdX) zone = 'left';
+            else if (x > w - thresholdX) zone = 'right';
+            else if (y < thresholdY) zone = 'top';
+            else if (y > h - thresholdY) zone = 'bottom';
 
             this.currentDropZone = zone;
+            this.currentDropPaneId = targetPane ? targetPane.id : null;
             this.showDropOverlay(zone, rect, dropOverlay);
         });
 
         container.addEventListener('dragleave', (e) => {
             e.preventDefault();
             e.stopPropagation();
+            // 子要素間の移動では消さない
+            if (e.relatedTarget && container.contains(e.relatedTarget)) return;
             this.hideDropOverlay(dropOverlay);
         });
 
         container.addEventListener('drop', (e) => {
+            const payload = getTabDragPayload(e);
+            if (!payload) return;
+
             e.preventDefault();
             e.stopPropagation();
+
+            // hideDropOverlay で currentDropZone がクリアされるため先に退避
+            const zone = this.currentDropZone || 'center';
+            const targetPane = this.getPaneFromEvent(e) || this.panes.get(this.currentDropPaneId) || this.activePane;
             this.hideDropOverlay(dropOverlay);
 
-            if (this.dragSource) {
-                if (this.activePane) {
-                     this.activePane.openFile(this.dragSource.filePath);
-                }
+            if (targetPane) {
+                this.moveTab(payload.paneId, payload.filePath, targetPane.id, zone);
+            }
+
+            getAllLayoutManagers().forEach(mgr => mgr.clearDragSource());
+        });
+    }
+
+    // イベント発生位置にあるペインを取得
+    getPaneFromEvent(e) {
+        const paneElement = e.target && e.target.closest ? e.target.closest('.pane') : null;
+        if (!paneElement) return null;
+        return this.panes.get(paneElement.dataset.id) || null;
+    }
+
+    // タブを別ペインへ移動する。zone が中央以外なら、ターゲットペインを分割して新しいペインに開く
+    moveTab(sourcePaneId, filePath, targetPaneId, zone = 'center') {
+        const sourcePane = findPaneById(sourcePaneId);
+        let targetPane = this.panes.get(targetPaneId);
+        if (!targetPane) return;
+
+        if (zone !== 'center') {
+            // 唯一のタブを自分自身の端にドロップしても分割の意味がない
+            if (sourcePane === targetPane && sourcePane.files.length <= 1) return;
+            const newPaneId = this.splitPane(targetPane.id, zone);
+            if (!newPaneId) return;
+            targetPane = this.panes.get(newPaneId);
+        }
+
+        if (sourcePane === targetPane) {
+            targetPane.switchToFile(filePath);
+            this.setActivePane(targetPane.id);
+            return;
+        }
+
+        targetPane.openFile(filePath);
+        if (sourcePane) {
+            sourcePane.closeFile(filePath, true);
+        }
+        this.setActivePane(targetPane.id);
+    }
+
+    /**
+     * ターゲットペインを分割し、新しいペインを作成する
+     * @param {string} targetPaneId - 分割するペインのID
+     * @param {'left'|'right'|'top'|'bottom'} zone - 新しいペインを配置する側
+     * @returns {string|null} 新しいペインのID
+     */
+    splitPane(targetPaneId, zone) {
+        const targetPane = this.panes.get(targetPaneId);
+        if (!targetPane || !targetPane.element) return null;
+
+        const direction = (zone === 'left' || zone === 'right') ? 'horizontal' : 'vertical';
+        const insertBefore = (zone === 'left' || zone === 'top');
+        const targetEl = targetPane.element;
+        let container = targetEl.parentElement;
+
+        // 親が同じ方向の分割コンテナでなければ、ターゲットを新しいコンテナで包む
+        if (!container.classList.contains('split-container') || !container.classList.contains(direction)) {
+            const wrapper = document.createElement('div');
+            wrapper.className = `split-container ${direction}`;
+            wrapper.style.flex = targetEl.style.flex || '1 1 0%';
+            container.replaceChild(wrapper, targetEl);
+            targetEl.style.flex = '1 1 0%';
+            wrapper.appendChild(targetEl);
+            container = wrapper;
+        }
+
+        const newPaneId = this.createPane(container);
+        const newPane = this.panes.get(newPaneId);
+        const gutter = this.createGutter(direction);
+
+        if (insertBefore) {
+            container.insertBefore(newPane.element, targetEl);
+            container.insertBefore(gutter, targetEl);
+        } else {
+            container.insertBefore(gutter, targetEl.nextSibling);
+            container.insertBefore(newPane.element, gutter.nextSibling);
+        }
+
+        // ターゲットの占有率を新しいペインと半分ずつに分ける
+        const grow = parseFloat(targetEl.style.flexGrow) || 1;
+        targetEl.style.flex = `${grow / 2} 1 0%`;
+        newPane.element.style.flex = `${grow / 2} 1 0%`;
+
+        this.refreshAllEditors();
+        return newPaneId;
+    }
+
+    // ペイン間のリサイズ用ガターを作成
+    createGutter(direction) {
+        const gutter = document.createElement('div');
+        gutter.className = `split-gutter ${direction}`;
+
+        gutter.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const prev = gutter.previousElementSibling;
+            const next = gutter.nextElementSibling;
+            if (!prev || !next) return;
+
+            const isHorizontal = direction === 'horizontal';
+            const startPos = isHorizontal ? e.clientX : e.clientY;
+            const prevRect = prev.getBoundingClientRect();
+            const nextRect = next.getBoundingClientRect();
+            const prevSize = isHorizontal ? prevRect.width : prevRect.height;
+            const nextSize = isHorizontal ? nextRect.width : nextRect.height;
+            const totalSize = prevSize + nextSize;
+            const totalGrow = (parseFloat(prev.style.flexGrow) || 1) + (parseFloat(next.style.flexGrow) || 1);
+            const minSize = 80;
+            const bodyClass = isHorizontal ? 'is-resizing-col' : 'is-resizing-row';
+
+            gutter.classList.add('resizing');
+            document.body.classList.add(bodyClass);
+
+            const onMouseMove = (moveEvent) => {
+                const delta = (isHorizontal ? moveEvent.clientX : moveEvent.clientY) - startPos;
+                const newPrevSize = Math.min(Math.max(prevSize + delta, minSize), totalSize - minSize);
+                const prevGrow = totalGrow * (newPrevSize / totalSize);
+                prev.style.flex = `${prevGrow} 1 0%`;
+                next.style.flex = `${totalGrow - prevGrow} 1 0%`;
+            };
+
+            const onMouseUp = () => {
+                gutter.classList.remove('resizing');
+                document.body.classList.remove(bodyClass);
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+                this.refreshAllEditors();
+            };
+
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+        });
+
+        return gutter;
+    }
+
+    // ペイン削除後に分割コンテナを整理する（余分なガターの除去・子が1つになったコンテナの解除）
+    cleanupSplitContainer(container) {
+        if (!container || !container.classList.contains('split-container')) return;
+
+        const isGutter = (el) => el && el.classList.contains('split-gutter');
+        let children = Array.from(container.children);
+        children.forEach((child, i) => {
+            const prev = children[i - 1];
+            if (isGutter(child) && (i === 0 || i === children.length - 1 || isGutter(prev))) {
+                child.remove();
             }
-            
-            this.clearDragSource();
         });
+
+        // 末尾に残ったガターを除去
+        while (isGutter(container.lastElementChild)) container.lastElementChild.remove();
+        while (isGutter(container.firstElementChild)) container.firstElementChild.remove();
+
+        const items = Array.from(container.children).filter(el => !isGutter(el));
+        const parent = container.parentElement;
+
+        if (items.length === 0) {
+            container.remove();
+            this.cleanupSplitContainer(parent);
+        } else if (items.length === 1) {
+            const only = items[0];
+            only.style.flex = container.style.flex || '1 1 0%';
+            parent.replaceChild(only, container);
+        }
     }
 
     showDropOverlay(zone, rect, overlayElement) {
         if (!overlayElement) return;
-        
-        overlayElement.classList.remove('hidden');
-        overlayElement.style.top = `${rect.top}px`;
-        overlayElement.style.left = `${rect.left}px`;
-        overlayElement.style.width = `${rect.width}px`;
-        overlayElement.style.height = `${rect.height}px`;
 
-        // ゾーンに応じたハイライト表示（CSSクラス切り替え等）
-        // ここでは簡易的に全画面をハイライト
+        // ゾーンに応じてハイライトする範囲を決める（端なら半分、中央なら全体）
+        let { top, left, width, height } = rect;
+        if (zone === 'left') width = width / 2;
+        else if (zone === 'right') { left = left + width / 2; width = width / 2; }
+        else if (zone === 'top') height = height / 2;
+        else if (zone === 'bottom') { top = top + height / 2; height = height / 2; }
+
+        overlayElement.classList.remove('hidden');
+        overlayElement.style.top = `${top}px`;
+        overlayElement.style.left = `${left}px`;
+        overlayElement.style.width = `${width}px`;
+        overlayElement.style.height = `${height}px`;
         overlayElement.style.opacity = '0.3';
-        overlayElement.style.backgroundColor = 'var(--accent-color)';
+        overlayElement.style.backgroundColor = 'var(--accent-color, #007acc)';
     }
 
     hideDropOverlay(overlayElement) {
         if (!overlayElement) overlayElement = document.getElementById(`drop-overlay-${this.rootId}`) || document.getElementById('drop-overlay');
         if (overlayElement) overlayElement.classList.add('hidden');
         this.currentDropZone = null;
+        this.currentDropPaneId = null;
     }
 }
 
+// 全てのLayoutManager（メイン・右）を取得
+function getAllLayoutManagers() {
+    return [mainLayoutManager, rightLayoutManager].filter(m => m);
+}
+
+// 全LayoutManagerからペインをIDで検索
+function findPaneById(paneId) {
+    for (const mgr of getAllLayoutManagers()) {
+        if (mgr.panes.has(paneId)) return mgr.panes.get(paneId);
+    }
+    return null;
+}
+
+// いずれかのペインでタブのドラッグ中か
+function isTabDragActive() {
+    return getAllLayoutManagers().some(mgr => mgr.dragSource);
+}
+
+// ドロップイベントからタブ移動のデータ ({ paneId, filePath }) を取り出す
+function getTabDragPayload(e) {
+    try {
+        const parsed = JSON.parse(e.dataTransfer.getData('text/plain'));
+        if (parsed && parsed.paneId && parsed.filePath) return parsed;
+    } catch (err) {}
+
+    const source = getAllLayoutManagers().map(mgr => mgr.dragSource).find(s => s);
+    return source || null;
+}
+
+// 全てのペインを取得
+function getAllPanes() {
+    const panes = [];
+    getAllLayoutManagers().forEach(mgr => mgr.panes.forEach(pane => panes.push(pane)));
+    return panes;
+}
+
+// ある編集を、同じファイルを開いている他の全ペインへ反映する
+function broadcastDocChanges(sourcePane, filePath, changes) {
+    getAllPanes().forEach(pane => {
+        if (pane !== sourcePane) pane.applyRemoteChanges(filePath, changes);
+    });
+}
+
+/**
+ * ファイルへ通常の編集として変更を適用する（Undo 履歴に残る）
+ * 表示中のペインがあればそのエディタへ、なければタブが保持している EditorState へ適用し、他のペインへ同期する
+ * @param {string} filePath
+ * @param {Array<{from: number, to: number, insert: string}>} changes - 現在の内容に対する変更
+ * @returns {boolean} 適用できたか（どのペインでも開かれていなければ false）
+ */
+function applyUserChangesToFile(filePath, changes) {
+    const panes = getAllPanes();
+    const owner = panes.find(p => p.activeFilePath === filePath && p.editorView) ||
+        panes.find(p => p.fileStates.has(filePath));
+    if (!owner) return false;
+
+    if (owner.activeFilePath === filePath) {
+        // 同期・未保存マークは updateListener が行う
+        owner.editorView.dispatch({ changes });
+        return true;
+    }
+
+    const tr = owner.fileStates.get(filePath).update({ changes });
+    owner.fileStates.set(filePath, tr.state);
+    broadcastDocChanges(owner, filePath, tr.changes);
+
+    const fileData = openedFiles.get(filePath);
+    if (fileData) fileData.content = tr.state.doc.toString();
+    fileModificationState.set(filePath, true);
+    refreshTabsForFile(filePath);
+    scheduleAutoSave(filePath);
+    return true;
+}
+
+// ファイルを開き、指定範囲を選択してスクロールする
+async function openFileAtRange(filePath, from, to = from) {
+    await openFile(filePath, path.basename(filePath));
+
+    const pane = layoutManager.activePane;
+    if (!pane || !pane.editorView || pane.activeFilePath !== path.resolve(filePath)) return;
+
+    // タブ切り替え時のスクロール位置復元 (requestAnimationFrame) の後に移動する
+    requestAnimationFrame(() => {
+        const view = pane.editorView;
+        if (!view || pane.activeFilePath !== path.resolve(filePath)) return;
+        const docLength = view.state.doc.length;
+        const anchor = Math.min(from, docLength);
+        view.dispatch({
+            selection: { anchor, head: Math.min(to, docLength) },
+            effects: EditorView.scrollIntoView(anchor, { y: 'center' })
+        });
+        view.focus();
+    });
+}
+
+// 指定ファイルを表示している全ペインの通知バーを更新
+function refreshNoticeBarsForFile(filePath) {
+    getAllPanes().forEach(pane => {
+        if (pane.activeFilePath === filePath) pane.updateNoticeBar();
+    });
+}
+
+// 指定ファイルを開いている全ペインのタブ表示（変更マーク等）を更新
+function refreshTabsForFile(filePath) {
+    getAllPanes().forEach(pane => {
+        if (pane.files.includes(filePath)) pane.updateTabs();
+    });
+}
+
 
 // グローバルスコープへの露出（既存コード互換）
 Object.defineProperty(window, 'globalEditorView', {
@@ -994,11 +1755,20 @@ function applySettingsToUI() {
     const fontFamilyInput = document.getElementById('font-family');
     const themeInput = document.getElementById('theme');
     const autoSaveInput = document.getElementById('auto-save');
+    const autoSaveDelayInput = document.getElementById('auto-save-delay');
+    const attachmentFolderInput = document.getElementById('attachment-folder');
+    const attachmentNamingInput = document.getElementById('attachment-naming');
 
     if (fontSizeInput) fontSizeInput.value = appSettings.fontSize;
     if (fontFamilyInput) fontFamilyInput.value = appSettings.fontFamily;
     if (themeInput) themeInput.value = appSettings.theme;
     if (autoSaveInput) autoSaveInput.checked = appSettings.autoSave;
+    if (autoSaveDelayInput) {
+        autoSaveDelayInput.value = String(appSettings.autoSaveDelay);
+        autoSaveDelayInput.disabled = !appSettings.autoSave;
+    }
+    if (attachmentFolderInput) attachmentFolderInput.value = appSettings.attachmentFolder;
+    if (attachmentNamingInput) attachmentNamingInput.value = appSettings.attachmentNaming;
 
     if (appSettings.theme === 'dark') {
         document.body.setAttribute('data-theme', 'dark');
@@ -1010,25 +1780,37 @@ function applySettingsToUI() {
     document.documentElement.style.setProperty('--editor-font-family', appSettings.fontFamily);
 }
 
+// エディタのフォント設定用テーマを作成
+function createEditorStyleTheme() {
+    return EditorView.theme({
+        ".cm-content": {
+            fontSize: appSettings.fontSize,
+            fontFamily: appSettings.fontFamily
+        },
+        ".cm-gutters": {
+            fontSize: appSettings.fontSize,
+            fontFamily: appSettings.fontFamily
+        },
+        "&": { height: "100%" },
+        ".cm-scroller": { fontFamily: 'inherit' }
+    });
+}
+
+// 現在の設定をエディタへ反映するためのエフェクト
+function getEditorSettingsEffects() {
+    return [
+        themeCompartment.reconfigure(appSettings.theme === 'dark' ? oneDark : []),
+        editorStyleCompartment.reconfigure(createEditorStyleTheme())
+    ];
+}
+
 function updateEditorSettings() {
-    layoutManager.panes.forEach(pane => {
-        if (pane.editorView) {
-            pane.editorView.dispatch({
-                effects: [
-                    themeCompartment.reconfigure(appSettings.theme === 'dark' ? oneDark : []),
-                    editorStyleCompartment.reconfigure(EditorView.theme({
-                        ".cm-content": {
-                            fontSize: appSettings.fontSize,
-                            fontFamily: appSettings.fontFamily
-                        },
-                        ".cm-gutters": {
-                            fontSize: appSettings.fontSize,
-                            fontFamily: appSettings.fontFamily
-                        }
-                    }))
-                ]
-            });
-        }
+    getAllLayoutManagers().forEach(mgr => {
+        mgr.panes.forEach(pane => {
+            if (pane.editorView) {
+                pane.editorView.dispatch({ effects: getEditorSettingsEffects() });
+            }
+        });
     });
 }
 
@@ -1057,6 +1839,29 @@ function setupSettingsListeners() {
     document.getElementById('auto-save')?.addEventListener('change', (e) => {
         appSettings.autoSave = e.target.checked;
         saveSettings();
+        applySettingsToUI();
+        if (appSettings.autoSave) {
+            fileModificationState.forEach((_, filePath) => scheduleAutoSave(filePath));
+        } else {
+            autoSaveTimers.forEach(timer => clearTimeout(timer));
+            autoSaveTimers.clear();
+        }
+        updateAutoSaveStatus(null);
+    });
+
+    document.getElementById('auto-save-delay')?.addEventListener('change', (e) => {
+        appSettings.autoSaveDelay = parseInt(e.target.value, 10) || 1000;
+        saveSettings();
+    });
+
+    document.getElementById('attachment-folder')?.addEventListener('change', (e) => {
+        appSettings.attachmentFolder = e.target.value.trim();
+        saveSettings();
+    });
+
+    document.getElementById('attachment-naming')?.addEventListener('change', (e) => {
+        appSettings.attachmentNaming = e.target.value;
+        saveSettings();
     });
 }
 
@@ -1104,6 +1909,14 @@ function getActiveView() {
     return mainLayoutManager && mainLayoutManager.activePane ? mainLayoutManager.activePane.editorView : null;
 }
 
+// アクティブなペイン（メイン・右のうち最後に操作した方）を取得
+function getActivePane() {
+    if (activeLayoutManager && activeLayoutManager.activePane) {
+        return activeLayoutManager.activePane;
+    }
+    return mainLayoutManager ? mainLayoutManager.activePane : null;
+}
+
 // 互換性のため window.layoutManager も維持する場合（必要に応じて）
 Object.defineProperty(window, 'layoutManager', {
     get: () => mainLayoutManager
@@ -1320,77 +2133,87 @@ function insertCodeBlock(view) {
 }
 
 // ========== ツールバーボタン イベントリスナー ==========
-document.getElementById('btn-save')?.addEventListener('click', () => saveCurrentFile(false));
-document.getElementById('toolbar-undo')?.addEventListener('click', () => { const v = getActiveView(); if (v) { undo(v); v.focus(); } });
-document.getElementById('toolbar-redo')?.addEventListener('click', () => { const v = getActiveView(); if (v) { redo(v); v.focus(); } });
+// 処理はコマンドとして登録し（「コマンド」の節）、ボタンからはコマンドを実行する
+const TOOLBAR_COMMANDS = {
+    'btn-save': 'file.save',
+    'toolbar-undo': 'edit.undo',
+    'toolbar-redo': 'edit.redo',
+    'btn-h2': 'format.heading2',
+    'btn-h3': 'format.heading3',
+    'bold-btn': 'format.bold',
+    'italic-btn': 'format.italic',
+    'strike-btn': 'format.strikethrough',
+    'highlight-btn': 'format.highlight',
+    'link-btn': 'format.link',
+    'image-btn': 'format.image',
+    'btn-table': 'format.table',
+    'code-btn': 'format.codeBlock',
+    'inline-code-btn': 'format.inlineCode',
+    'quote-btn': 'format.quote',
+    'hr-btn': 'format.horizontalRule',
+    'btn-page-break': 'format.pageBreak',
+    'btn-bullet-list': 'format.bulletList',
+    'btn-number-list': 'format.numberList',
+    'btn-check-list': 'format.checkList',
+    'btn-close-file-toolbar': 'file.closeTab',
+    'btn-export-pdf': 'file.exportPdf'
+};
 
-document.getElementById('btn-h2')?.addEventListener('click', () => toggleLinePrefix(getActiveView(), "##"));
-document.getElementById('btn-h3')?.addEventListener('click', () => toggleLinePrefix(getActiveView(), "###"));
+Object.entries(TOOLBAR_COMMANDS).forEach(([buttonId, commandId]) => {
+    document.getElementById(buttonId)?.addEventListener('click', () => commandRegistry.execute(commandId));
+});
 
 document.querySelectorAll('.dropdown-item[data-action^="h"]').forEach(item => {
     item.addEventListener('click', (e) => {
         const level = parseInt(e.target.dataset.action.replace('h', ''));
-        const hashes = "#".repeat(level);
-        toggleLinePrefix(getActiveView(), hashes);
+        commandRegistry.execute(`format.heading${level}`);
     });
 });
 
-document.getElementById('bold-btn')?.addEventListener('click', () => toggleMark(getActiveView(), "**"));
-document.getElementById('italic-btn')?.addEventListener('click', () => toggleMark(getActiveView(), "*"));
-document.getElementById('strike-btn')?.addEventListener('click', () => toggleMark(getActiveView(), "~~"));
-document.getElementById('highlight-btn')?.addEventListener('click', () => toggleMark(getActiveView(), "=="));
-
-document.getElementById('link-btn')?.addEventListener('click', () => insertLink(getActiveView()));
-document.getElementById('image-btn')?.addEventListener('click', () => insertImage(getActiveView()));
-document.getElementById('btn-table')?.addEventListener('click', () => insertTable(getActiveView()));
-
-document.getElementById('code-btn')?.addEventListener('click', () => insertCodeBlock(getActiveView()));
-document.getElementById('inline-code-btn')?.addEventListener('click', () => toggleMark(getActiveView(), "`"));
-document.getElementById('quote-btn')?.addEventListener('click', () => toggleLinePrefix(getActiveView(), ">"));
-document.getElementById('hr-btn')?.addEventListener('click', () => insertHorizontalRule(getActiveView()));
-document.getElementById('btn-page-break')?.addEventListener('click', () => insertPageBreak(getActiveView()));
+function runUndo() {
+    const view = getActiveView();
+    if (view) { undo(view); view.focus(); }
+}
 
-if (btnBulletList) btnBulletList.addEventListener('click', () => toggleList(getActiveView(), 'ul'));
-if (btnNumberList) btnNumberList.addEventListener('click', () => toggleList(getActiveView(), 'ol'));
-if (btnCheckList) btnCheckList.addEventListener('click', () => toggleList(getActiveView(), 'task'));
+function runRedo() {
+    const view = getActiveView();
+    if (view) { redo(view); view.focus(); }
+}
 
-document.getElementById('btn-close-file-toolbar')?.addEventListener('click', () => {
+function closeActiveTab() {
     if (layoutManager.activePane && layoutManager.activePane.activeFilePath) {
         layoutManager.activePane.closeFile(layoutManager.activePane.activeFilePath);
     }
-});
+}
 
-const btnExportPdf = document.getElementById('btn-export-pdf');
-if (btnExportPdf) {
-    btnExportPdf.addEventListener('click', async () => {
-        const view = getActiveView();
-        if (!view) return;
-        const markdownContent = view.state.doc.toString();
+async function exportPdf() {
+    const view = getActiveView();
+    if (!view) return;
+    const markdownContent = view.state.doc.toString();
 
-        if (!markdownContent.trim()) {
-            showNotification('エクスポートするコンテンツがありません。', 'error');
-            return;
-        }
+    if (!markdownContent.trim()) {
+        showNotification('エクスポートするコンテンツがありません。', 'error');
+        return;
+    }
 
-        try {
-            const processedMarkdown = await processMarkdownForExport(markdownContent);
-            const htmlContent = marked.parse(processedMarkdown, { breaks: true, gfm: true });
+    try {
+        const processedMarkdown = await processMarkdownForExport(markdownContent);
+        const htmlContent = marked.parse(processedMarkdown, { breaks: true, gfm: true });
 
-            if (typeof window.electronAPI?.exportPdf === 'function') {
-                const result = await window.electronAPI.exportPdf(htmlContent);
-                if (result.success) {
-                    showNotification(`PDFの保存が完了しました: ${result.path}`, 'success');
-                } else if (!result.canceled) {
-                    showNotification(`PDFの保存に失敗しました: ${result.error}`, 'error');
-                }
-            } else {
-                showNotification('PDFエクスポート機能は利用できません。', 'error');
+        if (typeof window.electronAPI?.exportPdf === 'function') {
+            const result = await window.electronAPI.exportPdf(htmlContent, getDocumentMetadata(markdownContent));
+            if (result.success) {
+                showNotification(`PDFの保存が完了しました: ${result.path}`, 'success');
+            } else if (!result.canceled) {
+                showNotification(`PDFの保存に失敗しました: ${result.error}`, 'error');
             }
-        } catch (e) {
-            console.error('PDF Export Error:', e);
-            showNotification('予期せぬエラーが発生しました: ' + e.message, 'error');
+        } else {
+            showNotification('PDFエクスポート機能は利用できません。', 'error');
         }
-    });
+    } catch (e) {
+        console.error('PDF Export Error:', e);
+        showNotification('予期せぬエラーが発生しました: ' + e.message, 'error');
+    }
 }
 
 // ========== ツールバーのレスポンシブ対応 ==========
@@ -1478,19 +2301,25 @@ function handleToolbarResize() {
 }
 
 // ========== 基本機能 ==========
-function onEditorInput(markAsDirty = true) {
-    const pane = layoutManager.activePane;
+function onEditorInput(markAsDirty = true, pane = getActivePane()) {
     if (!pane) return;
-    
+
+    // openedFiles は全ペイン共通のドキュメントモデルなので、キー入力ごとに最新化する
+    const fileData = pane.activeFilePath ? openedFiles.get(pane.activeFilePath) : null;
+    if (fileData) {
+        fileData.content = pane.editorView.state.doc.toString();
+    }
+
     if (markAsDirty && pane.activeFilePath && pane.activeFilePath !== 'README.md') {
+        const wasDirty = fileModificationState.has(pane.activeFilePath);
         fileModificationState.set(pane.activeFilePath, true);
-        const fileData = openedFiles.get(pane.activeFilePath);
-        if (fileData) {
-            fileData.content = pane.editorView.state.doc.toString();
-        }
-        pane.updateTabs();
+        if (!wasDirty) refreshTabsForFile(pane.activeFilePath);
+        scheduleAutoSave(pane.activeFilePath);
     }
 
+    // 統計・アウトライン等はアクティブペインの入力時のみ更新
+    if (pane !== getActivePane()) return;
+
     if (window.outlineUpdateTimeout) clearTimeout(window.outlineUpdateTimeout);
     window.outlineUpdateTimeout = setTimeout(() => {
         updateOutline();
@@ -1784,21 +2613,24 @@ function updateTerminalVisibility() {
     const pdfPreviewHeader = document.getElementById('pdf-preview-header');
     const pdfPreviewContainer = document.getElementById('pdf-preview-container');
     const rightMarkdownContainer = document.getElementById('right-markdown-container');
+    const backlinksContainer = document.getElementById('backlinks-container');
     const rightPane = document.getElementById('right-pane');
     const resizerRight = document.getElementById('resizer-right');
 
     const btnTerminalRight = document.getElementById('btn-terminal-right');
     const btnPdfPreview = document.getElementById('btn-pdf-preview');
     const btnRightMarkdown = document.getElementById('btn-right-markdown');
+    const btnBacklinks = document.getElementById('btn-backlinks');
 
     // 表示条件のロジック
     const showPdf = isPdfPreviewVisible;
     const showRightMarkdown = isRightMarkdownVisible;
+    const showBacklinks = isBacklinksVisible;
     // ターミナルは「右配置」かつ「表示ON」のとき
     const showTerminalRight = isTerminalVisible && isPositionRight;
     
     // いずれかがONなら右ペインを表示
-    const needRightPane = (showPdf || showTerminalRight || showRightMarkdown) && isRightActivityBarVisible;
+    const needRightPane = (showPdf || showTerminalRight || showRightMarkdown || showBacklinks) && isRightActivityBarVisible;
 
     // 定数: サイドバー幅など
     const activityBarWidth = 40; 
@@ -1816,6 +2648,7 @@ function updateTerminalVisibility() {
             toggleVisibility(pdfPreviewHeader, true);
             toggleVisibility(pdfPreviewContainer, true);
             toggleVisibility(rightMarkdownContainer, false);
+            toggleVisibility(backlinksContainer, false);
         } else if (showRightMarkdown) {
             // Markdown
             toggleVisibility(terminalHeader, false);
@@ -1823,9 +2656,18 @@ function updateTerminalVisibility() {
             toggleVisibility(pdfPreviewHeader, false);
             toggleVisibility(pdfPreviewContainer, false);
             toggleVisibility(rightMarkdownContainer, true);
+            toggleVisibility(backlinksContainer, false);
             
             // レイアウト再計算
             if (rightLayoutManager) rightLayoutManager.refreshAllEditors();
+        } else if (showBacklinks) {
+            // バックリンク
+            toggleVisibility(terminalHeader, false);
+            toggleVisibility(terminalContainer, false);
+            toggleVisibility(pdfPreviewHeader, false);
+            toggleVisibility(pdfPreviewContainer, false);
+            toggleVisibility(rightMarkdownContainer, false);
+            toggleVisibility(backlinksContainer, true);
         } else {
             // Terminal
             toggleVisibility(terminalHeader, true);
@@ -1833,6 +2675,7 @@ function updateTerminalVisibility() {
             toggleVisibility(pdfPreviewHeader, false);
             toggleVisibility(pdfPreviewContainer, false);
             toggleVisibility(rightMarkdownContainer, false);
+            toggleVisibility(backlinksContainer, false);
         }
         
         // CSS変数で幅制御（必要であれば）
@@ -1847,6 +2690,7 @@ function updateTerminalVisibility() {
     if (btnTerminalRight) btnTerminalRight.classList.toggle('active', showTerminalRight);
     if (btnPdfPreview) btnPdfPreview.classList.toggle('active', showPdf);
     if (btnRightMarkdown) btnRightMarkdown.classList.toggle('active', showRightMarkdown);
+    if (btnBacklinks) btnBacklinks.classList.toggle('active', showBacklinks);
 }
 
 
@@ -1856,10 +2700,16 @@ function switchHeaderButtons(targetId) {
     const headerButtonsFiles = document.getElementById('header-buttons-files');
     const headerButtonsGit = document.getElementById('header-buttons-git');
     const headerButtonsOutline = document.getElementById('header-buttons-outline');
+    const headerButtonsHistory = document.getElementById('header-buttons-history');
+    const headerButtonsSearch = document.getElementById('header-buttons-search');
+    const headerButtonsTags = document.getElementById('header-buttons-tags');
 
     if (headerButtonsFiles) headerButtonsFiles.classList.add('content-hidden');
     if (headerButtonsGit) headerButtonsGit.classList.add('content-hidden');
     if (headerButtonsOutline) headerButtonsOutline.classList.add('content-hidden');
+    if (headerButtonsHistory) headerButtonsHistory.classList.add('content-hidden');
+    if (headerButtonsSearch) headerButtonsSearch.classList.add('content-hidden');
+    if (headerButtonsTags) headerButtonsTags.classList.add('content-hidden');
 
     if (targetId === 'files' && headerButtonsFiles) {
         headerButtonsFiles.classList.remove('content-hidden');
@@ -1867,56 +2717,69 @@ function switchHeaderButtons(targetId) {
         headerButtonsGit.classList.remove('content-hidden');
     } else if (targetId === 'outline' && headerButtonsOutline) {
         headerButtonsOutline.classList.remove('content-hidden');
+    } else if (targetId === 'history' && headerButtonsHistory) {
+        headerButtonsHistory.classList.remove('content-hidden');
+    } else if (targetId === 'search' && headerButtonsSearch) {
+        headerButtonsSearch.classList.remove('content-hidden');
+    } else if (targetId === 'tags' && headerButtonsTags) {
+        headerButtonsTags.classList.remove('content-hidden');
     }
 }
 
 // ========== イベントリスナー設定 ==========
 
-if (btnTerminalRight) {
-    btnTerminalRight.addEventListener('click', () => {
-        if (isTerminalVisible && isPositionRight) {
-            isTerminalVisible = false; // 閉じる
-        } else {
-            isTerminalVisible = true;
-            isPdfPreviewVisible = false;
-            isRightMarkdownVisible = false; // 他をOFF
-        }
-        updateTerminalVisibility();
-    });
+function toggleRightTerminal() {
+    if (isTerminalVisible && isPositionRight) {
+        isTerminalVisible = false; // 閉じる
+    } else {
+        isTerminalVisible = true;
+        isPdfPreviewVisible = false;
+        isRightMarkdownVisible = false; // 他をOFF
+        isBacklinksVisible = false;
+    }
+    updateTerminalVisibility();
 }
 
-if (btnTogglePosition) {
-    btnTogglePosition.addEventListener('click', () => {
-        isPositionRight = !isPositionRight;
-        requestAnimationFrame(() => {
-            updateTerminalVisibility();
-        });
+function toggleTerminalPosition() {
+    isPositionRight = !isPositionRight;
+    requestAnimationFrame(() => {
+        updateTerminalVisibility();
     });
 }
 
-if (btnToggleLeftPane) {
-    btnToggleLeftPane.addEventListener('click', () => {
-        const willHide = !leftPane.classList.contains('hidden');
+function toggleLeftPane() {
+    const willHide = !leftPane.classList.contains('hidden');
 
-        document.body.classList.add('is-layout-changing');
+    document.body.classList.add('is-layout-changing');
 
-        leftPane.classList.toggle('hidden', willHide);
-        ideContainer.classList.toggle('left-pane-hidden', willHide);
+    leftPane.classList.toggle('hidden', willHide);
+    ideContainer.classList.toggle('left-pane-hidden', willHide);
 
-        updateLeftPaneWidthVariable();
+    updateLeftPaneWidthVariable();
 
-        leftPane.addEventListener('transitionend', () => {
-            document.body.classList.remove('is-layout-changing');
+    leftPane.addEventListener('transitionend', () => {
+        document.body.classList.remove('is-layout-changing');
 
-            if (isTerminalVisible && !isPositionRight && activeTerminalId) {
-                fitTerminal(activeTerminalId);
-            }
-        }, { once: true });
+        if (isTerminalVisible && !isPositionRight && activeTerminalId) {
+            fitTerminal(activeTerminalId);
+        }
+    }, { once: true });
 
-        setTimeout(() => {
-            document.body.classList.remove('is-layout-changing');
-        }, 300);
-    });
+    setTimeout(() => {
+        document.body.classList.remove('is-layout-changing');
+    }, 300);
+}
+
+if (btnTerminalRight) {
+    btnTerminalRight.addEventListener('click', () => commandRegistry.execute('view.toggleTerminal'));
+}
+
+if (btnTogglePosition) {
+    btnTogglePosition.addEventListener('click', () => commandRegistry.execute('view.toggleTerminalPosition'));
+}
+
+if (btnToggleLeftPane) {
+    btnToggleLeftPane.addEventListener('click', () => commandRegistry.execute('view.toggleLeftPane'));
 }
 
 topSideSwitchButtons.forEach(btn => {
@@ -1947,6 +2810,14 @@ topSideSwitchButtons.forEach(btn => {
             targetContent.classList.remove('content-hidden');
             if (targetId === 'outline') {
                 updateOutline();
+            } else if (targetId === 'git') {
+                refreshGitStatus();
+            } else if (targetId === 'history') {
+                refreshHistory();
+            } else if (targetId === 'search') {
+                focusWorkspaceSearch();
+            } else if (targetId === 'tags') {
+                renderTagsPanel();
             }
         }
 
@@ -1954,26 +2825,32 @@ topSideSwitchButtons.forEach(btn => {
     });
 });
 
-if (btnZen) {
-    btnZen.addEventListener('click', () => {
-        const enteringZenMode = !ideContainer.classList.contains('zen-mode-active');
+// 左ペインのパネル（files / search / git / outline / tags / history）を表示する
+function showSidePanel(targetId) {
+    const sideSwitch = document.querySelector(`.side-switch[data-target="${targetId}"]`);
+    if (sideSwitch) sideSwitch.click();
+}
 
-        if (enteringZenMode) {
-            savedRightActivityBarState = isRightActivityBarVisible;
-            isTerminalVisible = false;
-            isPdfPreviewVisible = false;
-            isRightActivityBarVisible = false;
-            updateTerminalVisibility();
-        }
+function toggleZenMode() {
+    const enteringZenMode = !ideContainer.classList.contains('zen-mode-active');
 
-        ideContainer.classList.toggle('zen-mode-active');
-    });
+    if (enteringZenMode) {
+        savedRightActivityBarState = isRightActivityBarVisible;
+        isTerminalVisible = false;
+        isPdfPreviewVisible = false;
+        isRightActivityBarVisible = false;
+        updateTerminalVisibility();
+    }
+
+    ideContainer.classList.toggle('zen-mode-active');
+}
+
+if (btnZen) {
+    btnZen.addEventListener('click', () => commandRegistry.execute('view.toggleZenMode'));
 }
 
 if (btnPdfPreview) {
-    btnPdfPreview.addEventListener('click', () => {
-        togglePdfPreview();
-    });
+    btnPdfPreview.addEventListener('click', () => commandRegistry.execute('view.togglePdfPreview'));
 }
 
 function togglePdfPreview() {
@@ -1983,26 +2860,30 @@ function togglePdfPreview() {
         isPdfPreviewVisible = true;
         isTerminalVisible = false;
         isRightMarkdownVisible = false; // 他をOFF
+        isBacklinksVisible = false;
         generatePdfPreview();
     }
     updateTerminalVisibility();
 }
 
+function toggleRightMarkdown() {
+    if (isRightMarkdownVisible) {
+        isRightMarkdownVisible = false;
+    } else {
+        isRightMarkdownVisible = true;
+        isPdfPreviewVisible = false;
+        isBacklinksVisible = false;
+        if (isPositionRight) isTerminalVisible = false; // 右位置ならターミナルOFF
+
+        // 右ペインが初期化されていなければファイルを1つ開く等の処理を入れても良い
+        // 例: rightLayoutManager.activePane.openFile('README.md');
+    }
+    updateTerminalVisibility();
+}
+
 // ★新規追加
 if (btnRightMarkdown) {
-    btnRightMarkdown.addEventListener('click', () => {
-        if (isRightMarkdownVisible) {
-            isRightMarkdownVisible = false;
-        } else {
-            isRightMarkdownVisible = true;
-            isPdfPreviewVisible = false;
-            if (isPositionRight) isTerminalVisible = false; // 右位置ならターミナルOFF
-            
-            // 右ペインが初期化されていなければファイルを1つ開く等の処理を入れても良い
-            // 例: rightLayoutManager.activePane.openFile('README.md');
-        }
-        updateTerminalVisibility();
-    });
+    btnRightMarkdown.addEventListener('click', () => commandRegistry.execute('view.toggleRightEditor'));
 }
 
 async function generatePdfPreview() {
@@ -2024,7 +2905,7 @@ async function generatePdfPreview() {
         const htmlContent = marked.parse(processedMarkdown, { breaks: true, gfm: true });
 
         if (typeof window.electronAPI?.generatePdf === 'function') {
-            await renderHtmlToPdf(htmlContent);
+            await renderHtmlToPdf(htmlContent, getDocumentMetadata(markdownContent));
         } else {
             console.warn('PDF generation API not available, using fallback');
             const tempDiv = document.createElement('div');
@@ -2037,7 +2918,16 @@ async function generatePdfPreview() {
 }
 
 async function processMarkdownForExport(markdown) {
-    let processed = markdown.replace(/==([^=]+)==/g, '<mark>$1</mark>');
+    // front matter は本文に含めない（title などは getDocumentMetadata で PDF の情報にする）
+    let processed = splitFrontMatter(markdown).body;
+    // 数式は先に HTML にする（数式中の == などを Markdown として扱わないため）
+    processed = renderMathInMarkdown(processed);
+    processed = await renderMermaidInMarkdown(processed);
+    // 幅を指定した画像 ![説明|幅](パス) は <img> にする
+    processed = processed.replace(/!\[([^\]]*?)\s*\|\s*(\d+)\]\(([^)\s]+)[^)]*\)/g, (match, alt, width, src) => {
+        return `<img src="${src}" alt="${alt.replace(/"/g, '&quot;')}" width="${width}">`;
+    });
+    processed = processed.replace(/==([^=]+)==/g, '<mark>$1</mark>');
 
     processed = processed.replace(/^(\s+)(\d+(?:-\d+)+\.)/gm, (match, indent, marker) => {
         return '&nbsp;'.repeat(indent.length) + marker;
@@ -2102,9 +2992,9 @@ async function processMarkdownForExport(markdown) {
     return processed;
 }
 
-async function renderHtmlToPdf(htmlContent) {
+async function renderHtmlToPdf(htmlContent, metadata = {}) {
     try {
-        const pdfData = await window.electronAPI.generatePdf(htmlContent);
+        const pdfData = await window.electronAPI.generatePdf(htmlContent, metadata);
         if (pdfData) {
             await displayPdfFromData(pdfData);
         }
@@ -2215,27 +3105,24 @@ async function renderPageToContainer(pageNumber, container) {
     }
 }
 
-document.addEventListener('keydown', (event) => {
-    if (event.key === 'Escape') {
-        if (ideContainer.classList.contains('zen-mode-active')) {
-            ideContainer.classList.remove('zen-mode-active');
-            isRightActivityBarVisible = savedRightActivityBarState;
-            updateTerminalVisibility();
-        }
-    }
-});
+function exitZenMode() {
+    if (!ideContainer.classList.contains('zen-mode-active')) return;
+    ideContainer.classList.remove('zen-mode-active');
+    isRightActivityBarVisible = savedRightActivityBarState;
+    updateTerminalVisibility();
+}
 
 if (btnSettings) {
-    btnSettings.addEventListener('click', () => {
-        openSettingsTab();
-    });
+    btnSettings.addEventListener('click', () => commandRegistry.execute('view.openSettings'));
+}
+
+function toggleRightActivityBar() {
+    isRightActivityBarVisible = !isRightActivityBarVisible;
+    updateTerminalVisibility();
 }
 
 if (btnToggleRightActivity) {
-    btnToggleRightActivity.addEventListener('click', () => {
-        isRightActivityBarVisible = !isRightActivityBarVisible;
-        updateTerminalVisibility();
-    });
+    btnToggleRightActivity.addEventListener('click', () => commandRegistry.execute('view.toggleRightActivityBar'));
 }
 
 if (btnMinimize) {
@@ -2249,119 +3136,2795 @@ if (btnMaximize) {
         window.electronAPI.maximizeWindow();
         isMaximized = !isMaximized;
 
-        const iconMax = btnMaximize.querySelector('.icon-maximize');
-        const iconRestore = btnMaximize.querySelector('.icon-restore');
+        const iconMax = btnMaximize.querySelector('.icon-maximize');
+        const iconRestore = btnMaximize.querySelector('.icon-restore');
+
+        if (isMaximized) {
+            if (iconMax) iconMax.classList.add('hidden');
+            if (iconRestore) iconRestore.classList.remove('hidden');
+            btnMaximize.title = "元に戻す";
+        } else {
+            if (iconMax) iconMax.classList.remove('hidden');
+            if (iconRestore) iconRestore.classList.add('hidden');
+            btnMaximize.title = "最大化";
+        }
+    });
+}
+
+if (btnClose) {
+    btnClose.addEventListener('click', () => {
+        window.electronAPI.closeWindow();
+    });
+}
+
+const btnSortAsc = document.getElementById('btn-sort-asc');
+const btnSortDesc = document.getElementById('btn-sort-desc');
+
+if (btnSortAsc) {
+    btnSortAsc.addEventListener('click', () => {
+        currentSortOrder = 'asc';
+        initializeFileTree();
+    });
+}
+
+if (btnSortDesc) {
+    btnSortDesc.addEventListener('click', () => {
+        currentSortOrder = 'desc';
+        initializeFileTree();
+    });
+}
+
+// ========== Git パネル ==========
+
+const btnGitStage = document.getElementById('btn-git-stage');
+const btnGitUnstage = document.getElementById('btn-git-unstage');
+const btnGitRefresh = document.getElementById('btn-git-refresh');
+const gitUnstagedList = document.getElementById('git-unstaged');
+const gitStagedList = document.getElementById('git-staged');
+const gitMessageInput = document.getElementById('git-message');
+const gitCommitBtn = document.getElementById('git-commit-btn');
+const gitPushBtn = document.getElementById('git-push-btn');
+const gitPullBtn = document.getElementById('git-pull-btn');
+const gitProgressElement = document.getElementById('git-progress');
+const gitRepoInfo = document.getElementById('git-repo-info');
+const gitBranchBtn = document.getElementById('git-branch-btn');
+
+// 直近の git-status の結果
+let gitState = { root: null, branch: null, staged: [], unstaged: [], isRepo: false };
+let gitRefreshTimer = null;
+let isGitBusy = false;
+
+const GIT_STATUS_LETTERS = {
+    new: { letter: 'U', title: '未追跡' },
+    added: { letter: 'A', title: '追加' },
+    modified: { letter: 'M', title: '変更' },
+    deleted: { letter: 'D', title: '削除' },
+    unknown: { letter: '?', title: '不明' }
+};
+
+function isGitPanelVisible() {
+    const content = document.getElementById('content-git');
+    return !!content && !content.classList.contains('content-hidden') && !leftPane.classList.contains('hidden');
+}
+
+// ファイル変更の通知などでまとめて更新する（パネル非表示中は表示時に更新）
+function scheduleGitRefresh(delay = 500) {
+    if (gitRefreshTimer) clearTimeout(gitRefreshTimer);
+    gitRefreshTimer = setTimeout(() => {
+        gitRefreshTimer = null;
+        if (isGitPanelVisible()) refreshGitStatus();
+        refreshVisibleDiffViews();
+    }, delay);
+}
+
+async function refreshGitStatus() {
+    if (typeof window.electronAPI?.gitStatus !== 'function' || !currentDirectoryPath) return;
+
+    const result = await window.electronAPI.gitStatus(currentDirectoryPath);
+    if (result.success) {
+        gitState = { root: result.root, branch: result.branch, staged: result.staged, unstaged: result.unstaged, isRepo: true };
+    } else {
+        gitState = { root: null, branch: null, staged: [], unstaged: [], isRepo: false };
+    }
+    renderGitPanel();
+}
+
+function renderGitPanel() {
+    if (gitRepoInfo) {
+        gitRepoInfo.textContent = gitState.isRepo
+            ? gitState.root.split(/[/\\]/).pop()
+            : 'Gitリポジトリではありません';
+        gitRepoInfo.classList.toggle('not-repo', !gitState.isRepo);
+    }
+    if (gitBranchBtn) {
+        gitBranchBtn.textContent = `⎇ ${gitState.branch || '(detached)'}`;
+        gitBranchBtn.classList.toggle('hidden', !gitState.isRepo);
+        gitBranchBtn.disabled = isGitBusy;
+    }
+    renderGitFileList(gitUnstagedList, gitState.unstaged, false);
+    renderGitFileList(gitStagedList, gitState.staged, true);
+
+    const canRun = gitState.isRepo && !isGitBusy;
+    if (gitCommitBtn) gitCommitBtn.disabled = !canRun || gitState.staged.length === 0;
+    if (gitPushBtn) gitPushBtn.disabled = !canRun;
+    if (gitPullBtn) gitPullBtn.disabled = !canRun;
+}
+
+function renderGitFileList(container, files, isStaged) {
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (files.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'git-empty';
+        empty.textContent = '変更はありません';
+        container.appendChild(empty);
+        return;
+    }
+
+    files.forEach(file => {
+        const statusInfo = GIT_STATUS_LETTERS[file.status] || GIT_STATUS_LETTERS.unknown;
+        const fileName = file.filepath.split('/').pop();
+        const dirName = file.filepath.slice(0, file.filepath.length - fileName.length).replace(/\/$/, '');
+
+        const item = document.createElement('div');
+        item.className = `git-file-item status-${file.status}`;
+        item.title = `${file.filepath} (${statusInfo.title})`;
+
+        const name = document.createElement('span');
+        name.className = 'git-file-name';
+        name.textContent = fileName;
+
+        const dir = document.createElement('span');
+        dir.className = 'git-file-dir';
+        dir.textContent = dirName;
+
+        const actionBtn = document.createElement('button');
+        actionBtn.className = 'git-file-action';
+        actionBtn.textContent = isStaged ? '−' : '+';
+        actionBtn.title = isStaged ? 'ステージを取り消す' : 'ステージする';
+        actionBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (isStaged) gitUnstageFiles([file.filepath]);
+            else gitStageFiles([file.filepath]);
+        });
+
+        const letter = document.createElement('span');
+        letter.className = 'git-status-letter';
+        letter.textContent = statusInfo.letter;
+
+        item.appendChild(name);
+        item.appendChild(dir);
+        item.appendChild(actionBtn);
+        item.appendChild(letter);
+
+        const absolutePath = path.join(gitState.root, file.filepath);
+        item.addEventListener('click', () => openDiffTab(absolutePath));
+
+        if (file.status !== 'deleted') {
+            const openBtn = document.createElement('button');
+            openBtn.className = 'git-file-action';
+            openBtn.textContent = '↗';
+            openBtn.title = 'ファイルを開く';
+            openBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                openFile(absolutePath, fileName);
+            });
+            item.insertBefore(openBtn, actionBtn);
+        }
+
+        container.appendChild(item);
+    });
+}
+
+// ボタンを無効化した状態で Git 操作を実行し、終わったら状態を更新する
+async function runGitOperation(operation) {
+    if (isGitBusy) return;
+    isGitBusy = true;
+    renderGitPanel();
+    try {
+        await operation();
+    } catch (error) {
+        console.error('Git operation failed:', error);
+        showNotification(`Gitエラー: ${error.message}`, 'error');
+    } finally {
+        isGitBusy = false;
+        await refreshGitStatus();
+    }
+}
+
+function gitStageFiles(filepaths) {
+    return runGitOperation(async () => {
+        for (const filepath of filepaths) {
+            const result = await window.electronAPI.gitAdd(gitState.root, filepath);
+            if (!result.success) throw new Error(result.error);
+        }
+    });
+}
+
+function gitUnstageFiles(filepaths) {
+    return runGitOperation(async () => {
+        for (const filepath of filepaths) {
+            const result = await window.electronAPI.gitResetIndex(gitState.root, filepath);
+            if (!result.success) throw new Error(result.error);
+        }
+    });
+}
+
+function gitCommit() {
+    const message = gitMessageInput ? gitMessageInput.value.trim() : '';
+    if (!message) {
+        showNotification('コミットメッセージを入力してください', 'error');
+        if (gitMessageInput) gitMessageInput.focus();
+        return;
+    }
+    if (gitState.staged.length === 0) {
+        showNotification('ステージされた変更がありません', 'error');
+        return;
+    }
+
+    return runGitOperation(async () => {
+        const result = await window.electronAPI.gitCommit(gitState.root, message);
+        if (!result.success) throw new Error(result.error);
+        if (gitMessageInput) gitMessageInput.value = '';
+        showNotification(`コミットしました (${result.sha.slice(0, 7)})`, 'success');
+    });
+}
+
+// push / pull（進捗はステータス行に表示）
+function gitSync(operation) {
+    const label = operation === 'push' ? 'Push' : 'Pull';
+    const api = operation === 'push' ? window.electronAPI.gitPush : window.electronAPI.gitPull;
+
+    return runGitOperation(async () => {
+        // pull は作業ツリーを書き換えるため、未保存の編集を先に保存する
+        if (operation === 'pull' && !(await confirmSaveBeforeGitOperation('Pull'))) return;
+
+        showGitProgress(`${label} 中...`);
+        try {
+            const result = await api(gitState.root);
+            if (!result.success) throw new Error(result.error);
+            showNotification(`${label} が完了しました (${result.ref} ⇄ ${result.remote}/${result.remoteRef})`, 'success');
+        } finally {
+            showGitProgress(null);
+        }
+    });
+}
+
+function showGitProgress(text) {
+    if (!gitProgressElement) return;
+    gitProgressElement.textContent = text || '';
+    gitProgressElement.classList.toggle('hidden', !text);
+}
+
+// ========== ブランチ管理 ==========
+
+/**
+ * 作業ツリーを書き換える Git 操作の前に、未保存のファイルを保存するか確認する
+ * @param {string} operationLabel - 確認メッセージに表示する操作名
+ * @returns {Promise<boolean>} 続行してよいか
+ */
+function confirmSaveBeforeGitOperation(operationLabel) {
+    const dirtyFiles = Array.from(fileModificationState.keys()).filter(fp => fp !== 'README.md');
+    if (dirtyFiles.length === 0) return Promise.resolve(true);
+
+    return new Promise(resolve => {
+        const existingModal = document.querySelector('.modal-overlay');
+        if (existingModal) existingModal.remove();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const content = document.createElement('div');
+        content.className = 'modal-content';
+        content.style.width = '400px';
+
+        const message = document.createElement('div');
+        message.className = 'modal-message';
+        message.style.whiteSpace = 'pre-wrap';
+        message.textContent = `未保存のファイルが ${dirtyFiles.length} 件あります。\n保存してから ${operationLabel} しますか？\n\n` +
+            dirtyFiles.map(fp => `・${path.basename(fp)}`).join('\n');
+
+        const buttons = document.createElement('div');
+        buttons.className = 'modal-buttons';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'modal-btn';
+        cancelBtn.textContent = 'キャンセル';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'modal-btn';
+        saveBtn.textContent = `保存して${operationLabel}`;
+
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(saveBtn);
+        content.appendChild(message);
+        content.appendChild(buttons);
+        overlay.appendChild(content);
+        document.body.appendChild(overlay);
+
+        const close = (result) => {
+            overlay.remove();
+            resolve(result);
+        };
+
+        cancelBtn.addEventListener('click', () => close(false));
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close(false);
+        });
+
+        saveBtn.addEventListener('click', async () => {
+            saveBtn.disabled = true;
+            const results = await Promise.all(dirtyFiles.map(fp => saveFileByPath(fp)));
+            if (results.every(Boolean)) {
+                close(true);
+            } else {
+                showNotification('保存できなかったファイルがあります', 'error');
+                close(false);
+            }
+        });
+    });
+}
+
+// ブランチの切り替え・作成・削除・マージ・上流設定を行うモーダル
+async function showBranchModal() {
+    if (!gitState.isRepo) return;
+
+    const result = await window.electronAPI.gitBranches(gitState.root);
+    if (!result.success) {
+        showNotification(`ブランチ一覧を取得できませんでした: ${result.error}`, 'error');
+        return;
+    }
+
+    const existingModal = document.querySelector('.modal-overlay');
+    if (existingModal) existingModal.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const content = document.createElement('div');
+    content.className = 'modal-content branch-modal-content';
+
+    const closeModal = () => overlay.remove();
+
+    // モーダルを閉じてから Git 操作を実行する
+    const runAndClose = (operation) => {
+        closeModal();
+        runGitOperation(operation);
+    };
+
+    const title = document.createElement('div');
+    title.className = 'modal-message';
+    title.textContent = `ブランチ（現在: ${result.current || '(detached)'}）`;
+    content.appendChild(title);
+
+    const createSectionTitle = (text) => {
+        const el = document.createElement('div');
+        el.className = 'branch-section-title';
+        el.textContent = text;
+        content.appendChild(el);
+    };
+
+    const createBranchRow = (label, detail, isCurrent, actions) => {
+        const row = document.createElement('div');
+        row.className = `branch-item ${isCurrent ? 'current' : ''}`;
+
+        const name = document.createElement('span');
+        name.className = 'branch-name';
+        name.textContent = label;
+        row.appendChild(name);
+
+        const info = document.createElement('span');
+        info.className = 'branch-detail';
+        info.textContent = detail || '';
+        row.appendChild(info);
+
+        actions.forEach(({ text, title: tooltip, run }) => {
+            const btn = document.createElement('button');
+            btn.className = 'branch-action-btn';
+            btn.textContent = text;
+            btn.title = tooltip;
+            btn.addEventListener('click', run);
+            row.appendChild(btn);
+        });
+        return row;
+    };
+
+    const checkoutBranch = (branch) => runAndClose(async () => {
+        if (!(await confirmSaveBeforeGitOperation('切り替え'))) return;
+        const res = await window.electronAPI.gitCheckout(gitState.root, branch);
+        if (!res.success) throw new Error(res.error);
+        showNotification(`${branch} に切り替えました`, 'success');
+    });
+
+    const mergeBranch = (branch) => runAndClose(async () => {
+        if (!(await confirmSaveBeforeGitOperation('マージ'))) return;
+        const res = await window.electronAPI.gitMerge(gitState.root, branch);
+        if (!res.success) throw new Error(res.error);
+        const detail = res.alreadyMerged ? '変更はありません' : res.fastForward ? 'fast-forward' : 'マージコミットを作成';
+        showNotification(`${branch} をマージしました (${detail})`, 'success');
+    });
+
+    const deleteBranch = (branch) => runAndClose(async () => {
+        const res = await window.electronAPI.gitDeleteBranch(gitState.root, branch);
+        if (!res.success) throw new Error(res.error);
+        showNotification(`${branch} を削除しました`, 'success');
+    });
+
+    // ローカルブランチ
+    createSectionTitle('ローカル');
+    result.branches.forEach(({ name, upstream }) => {
+        const isCurrent = name === result.current;
+        const detail = upstream.remote ? `→ ${upstream.remote}/${upstream.remoteRef}` : '';
+        const actions = isCurrent ? [] : [
+            { text: '切替', title: 'このブランチに切り替える', run: () => checkoutBranch(name) },
+            { text: 'マージ', title: `現在のブランチへ ${name} をマージ`, run: () => mergeBranch(name) },
+            { text: '削除', title: 'ブランチを削除', run: () => deleteBranch(name) }
+        ];
+        content.appendChild(createBranchRow(`${isCurrent ? '● ' : ''}${name}`, detail, isCurrent, actions));
+    });
+
+    // リモートブランチ
+    const localNames = new Set(result.branches.map(b => b.name));
+    result.remotes.forEach(({ remote }) => {
+        const names = result.remoteBranches[remote] || [];
+        if (names.length === 0) return;
+        createSectionTitle(`リモート: ${remote}`);
+        names.forEach(name => {
+            const actions = [
+                { text: 'マージ', title: `現在のブランチへ ${remote}/${name} をマージ`, run: () => mergeBranch(`refs/remotes/${remote}/${name}`) }
+            ];
+            if (!localNames.has(name)) {
+                actions.unshift({ text: '切替', title: 'ローカルブランチを作成して切り替える', run: () => checkoutBranch(name) });
+            }
+            content.appendChild(createBranchRow(`${remote}/${name}`, '', false, actions));
+        });
+    });
+
+    // 新規作成
+    createSectionTitle('新しいブランチ');
+    const createRow = document.createElement('div');
+    createRow.className = 'branch-form-row';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'branch-input';
+    nameInput.placeholder = 'ブランチ名';
+    const createBtn = document.createElement('button');
+    createBtn.className = 'modal-btn';
+    createBtn.textContent = '作成して切り替え';
+    const createBranch = () => {
+        const name = nameInput.value.trim();
+        if (!name) return;
+        runAndClose(async () => {
+            const res = await window.electronAPI.gitCreateBranch(gitState.root, name, true);
+            if (!res.success) throw new Error(res.error);
+            showNotification(`${name} を作成しました`, 'success');
+        });
+    };
+    createBtn.addEventListener('click', createBranch);
+    nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') createBranch();
+    });
+    createRow.appendChild(nameInput);
+    createRow.appendChild(createBtn);
+    content.appendChild(createRow);
+
+    // 現在のブランチの上流（push / pull の対象）
+    if (result.current) {
+        const currentInfo = result.branches.find(b => b.name === result.current);
+        const upstream = currentInfo ? currentInfo.upstream : { remote: null, remoteRef: null };
+
+        createSectionTitle(`上流ブランチ（${result.current} の Push / Pull 先）`);
+        const upstreamRow = document.createElement('div');
+        upstreamRow.className = 'branch-form-row';
+
+        const remoteSelect = document.createElement('select');
+        remoteSelect.className = 'branch-input';
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = '(なし)';
+        remoteSelect.appendChild(noneOption);
+        result.remotes.forEach(({ remote, url }) => {
+            const option = document.createElement('option');
+            option.value = remote;
+            option.textContent = remote;
+            option.title = url;
+            remoteSelect.appendChild(option);
+        });
+        remoteSelect.value = upstream.remote || '';
+
+        const remoteRefInput = document.createElement('input');
+        remoteRefInput.type = 'text';
+        remoteRefInput.className = 'branch-input';
+        remoteRefInput.placeholder = result.current;
+        remoteRefInput.value = upstream.remoteRef || '';
+
+        const setBtn = document.createElement('button');
+        setBtn.className = 'modal-btn';
+        setBtn.textContent = '設定';
+        setBtn.addEventListener('click', () => {
+            const remote = remoteSelect.value || null;
+            const remoteRef = remoteRefInput.value.trim() || result.current;
+            runAndClose(async () => {
+                const res = await window.electronAPI.gitSetUpstream(gitState.root, result.current, remote, remoteRef);
+                if (!res.success) throw new Error(res.error);
+                showNotification(remote ? `上流を ${remote}/${remoteRef} に設定しました` : '上流の設定を解除しました', 'success');
+            });
+        });
+
+        upstreamRow.appendChild(remoteSelect);
+        upstreamRow.appendChild(remoteRefInput);
+        upstreamRow.appendChild(setBtn);
+        content.appendChild(upstreamRow);
+    }
+
+    const buttons = document.createElement('div');
+    buttons.className = 'modal-buttons';
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'modal-btn';
+    closeBtn.textContent = '閉じる';
+    closeBtn.addEventListener('click', closeModal);
+    buttons.appendChild(closeBtn);
+    content.appendChild(buttons);
+
+    overlay.appendChild(content);
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeModal();
+    });
+    nameInput.focus();
+}
+
+// ========== 差分タブ (Diff View) ==========
+
+const DIFF_TAB_PREFIX = 'diff://';
+let diffViewMode = 'inline';
+
+function isDiffTabPath(tabPath) {
+    return typeof tabPath === 'string' && tabPath.startsWith(DIFF_TAB_PREFIX);
+}
+
+function getDiffTargetPath(tabPath) {
+    return tabPath.slice(DIFF_TAB_PREFIX.length);
+}
+
+// 差分・過去のリビジョンなど、ディスク上のファイルに対応しないタブ
+function isVirtualTabPath(tabPath) {
+    return isDiffTabPath(tabPath) || isRevisionTabPath(tabPath);
+}
+
+function getTabTitle(tabPath) {
+    if (isDiffTabPath(tabPath)) {
+        return `${path.basename(getDiffTargetPath(tabPath))} (差分)`;
+    }
+    if (isRevisionTabPath(tabPath)) {
+        const { oid, filePath } = parseRevisionTabPath(tabPath);
+        return `${path.basename(filePath)} @ ${oid.slice(0, 7)}`;
+    }
+    const fileData = openedFiles.get(tabPath);
+    return fileData ? fileData.fileName : path.basename(tabPath);
+}
+
+function openDiffTab(filePath) {
+    const pane = getActivePane();
+    if (!pane) return;
+    pane.openFile(DIFF_TAB_PREFIX + filePath);
+}
+
+function createDiffView(filePath) {
+    return new DiffView({
+        filePath,
+        fileName: path.basename(filePath),
+        mode: diffViewMode,
+        loadData: () => loadDiffData(filePath),
+        onStageHunk: (data, hunk) => stageDiffHunk(filePath, data, hunk),
+        onRevertHunk: (data, hunk) => revertDiffHunk(filePath, data, hunk),
+        onOpenFile: () => openFile(filePath, path.basename(filePath)),
+        onModeChange: (mode) => { diffViewMode = mode; }
+    });
+}
+
+// 表示中の差分タブを最新の状態に更新する
+function refreshVisibleDiffViews() {
+    getAllPanes().forEach(pane => {
+        if (!isDiffTabPath(pane.activeFilePath)) return;
+        const diffView = pane.diffViews.get(pane.activeFilePath);
+        if (diffView) diffView.refresh();
+    });
+    if (isHistoryPanelVisible()) refreshHistory();
+}
+
+// HEAD・インデックス・作業ツリー（未保存の編集を含む）の内容を取得する
+async function loadDiffData(filePath) {
+    const versions = await window.electronAPI.gitReadFileVersions(filePath);
+    if (!versions.success) throw new Error(versions.error);
+
+    let working = null;
+    const fileData = openedFiles.get(filePath);
+    if (fileData) {
+        working = fileData.content;
+    } else {
+        try {
+            working = await window.electronAPI.loadFile(filePath);
+        } catch (error) {
+            // 作業ツリーから削除されている
+        }
+    }
+
+    return { root: versions.root, filepath: versions.filepath, head: versions.head, index: versions.index, working };
+}
+
+async function stageDiffHunk(filePath, data, hunk) {
+    try {
+        // ファイルごと削除されている場合は削除をステージする
+        const result = data.working === null
+            ? await window.electronAPI.gitAdd(data.root, data.filepath)
+            : await window.electronAPI.gitStageContent(filePath, stageHunk(data.index ?? data.head ?? '', data.working, hunk));
+
+        if (!result.success) {
+            showNotification(`ステージに失敗しました: ${result.error}`, 'error');
+            return;
+        }
+        scheduleGitRefresh(0);
+    } catch (error) {
+        showNotification(`ステージに失敗しました: ${error.message}`, 'error');
+    }
+}
+
+async function revertDiffHunk(filePath, data, hunk) {
+    try {
+        const reverted = revertHunk(data.working ?? '', hunk);
+
+        const fileData = openedFiles.get(filePath);
+        if (fileData) {
+            // 差分を表示した後に編集された場合、ハンクの位置がずれているため取り消さない
+            if (fileData.content !== data.working) {
+                showNotification('差分の表示後にファイルが編集されました。差分を確認してからもう一度実行してください', 'info');
+                return;
+            }
+            // 通常の編集として適用する（Undo で戻せる。保存は自動保存か手動の保存に任せる）
+            const replacement = getMinimalReplacement(fileData.content, reverted);
+            if (replacement && !applyUserChangesToFile(filePath, [replacement])) {
+                showNotification('元に戻せませんでした: ファイルを開いているペインがありません', 'error');
+                return;
+            }
+        } else {
+            const result = await window.electronAPI.saveFile(filePath, reverted);
+            if (result && result.success === false) {
+                showNotification(`元に戻せませんでした: ${result.error}`, 'error');
+                return;
+            }
+        }
+        scheduleGitRefresh(0);
+    } catch (error) {
+        showNotification(`元に戻せませんでした: ${error.message}`, 'error');
+    }
+}
+
+// ========== ワークスペース検索 (Search) ==========
+
+const workspaceSearchInput = document.getElementById('workspace-search-input');
+const workspaceReplaceInput = document.getElementById('workspace-replace-input');
+const workspaceSearchSummary = document.getElementById('workspace-search-summary');
+const workspaceSearchResults = document.getElementById('workspace-search-results');
+const btnReplaceAll = document.getElementById('btn-replace-all');
+const btnSearchRefresh = document.getElementById('btn-search-refresh');
+const btnSearchCollapse = document.getElementById('btn-search-collapse');
+const searchOptionButtons = document.querySelectorAll('.search-option-btn[data-option]');
+
+let workspaceSearchOptions = { caseSensitive: false, wholeWord: false, regex: false };
+let workspaceSearchTimer = null;
+let workspaceSearchToken = 0;
+
+// 結果のプレビューで一致箇所の前に表示する文字数
+const SEARCH_PREVIEW_CONTEXT = 30;
+
+function isWorkspaceSearchVisible() {
+    const content = document.getElementById('content-search');
+    return !!content && !content.classList.contains('content-hidden') && !leftPane.classList.contains('hidden');
+}
+
+function focusWorkspaceSearch() {
+    if (!workspaceSearchInput) return;
+    // エディタで選択中のテキストがあれば検索語にする
+    const view = getActiveView();
+    if (view) {
+        const { from, to } = view.state.selection.main;
+        const selected = view.state.sliceDoc(from, to);
+        if (selected && !selected.includes('\n')) {
+            workspaceSearchInput.value = selected;
+            scheduleWorkspaceSearch(0);
+        }
+    }
+    workspaceSearchInput.focus();
+    workspaceSearchInput.select();
+}
+
+function scheduleWorkspaceSearch(delay = 300) {
+    if (workspaceSearchTimer) clearTimeout(workspaceSearchTimer);
+    workspaceSearchTimer = setTimeout(() => {
+        workspaceSearchTimer = null;
+        runWorkspaceSearch();
+    }, delay);
+}
+
+// 開いているファイルは未保存の内容で検索する
+function getOpenedFileOverrides() {
+    const overrides = {};
+    openedFiles.forEach((fileData, filePath) => {
+        if (filePath !== 'README.md') overrides[filePath] = fileData.content;
+    });
+    return overrides;
+}
+
+// 入力中の検索条件から正規表現を作る（不正な場合はメッセージを表示して null）
+function getWorkspaceSearchRegExp() {
+    const query = workspaceSearchInput ? workspaceSearchInput.value : '';
+    if (!query) return null;
+    try {
+        return buildSearchRegExp(query, workspaceSearchOptions);
+    } catch (error) {
+        setWorkspaceSearchSummary(`正規表現が不正です: ${error.message}`, true);
+        return null;
+    }
+}
+
+function setWorkspaceSearchSummary(text, isError = false) {
+    if (!workspaceSearchSummary) return;
+    workspaceSearchSummary.textContent = text;
+    workspaceSearchSummary.classList.toggle('error', isError);
+}
+
+async function runWorkspaceSearch() {
+    if (!workspaceSearchResults || typeof window.electronAPI?.searchWorkspace !== 'function') return;
+
+    const token = ++workspaceSearchToken;
+    const query = workspaceSearchInput.value;
+    if (!query || !getWorkspaceSearchRegExp()) {
+        workspaceSearchResults.innerHTML = '';
+        if (!query) setWorkspaceSearchSummary('');
+        return;
+    }
+    if (!currentDirectoryPath) return;
+
+    setWorkspaceSearchSummary('検索中...');
+    const result = await window.electronAPI.searchWorkspace(
+        currentDirectoryPath, query, workspaceSearchOptions, getOpenedFileOverrides()
+    );
+    // 検索中に条件が変わった場合は古い結果を捨てる
+    if (token !== workspaceSearchToken) return;
+
+    if (!result.success) {
+        setWorkspaceSearchSummary(`検索に失敗しました: ${result.error}`, true);
+        workspaceSearchResults.innerHTML = '';
+        return;
+    }
+    renderWorkspaceSearchResults(result);
+}
+
+function renderWorkspaceSearchResults(result) {
+    workspaceSearchResults.innerHTML = '';
+
+    if (result.total === 0) {
+        setWorkspaceSearchSummary('一致する結果はありません');
+        return;
+    }
+    setWorkspaceSearchSummary(
+        `${result.results.length} ファイル・${result.total} 件` + (result.truncated ? '（上限に達したため一部のみ表示）' : '')
+    );
+
+    result.results.forEach(({ filePath, matches }) => {
+        const group = document.createElement('div');
+        group.className = 'search-file-group';
+
+        const header = document.createElement('div');
+        header.className = 'search-file-header';
+        header.title = filePath;
+
+        const toggle = document.createElement('span');
+        toggle.className = 'search-file-toggle';
+        toggle.textContent = '▼';
+
+        const name = document.createElement('span');
+        name.className = 'search-file-name';
+        name.textContent = path.basename(filePath);
+
+        const dir = document.createElement('span');
+        dir.className = 'search-file-dir';
+        dir.textContent = path.relative(currentDirectoryPath, path.dirname(filePath));
+
+        const count = document.createElement('span');
+        count.className = 'search-file-count';
+        count.textContent = String(matches.length);
+
+        header.appendChild(toggle);
+        header.appendChild(name);
+        header.appendChild(dir);
+        header.appendChild(count);
+
+        const list = document.createElement('div');
+        list.className = 'search-match-list';
+
+        header.addEventListener('click', () => {
+            const isCollapsed = list.classList.toggle('hidden');
+            toggle.textContent = isCollapsed ? '▶' : '▼';
+        });
+
+        matches.forEach(match => list.appendChild(createSearchMatchItem(filePath, match)));
+
+        group.appendChild(header);
+        group.appendChild(list);
+        workspaceSearchResults.appendChild(group);
+    });
+}
+
+function createSearchMatchItem(filePath, match) {
+    const item = document.createElement('div');
+    item.className = 'search-match';
+    item.title = `${match.line} 行目`;
+
+    // 複数行にわたる一致は、行末までを強調する
+    const matchEnd = Math.min(match.column + (match.to - match.from), match.lineText.length);
+    const previewStart = Math.max(0, match.column - SEARCH_PREVIEW_CONTEXT);
+
+    const lineNo = document.createElement('span');
+    lineNo.className = 'search-match-line';
+    lineNo.textContent = String(match.line);
+    item.appendChild(lineNo);
+
+    const preview = document.createElement('span');
+    preview.className = 'search-match-preview';
+    preview.appendChild(document.createTextNode(
+        (previewStart > 0 ? '…' : '') + match.lineText.slice(previewStart, match.column).trimStart()
+    ));
+    const highlight = document.createElement('mark');
+    highlight.textContent = match.lineText.slice(match.column, matchEnd);
+    preview.appendChild(highlight);
+    preview.appendChild(document.createTextNode(match.lineText.slice(matchEnd, matchEnd + 200)));
+    item.appendChild(preview);
+
+    item.addEventListener('click', () => openFileAtRange(filePath, match.from, match.to));
+    return item;
+}
+
+// 汎用の確認ダイアログ
+function showConfirmDialog(messageText, confirmLabel) {
+    return new Promise(resolve => {
+        const existingModal = document.querySelector('.modal-overlay');
+        if (existingModal) existingModal.remove();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const content = document.createElement('div');
+        content.className = 'modal-content';
+
+        const message = document.createElement('div');
+        message.className = 'modal-message';
+        message.style.whiteSpace = 'pre-wrap';
+        message.textContent = messageText;
+
+        const buttons = document.createElement('div');
+        buttons.className = 'modal-buttons';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'modal-btn';
+        cancelBtn.textContent = 'キャンセル';
+
+        const confirmBtn = document.createElement('button');
+        confirmBtn.className = 'modal-btn';
+        confirmBtn.textContent = confirmLabel;
+
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(confirmBtn);
+        content.appendChild(message);
+        content.appendChild(buttons);
+        overlay.appendChild(content);
+        document.body.appendChild(overlay);
+
+        const close = (result) => {
+            overlay.remove();
+            resolve(result);
+        };
+
+        cancelBtn.addEventListener('click', () => close(false));
+        confirmBtn.addEventListener('click', () => close(true));
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close(false);
+        });
+        confirmBtn.focus();
+    });
+}
+
+/**
+ * ワークスペース全体で置換する
+ * 対象ファイルをタブで開き、各ファイルのエディタへの編集として適用するため Ctrl+Z で元に戻せる
+ */
+async function replaceAllInWorkspace() {
+    const regExp = getWorkspaceSearchRegExp();
+    if (!regExp || !currentDirectoryPath) return;
+
+    const query = workspaceSearchInput.value;
+    const replacement = workspaceReplaceInput ? workspaceReplaceInput.value : '';
+
+    const result = await window.electronAPI.searchWorkspace(
+        currentDirectoryPath, query, workspaceSearchOptions, getOpenedFileOverrides()
+    );
+    if (!result.success || result.total === 0) {
+        setWorkspaceSearchSummary(result.success ? '一致する結果はありません' : `検索に失敗しました: ${result.error}`, !result.success);
+        return;
+    }
+    // 検索結果が上限で打ち切られている場合、残りのファイルが置換されないまま終わるため実行しない
+    if (result.truncated) {
+        showNotification('一致が多すぎるため、すべて置換できません。検索条件を絞り込んでください', 'error');
+        return;
+    }
+
+    const confirmed = await showConfirmDialog(
+        `${result.results.length} ファイルの ${result.total} 件を「${replacement}」に置換しますか？\n対象のファイルはタブで開かれ、Ctrl+Z で元に戻せます。`,
+        'すべて置換'
+    );
+    if (!confirmed) return;
+
+    const previousPane = layoutManager.activePane;
+    const previousFile = previousPane ? previousPane.activeFilePath : null;
+
+    let replacedCount = 0;
+    let replacedFiles = 0;
+    for (const { filePath } of result.results) {
+        const isHeldByPane = getAllPanes().some(p => p.files.includes(filePath));
+        if (!isHeldByPane) await openFile(filePath, path.basename(filePath));
+
+        const fileData = openedFiles.get(filePath);
+        if (!fileData) continue;
+
+        const changes = buildReplaceChanges(fileData.content, regExp, replacement, workspaceSearchOptions.regex);
+        if (changes.length > 0 && applyUserChangesToFile(filePath, changes)) {
+            replacedCount += changes.length;
+            replacedFiles++;
+        }
+    }
+
+    if (previousPane && previousFile && previousPane.files.includes(previousFile)) {
+        previousPane.switchToFile(previousFile);
+    }
+
+    showNotification(`${replacedFiles} ファイル・${replacedCount} 件を置換しました`, 'success');
+    runWorkspaceSearch();
+}
+
+function setupWorkspaceSearch() {
+    if (workspaceSearchInput) {
+        workspaceSearchInput.addEventListener('input', () => scheduleWorkspaceSearch());
+        workspaceSearchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') scheduleWorkspaceSearch(0);
+        });
+    }
+
+    if (workspaceReplaceInput) {
+        workspaceReplaceInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) replaceAllInWorkspace();
+        });
+    }
+
+    searchOptionButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const option = btn.dataset.option;
+            workspaceSearchOptions[option] = !workspaceSearchOptions[option];
+            btn.classList.toggle('active', workspaceSearchOptions[option]);
+            scheduleWorkspaceSearch(0);
+        });
+    });
+
+    if (btnReplaceAll) btnReplaceAll.addEventListener('click', () => replaceAllInWorkspace());
+    if (btnSearchRefresh) btnSearchRefresh.addEventListener('click', () => runWorkspaceSearch());
+    if (btnSearchCollapse) {
+        btnSearchCollapse.addEventListener('click', () => {
+            if (!workspaceSearchResults) return;
+            workspaceSearchResults.querySelectorAll('.search-match-list').forEach(list => list.classList.add('hidden'));
+            workspaceSearchResults.querySelectorAll('.search-file-toggle').forEach(toggle => { toggle.textContent = '▶'; });
+        });
+    }
+}
+
+// ========== Wiki リンク・バックリンク ==========
+
+const backlinksTarget = document.getElementById('backlinks-target');
+const backlinksList = document.getElementById('backlinks-list');
+
+// ワークスペースのノートごとの見出しと wiki リンク（main プロセスで集計）
+let wikiNotes = [];
+// ノート名（小文字・拡張子なし） → ファイルパスの一覧。リンク先の解決に使う
+let wikiNotesByName = new Map();
+let wikiNoteCompletions = [];
+let wikiIndexTimer = null;
+let wikiIndexToken = 0;
+
+function getFilePathForView(view) {
+    const pane = getAllPanes().find(p => p.editorView === view);
+    if (!pane || !pane.activeFilePath) return null;
+    // 過去のリビジョンからのリンクは、現在のファイルを基準に解決する
+    if (isRevisionTabPath(pane.activeFilePath)) return parseRevisionTabPath(pane.activeFilePath).filePath;
+    return pane.activeFilePath;
+}
+
+function resolveWikiLinkFrom(fromFile, target) {
+    if (!currentDirectoryPath) return null;
+    const name = normalizeLinkTarget(target).split('/').pop();
+    const candidates = name ? (wikiNotesByName.get(name) || []) : [];
+    return resolveWikiTarget(target, candidates, currentDirectoryPath, fromFile || undefined);
+}
+
+// 開いているファイルは編集中の内容から見出しを取る
+function getWikiNoteHeadings(filePath) {
+    if (!filePath) return [];
+    const fileData = openedFiles.get(filePath);
+    if (fileData) return extractHeadings(fileData.content);
+    const note = wikiNotes.find(n => n.filePath === filePath);
+    return note ? note.headings : [];
+}
+
+async function openWikiLink(fromFile, target, heading) {
+    const filePath = resolveWikiLinkFrom(fromFile, target);
+    if (!filePath) {
+        showNotification(`ノート「${target}」が見つかりません`, 'error');
+        return;
+    }
+
+    await openFile(filePath, path.basename(filePath));
+    if (!heading) return;
+
+    const fileData = openedFiles.get(filePath);
+    if (!fileData) return;
+    const lowerHeading = heading.toLowerCase();
+    const found = extractHeadings(fileData.content).find(h => h.text.toLowerCase() === lowerHeading);
+    if (!found) return;
+
+    const lines = fileData.content.split('\n');
+    const offset = lines.slice(0, found.line - 1).reduce((sum, line) => sum + line.length + 1, 0);
+    openFileAtRange(filePath, offset);
+}
+
+function scheduleWikiIndexRefresh(delay = 1000) {
+    if (wikiIndexTimer) clearTimeout(wikiIndexTimer);
+    wikiIndexTimer = setTimeout(() => {
+        wikiIndexTimer = null;
+        refreshWikiIndex();
+    }, delay);
+}
+
+async function refreshWikiIndex() {
+    if (!currentDirectoryPath || typeof window.electronAPI?.getWikiLinkIndex !== 'function') return;
+
+    const token = ++wikiIndexToken;
+    const result = await window.electronAPI.getWikiLinkIndex(currentDirectoryPath, getOpenedFileOverrides());
+    if (token !== wikiIndexToken) return;
+    if (!result.success) {
+        console.error('Failed to build wiki link index:', result.error);
+        return;
+    }
+
+    wikiNotes = result.notes;
+    wikiNotesByName = new Map();
+    wikiNotes.forEach(({ filePath }) => {
+        const name = normalizeLinkTarget(path.basename(filePath));
+        if (!wikiNotesByName.has(name)) wikiNotesByName.set(name, []);
+        wikiNotesByName.get(name).push(filePath);
+    });
+
+    wikiNoteCompletions = wikiNotes.map(({ filePath }) => ({
+        // 同名のノートどうしで比べれば一意かどうかがわかる
+        name: getLinkTargetName(filePath, wikiNotesByName.get(normalizeLinkTarget(path.basename(filePath))), currentDirectoryPath),
+        detail: path.relative(currentDirectoryPath, path.dirname(filePath))
+    }));
+
+    // リンク切れの表示を更新する
+    getAllPanes().forEach(pane => {
+        if (pane.editorView) pane.editorView.dispatch({ effects: wikiLinksChanged.of(null) });
+    });
+    renderBacklinks();
+    propertySearchPalette.refresh();
+}
+
+// アクティブなファイルへリンクしているノートを表示する
+function renderBacklinks() {
+    if (!isBacklinksVisible || !backlinksList) return;
+
+    backlinksList.innerHTML = '';
+    const filePath = getActiveRealFilePath();
+    if (backlinksTarget) backlinksTarget.textContent = filePath ? path.basename(filePath) : '';
+
+    if (!filePath) {
+        renderBacklinksMessage('ファイルが選択されていません');
+        return;
+    }
+
+    let total = 0;
+    wikiNotes.forEach(note => {
+        if (note.filePath === filePath) return;
+        const links = note.links.filter(link => resolveWikiLinkFrom(note.filePath, link.target) === filePath);
+        if (links.length === 0) return;
+        total += links.length;
+        backlinksList.appendChild(createBacklinkGroup(note.filePath, links));
+    });
+
+    if (total === 0) renderBacklinksMessage('このノートへのリンクはありません');
+}
+
+function renderBacklinksMessage(text) {
+    const message = document.createElement('div');
+    message.className = 'backlinks-message';
+    message.textContent = text;
+    backlinksList.appendChild(message);
+}
+
+function createBacklinkGroup(sourcePath, links) {
+    const group = document.createElement('div');
+    group.className = 'backlink-group';
+
+    const header = document.createElement('div');
+    header.className = 'backlink-file';
+    header.title = sourcePath;
+    header.textContent = path.basename(sourcePath);
+    header.addEventListener('click', () => openFile(sourcePath, path.basename(sourcePath)));
+
+    const count = document.createElement('span');
+    count.className = 'backlink-count';
+    count.textContent = String(links.length);
+    header.appendChild(count);
+    group.appendChild(header);
+
+    links.forEach(link => {
+        const item = document.createElement('div');
+        item.className = 'backlink-item';
+        item.title = `${link.line} 行目`;
+        item.textContent = link.lineText.trim();
+        item.addEventListener('click', () => openFileAtRange(sourcePath, link.from, link.to));
+        group.appendChild(item);
+    });
+    return group;
+}
+
+function toggleBacklinksPanel() {
+    if (isBacklinksVisible) {
+        isBacklinksVisible = false;
+    } else {
+        isBacklinksVisible = true;
+        isPdfPreviewVisible = false;
+        isRightMarkdownVisible = false;
+        if (isPositionRight) isTerminalVisible = false;
+    }
+    updateTerminalVisibility();
+    renderBacklinks();
+}
+
+function setupBacklinksPanel() {
+    const btnBacklinks = document.getElementById('btn-backlinks');
+    if (btnBacklinks) {
+        btnBacklinks.addEventListener('click', () => commandRegistry.execute('view.toggleBacklinks'));
+    }
+
+    const btnRefresh = document.getElementById('btn-backlinks-refresh');
+    if (btnRefresh) btnRefresh.addEventListener('click', () => refreshWikiIndex());
+}
+
+// ========== リンクの更新（移動・名前の変更） ==========
+
+/**
+ * ファイル・フォルダの移動に合わせて、開いているタブと関連する状態のパスを付け替える
+ * フォルダの場合は配下の開いているファイルすべてが対象
+ */
+function renameOpenedPaths(oldPath, newPath) {
+    const moveKey = (collection, fromKey, toKey) => {
+        if (!collection.has(fromKey)) return;
+        if (collection instanceof Map) collection.set(toKey, collection.get(fromKey));
+        else collection.add(toKey);
+        collection.delete(fromKey);
+    };
+
+    const targets = Array.from(openedFiles.keys())
+        .filter(filePath => filePath === oldPath || filePath.startsWith(oldPath + path.sep));
+
+    targets.forEach(filePath => {
+        const movedPath = newPath + filePath.slice(oldPath.length);
+
+        const fileData = openedFiles.get(filePath);
+        fileData.fileName = path.basename(movedPath);
+        moveKey(openedFiles, filePath, movedPath);
+        moveKey(fileModificationState, filePath, movedPath);
+        moveKey(fileConflicts, filePath, movedPath);
+        moveKey(orphanedFiles, filePath, movedPath);
+        if (savedFolds.has(filePath)) {
+            moveKey(savedFolds, filePath, movedPath);
+            scheduleFoldStateSave();
+        }
+
+        // 移動前のパスへの自動保存が残っていると、元の場所にファイルが作り直されてしまう
+        if (autoSaveTimers.has(filePath)) {
+            cancelAutoSave(filePath);
+            scheduleAutoSave(movedPath);
+        }
+
+        getAllPanes().forEach(pane => pane.replaceFilePath(filePath, movedPath));
+    });
+}
+
+/**
+ * 移動したファイル・フォルダを指すリンクと、移動したファイル内の相対リンクの書き換えを提案する
+ * 変更内容を確認してから適用する。開いているファイルはエディタへの編集として適用する（Ctrl+Z で元に戻せる）
+ */
+async function offerLinkRewrites(oldPath, newPath) {
+    if (!currentDirectoryPath || typeof window.electronAPI?.planLinkRewrites !== 'function') return;
+
+    const result = await window.electronAPI.planLinkRewrites(
+        currentDirectoryPath, [{ oldPath, newPath }], getOpenedFileOverrides()
+    );
+    if (!result.success) {
+        console.error('Failed to plan link rewrites:', result.error);
+        return;
+    }
+    if (result.changes.length === 0) return;
+
+    const confirmed = await showLinkRewritePreview(result.changes);
+    if (!confirmed) return;
+
+    let updatedFiles = 0;
+    const failedFiles = [];
+    for (const { filePath, edits } of result.changes) {
+        const fileData = openedFiles.get(filePath);
+        let isApplied = false;
+
+        if (fileData) {
+            // 確認中に編集された場合は適用しない
+            if (applyTextEdits(fileData.content, edits) !== null) {
+                isApplied = applyUserChangesToFile(filePath, edits.map(({ from, to, insert }) => ({ from, to, insert })));
+            }
+        } else {
+            const writeResult = await window.electronAPI.applyTextEdits(filePath, edits);
+            isApplied = writeResult.success;
+        }
+
+        if (isApplied) updatedFiles++;
+        else failedFiles.push(path.basename(filePath));
+    }
+
+    if (failedFiles.length > 0) {
+        showNotification(`リンクを更新できなかったファイルがあります: ${failedFiles.join(', ')}`, 'error');
+    }
+    if (updatedFiles > 0) {
+        showNotification(`${updatedFiles} ファイルのリンクを更新しました`, 'success');
+    }
+    scheduleWikiIndexRefresh();
+}
+
+// 書き換えるリンクの一覧を表示して確認する
+function showLinkRewritePreview(changes) {
+    return new Promise(resolve => {
+        const existingModal = document.querySelector('.modal-overlay');
+        if (existingModal) existingModal.remove();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const content = document.createElement('div');
+        content.className = 'modal-content link-rewrite-modal-content';
+
+        const total = changes.reduce((sum, change) => sum + change.edits.length, 0);
+        const message = document.createElement('div');
+        message.className = 'modal-message';
+        message.textContent = `${changes.length} ファイル・${total} 件のリンクを新しい場所に合わせて更新しますか？`;
+
+        const list = document.createElement('div');
+        list.className = 'link-rewrite-list';
+        changes.forEach(({ filePath, edits }) => {
+            const file = document.createElement('div');
+            file.className = 'link-rewrite-file';
+            file.textContent = path.relative(currentDirectoryPath, filePath);
+            list.appendChild(file);
+
+            edits.forEach(edit => {
+                const item = document.createElement('div');
+                item.className = 'link-rewrite-item';
+
+                const line = document.createElement('span');
+                line.className = 'link-rewrite-line';
+                line.textContent = String(edit.line);
+
+                const before = document.createElement('span');
+                before.className = 'link-rewrite-before';
+                before.textContent = edit.text;
+
+                const after = document.createElement('span');
+                after.className = 'link-rewrite-after';
+                after.textContent = edit.insert;
+
+                item.appendChild(line);
+                item.appendChild(before);
+                item.appendChild(document.createTextNode(' → '));
+                item.appendChild(after);
+                list.appendChild(item);
+            });
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'modal-buttons';
+
+        const skipBtn = document.createElement('button');
+        skipBtn.className = 'modal-btn';
+        skipBtn.textContent = '更新しない';
+
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'modal-btn';
+        applyBtn.textContent = 'リンクを更新';
+
+        buttons.appendChild(skipBtn);
+        buttons.appendChild(applyBtn);
+        content.appendChild(message);
+        content.appendChild(list);
+        content.appendChild(buttons);
+        overlay.appendChild(content);
+        document.body.appendChild(overlay);
+
+        const close = (result) => {
+            overlay.remove();
+            resolve(result);
+        };
+
+        skipBtn.addEventListener('click', () => close(false));
+        applyBtn.addEventListener('click', () => close(true));
+        applyBtn.focus();
+    });
+}
+
+// ========== クイックオープン (Ctrl+P) ==========
+
+// 最近開いたファイルとして記録する件数（appSettings.recentFiles に保存する）
+const MAX_RECENT_FILES = 50;
+
+// ワークスペースの全ファイル（ファイル監視のイベントで更新する）
+let quickOpenFiles = null;
+let quickOpenIndexTimer = null;
+let recentFilesSaveTimer = null;
+
+const quickOpenPalette = new Palette({
+    placeholder: 'ファイル名で検索',
+    footer: 'Enter: 開く　Ctrl+Enter: 右ペインで開く　Shift+Enter: 分割して開く',
+    getItems: getQuickOpenItems,
+    onSelect: (item, modifiers) => openQuickOpenItem(item.filePath, modifiers)
+});
+
+function recordRecentFile(filePath) {
+    if (!filePath || filePath === 'README.md' || isVirtualTabPath(filePath)) return;
+    const recentFiles = (appSettings.recentFiles || []).filter(p => p !== filePath);
+    recentFiles.unshift(filePath);
+    appSettings.recentFiles = recentFiles.slice(0, MAX_RECENT_FILES);
+
+    // タブを開くたびに設定ファイル全体を書き直さないよう、まとめて保存する
+    if (recentFilesSaveTimer) clearTimeout(recentFilesSaveTimer);
+    recentFilesSaveTimer = setTimeout(() => {
+        recentFilesSaveTimer = null;
+        saveSettings();
+    }, 1000);
+}
+
+function scheduleQuickOpenIndexRefresh(delay = 500) {
+    if (quickOpenIndexTimer) clearTimeout(quickOpenIndexTimer);
+    quickOpenIndexTimer = setTimeout(() => {
+        quickOpenIndexTimer = null;
+        refreshQuickOpenIndex();
+    }, delay);
+}
+
+async function refreshQuickOpenIndex() {
+    if (!currentDirectoryPath || typeof window.electronAPI?.listWorkspaceFiles !== 'function') return;
+
+    const result = await window.electronAPI.listWorkspaceFiles(currentDirectoryPath);
+    if (!result.success) {
+        console.error('Failed to list workspace files:', result.error);
+        return;
+    }
+    quickOpenFiles = result.files;
+    quickOpenPalette.refresh();
+}
+
+function openQuickOpen() {
+    quickOpenPalette.open();
+    if (!quickOpenFiles) refreshQuickOpenIndex();
+}
+
+function getQuickOpenItems(query) {
+    if (!quickOpenFiles || !currentDirectoryPath) return [];
+
+    const recentFiles = appSettings.recentFiles || [];
+    const recentRanks = new Map(recentFiles.map((filePath, i) => [filePath, i]));
+
+    const toItem = (filePath) => {
+        const fileName = path.basename(filePath);
+        return {
+            filePath,
+            label: fileName,
+            description: path.relative(currentDirectoryPath, path.dirname(filePath)),
+            icon: getFileIconData(fileName)
+        };
+    };
+
+    // 未入力時は最近開いたファイル、その他のファイルの順
+    if (!query.trim()) {
+        const existing = new Set(quickOpenFiles);
+        const recent = recentFiles.filter(filePath => existing.has(filePath));
+        const others = quickOpenFiles.filter(filePath => !recentRanks.has(filePath));
+        return [...recent, ...others].map(toItem);
+    }
+
+    const scored = [];
+    quickOpenFiles.forEach(filePath => {
+        const item = toItem(filePath);
+        let score;
+
+        // ファイル名だけで一致するものを優先し、なければフォルダを含めたパスで探す
+        const nameMatch = fuzzyMatch(query, item.label);
+        if (nameMatch) {
+            score = nameMatch.score + 10;
+            item.labelPositions = nameMatch.positions;
+        } else {
+            const relativePath = item.description ? `${item.description}${path.sep}${item.label}` : item.label;
+            const pathMatch = fuzzyMatch(query, relativePath);
+            if (!pathMatch) return;
+            score = pathMatch.score;
+            const nameStart = relativePath.length - item.label.length;
+            item.descriptionPositions = pathMatch.positions.filter(i => i < nameStart);
+            item.labelPositions = pathMatch.positions.filter(i => i >= nameStart).map(i => i - nameStart);
+        }
+
+        // 最近開いたファイルほど上に
+        if (recentRanks.has(filePath)) score += 5 * (1 - recentRanks.get(filePath) / MAX_RECENT_FILES);
+
+        scored.push({ item, score });
+    });
+
+    scored.sort((a, b) => b.score - a.score);
+    return scored.map(entry => entry.item);
+}
+
+/**
+ * クイックオープンで選んだファイルを開く
+ * modifiers.ctrlKey: 右ペイン（サブエディタ）で開く / modifiers.shiftKey: アクティブペインを分割して開く
+ */
+async function openQuickOpenItem(filePath, modifiers) {
+    const fileName = path.basename(filePath);
+    let targetPane = null;
+
+    if (modifiers.ctrlKey && rightLayoutManager) {
+        isRightActivityBarVisible = true;
+        isRightMarkdownVisible = true;
+        isPdfPreviewVisible = false;
+        isBacklinksVisible = false;
+        if (isPositionRight) isTerminalVisible = false;
+        updateTerminalVisibility();
+        targetPane = rightLayoutManager.activePane;
+    } else if (modifiers.shiftKey && layoutManager.activePane) {
+        const newPaneId = layoutManager.splitPane(layoutManager.activePane.id, 'right');
+        if (newPaneId) {
+            layoutManager.setActivePane(newPaneId);
+            targetPane = layoutManager.activePane;
+        }
+    }
+
+    await openFile(filePath, fileName, targetPane);
+
+    const pane = targetPane || layoutManager.activePane;
+    if (pane && pane.manager) pane.manager.setActivePane(pane.id);
+    if (pane && pane.editorView) pane.editorView.focus();
+}
+
+// ========== プロパティ (front matter) ==========
+
+// 入力欄ではカンマ区切りで編集するプロパティ（既存の値がリストのものも同様）
+const LIST_PROPERTY_KEYS = new Set(['tags', 'aliases', 'cssclasses']);
+
+function formatPropertyInput(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (value === null || value === undefined) return '';
+    return String(value);
+}
+
+function parsePropertyInput(text, isList) {
+    if (isList) return text.split(',').map(item => item.trim()).filter(Boolean);
+    return parseScalar(text);
+}
+
+// ノート先頭の front matter をフォームで編集する（変更していない項目は元の記述・コメントをそのまま残す）
+function openPropertiesForm(view) {
+    if (!view) return;
+    if (view.state.readOnly) {
+        showNotification('このタブは編集できません', 'error');
+        return;
+    }
+
+    const block = findFrontMatter(view.state.doc.toJSON());
+    const parsed = block ? parseFrontMatter(block.source) : { entries: [], trailing: '' };
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const content = document.createElement('div');
+    content.className = 'modal-content properties-modal-content';
+
+    const message = document.createElement('div');
+    message.className = 'modal-message';
+    message.textContent = 'プロパティ（リストはカンマ区切りで入力）';
+
+    const form = document.createElement('div');
+    form.className = 'properties-form';
+
+    const rows = [];
+    const addRow = (entry = null) => {
+        const row = document.createElement('div');
+        row.className = 'properties-row';
+
+        const keyInput = document.createElement('input');
+        keyInput.type = 'text';
+        keyInput.className = 'properties-input';
+        keyInput.placeholder = '名前';
+        keyInput.value = entry ? entry.key : '';
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'properties-input';
+        valueInput.placeholder = '値';
+        // 入れ子の値はフォームでは編集できない（YAML を直接編集する）
+        const isNested = entry && entry.value && typeof entry.value === 'object' && !Array.isArray(entry.value);
+        valueInput.value = isNested ? Object.entries(entry.value).map(([k, v]) => `${k}: ${v}`).join(', ') : formatPropertyInput(entry ? entry.value : null);
+        valueInput.disabled = isNested;
+        if (isNested) valueInput.title = '入れ子の値は YAML を直接編集してください';
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'branch-action-btn';
+        removeBtn.textContent = '削除';
+
+        const rowData = { entry, keyInput, valueInput, isRemoved: false };
+        removeBtn.addEventListener('click', () => {
+            rowData.isRemoved = true;
+            row.remove();
+        });
+
+        row.appendChild(keyInput);
+        row.appendChild(valueInput);
+        row.appendChild(removeBtn);
+        form.appendChild(row);
+        rows.push(rowData);
+        return rowData;
+    };
+    parsed.entries.forEach(entry => addRow(entry));
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'branch-action-btn properties-add-btn';
+    addBtn.textContent = '+ プロパティを追加';
+    addBtn.addEventListener('click', () => addRow().keyInput.focus());
+
+    const buttons = document.createElement('div');
+    buttons.className = 'modal-buttons';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'modal-btn';
+    cancelBtn.textContent = 'キャンセル';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'modal-btn';
+    saveBtn.textContent = '保存';
+
+    buttons.appendChild(cancelBtn);
+    buttons.appendChild(saveBtn);
+    content.appendChild(message);
+    content.appendChild(form);
+    content.appendChild(addBtn);
+    content.appendChild(buttons);
+    overlay.appendChild(content);
+    document.body.appendChild(overlay);
+
+    const close = () => {
+        overlay.remove();
+        view.focus();
+    };
+
+    const save = () => {
+        const entries = [];
+        const keys = new Set();
+        for (const { entry, keyInput, valueInput, isRemoved } of rows) {
+            const key = keyInput.value.trim();
+            if (isRemoved || !key) continue;
+            if (keys.has(key)) {
+                showNotification(`プロパティ「${key}」が重複しています`, 'error');
+                return;
+            }
+            keys.add(key);
+
+            const isUnchanged = entry && key === entry.key && (valueInput.disabled || valueInput.value === formatPropertyInput(entry.value));
+            if (isUnchanged) {
+                entries.push(entry);
+            } else {
+                const isList = entry ? Array.isArray(entry.value) : LIST_PROPERTY_KEYS.has(key.toLowerCase());
+                const value = valueInput.disabled ? entry.value : parsePropertyInput(valueInput.value, isList);
+                entries.push({ key, value });
+            }
+        }
+
+        const doc = view.state.doc;
+        let to = 0;
+        let insert = formatFrontMatter(entries, entries.length > 0 ? parsed.trailing : '');
+        if (block) {
+            const closingLine = doc.line(block.endLine + 1);
+            to = closingLine.to < doc.length ? closingLine.to + 1 : closingLine.to;
+            // 文書が front matter だけの場合は末尾に改行を足さない
+            if (to === closingLine.to) insert = insert.replace(/\n$/, '');
+        }
+        if (insert !== doc.sliceString(0, to)) {
+            view.dispatch({ changes: { from: 0, to, insert } });
+        }
+        close();
+    };
+
+    cancelBtn.addEventListener('click', close);
+    saveBtn.addEventListener('click', save);
+    content.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') save();
+        if (e.key === 'Escape') close();
+    });
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+
+    (rows[0] ? rows[0].valueInput : addRow().keyInput).focus();
+}
+
+// PDF に設定する文書の情報（front matter の title / author / tags）
+function getDocumentMetadata(markdown) {
+    const { frontMatter } = splitFrontMatter(markdown);
+    if (!frontMatter) return {};
+    const { data } = frontMatter;
+    const metadata = {};
+    if (data.title !== undefined && data.title !== null) metadata.title = String(data.title);
+    if (data.author !== undefined && data.author !== null) metadata.author = formatPropertyInput(data.author);
+    if (data.tags) metadata.keywords = formatPropertyInput(data.tags);
+    return metadata;
+}
+
+// プロパティでノートを探す（索引は wiki リンクの索引と一緒に main プロセスで作る）
+const propertySearchPalette = new Palette({
+    placeholder: 'プロパティで検索 (例: tag:project date:2024 title:会議)',
+    footer: 'Enter: 開く　Ctrl+Enter: 右ペインで開く　Shift+Enter: 分割して開く',
+    getItems: getPropertySearchItems,
+    onSelect: (item, modifiers) => openQuickOpenItem(item.filePath, modifiers)
+});
+
+function openPropertySearch() {
+    propertySearchPalette.open();
+    if (wikiNotes.length === 0) refreshWikiIndex();
+}
+
+/**
+ * プロパティの条件に合うノート
+ * @param {string} query - parsePropertyQuery の書式
+ * @returns {Array<Object>} wiki リンクの索引のノート
+ */
+function queryNotesByProperties(query) {
+    const parsedQuery = parsePropertyQuery(query);
+    return wikiNotes.filter(note => note.properties &&
+        matchesPropertyQuery(note.properties, path.basename(note.filePath, path.extname(note.filePath)), parsedQuery));
+}
+
+function getPropertySearchItems(query) {
+    if (!currentDirectoryPath) return [];
+    return queryNotesByProperties(query).map(note => {
+        const { title, tags, date } = note.properties;
+        return {
+            filePath: note.filePath,
+            label: title || path.basename(note.filePath),
+            description: path.relative(currentDirectoryPath, note.filePath),
+            hint: [date, ...tags.map(tag => `#${tag}`)].filter(Boolean).join(' '),
+            icon: getFileIconData(path.basename(note.filePath))
+        };
+    });
+}
+
+// ========== タグ ==========
+
+const tagTree = document.getElementById('tag-tree');
+const tagNotesPanel = document.getElementById('tag-notes');
+const tagNotesTitle = document.getElementById('tag-notes-title');
+const tagNotesList = document.getElementById('tag-notes-list');
+
+// ファイルパス → タグの一覧。ワークスペースを開いたときに作り、以降は変更のあったパスだけ読み直す
+let tagIndex = new Map();
+let tagIndexRoot = null;
+let tagIndexToken = 0;
+let isUpdatingTagIndex = false;
+let tagIndexTimer = null;
+const pendingTagPaths = new Set();
+
+let tagTreeNodes = [];
+let tagCompletions = [];
+let selectedTag = null;
+// 折りたたんだタグ（小文字）
+const collapsedTags = new Set();
+
+async function refreshTagIndex() {
+    if (!currentDirectoryPath || typeof window.electronAPI?.getTagIndex !== 'function') return;
+
+    const token = ++tagIndexToken;
+    const rootDir = currentDirectoryPath;
+    const result = await window.electronAPI.getTagIndex(rootDir, null, getOpenedFileOverrides());
+    if (token !== tagIndexToken) return;
+    if (!result.success) {
+        console.error('Failed to build tag index:', result.error);
+        return;
+    }
+
+    tagIndex = new Map(result.notes.map(note => [note.filePath, note.tags]));
+    tagIndexRoot = rootDir;
+    handleTagIndexChanged();
+}
+
+// 変更のあったパス（ファイルまたはフォルダ）をまとめて読み直す
+function scheduleTagIndexUpdate(changedPath) {
+    pendingTagPaths.add(changedPath);
+    if (tagIndexTimer) clearTimeout(tagIndexTimer);
+    tagIndexTimer = setTimeout(flushTagIndexUpdates, 500);
+}
+
+async function flushTagIndexUpdates() {
+    tagIndexTimer = null;
+    if (isUpdatingTagIndex) {
+        tagIndexTimer = setTimeout(flushTagIndexUpdates, 500);
+        return;
+    }
+    if (!tagIndexRoot || tagIndexRoot !== currentDirectoryPath) {
+        pendingTagPaths.clear();
+        return;
+    }
+
+    const targets = Array.from(pendingTagPaths);
+    pendingTagPaths.clear();
+    const token = tagIndexToken;
+    isUpdatingTagIndex = true;
+    try {
+        const result = await window.electronAPI.getTagIndex(tagIndexRoot, targets, getOpenedFileOverrides());
+        // 読み直している間にワークスペース全体を読み直した場合は捨てる
+        if (token !== tagIndexToken) return;
+        if (!result.success) {
+            console.error('Failed to update tag index:', result.error);
+            return;
+        }
+
+        // 削除・移動したものは結果に含まれないため、対象のパスの配下をいったん消してから入れ直す
+        Array.from(tagIndex.keys()).forEach(filePath => {
+            if (targets.some(target => filePath === target || filePath.startsWith(target + path.sep))) tagIndex.delete(filePath);
+        });
+        result.notes.forEach(note => tagIndex.set(note.filePath, note.tags));
+        handleTagIndexChanged();
+    } finally {
+        isUpdatingTagIndex = false;
+    }
+}
+
+function handleTagIndexChanged() {
+    const notes = Array.from(tagIndex, ([filePath, tags]) => ({ filePath, tags }));
+    tagTreeNodes = buildTagTree(notes);
+
+    // 補完には親のタグ (a) も含める
+    tagCompletions = [];
+    const collect = nodes => nodes.forEach(node => {
+        tagCompletions.push({ tag: node.tag, count: node.count });
+        collect(node.children);
+    });
+    collect(tagTreeNodes);
+
+    if (isTagsPanelVisible()) renderTagsPanel();
+}
+
+function isTagsPanelVisible() {
+    const content = document.getElementById('content-tags');
+    return !!content && !content.classList.contains('content-hidden');
+}
+
+function renderTagsPanel() {
+    renderTagTree();
+    renderTagNotes();
+}
+
+function renderTagTree() {
+    if (!tagTree) return;
+    tagTree.innerHTML = '';
+
+    if (tagTreeNodes.length === 0) {
+        const message = document.createElement('li');
+        message.className = 'tag-tree-message';
+        message.textContent = currentDirectoryPath ? 'タグがありません' : 'フォルダが開かれていません';
+        tagTree.appendChild(message);
+        return;
+    }
+
+    const appendNodes = (nodes, depth) => nodes.forEach(node => {
+        const key = node.tag.toLowerCase();
+        const isCollapsed = collapsedTags.has(key);
+
+        const item = document.createElement('li');
+        item.className = 'tag-tree-item';
+        if (selectedTag && selectedTag.toLowerCase() === key) item.classList.add('active');
+        item.style.paddingLeft = `${depth * 15 + 5}px`;
+        item.title = `#${node.tag}`;
+
+        const toggle = document.createElement('span');
+        toggle.className = 'tag-tree-toggle';
+        if (node.children.length > 0) {
+            toggle.textContent = isCollapsed ? '▶' : '▼';
+            toggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (isCollapsed) collapsedTags.delete(key);
+                else collapsedTags.add(key);
+                renderTagTree();
+            });
+        }
+
+        const name = document.createElement('span');
+        name.className = 'tag-tree-name';
+        name.textContent = depth === 0 ? `#${node.name}` : node.name;
+
+        const count = document.createElement('span');
+        count.className = 'tag-tree-count';
+        count.textContent = String(node.count);
+
+        item.append(toggle, name, count);
+        item.addEventListener('click', () => selectTag(node.tag));
+        tagTree.appendChild(item);
+
+        if (!isCollapsed) appendNodes(node.children, depth + 1);
+    });
+    appendNodes(tagTreeNodes, 0);
+}
+
+// 選んだタグ（下の階層のタグを含む）が付いたノートを一覧にする
+function renderTagNotes() {
+    if (!tagNotesPanel || !tagNotesList) return;
+    tagNotesPanel.classList.toggle('hidden', !selectedTag);
+    if (!selectedTag) return;
+
+    const filePaths = Array.from(tagIndex)
+        .filter(([, tags]) => tags.some(tag => isTagOrChild(tag, selectedTag)))
+        .map(([filePath]) => filePath)
+        .sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+
+    if (tagNotesTitle) tagNotesTitle.textContent = `#${selectedTag} のノート (${filePaths.length})`;
+    tagNotesList.innerHTML = '';
+
+    if (filePaths.length === 0) {
+        const message = document.createElement('li');
+        message.className = 'tag-tree-message';
+        message.textContent = 'このタグのノートはありません';
+        tagNotesList.appendChild(message);
+        return;
+    }
+
+    filePaths.forEach(filePath => {
+        const item = document.createElement('li');
+        item.className = 'tag-note-item';
+        item.title = filePath;
+        item.textContent = path.basename(filePath);
+
+        const folder = document.createElement('span');
+        folder.className = 'tag-note-folder';
+        folder.textContent = path.relative(currentDirectoryPath || '', path.dirname(filePath));
+        item.appendChild(folder);
+
+        item.addEventListener('click', () => openFile(filePath, path.basename(filePath)));
+        tagNotesList.appendChild(item);
+    });
+}
+
+function selectTag(tag) {
+    selectedTag = tag;
+    // 親のタグが折りたたまれていたら開く
+    const parts = tag.toLowerCase().split('/');
+    parts.slice(0, -1).forEach((part, i) => collapsedTags.delete(parts.slice(0, i + 1).join('/')));
+    renderTagsPanel();
+}
+
+// エディタのタグを Ctrl+クリックしたとき
+function showTagInPanel(tag) {
+    showSidePanel('tags');
+    selectTag(tag);
+    if (tagIndexRoot !== currentDirectoryPath) refreshTagIndex();
+}
+
+function setupTagsPanel() {
+    const btnCollapse = document.getElementById('btn-tags-collapse');
+    const btnExpand = document.getElementById('btn-tags-expand');
+
+    if (btnCollapse) {
+        btnCollapse.addEventListener('click', () => {
+            const collect = nodes => nodes.forEach(node => {
+                if (node.children.length > 0) collapsedTags.add(node.tag.toLowerCase());
+                collect(node.children);
+            });
+            collect(tagTreeNodes);
+            renderTagTree();
+        });
+    }
+    if (btnExpand) {
+        btnExpand.addEventListener('click', () => {
+            collapsedTags.clear();
+            renderTagTree();
+        });
+    }
+}
+
+// ========== 折りたたみ・セクションへの絞り込み ==========
+
+// ファイルパス → 折りたたんでいる行（0 始まり）。セッションをまたいで保持する
+let savedFolds = new Map();
+let foldStateSaveTimer = null;
+
+async function loadFoldState() {
+    if (typeof window.electronAPI?.loadFoldState !== 'function') return;
+    try {
+        const foldState = await window.electronAPI.loadFoldState();
+        savedFolds = new Map(Object.entries(foldState || {}));
+    } catch (e) {
+        console.error('Failed to load fold state:', e);
+    }
+}
+
+function recordFoldState(filePath, state) {
+    if (!filePath || filePath === 'README.md' || isDiffTabPath(filePath) || isRevisionTabPath(filePath)) return;
+
+    const lines = getFoldedLines(state);
+    if (lines.length > 0) savedFolds.set(filePath, lines);
+    else if (!savedFolds.delete(filePath)) return;
+    scheduleFoldStateSave();
+}
+
+function scheduleFoldStateSave() {
+    if (foldStateSaveTimer) clearTimeout(foldStateSaveTimer);
+    foldStateSaveTimer = setTimeout(() => {
+        foldStateSaveTimer = null;
+        if (typeof window.electronAPI?.saveFoldState === 'function') {
+            window.electronAPI.saveFoldState(Object.fromEntries(savedFolds));
+        }
+    }, 1000);
+}
+
+// カーソルのある見出しのセクションだけを表示する（org-mode の narrowing）
+function focusSection(view) {
+    if (!toggleSectionNarrowing(view)) showNotification('カーソルが見出しの下にありません', 'info');
+}
+
+// ========== コマンド ==========
+// ツールバー・ショートカットキー・コマンドパレット (Ctrl+Shift+P) から実行する操作
+
+const commandRegistry = new CommandRegistry();
+
+const commandPalette = new Palette({
+    placeholder: 'コマンドを検索',
+    footer: 'Enter: 実行　Esc: 閉じる',
+    getItems: getCommandPaletteItems,
+    onSelect: (item) => commandRegistry.execute(item.commandId)
+});
+
+// アクティブなエディタに対する操作（エディタがなければ何もしない）
+function withActiveView(action) {
+    return () => {
+        const view = getActiveView();
+        if (view) action(view);
+    };
+}
+
+const HEADING_COMMANDS = [1, 2, 3, 4, 5, 6].map(level => ({
+    id: `format.heading${level}`,
+    title: `見出し ${level}`,
+    category: '書式',
+    run: withActiveView(view => toggleLinePrefix(view, '#'.repeat(level)))
+}));
+
+commandRegistry.registerAll([
+    { id: 'file.save', title: '保存', category: 'ファイル', keybinding: 'Mod-s', run: () => saveCurrentFile(false) },
+    { id: 'file.closeTab', title: 'タブを閉じる', category: 'ファイル', keybinding: 'Mod-w', when: '!terminalFocus', run: closeActiveTab },
+    { id: 'file.quickOpen', title: 'ファイルを開く (クイックオープン)', category: 'ファイル', keybinding: 'Mod-p', when: '!terminalFocus', run: openQuickOpen },
+    { id: 'file.newFile', title: '新しいファイル', category: 'ファイル', run: () => showCreationInput(false) },
+    { id: 'file.newFolder', title: '新しいフォルダ', category: 'ファイル', run: () => showCreationInput(true) },
+    { id: 'file.openFolder', title: 'フォルダを開く', category: 'ファイル', run: openFolder },
+    { id: 'file.exportPdf', title: 'PDF にエクスポート', category: 'ファイル', run: exportPdf },
+    {
+        id: 'file.delete',
+        title: '選択したファイル・フォルダを削除',
+        category: 'ファイル',
+        keybinding: 'Delete',
+        mac: 'Mod-Backspace',
+        when: 'treeFocus && !inputFocus',
+        run: deleteSelectedTreeItem
+    },
+
+    { id: 'edit.undo', title: '元に戻す', category: '編集', run: runUndo },
+    { id: 'edit.redo', title: 'やり直す', category: '編集', run: runRedo },
+    { id: 'edit.editProperties', title: 'プロパティを編集', category: '編集', run: withActiveView(openPropertiesForm) },
+    { id: 'edit.promoteSection', title: 'セクションの見出しを上げる', category: '編集', run: withActiveView(view => shiftSectionAtCursor(view, -1)) },
+    { id: 'edit.demoteSection', title: 'セクションの見出しを下げる', category: '編集', run: withActiveView(view => shiftSectionAtCursor(view, 1)) },
+    { id: 'edit.pastePlainText', title: 'テキストとして貼り付け', category: '編集', keybinding: 'Mod-Shift-v', when: 'editorFocus', run: pastePlainText },
+
+    ...HEADING_COMMANDS,
+    { id: 'format.bold', title: '太字', category: '書式', run: withActiveView(view => toggleMark(view, '**')) },
+    { id: 'format.italic', title: '斜体', category: '書式', run: withActiveView(view => toggleMark(view, '*')) },
+    { id: 'format.strikethrough', title: '取り消し線', category: '書式', run: withActiveView(view => toggleMark(view, '~~')) },
+    { id: 'format.highlight', title: 'ハイライト', category: '書式', run: withActiveView(view => toggleMark(view, '==')) },
+    { id: 'format.inlineCode', title: 'インラインコード', category: '書式', run: withActiveView(view => toggleMark(view, '`')) },
+    { id: 'format.codeBlock', title: 'コードブロックを挿入', category: '書式', run: withActiveView(insertCodeBlock) },
+    { id: 'format.link', title: 'リンクを挿入', category: '書式', run: withActiveView(insertLink) },
+    { id: 'format.image', title: '画像を挿入', category: '書式', run: withActiveView(insertImage) },
+    { id: 'format.table', title: '表を挿入', category: '書式', run: withActiveView(insertTable) },
+    { id: 'format.quote', title: '引用', category: '書式', run: withActiveView(view => toggleLinePrefix(view, '>')) },
+    { id: 'format.horizontalRule', title: '水平線を挿入', category: '書式', run: withActiveView(insertHorizontalRule) },
+    { id: 'format.pageBreak', title: '改ページを挿入', category: '書式', run: withActiveView(insertPageBreak) },
+    { id: 'format.bulletList', title: '箇条書き', category: '書式', run: withActiveView(view => toggleList(view, 'ul')) },
+    { id: 'format.numberList', title: '番号付きリスト', category: '書式', run: withActiveView(view => toggleList(view, 'ol')) },
+    { id: 'format.checkList', title: 'チェックリスト', category: '書式', run: withActiveView(view => toggleList(view, 'task')) },
+
+    { id: 'view.commandPalette', title: 'コマンドパレットを開く', category: '表示', keybinding: 'Mod-Shift-p', run: openCommandPalette },
+    { id: 'view.showExplorer', title: 'エクスプローラーを表示', category: '表示', run: () => showSidePanel('files') },
+    { id: 'view.showOutline', title: 'アウトラインを表示', category: '表示', run: () => showSidePanel('outline') },
+    { id: 'view.showGit', title: 'Git パネルを表示', category: '表示', run: () => showSidePanel('git') },
+    { id: 'view.showHistory', title: '履歴パネルを表示', category: '表示', run: () => showSidePanel('history') },
+    { id: 'view.showTags', title: 'タグを表示', category: '表示', run: () => showSidePanel('tags') },
+    { id: 'view.focusSection', title: 'セクションに絞り込む / 絞り込みを解除', category: '表示', run: withActiveView(focusSection) },
+    { id: 'view.foldAll', title: 'すべて折りたたむ', category: '表示', run: withActiveView(foldAll) },
+    { id: 'view.unfoldAll', title: 'すべて展開', category: '表示', run: withActiveView(unfoldAll) },
+    { id: 'view.toggleLeftPane', title: '左ペインの表示切り替え', category: '表示', run: toggleLeftPane },
+    { id: 'view.toggleRightActivityBar', title: '右アクティビティバーの表示切り替え', category: '表示', run: toggleRightActivityBar },
+    { id: 'view.toggleTerminal', title: 'ターミナルの表示切り替え', category: '表示', run: toggleRightTerminal },
+    { id: 'view.toggleTerminalPosition', title: 'ターミナルの位置を切り替え (右 / 下)', category: '表示', run: toggleTerminalPosition },
+    { id: 'view.togglePdfPreview', title: 'PDF プレビューの表示切り替え', category: '表示', run: togglePdfPreview },
+    { id: 'view.toggleRightEditor', title: '右エディタの表示切り替え', category: '表示', run: toggleRightMarkdown },
+    { id: 'view.toggleBacklinks', title: 'バックリンクの表示切り替え', category: '表示', run: toggleBacklinksPanel },
+    { id: 'view.toggleZenMode', title: 'Zen モードの切り替え', category: '表示', run: toggleZenMode },
+    { id: 'view.exitZenMode', title: 'Zen モードを終了', category: '表示', keybinding: 'Escape', when: 'zenMode && !inputFocus', run: exitZenMode },
+    { id: 'view.openSettings', title: '設定を開く', category: '表示', run: openSettingsTab },
+    { id: 'view.openKeybindings', title: 'キーボードショートカットの設定を開く', category: '表示', run: openKeybindingSettings },
+
+    { id: 'search.workspace', title: 'ワークスペースを検索', category: '検索', keybinding: 'Mod-Shift-f', run: () => showSidePanel('search') },
+    { id: 'search.properties', title: 'プロパティでノートを検索', category: '検索', run: openPropertySearch },
+
+    { id: 'git.refresh', title: '変更を再読み込み', category: 'Git', run: refreshGitStatus },
+    { id: 'git.commit', title: 'コミット', category: 'Git', run: gitCommit },
+    { id: 'git.push', title: 'プッシュ', category: 'Git', run: () => gitSync('push') },
+    { id: 'git.pull', title: 'プル', category: 'Git', run: () => gitSync('pull') },
+    { id: 'git.branches', title: 'ブランチを管理', category: 'Git', run: showBranchModal },
+
+    { id: 'history.refresh', title: '履歴を再読み込み', category: '履歴', run: refreshHistory },
+    { id: 'history.toggleBlame', title: 'blame の表示切り替え', category: '履歴', run: toggleBlame }
+]);
+
+function openCommandPalette() {
+    commandPalette.open();
+}
+
+function getCommandLabel(command) {
+    return command.category ? `${command.category}: ${command.title}` : command.title;
+}
+
+function getCommandPaletteItems(query) {
+    const items = [];
+    commandRegistry.getAll().forEach(command => {
+        const label = getCommandLabel(command);
+        const match = fuzzyMatch(query, label);
+        if (!match) return;
+
+        const keybinding = keybindingManager.getKeybinding(command.id);
+        items.push({
+            commandId: command.id,
+            label,
+            hint: keybinding ? formatKeybinding(keybinding) : '',
+            labelPositions: match.positions,
+            score: match.score
+        });
+    });
+
+    // 未入力時は登録順のまま
+    if (query.trim()) items.sort((a, b) => b.score - a.score);
+    return items;
+}
+
+// ========== キーボードショートカット ==========
+// 既定値はコマンドの keybinding / when。ユーザーの変更は keybindings.json（app-settings.json と同じ場所）に保存する
+
+const keybindingManager = new KeybindingManager(commandRegistry, {
+    getContext: getKeybindingContext,
+    onPendingChange: showPendingKeybinding
+});
+
+// キーの入力待ちダイアログの表示中はショートカットを実行しない
+let isRecordingKeybinding = false;
+
+// エディタ・ターミナルのキー操作より先に判定する
+window.addEventListener('keydown', (e) => {
+    if (isRecordingKeybinding || e.isComposing) return;
+    if (keybindingManager.handleKeyEvent(e)) {
+        e.preventDefault();
+        e.stopPropagation();
+    }
+}, true);
+
+function getKeybindingContext() {
+    const active = document.activeElement;
+    const focused = active && active !== document.body ? active : null;
+    const terminalFocus = !!focused?.closest('.xterm');
+    const editorFocus = !terminalFocus && !!focused?.closest('.cm-editor');
+    const isInput = !!focused && (focused.matches('input, textarea, select') || focused.isContentEditable);
+
+    return {
+        editorFocus,
+        terminalFocus,
+        treeFocus: !!focused?.closest('#file-tree-container'),
+        inputFocus: isInput && !editorFocus && !terminalFocus,
+        zenMode: ideContainer.classList.contains('zen-mode-active')
+    };
+}
+
+// 連続キーの入力途中をステータスバーに表示する
+function showPendingKeybinding(sequence) {
+    const status = document.getElementById('keybinding-status');
+    if (!status) return;
+    status.textContent = sequence.length > 0 ? `${formatKeybinding(sequence.join(' '))} → 続けてキーを押してください` : '';
+}
+
+async function loadKeybindings() {
+    try {
+        const overrides = await window.electronAPI.loadKeybindings();
+        keybindingManager.setOverrides(overrides);
+    } catch (e) {
+        console.error("Failed to load keybindings", e);
+    }
+    renderKeybindingSettings();
+}
+
+async function saveKeybindings() {
+    try {
+        await window.electronAPI.saveKeybindings(keybindingManager.getOverrides());
+    } catch (e) {
+        console.error("Failed to save keybindings", e);
+    }
+}
+
+function openKeybindingSettings() {
+    openSettingsTab();
+    document.getElementById('keybindings-settings')?.scrollIntoView();
+    document.getElementById('keybinding-filter')?.focus();
+}
+
+function setupKeybindingSettings() {
+    document.getElementById('keybinding-filter')?.addEventListener('input', () => renderKeybindingSettings());
+}
+
+function renderKeybindingSettings() {
+    const table = document.getElementById('keybindings-table');
+    if (!table) return;
+
+    const filter = (document.getElementById('keybinding-filter')?.value || '').trim().toLowerCase();
+    const conflicts = keybindingManager.getConflicts();
+
+    table.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'keybinding-row header';
+    ['コマンド', 'キー', '条件', ''].forEach(text => {
+        const cell = document.createElement('span');
+        cell.textContent = text;
+        header.appendChild(cell);
+    });
+    table.appendChild(header);
+
+    commandRegistry.getAll().forEach(command => {
+        const label = getCommandLabel(command);
+        const keybinding = keybindingManager.getKeybinding(command.id);
+        const keyText = keybinding ? formatKeybinding(keybinding) : '';
+        if (filter && ![label, keyText, command.id].some(text => text.toLowerCase().includes(filter))) return;
+
+        table.appendChild(createKeybindingRow(command, label, keyText, conflicts.get(command.id)));
+    });
+}
+
+function createKeybindingRow(command, label, keyText, conflictingCommands) {
+    const row = document.createElement('div');
+    row.className = 'keybinding-row';
+
+    const labelCell = document.createElement('span');
+    labelCell.textContent = label;
+    labelCell.title = command.id;
+
+    const keyCell = document.createElement('span');
+    keyCell.className = 'keybinding-key';
+    keyCell.textContent = keyText || '—';
+    if (keybindingManager.isCustomized(command.id)) keyCell.classList.add('customized');
+    if (conflictingCommands) {
+        keyCell.classList.add('conflict');
+        keyCell.textContent = `⚠ ${keyText}`;
+        keyCell.title = '次のコマンドと重複しています: ' + conflictingCommands.map(getCommandLabel).join(', ');
+    }
+
+    const whenCell = document.createElement('span');
+    whenCell.className = 'keybinding-when';
+    whenCell.textContent = command.when || '';
+
+    const actions = document.createElement('span');
+    actions.className = 'keybinding-actions';
+
+    const addAction = (text, handler) => {
+        const btn = document.createElement('button');
+        btn.textContent = text;
+        btn.addEventListener('click', handler);
+        actions.appendChild(btn);
+    };
+
+    addAction('変更', () => changeKeybinding(command));
+    if (keyText) {
+        addAction('削除', () => updateKeybinding(() => keybindingManager.setKeybinding(command.id, null)));
+    }
+    if (keybindingManager.isCustomized(command.id)) {
+        addAction('既定に戻す', () => updateKeybinding(() => keybindingManager.resetKeybinding(command.id)));
+    }
+
+    row.appendChild(labelCell);
+    row.appendChild(keyCell);
+    row.appendChild(whenCell);
+    row.appendChild(actions);
+    return row;
+}
+
+function updateKeybinding(change) {
+    change();
+    saveKeybindings();
+    renderKeybindingSettings();
+}
+
+async function changeKeybinding(command) {
+    const sequence = await recordKeybinding(command);
+    if (!sequence) return;
+
+    updateKeybinding(() => keybindingManager.setKeybinding(command.id, sequence));
+
+    const conflicts = keybindingManager.findConflicts(sequence, command.when, command.id);
+    if (conflicts.length > 0) {
+        showNotification(`${formatKeybinding(sequence)} は「${conflicts.map(getCommandLabel).join('」「')}」と重複しています`, 'error');
+    }
+}
+
+/**
+ * 押したキーを記録するダイアログ（連続キーは2つまで）
+ * @returns {Promise<string|null>} 記録したキー。キャンセルした場合は null
+ */
+function recordKeybinding(command) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const content = document.createElement('div');
+        content.className = 'modal-content keybinding-modal-content';
+
+        const message = document.createElement('div');
+        message.className = 'modal-message';
+        message.textContent = `「${getCommandLabel(command)}」に割り当てるキーを押してください。続けて2つ目のキーを押すと連続キーになります。`;
+
+        const display = document.createElement('div');
+        display.className = 'keybinding-record-display';
+
+        const conflict = document.createElement('div');
+        conflict.className = 'keybinding-record-conflict';
+
+        const buttons = document.createElement('div');
+        buttons.className = 'modal-buttons';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'modal-btn';
+        cancelBtn.textContent = 'キャンセル';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'modal-btn';
+        saveBtn.textContent = '設定';
+        saveBtn.disabled = true;
+
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(saveBtn);
+        content.appendChild(message);
+        content.appendChild(display);
+        content.appendChild(conflict);
+        content.appendChild(buttons);
+        overlay.appendChild(content);
+        document.body.appendChild(overlay);
+
+        let chords = [];
+
+        const update = () => {
+            const sequence = chords.join(' ');
+            display.textContent = sequence ? formatKeybinding(sequence) : 'キーを押してください...';
+            const conflicts = sequence ? keybindingManager.findConflicts(sequence, command.when, command.id) : [];
+            conflict.textContent = conflicts.length > 0
+                ? '重複: ' + conflicts.map(getCommandLabel).join(', ')
+                : '';
+            saveBtn.disabled = chords.length === 0;
+        };
+
+        // Enter・Esc なども含めてすべてのキーを記録するため、確定・キャンセルはボタンで行う
+        const onKeydown = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const chord = keybindingFromEvent(e);
+            if (!chord) return;
+            chords = chords.length >= 2 ? [chord] : [...chords, chord];
+            update();
+        };
+
+        const close = (result) => {
+            window.removeEventListener('keydown', onKeydown, true);
+            isRecordingKeybinding = false;
+            overlay.remove();
+            resolve(result);
+        };
+
+        isRecordingKeybinding = true;
+        window.addEventListener('keydown', onKeydown, true);
+        cancelBtn.addEventListener('click', () => close(null));
+        saveBtn.addEventListener('click', () => close(chords.join(' ')));
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close(null);
+        });
+
+        update();
+    });
+}
+
+// ========== 履歴 (History) ==========
+
+const REVISION_TAB_PREFIX = 'rev://';
+const historyList = document.getElementById('history-list');
+const historyScopeButtons = document.querySelectorAll('.history-scope-btn');
+const btnHistoryRefresh = document.getElementById('btn-history-refresh');
+const btnHistoryBlame = document.getElementById('btn-history-blame');
+
+// Map<revisionTabPath, content> 読み取り専用で開いている過去のリビジョン
+const revisionContents = new Map();
+let historyScope = 'workspace'; // 'workspace' | 'file'
+let historyRefreshTimer = null;
+
+function isRevisionTabPath(tabPath) {
+    return typeof tabPath === 'string' && tabPath.startsWith(REVISION_TAB_PREFIX);
+}
+
+// rev://<oid>/<ファイルの絶対パス>
+function parseRevisionTabPath(tabPath) {
+    const rest = tabPath.slice(REVISION_TAB_PREFIX.length);
+    const separator = rest.indexOf('/');
+    return { oid: rest.slice(0, separator), filePath: rest.slice(separator + 1) };
+}
+
+// ファイルを指定コミット時点の内容で、読み取り専用のタブとして開く
+async function openRevisionTab(filePath, oid) {
+    const pane = getActivePane();
+    if (!pane) return;
+
+    const tabPath = `${REVISION_TAB_PREFIX}${oid}/${filePath}`;
+    if (!revisionContents.has(tabPath)) {
+        const result = await window.electronAPI.gitReadFileAt(filePath, oid);
+        if (!result.success) {
+            showNotification(`リビジョンを開けませんでした: ${result.error}`, 'error');
+            return;
+        }
+        revisionContents.set(tabPath, result.content);
+    }
+    pane.openFile(tabPath);
+}
+
+function isHistoryPanelVisible() {
+    const content = document.getElementById('content-history');
+    return !!content && !content.classList.contains('content-hidden') && !leftPane.classList.contains('hidden');
+}
+
+// アクティブなファイル（ディスク上のファイルのみ）
+function getActiveRealFilePath() {
+    const pane = getActivePane();
+    if (!pane || !pane.activeFilePath) return null;
+    if (pane.activeFilePath === 'README.md' || isVirtualTabPath(pane.activeFilePath)) return null;
+    return pane.activeFilePath;
+}
+
+function scheduleHistoryRefresh() {
+    if (historyScope !== 'file' || !isHistoryPanelVisible()) return;
+    if (historyRefreshTimer) clearTimeout(historyRefreshTimer);
+    historyRefreshTimer = setTimeout(() => {
+        historyRefreshTimer = null;
+        refreshHistory();
+    }, 200);
+}
+
+async function refreshHistory() {
+    if (!historyList || typeof window.electronAPI?.gitLog !== 'function' || !currentDirectoryPath) return;
+
+    const filePath = historyScope === 'file' ? getActiveRealFilePath() : null;
+    if (historyScope === 'file' && !filePath) {
+        renderHistoryMessage('ファイルが選択されていません');
+        return;
+    }
+
+    const result = await window.electronAPI.gitLog(currentDirectoryPath, filePath);
+    if (!result.success) {
+        renderHistoryMessage('履歴を取得できません（Gitリポジトリではないか、コミットがありません）');
+        return;
+    }
+    if (result.commits.length === 0) {
+        renderHistoryMessage('コミットはありません');
+        return;
+    }
+
+    historyList.innerHTML = '';
+    result.commits.forEach(commit => {
+        historyList.appendChild(createHistoryItem(commit, result.root, filePath));
+    });
+}
+
+function renderHistoryMessage(text) {
+    if (!historyList) return;
+    historyList.innerHTML = '';
+    const message = document.createElement('div');
+    message.className = 'history-empty';
+    message.textContent = text;
+    historyList.appendChild(message);
+}
+
+function createHistoryItem(commit, root, filePath) {
+    const item = document.createElement('div');
+    item.className = 'history-item';
+    item.title = `${commit.oid}\n${commit.author} <${commit.email}>\n\n${commit.message.trim()}`;
+
+    const summary = document.createElement('div');
+    summary.className = 'history-message';
+    summary.textContent = commit.message.split('\n')[0];
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = `${commit.oid.slice(0, 7)} · ${commit.author} · ${new Date(commit.timestamp * 1000).toLocaleString()}`;
+
+    item.appendChild(summary);
+    item.appendChild(meta);
+
+    if (filePath) {
+        // ファイルの履歴: そのコミット時点の内容を開く
+        item.addEventListener('click', () => openRevisionTab(filePath, commit.oid));
+        return item;
+    }
+
+    // ワークスペースの履歴: 変更されたファイルを展開して表示する
+    const fileList = document.createElement('div');
+    fileList.className = 'history-files hidden';
+    item.appendChild(fileList);
+
+    item.addEventListener('click', async (e) => {
+        if (e.target.closest('.history-file')) return;
+        const isExpanding = fileList.classList.contains('hidden');
+        fileList.classList.toggle('hidden', !isExpanding);
+        if (!isExpanding || fileList.childElementCount > 0) return;
+
+        const result = await window.electronAPI.gitCommitFiles(root, commit.oid);
+        if (!result.success) {
+            showNotification(`変更ファイルを取得できませんでした: ${result.error}`, 'error');
+            return;
+        }
+        result.files.forEach(file => {
+            const statusInfo = GIT_STATUS_LETTERS[file.status] || GIT_STATUS_LETTERS.unknown;
+            const fileItem = document.createElement('div');
+            fileItem.className = `history-file status-${file.status}`;
+            fileItem.textContent = `${statusInfo.letter}  ${file.filepath}`;
+            if (file.status !== 'deleted') {
+                fileItem.addEventListener('click', () => openRevisionTab(path.join(root, file.filepath), commit.oid));
+            }
+            fileList.appendChild(fileItem);
+        });
+    });
+    return item;
+}
+
+// アクティブなエディタの blame ガターを切り替える
+async function toggleBlame() {
+    const pane = getActivePane();
+    const filePath = getActiveRealFilePath();
+    if (!pane || !pane.editorView || !filePath) {
+        showNotification('blame を表示できるファイルが選択されていません', 'error');
+        return;
+    }
+
+    const view = pane.editorView;
+    const current = blameCompartment.get(view.state);
+    if (Array.isArray(current) ? current.length > 0 : !!current) {
+        view.dispatch({ effects: blameCompartment.reconfigure([]) });
+        return;
+    }
+
+    const result = await window.electronAPI.gitBlame(filePath, view.state.doc.toString());
+    if (!result.success) {
+        showNotification(`blame を取得できませんでした: ${result.error}`, 'error');
+        return;
+    }
+    // 取得中にタブが切り替わった場合は適用しない
+    if (pane.activeFilePath !== filePath) return;
+
+    const lineCommits = result.lines.map(oid => (oid ? result.commits[oid] : null));
+    view.dispatch({
+        effects: blameCompartment.reconfigure(
+            blameGutter(lineCommits, commit => openRevisionTab(filePath, commit.oid))
+        )
+    });
+}
+
+function setupHistoryPanel() {
+    historyScopeButtons.forEach(btn => {
+        btn.addEventListener('click', () => {
+            historyScope = btn.dataset.scope;
+            historyScopeButtons.forEach(b => b.classList.toggle('active', b === btn));
+            refreshHistory();
+        });
+    });
+
+    if (btnHistoryRefresh) btnHistoryRefresh.addEventListener('click', () => commandRegistry.execute('history.refresh'));
+    if (btnHistoryBlame) btnHistoryBlame.addEventListener('click', () => commandRegistry.execute('history.toggleBlame'));
+}
+
+function setupGitPanel() {
+    if (btnGitStage) {
+        btnGitStage.addEventListener('click', () => {
+            if (gitState.unstaged.length === 0) return;
+            gitStageFiles(gitState.unstaged.map(f => f.filepath));
+        });
+    }
+
+    if (btnGitUnstage) {
+        btnGitUnstage.addEventListener('click', () => {
+            if (gitState.staged.length === 0) return;
+            gitUnstageFiles(gitState.staged.map(f => f.filepath));
+        });
+    }
+
+    if (btnGitRefresh) {
+        btnGitRefresh.addEventListener('click', () => commandRegistry.execute('git.refresh'));
+    }
+
+    if (gitBranchBtn) gitBranchBtn.addEventListener('click', () => commandRegistry.execute('git.branches'));
+    if (gitCommitBtn) gitCommitBtn.addEventListener('click', () => commandRegistry.execute('git.commit'));
+    if (gitPushBtn) gitPushBtn.addEventListener('click', () => commandRegistry.execute('git.push'));
+    if (gitPullBtn) gitPullBtn.addEventListener('click', () => commandRegistry.execute('git.pull'));
+
+    if (gitMessageInput) {
+        gitMessageInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                gitCommit();
+            }
+        });
+    }
+
+    if (typeof window.electronAPI?.onGitProgress === 'function') {
+        window.electronAPI.onGitProgress(({ operation, phase, loaded, total }) => {
+            const label = operation === 'push' ? 'Push' : 'Pull';
+            const percent = total ? ` ${Math.round((loaded / total) * 100)}%` : '';
+            showGitProgress(`${label}: ${phase}${percent}`);
+        });
+    }
+
+    // ターミナルなど外部での Git 操作を拾うため、ウィンドウに戻った時にも更新する
+    window.addEventListener('focus', () => scheduleGitRefresh(0));
+}
+
+const outlineTree = document.getElementById('outline-tree');
+const btnOutlineCollapse = document.getElementById('btn-outline-collapse');
+const btnOutlineExpand = document.getElementById('btn-outline-expand');
+
+// 最後に表示したセクションの木（アクティブなセクションの強調に使う）
+let outlineSections = [];
+// 折りたたんだセクション（更新しても状態が変わらないよう "階層:見出し" で覚える）
+const collapsedOutlineSections = new Set();
+// ドラッグ中のセクションの見出しの行
+let draggedOutlineLine = null;
+
+function getOutlineSectionKey(section) {
+    return `${section.level}:${section.text}`;
+}
+
+function updateOutline() {
+    const view = getActiveView();
+    if (!outlineTree) return;
+
+    outlineSections = view ? buildSectionTree(view.state.doc.toString().split('\n')) : [];
+    if (outlineSections.length === 0) {
+        outlineTree.innerHTML = '<li style="color: #999; padding: 5px;">見出しがありません</li>';
+        return;
+    }
+
+    outlineTree.innerHTML = '';
+    outlineSections.forEach(section => outlineTree.appendChild(createOutlineNode(section)));
+    updateActiveOutlineItem(view);
+}
+
+function createOutlineNode(section) {
+    const key = getOutlineSectionKey(section);
+    const node = document.createElement('li');
+    node.className = 'outline-node';
+    node.classList.toggle('collapsed', collapsedOutlineSections.has(key));
+
+    const item = document.createElement('div');
+    item.className = 'outline-item';
+    item.dataset.line = section.line;
+    item.dataset.level = section.level;
+    item.draggable = true;
+    item.style.fontSize = `${Math.max(14 - (section.level - 1), 11)}px`;
+
+    const toggle = document.createElement('span');
+    toggle.className = 'outline-toggle';
+    if (section.children.length > 0) {
+        toggle.textContent = node.classList.contains('collapsed') ? '▶' : '▼';
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const isCollapsed = node.classList.toggle('collapsed');
+            if (isCollapsed) collapsedOutlineSections.add(key);
+            else collapsedOutlineSections.delete(key);
+            toggle.textContent = isCollapsed ? '▶' : '▼';
+        });
+    }
+
+    const text = document.createElement('span');
+    text.className = 'outline-text';
+    text.textContent = section.text;
+
+    const actions = document.createElement('span');
+    actions.className = 'outline-actions';
+    [
+        { label: '←', title: '見出しを上げる（下の見出しも含む）', delta: -1 },
+        { label: '→', title: '見出しを下げる（下の見出しも含む）', delta: 1 }
+    ].forEach(({ label, title, delta }) => {
+        const button = document.createElement('button');
+        button.className = 'outline-action';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            shiftOutlineSection(getActiveView(), section.line, delta);
+        });
+        actions.appendChild(button);
+    });
+
+    item.append(toggle, text, actions);
+    item.addEventListener('click', () => scrollToLine(section.line));
+    setupOutlineDragAndDrop(item, section);
+    node.appendChild(item);
 
-        if (isMaximized) {
-            if (iconMax) iconMax.classList.add('hidden');
-            if (iconRestore) iconRestore.classList.remove('hidden');
-            btnMaximize.title = "元に戻す";
-        } else {
-            if (iconMax) iconMax.classList.remove('hidden');
-            if (iconRestore) iconRestore.classList.add('hidden');
-            btnMaximize.title = "最大化";
-        }
-    });
+    if (section.children.length > 0) {
+        const children = document.createElement('ul');
+        children.className = 'outline-children';
+        section.children.forEach(child => children.appendChild(createOutlineNode(child)));
+        node.appendChild(children);
+    }
+    return node;
 }
 
-if (btnClose) {
-    btnClose.addEventListener('click', () => {
-        window.electronAPI.closeWindow();
+// 見出しをドラッグしてセクション（見出しと本文・下の見出し）を移動する
+// ドロップした見出しの上半分ならその前、下半分ならそのセクションの後ろに移す
+function setupOutlineDragAndDrop(item, section) {
+    item.addEventListener('dragstart', (e) => {
+        draggedOutlineLine = section.line;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', section.text);
+        item.classList.add('dragging');
     });
-}
 
-const btnSortAsc = document.getElementById('btn-sort-asc');
-const btnSortDesc = document.getElementById('btn-sort-desc');
+    item.addEventListener('dragend', () => {
+        draggedOutlineLine = null;
+        item.classList.remove('dragging');
+        clearOutlineDropIndicators();
+    });
 
-if (btnSortAsc) {
-    btnSortAsc.addEventListener('click', () => {
-        currentSortOrder = 'asc';
-        initializeFileTree();
+    item.addEventListener('dragover', (e) => {
+        if (draggedOutlineLine === null) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        const rect = item.getBoundingClientRect();
+        const isBefore = e.clientY < rect.top + rect.height / 2;
+        clearOutlineDropIndicators();
+        item.classList.add(isBefore ? 'drop-before' : 'drop-after');
     });
-}
 
-if (btnSortDesc) {
-    btnSortDesc.addEventListener('click', () => {
-        currentSortOrder = 'desc';
-        initializeFileTree();
+    item.addEventListener('dragleave', () => {
+        item.classList.remove('drop-before', 'drop-after');
+    });
+
+    item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const isBefore = item.classList.contains('drop-before');
+        clearOutlineDropIndicators();
+        if (draggedOutlineLine === null) return;
+        moveOutlineSection(getActiveView(), draggedOutlineLine, isBefore ? section.line : section.endLine);
     });
 }
 
-const btnGitStage = document.getElementById('btn-git-stage');
-const btnGitUnstage = document.getElementById('btn-git-unstage');
-const btnGitRefresh = document.getElementById('btn-git-refresh');
+function clearOutlineDropIndicators() {
+    if (!outlineTree) return;
+    outlineTree.querySelectorAll('.drop-before, .drop-after').forEach(el => el.classList.remove('drop-before', 'drop-after'));
+}
 
-if (btnGitStage) {
-    btnGitStage.addEventListener('click', () => {
-        console.log('すべての変更をステージングしました。(処理未実装)');
-    });
+// 現在の文書から、見出しが指定した行にあるセクションを探す
+function findOutlineSection(lines, line) {
+    const section = findSectionAt(buildSectionTree(lines), line);
+    return section && section.line === line ? section : null;
 }
 
-if (btnGitUnstage) {
-    btnGitUnstage.addEventListener('click', () => {
-        console.log('すべての変更をアンステージングしました。(処理未実装)');
+// アウトラインの操作による変更を適用し、カーソルを見出しに移す
+function applyOutlineEdit(view, newLines, headingLine) {
+    const change = getMinimalReplacement(view.state.doc.toString(), newLines.join('\n'));
+    if (!change) return;
+
+    const anchor = newLines.slice(0, headingLine).reduce((sum, line) => sum + line.length + 1, 0);
+    view.dispatch({
+        changes: change,
+        selection: { anchor },
+        scrollIntoView: true,
+        userEvent: 'move.section'
     });
+    updateOutline();
 }
 
-if (btnGitRefresh) {
-    btnGitRefresh.addEventListener('click', () => {
-        console.log('Gitの状態を更新しました。(処理未実装)');
-    });
+function moveOutlineSection(view, headingLine, insertLine) {
+    if (!view || view.state.readOnly) return;
+    const lines = view.state.doc.toString().split('\n');
+    const section = findOutlineSection(lines, headingLine);
+    if (!section) return;
+
+    const result = moveSection(lines, section, insertLine);
+    if (result) applyOutlineEdit(view, result.lines, result.line);
 }
 
-const outlineTree = document.getElementById('outline-tree');
-const btnOutlineCollapse = document.getElementById('btn-outline-collapse');
-const btnOutlineExpand = document.getElementById('btn-outline-expand');
+function shiftOutlineSection(view, headingLine, delta) {
+    if (!view || view.state.readOnly) return;
+    const lines = view.state.doc.toString().split('\n');
+    const section = findOutlineSection(lines, headingLine);
+    if (!section) return;
 
-function updateOutline() {
-    const view = getActiveView();
-    const outlineTree = document.getElementById('outline-tree');
-    if (!outlineTree || !view) {
-        if(outlineTree) outlineTree.innerHTML = '<li style="color: #999; padding: 5px;">見出しがありません</li>';
+    const result = shiftSectionLevel(lines, section, delta);
+    if (!result) {
+        showNotification(delta < 0 ? 'これ以上見出しを上げられません' : 'これ以上見出しを下げられません', 'info');
         return;
     }
+    applyOutlineEdit(view, result, section.line);
+}
 
-    const content = view.state.doc.toString();
-    const headers = [];
-    const lines = content.split('\n');
-
-    lines.forEach((line, index) => {
-        const match = line.match(/^(#{1,6})\s+(.*)/);
-        if (match) {
-            headers.push({
-                level: match[1].length,
-                text: match[2],
-                lineNumber: index
-            });
-        }
-    });
-
-    if (headers.length === 0) {
-        outlineTree.innerHTML = '<li style="color: #999; padding: 5px;">見出しがありません</li>';
+// カーソルのあるセクションの見出しを上げる・下げる（コマンド用）
+function shiftSectionAtCursor(view, delta) {
+    const lines = view.state.doc.toString().split('\n');
+    const line = view.state.doc.lineAt(view.state.selection.main.head).number - 1;
+    const section = findSectionAt(buildSectionTree(lines), line);
+    if (!section) {
+        showNotification('カーソルが見出しの下にありません', 'info');
         return;
     }
+    shiftOutlineSection(view, section.line, delta);
+}
 
-    let html = '';
-    headers.forEach((header, i) => {
-        const paddingLeft = (header.level - 1) * 15 + 5;
-        const fontSize = Math.max(14 - (header.level - 1), 11);
-
-        html += `<li class="outline-item" data-line="${header.lineNumber}" data-level="${header.level}" style="padding-left: ${paddingLeft}px; font-size: ${fontSize}px;">
-            <span class="outline-text">${header.text}</span>
-        </li>`;
-    });
+// カーソルのあるセクションを強調する
+function updateActiveOutlineItem(view) {
+    if (!outlineTree) return;
+    outlineTree.querySelectorAll('.outline-item.active').forEach(item => item.classList.remove('active'));
+    if (!view) return;
 
-    outlineTree.innerHTML = html;
+    const line = view.state.doc.lineAt(view.state.selection.main.head).number - 1;
+    const section = findSectionAt(outlineSections, line);
+    if (!section) return;
 
-    const items = outlineTree.querySelectorAll('.outline-item');
-    items.forEach(item => {
-        item.addEventListener('click', () => {
-            const lineNum = parseInt(item.dataset.line);
-            scrollToLine(lineNum);
-            items.forEach(i => i.classList.remove('active'));
-            item.classList.add('active');
-        });
-    });
+    const item = outlineTree.querySelector(`.outline-item[data-line="${section.line}"]`);
+    if (!item) return;
+    item.classList.add('active');
+    // 折りたたまれていて見えない場合はスクロールしない
+    if (item.offsetParent) item.scrollIntoView({ block: 'nearest' });
 }
 
 function scrollToLine(lineNumber) {
@@ -2378,24 +5941,19 @@ function scrollToLine(lineNumber) {
 
 if (btnOutlineCollapse) {
     btnOutlineCollapse.addEventListener('click', () => {
-        const items = outlineTree.querySelectorAll('.outline-item');
-        items.forEach(item => {
-            const level = parseInt(item.dataset.level);
-            if (level > 1) {
-                item.classList.add('hidden-outline-item');
-            } else {
-                item.classList.remove('hidden-outline-item');
-            }
+        const collect = sections => sections.forEach(section => {
+            if (section.children.length > 0) collapsedOutlineSections.add(getOutlineSectionKey(section));
+            collect(section.children);
         });
+        collect(outlineSections);
+        updateOutline();
     });
 }
 
 if (btnOutlineExpand) {
     btnOutlineExpand.addEventListener('click', () => {
-        const items = outlineTree.querySelectorAll('.outline-item');
-        items.forEach(item => {
-            item.classList.remove('hidden-outline-item');
-        });
+        collapsedOutlineSections.clear();
+        updateOutline();
     });
 }
 
@@ -2480,7 +6038,7 @@ if (fileTitleInput) {
     fileTitleInput.addEventListener('blur', async () => {
         const newName = fileTitleInput.value.trim();
         const activePane = layoutManager.activePane;
-        if (!activePane || !activePane.activeFilePath) return;
+        if (!activePane || !activePane.activeFilePath || isVirtualTabPath(activePane.activeFilePath)) return;
         
         const currentFilePath = activePane.activeFilePath;
 
@@ -2500,34 +6058,13 @@ if (fileTitleInput) {
                     const newPath = result.path;
                     const newFileName = newPath.split(separator).pop();
 
-                    const fileData = openedFiles.get(oldPath);
-                    if (fileData) {
-                        fileData.fileName = newFileName;
-                        openedFiles.set(newPath, fileData);
-                        openedFiles.delete(oldPath);
-                    }
-
-                    if (fileModificationState.has(oldPath)) {
-                        fileModificationState.set(newPath, fileModificationState.get(oldPath));
-                        fileModificationState.delete(oldPath);
-                    }
-
-                    // Update all panes
-                    layoutManager.panes.forEach(pane => {
-                        const idx = pane.files.indexOf(oldPath);
-                        if (idx !== -1) {
-                            pane.files[idx] = newPath;
-                            if (pane.activeFilePath === oldPath) {
-                                pane.activeFilePath = newPath;
-                            }
-                            pane.updateTabs();
-                        }
-                    });
+                    renameOpenedPaths(oldPath, newPath);
 
                     document.title = `${newFileName} - Markdown IDE`;
                     initializeFileTreeWithState();
 
                     console.log(`Renamed ${oldPath} to ${newPath}`);
+                    offerLinkRewrites(oldPath, newPath);
                 } else {
                     console.error('Rename failed:', result.error);
                     alert(`ファイル名の変更に失敗しました: ${result.error}`);
@@ -2582,26 +6119,10 @@ function startRenaming(treeItem) {
                     const result = await window.electronAPI.renameFile(originalPath, newName);
                     if (result.success) {
                         showNotification(`名前を変更しました: ${newName}`, 'success');
-                        
-                        // Update global openedFiles map
-                        const fileData = openedFiles.get(originalPath);
-                        if (fileData) {
-                            fileData.fileName = newName;
-                            openedFiles.set(result.path, fileData);
-                            openedFiles.delete(originalPath);
-                        }
-                        
-                        // Update tabs in all panes
-                        layoutManager.panes.forEach(pane => {
-                            const idx = pane.files.indexOf(originalPath);
-                            if (idx !== -1) {
-                                pane.files[idx] = result.path;
-                                if (pane.activeFilePath === originalPath) pane.activeFilePath = result.path;
-                                pane.updateTabs();
-                            }
-                        });
 
+                        renameOpenedPaths(originalPath, result.path);
                         initializeFileTreeWithState();
+                        offerLinkRewrites(originalPath, result.path);
                     } else {
                         showNotification(`名前の変更に失敗しました: ${result.error}`, 'error');
                     }
@@ -2674,7 +6195,8 @@ function setupFileExplorerEvents() {
 
 // ========== ファイルシステム操作 ==========
 
-async function openFile(filePath, fileName) {
+// targetPane を省略した場合はメインのアクティブペインで開く
+async function openFile(filePath, fileName, targetPane = null) {
     const normalizedPath = path.resolve(filePath);
 
     try {
@@ -2696,11 +6218,13 @@ async function openFile(filePath, fileName) {
             } else {
                 fileContent = `ファイル: ${fileName}\n(内容は読み込めません)`;
             }
-            openedFiles.set(normalizedPath, { content: fileContent, fileName: fileName });
+            openedFiles.set(normalizedPath, { content: fileContent, fileName: fileName, diskContent: fileContent });
         }
 
-        if (layoutManager.activePane) {
-            layoutManager.activePane.openFile(normalizedPath);
+        const pane = targetPane || layoutManager.activePane;
+        if (pane) {
+            pane.openFile(normalizedPath);
+            recordRecentFile(normalizedPath);
         } else {
             console.warn("No active pane to open file");
         }
@@ -2725,30 +6249,354 @@ function showWelcomeReadme() {
 }
 
 async function saveCurrentFile(isSaveAs = false) {
-    const pane = layoutManager.activePane;
+    const pane = getActivePane();
     if (!pane || !pane.activeFilePath) {
         console.warn('ファイルが選択されていません');
         return;
     }
     if (pane.activeFilePath === 'README.md') return;
 
+    await saveFileByPath(pane.activeFilePath);
+}
+
+/**
+ * 開いているファイルを共有ドキュメントモデル (openedFiles) の内容で保存する
+ * @param {string} filePath - 保存するファイル
+ * @returns {Promise<boolean>} 保存に成功したか
+ */
+async function saveFileByPath(filePath) {
+    if (!filePath || filePath === 'README.md') return false;
+    const fileData = openedFiles.get(filePath);
+    if (!fileData) return false;
+
+    cancelAutoSave(filePath);
+
     try {
-        const content = pane.editorView.state.doc.toString();
-        if (typeof window.electronAPI?.saveFile === 'function') {
-            await window.electronAPI.saveFile(pane.activeFilePath, content);
+        if (typeof window.electronAPI?.saveFile !== 'function') return false;
 
-            const fileData = openedFiles.get(pane.activeFilePath);
-            if (fileData) {
-                fileData.content = content;
-            }
-            fileModificationState.delete(pane.activeFilePath);
-            pane.updateTabs();
-            
-            console.log(`✅ ファイルを保存しました: ${pane.activeFilePath}`);
+        const content = fileData.content;
+        const result = await window.electronAPI.saveFile(filePath, content);
+        if (result && result.success === false) {
+            throw new Error(result.error);
+        }
+
+        // 保存中に入力があった場合は未保存のままにする
+        fileData.diskContent = content;
+        if (fileData.content === content) {
+            fileModificationState.delete(filePath);
         }
+        // 明示的な保存はディスク上の変更より優先する
+        fileConflicts.delete(filePath);
+        orphanedFiles.delete(filePath);
+        refreshTabsForFile(filePath);
+        refreshNoticeBarsForFile(filePath);
+
+        console.log(`✅ ファイルを保存しました: ${filePath}`);
+        return true;
     } catch (error) {
         console.error('Failed to save file:', error);
+        showNotification(`保存に失敗しました: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+// ========== 自動保存 ==========
+
+const autoSaveTimers = new Map(); // Map<filePath, timeoutId>
+const autoSaveStatusElement = document.getElementById('auto-save-status');
+
+function isAutoSaveTarget(filePath) {
+    // ディスク側との競合中・削除済みのファイルは、ユーザーの判断なしに上書きしない
+    return appSettings.autoSave && filePath && filePath !== 'README.md' && openedFiles.has(filePath) &&
+        !fileConflicts.has(filePath) && !orphanedFiles.has(filePath);
+}
+
+// 入力が止まってから appSettings.autoSaveDelay 後に保存する
+function scheduleAutoSave(filePath) {
+    if (!isAutoSaveTarget(filePath)) return;
+
+    cancelAutoSave(filePath);
+    updateAutoSaveStatus('pending');
+
+    const delay = Math.max(200, parseInt(appSettings.autoSaveDelay, 10) || 1000);
+    autoSaveTimers.set(filePath, setTimeout(() => {
+        autoSaveTimers.delete(filePath);
+        runAutoSave([filePath]);
+    }, delay));
+}
+
+function cancelAutoSave(filePath) {
+    if (autoSaveTimers.has(filePath)) {
+        clearTimeout(autoSaveTimers.get(filePath));
+        autoSaveTimers.delete(filePath);
+    }
+}
+
+async function runAutoSave(filePaths) {
+    const targets = filePaths.filter(fp => isAutoSaveTarget(fp) && fileModificationState.has(fp));
+    if (targets.length === 0) return true;
+
+    updateAutoSaveStatus('saving');
+    const results = await Promise.all(targets.map(fp => saveFileByPath(fp)));
+    const allSucceeded = results.every(r => r);
+    updateAutoSaveStatus(allSucceeded ? 'saved' : 'error');
+    return allSucceeded;
+}
+
+// 未保存のファイルを全て即座に保存する（ウィンドウのフォーカス喪失・終了時）
+function flushAutoSave() {
+    autoSaveTimers.forEach(timer => clearTimeout(timer));
+    autoSaveTimers.clear();
+    return runAutoSave(Array.from(fileModificationState.keys()));
+}
+
+// ステータスバーの自動保存インジケーターを更新
+function updateAutoSaveStatus(status) {
+    if (!autoSaveStatusElement) return;
+
+    autoSaveStatusElement.classList.remove('pending', 'saving', 'saved', 'error');
+    if (!appSettings.autoSave) {
+        autoSaveStatusElement.textContent = '';
+        return;
+    }
+
+    const labels = {
+        pending: '● 未保存',
+        saving: '保存中...',
+        saved: `✓ 自動保存 ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`,
+        error: '⚠ 自動保存に失敗'
+    };
+    autoSaveStatusElement.textContent = labels[status] || '';
+    if (labels[status]) autoSaveStatusElement.classList.add(status);
+}
+
+function setupAutoSave() {
+    window.addEventListener('blur', () => {
+        if (appSettings.autoSave) flushAutoSave();
+    });
+
+    // 終了前: メインプロセスからの問い合わせに対して保存を済ませてから応答する
+    if (typeof window.electronAPI?.onBeforeClose === 'function') {
+        window.electronAPI.onBeforeClose(async () => {
+            try {
+                if (appSettings.autoSave) await flushAutoSave();
+            } finally {
+                window.electronAPI.confirmClose();
+            }
+        });
+    }
+
+    updateAutoSaveStatus(null);
+}
+
+// ========== 外部変更の検知 (File Watcher) ==========
+
+const pendingChangedPaths = new Set();
+let fileSystemChangeTimer = null;
+let fileTreeRefreshTimer = null;
+
+function setupFileSystemWatcher() {
+    if (typeof window.electronAPI?.onFileSystemChanged !== 'function') return;
+    window.electronAPI.onFileSystemChanged(handleFileSystemChanged);
+}
+
+// メインプロセスの fs.watch からの通知 ({ eventType, filename }) を受け取る
+function handleFileSystemChanged(payload) {
+    if (!payload || !payload.filename || !currentDirectoryPath) return;
+
+    const changedPath = path.resolve(currentDirectoryPath, payload.filename);
+    pendingChangedPaths.add(changedPath);
+    scheduleGitRefresh();
+    if (isWorkspaceSearchVisible()) scheduleWorkspaceSearch(1000);
+    scheduleWikiIndexRefresh();
+    scheduleTagIndexUpdate(changedPath);
+
+    // 保存時などは短時間に複数回通知されるため、まとめて処理する
+    if (fileSystemChangeTimer) clearTimeout(fileSystemChangeTimer);
+    fileSystemChangeTimer = setTimeout(() => {
+        const changedPaths = Array.from(pendingChangedPaths);
+        pendingChangedPaths.clear();
+        reconcileOpenedFiles(changedPaths);
+    }, 300);
+
+    if (payload.eventType === 'rename') {
+        if (fileTreeRefreshTimer) clearTimeout(fileTreeRefreshTimer);
+        fileTreeRefreshTimer = setTimeout(() => initializeFileTreeWithState(), 500);
+        scheduleQuickOpenIndexRefresh();
+    }
+}
+
+// 変更されたパス（またはその配下）にある開いているファイルを、ディスクの内容と突き合わせる
+async function reconcileOpenedFiles(changedPaths) {
+    const isAffected = (filePath) => changedPaths.some(changed =>
+        filePath === changed || filePath.startsWith(changed + path.sep)
+    );
+
+    const targets = Array.from(openedFiles.keys()).filter(fp => fp !== 'README.md' && isAffected(fp));
+    for (const filePath of targets) {
+        await reconcileOpenedFile(filePath);
+    }
+}
+
+async function reconcileOpenedFile(filePath) {
+    const fileData = openedFiles.get(filePath);
+    if (!fileData || typeof window.electronAPI?.loadFile !== 'function') return;
+
+    let diskContent;
+    try {
+        diskContent = await window.electronAPI.loadFile(filePath);
+    } catch (error) {
+        if (/ENOENT/.test(error.message)) {
+            markFileOrphaned(filePath, true);
+        } else {
+            console.error('Failed to reload file:', error);
+        }
+        return;
+    }
+
+    const wasOrphaned = orphanedFiles.has(filePath);
+    if (wasOrphaned) markFileOrphaned(filePath, false);
+
+    // 自分自身の保存による通知は無視する
+    if (!wasOrphaned && diskContent === fileData.diskContent) return;
+
+    if (diskContent === fileData.content) {
+        // 内容が一致していれば、未保存マークだけ解除する
+        fileData.diskContent = diskContent;
+        fileModificationState.delete(filePath);
+        fileConflicts.delete(filePath);
+        refreshTabsForFile(filePath);
+        refreshNoticeBarsForFile(filePath);
+        return;
+    }
+
+    if (!fileModificationState.has(filePath)) {
+        // 未保存の変更がなければ、そのまま読み込み直す
+        fileData.diskContent = diskContent;
+        replaceOpenedFileContent(filePath, diskContent);
+        return;
+    }
+
+    fileConflicts.set(filePath, { diskContent });
+    cancelAutoSave(filePath);
+    refreshNoticeBarsForFile(filePath);
+}
+
+function markFileOrphaned(filePath, isOrphaned) {
+    if (isOrphaned) {
+        orphanedFiles.add(filePath);
+        cancelAutoSave(filePath);
+    } else {
+        orphanedFiles.delete(filePath);
+    }
+    refreshTabsForFile(filePath);
+    refreshNoticeBarsForFile(filePath);
+}
+
+/**
+ * 開いているファイルの内容を、全ペインのエディタを含めて置き換える
+ * 差分の範囲だけを置換するため、各ペインのカーソル位置はできるだけ維持される
+ */
+function replaceOpenedFileContent(filePath, newContent) {
+    const fileData = openedFiles.get(filePath);
+    if (!fileData) return;
+
+    const oldLength = fileData.content.length;
+    const replacement = getMinimalReplacement(fileData.content, newContent);
+    fileData.content = newContent;
+    if (replacement) {
+        const changes = ChangeSet.of(replacement, oldLength);
+        getAllPanes().forEach(pane => pane.applyRemoteChanges(filePath, changes));
+    }
+
+    const activePane = getActivePane();
+    if (activePane && activePane.activeFilePath === filePath) {
+        updateFileStats();
+        updateOutline();
+    }
+}
+
+// 競合の解決: 'mine' はエディタの内容を維持、'theirs' はディスクの内容で置き換える
+function resolveFileConflict(filePath, choice) {
+    const conflict = fileConflicts.get(filePath);
+    const fileData = openedFiles.get(filePath);
+    if (!conflict || !fileData) return;
+
+    fileConflicts.delete(filePath);
+    fileData.diskContent = conflict.diskContent;
+
+    if (choice === 'theirs') {
+        replaceOpenedFileContent(filePath, conflict.diskContent);
+        fileModificationState.delete(filePath);
+    } else {
+        scheduleAutoSave(filePath);
     }
+
+    refreshTabsForFile(filePath);
+    refreshNoticeBarsForFile(filePath);
+}
+
+// ディスクの内容（変更前）とエディタの内容（変更後）の行差分をモーダルで表示
+function showConflictDiff(filePath) {
+    const conflict = fileConflicts.get(filePath);
+    const fileData = openedFiles.get(filePath);
+    if (!conflict || !fileData) return;
+
+    const existingModal = document.querySelector('.modal-overlay');
+    if (existingModal) existingModal.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const content = document.createElement('div');
+    content.className = 'modal-content diff-modal-content';
+
+    const message = document.createElement('div');
+    message.className = 'modal-message';
+    message.textContent = `${fileData.fileName}: ディスク上の内容 (−) と エディタの内容 (+) の差分`;
+
+    const diffView = document.createElement('div');
+    diffView.className = 'diff-modal-view';
+
+    diffLines(conflict.diskContent, fileData.content).forEach(chunk => {
+        const prefix = chunk.type === 'insert' ? '+' : chunk.type === 'delete' ? '−' : ' ';
+        chunk.lines.forEach(line => {
+            const lineEl = document.createElement('div');
+            lineEl.className = `diff-line ${chunk.type}`;
+            lineEl.textContent = `${prefix} ${line}`;
+            diffView.appendChild(lineEl);
+        });
+    });
+
+    const buttons = document.createElement('div');
+    buttons.className = 'modal-buttons';
+
+    const closeModal = () => overlay.remove();
+
+    const makeButton = (label, className, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = className;
+        btn.textContent = label;
+        btn.addEventListener('click', () => {
+            onClick();
+            closeModal();
+        });
+        buttons.appendChild(btn);
+    };
+
+    makeButton('閉じる', 'modal-btn', () => {});
+    makeButton('自分の変更を残す', 'modal-btn', () => resolveFileConflict(filePath, 'mine'));
+    makeButton('ディスクの内容を採用', 'modal-btn', () => resolveFileConflict(filePath, 'theirs'));
+
+    content.appendChild(message);
+    content.appendChild(diffView);
+    content.appendChild(buttons);
+    overlay.appendChild(content);
+    document.body.appendChild(overlay);
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeModal();
+    });
 }
 
 // ========== File Tree Helpers ==========
@@ -2857,6 +6705,10 @@ async function initializeFileTree() {
             showContextMenu(e.pageX, e.pageY, item.dataset.path, item.dataset.name);
         });
 
+        scheduleWikiIndexRefresh(0);
+        scheduleQuickOpenIndexRefresh(0);
+        // 以降は file-system-changed の通知で変更のあったファイルだけを読み直す
+        if (tagIndexRoot !== currentDirectoryPath) refreshTagIndex();
     } catch (error) {
         console.error('Failed to initialize file tree:', error);
     }
@@ -3048,6 +6900,8 @@ async function handleDrop(e) {
                 const result = await window.electronAPI.moveFile(srcPath, destPath);
                 if (result.success) {
                     showNotification(`移動しました: ${fileName}`, 'success');
+                    renameOpenedPaths(srcPath, result.path);
+                    offerLinkRewrites(srcPath, result.path);
                 } else {
                     showNotification(`移動に失敗しました: ${result.error}`, 'error');
                 }
@@ -3224,68 +7078,53 @@ async function showCreationInput(isFolder) {
     });
 }
 
+async function openFolder() {
+    try {
+        if (typeof window.electronAPI?.selectFolder !== 'function') return;
+
+        const result = await window.electronAPI.selectFolder();
+
+        if (result.success && result.path) {
+            await initializeFileTree();
+        }
+    } catch (error) {
+        console.error('Failed to open folder:', error);
+    }
+}
+
 const btnOpenFolder = document.getElementById('btn-open-folder');
     if (btnOpenFolder) {
-        btnOpenFolder.addEventListener('click', async () => {
+        btnOpenFolder.addEventListener('click', () => {
             console.log("🖱️ [Click] btn-open-folder clicked!"); // ★ログ追加
-
-            try {
-                if (typeof window.electronAPI?.selectFolder !== 'function') return;
-                
-                const result = await window.electronAPI.selectFolder();
-                
-                if (result.success && result.path) {
-                    await initializeFileTree();
-                }
-            } catch (error) {
-                console.error('Failed to open folder:', error);
-            }
+            commandRegistry.execute('file.openFolder');
         });
     } else {
         console.error("❌ [Error] btn-open-folder NOT found in DOM!"); // ★要素がない場合のログ
     }
 
 if (document.getElementById('btn-new-file')) {
-    document.getElementById('btn-new-file').addEventListener('click', () => showCreationInput(false));
+    document.getElementById('btn-new-file').addEventListener('click', () => commandRegistry.execute('file.newFile'));
 }
 
 if (document.getElementById('btn-new-folder')) {
-    document.getElementById('btn-new-folder').addEventListener('click', () => showCreationInput(true));
+    document.getElementById('btn-new-folder').addEventListener('click', () => commandRegistry.execute('file.newFolder'));
 }
 
 // ========== ショートカットキーと削除機能 ==========
-document.addEventListener('keydown', (e) => {
-    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-        e.preventDefault();
-        saveCurrentFile();
-    }
-
-    // Ctrl+W: Close Tab
-    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'w') {
-        e.preventDefault();
-        if (layoutManager.activePane && layoutManager.activePane.activeFilePath) {
-            layoutManager.activePane.closeFile(layoutManager.activePane.activeFilePath);
-        }
-    }
+// ショートカットは keybindingManager（「キーボードショートカット」の節）がコマンドへ振り分ける
 
-    if (e.key === 'Delete' || (e.metaKey && e.key === 'Backspace')) {
-        const activeTag = document.activeElement ? document.activeElement.tagName.toLowerCase() : '';
-        if (activeTag === 'input' || activeTag === 'textarea' || document.activeElement.classList.contains('cm-content')) return;
+function deleteSelectedTreeItem() {
+    const selectedItem = document.getElementById('file-tree-container')?.querySelector('.tree-item.selected');
+    if (!selectedItem || selectedItem.classList.contains('creation-mode')) return;
 
-        const selectedItem = document.getElementById('file-tree-container')?.querySelector('.tree-item.selected');
-        if (selectedItem) {
-            if (selectedItem.classList.contains('creation-mode')) return;
-
-            const path = selectedItem.dataset.path;
-            const name = selectedItem.dataset.name;
-            if (path && name) {
-                showModalConfirm(name, () => {
-                    confirmAndDelete(path);
-                });
-            }
-        }
+    const path = selectedItem.dataset.path;
+    const name = selectedItem.dataset.name;
+    if (path && name) {
+        showModalConfirm(name, () => {
+            confirmAndDelete(path);
+        });
     }
-});
+}
 
 function showModalConfirm(itemName, onConfirm) {
     const existingModal = document.querySelector('.modal-overlay');
@@ -3350,6 +7189,8 @@ async function confirmAndDelete(path) {
                     if (filePath === path || filePath.startsWith(path + '\\') || filePath.startsWith(path + '/')) {
                         openedFiles.delete(filePath);
                         fileModificationState.delete(filePath);
+                        fileConflicts.delete(filePath);
+                        orphanedFiles.delete(filePath);
                     }
                 }
 
@@ -3424,54 +7265,6 @@ function toggleVisibility(element, isVisible) {
     else element.classList.add('hidden');
 }
 
-// ★新規追加: サイドバーのボタンイベントを登録する関数
-function setupSideBarEvents() {
-    console.log("🔍 [Debug] setupSideBarEvents started.");
-
-    const btnTerminalRight = document.getElementById('btn-terminal-right');
-    const btnPdfPreview = document.getElementById('btn-pdf-preview');
-    const btnRightMarkdown = document.getElementById('btn-right-markdown');
-
-    console.log(`   - btnTerminalRight found: ${!!btnTerminalRight}`);
-    console.log(`   - btnPdfPreview found: ${!!btnPdfPreview}`);
-    console.log(`   - btnRightMarkdown found: ${!!btnRightMarkdown}`);
-
-    if (btnTerminalRight) {
-        btnTerminalRight.onclick = () => {
-            console.log("🖱️ [Click] btnTerminalRight clicked.");
-            if (isTerminalVisible && isPositionRight) {
-                isTerminalVisible = false; 
-            } else {
-                isTerminalVisible = true;
-                isPdfPreviewVisible = false;
-                isRightMarkdownVisible = false; 
-            }
-            updateTerminalVisibility();
-        };
-    }
-
-    if (btnPdfPreview) {
-        btnPdfPreview.onclick = () => {
-            console.log("🖱️ [Click] btnPdfPreview clicked.");
-            togglePdfPreview();
-        };
-    }
-
-    if (btnRightMarkdown) {
-        btnRightMarkdown.onclick = () => {
-            console.log("🖱️ [Click] btnRightMarkdown clicked.");
-            if (isRightMarkdownVisible) {
-                isRightMarkdownVisible = false;
-            } else {
-                isRightMarkdownVisible = true;
-                isPdfPreviewVisible = false;
-                if (isPositionRight) isTerminalVisible = false; 
-            }
-            updateTerminalVisibility();
-        };
-    }
-}
-
 // ========== Initialization ==========
 
 // renderer.js の最後の window.load イベント内
@@ -3495,13 +7288,24 @@ window.addEventListener('load', async () => {
         console.error('Critical Error: LayoutManager class is undefined');
     }
 
-    // ★追加: サイドバーのボタンイベントをセットアップ
-    setupSideBarEvents();
-    
-    // ... (既存のコード: fileSystem.init() など) ...
-    console.log("👉 [Debug] Setting up sidebar events...");
-    setupSideBarEvents();
-    
+    // 設定の読み込み（LayoutManager初期化後にエディタへ反映する）
+    await loadSettings();
+    setupSettingsListeners();
+    await loadKeybindings();
+    setupKeybindingSettings();
+    await loadFoldState();
+    setupAutoSave();
+
+    // ファイルツリーの初期化と外部変更の監視
+    await initializeFileTree();
+    setupFileExplorerEvents();
+    setupFileSystemWatcher();
+    setupGitPanel();
+    setupHistoryPanel();
+    setupWorkspaceSearch();
+    setupBacklinksPanel();
+    setupTagsPanel();
+
     console.log("✅ [Debug] Initialization sequence completed.");
     
 });
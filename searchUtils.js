@@ -0,0 +1,109 @@
+/**
+ * searchUtils.js
+ * ワークスペース検索・置換の共通処理（メインプロセスとレンダラーの両方から使う）
+ */
+
+// 単語の構成文字（和文も含む）
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+/**
+ * 検索条件から正規表現を作る
+ * @param {string} query
+ * @param {{regex?: boolean, caseSensitive?: boolean, wholeWord?: boolean}} options
+ * @returns {RegExp} g フラグ付き。正規表現として不正な場合は例外を投げる
+ */
+function buildSearchRegExp(query, options = {}) {
+    let source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (options.wholeWord) {
+        source = `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`;
+    }
+    const flags = 'gmu' + (options.caseSensitive ? '' : 'i');
+    return new RegExp(source, flags);
+}
+
+/**
+ * テキスト中の一致箇所を列挙する（長さ0の一致は除く）
+ * @param {string} text
+ * @param {RegExp} regExp - buildSearchRegExp で作った正規表現
+ * @param {number} [limit] - 最大件数
+ * @returns {Array<{from: number, to: number, line: number, column: number, lineText: string, groups: Array, namedGroups: Object}>}
+ *          line は1始まり、column は0始まり
+ */
+function findMatches(text, regExp, limit = Infinity) {
+    const matches = [];
+    const re = new RegExp(regExp.source, regExp.flags);
+
+    let lineNumber = 1;
+    let lineStart = 0;
+    let scanned = 0;
+
+    let match;
+    while (matches.length < limit && (match = re.exec(text)) !== null) {
+        if (match[0].length === 0) {
+            re.lastIndex++;
+            continue;
+        }
+
+        // 一致位置までの改行を数えて行番号を求める
+        for (let i = scanned; i < match.index; i++) {
+            if (text.charCodeAt(i) === 10) {
+                lineNumber++;
+                lineStart = i + 1;
+            }
+        }
+        scanned = match.index;
+
+        let lineEnd = text.indexOf('\n', match.index);
+        if (lineEnd === -1) lineEnd = text.length;
+
+        matches.push({
+            from: match.index,
+            to: match.index + match[0].length,
+            line: lineNumber,
+            column: match.index - lineStart,
+            lineText: text.slice(lineStart, lineEnd),
+            groups: Array.from(match),
+            namedGroups: match.groups || {}
+        });
+    }
+    return matches;
+}
+
+/**
+ * 置換文字列を展開する（正規表現モードでは $&, $1〜$99, $<name>, $$ を解釈する）
+ * @param {Object} match - findMatches の結果の要素
+ * @param {string} replacement
+ * @param {boolean} isRegex
+ * @returns {string}
+ */
+function expandReplacement(match, replacement, isRegex) {
+    if (!isRegex) return replacement;
+
+    return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, key, name) => {
+        if (key === '$') return '$';
+        if (key === '&') return match.groups[0];
+        if (name !== undefined) return match.namedGroups[name] ?? '';
+        const index = Number(key);
+        if (index > 0 && index < match.groups.length) return match.groups[index] ?? '';
+        return token;
+    });
+}
+
+/**
+ * テキスト中の一致箇所をすべて置換した場合の変更を返す
+ * @returns {Array<{from: number, to: number, insert: string}>} CodeMirror の changes として使える
+ */
+function buildReplaceChanges(text, regExp, replacement, isRegex) {
+    return findMatches(text, regExp).map(match => ({
+        from: match.from,
+        to: match.to,
+        insert: expandReplacement(match, replacement, isRegex)
+    }));
+}
+
+module.exports = {
+    buildSearchRegExp,
+    findMatches,
+    expandReplacement,
+    buildReplaceChanges
+};
@@ -0,0 +1,384 @@
+/**
+ * tableFormula.js
+ * 表のセルの数式（=SUM(B2:B5)、=AVG(col)、=B2*C2 など）の計算と、行・列の挿入・削除に合わせた参照の付け替え
+ *
+ * セルの位置は表計算ソフトと同じく A1 形式で、1行目が見出しの行、2行目がデータの1行目
+ * - 演算子: + - * / と括弧
+ * - 関数: SUM / AVG (AVERAGE) / MIN / MAX / COUNT
+ * - 関数の引数: 数式、範囲 (B2:B5)、列全体 (B または B:B)、col（数式のある列全体）
+ *   列全体にはデータの行だけを含め、数式のあるセル自身と集計行は含めない
+ */
+
+const FUNCTIONS = {
+    SUM: values => values.reduce((sum, v) => sum + v, 0),
+    AVG: values => {
+        if (values.length === 0) throw new FormulaError('#DIV/0!');
+        return values.reduce((sum, v) => sum + v, 0) / values.length;
+    },
+    MIN: values => (values.length > 0 ? Math.min(...values) : 0),
+    MAX: values => (values.length > 0 ? Math.max(...values) : 0),
+    COUNT: values => values.length
+};
+FUNCTIONS.AVERAGE = FUNCTIONS.AVG;
+
+// 集計行で選べる関数
+const AGGREGATE_FUNCTIONS = ['SUM', 'AVG', 'MIN', 'MAX', 'COUNT'];
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z]+\d*)|(.))/y;
+const CELL_REF_PATTERN = /^([A-Z]+)(\d+)$/;
+
+class FormulaError extends Error {
+    constructor(code) {
+        super(code);
+        this.code = code;
+    }
+}
+
+function isFormula(value) {
+    return typeof value === 'string' && value.trim().startsWith('=');
+}
+
+// 0 → A、25 → Z、26 → AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function columnIndex(name) {
+    return name.toUpperCase().split('').reduce((n, char) => n * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * A1 形式のセルの名前
+ * @param {number} rowIndex - データの行 (0 始まり)。見出しの行は -1
+ * @param {number} colIndex - 0 始まり
+ */
+function cellName(rowIndex, colIndex) {
+    return `${columnName(colIndex)}${rowIndex + 2}`;
+}
+
+/**
+ * A1 形式のセルの名前を行・列の位置にする
+ * @returns {{rowIndex: number, colIndex: number}|null} rowIndex は見出しの行が -1
+ */
+function parseCellName(name) {
+    const match = name.toUpperCase().match(CELL_REF_PATTERN);
+    if (!match) return null;
+    return { rowIndex: Number(match[2]) - 2, colIndex: columnIndex(match[1]) };
+}
+
+// セルの文字列を数値にする（空・数値でないものは null）。桁区切りの , は無視する
+function parseNumber(text) {
+    const value = String(text === undefined || text === null ? '' : text).trim().replace(/,/g, '');
+    if (value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// 浮動小数点の誤差 (0.1 + 0.2 = 0.30000000000000004) を丸めて表示する
+function formatNumber(number) {
+    return String(Number(number.toFixed(10)));
+}
+
+function tokenize(source) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while (TOKEN_PATTERN.lastIndex < source.length && (match = TOKEN_PATTERN.exec(source)) !== null) {
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toUpperCase() });
+        else if (match[3] !== undefined) tokens.push({ type: 'op', value: match[3] });
+    }
+    return tokens;
+}
+
+/* ========== Evaluation ========== */
+
+/**
+ * 表のすべてのセルの表示する値を求める（数式のセルは計算結果、それ以外はそのまま）
+ * @param {string[]} headers
+ * @param {string[][]} rows - 数式のセルは "=..." の文字列
+ * @param {Object} [options]
+ * @param {boolean} [options.hasFooter] - 最後の行が集計行か
+ * @returns {string[][]} rows と同じ形。計算できないセルは #VALUE! などのエラーの文字列
+ */
+function evaluateTable(headers, rows, options = {}) {
+    const dataRowCount = options.hasFooter ? rows.length - 1 : rows.length;
+    const results = new Map();
+    const evaluating = new Set();
+
+    const getRaw = (rowIndex, colIndex) => {
+        if (colIndex < 0 || colIndex >= headers.length) throw new FormulaError('#REF!');
+        if (rowIndex === -1) return headers[colIndex] || '';
+        if (rowIndex < -1 || rowIndex >= rows.length) throw new FormulaError('#REF!');
+        return rows[rowIndex][colIndex] || '';
+    };
+
+    // セルの値（数式は計算した数値、空・文字列は null）
+    const getNumber = (rowIndex, colIndex) => {
+        const raw = getRaw(rowIndex, colIndex);
+        if (!isFormula(raw)) return parseNumber(raw);
+
+        const key = `${rowIndex},${colIndex}`;
+        if (results.has(key)) {
+            const result = results.get(key);
+            if (result instanceof FormulaError) throw result;
+            return result;
+        }
+        if (evaluating.has(key)) throw new FormulaError('#CIRC!');
+
+        evaluating.add(key);
+        try {
+            const value = evaluateFormula(raw, rowIndex, colIndex);
+            results.set(key, value);
+            return value;
+        } catch (error) {
+            const formulaError = error instanceof FormulaError ? error : new FormulaError('#ERROR!');
+            results.set(key, formulaError);
+            throw formulaError;
+        } finally {
+            evaluating.delete(key);
+        }
+    };
+
+    // 範囲の数値（数値でないセルは無視する）
+    const collectRange = (from, to, self) => {
+        const values = [];
+        for (let r = Math.min(from.rowIndex, to.rowIndex); r <= Math.max(from.rowIndex, to.rowIndex); r++) {
+            for (let c = Math.min(from.colIndex, to.colIndex); c <= Math.max(from.colIndex, to.colIndex); c++) {
+                if (r === self.rowIndex && c === self.colIndex) throw new FormulaError('#CIRC!');
+                const value = getNumber(r, c);
+                if (value !== null) values.push(value);
+            }
+        }
+        return values;
+    };
+
+    const collectColumn = (colIndex, self) => {
+        if (colIndex < 0 || colIndex >= headers.length) throw new FormulaError('#REF!');
+        const values = [];
+        for (let r = 0; r < dataRowCount; r++) {
+            if (r === self.rowIndex && colIndex === self.colIndex) continue;
+            const value = getNumber(r, colIndex);
+            if (value !== null) values.push(value);
+        }
+        return values;
+    };
+
+    function evaluateFormula(formula, rowIndex, colIndex) {
+        const self = { rowIndex, colIndex };
+        const tokens = tokenize(formula.trim().slice(1));
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+        const expectOp = (value) => {
+            if (!isOp(value)) throw new FormulaError('#ERROR!');
+            pos++;
+        };
+
+        const parseExpression = () => {
+            let value = parseTerm();
+            while (isOp('+') || isOp('-')) {
+                const op = tokens[pos++].value;
+                const right = parseTerm();
+                value = op === '+' ? value + right : value - right;
+            }
+            return value;
+        };
+
+        const parseTerm = () => {
+            let value = parseFactor();
+            while (isOp('*') || isOp('/')) {
+                const op = tokens[pos++].value;
+                const right = parseFactor();
+                if (op === '/' && right === 0) throw new FormulaError('#DIV/0!');
+                value = op === '*' ? value * right : value / right;
+            }
+            return value;
+        };
+
+        const parseFactor = () => {
+            const token = tokens[pos++];
+            if (!token) throw new FormulaError('#ERROR!');
+            if (token.type === 'number') return token.value;
+            if (token.type === 'op') {
+                if (token.value === '-') return -parseFactor();
+                if (token.value === '+') return parseFactor();
+                if (token.value === '(') {
+                    const value = parseExpression();
+                    expectOp(')');
+                    return value;
+                }
+                throw new FormulaError('#ERROR!');
+            }
+
+            if (isOp('(')) {
+                const fn = FUNCTIONS[token.value];
+                if (!fn) throw new FormulaError('#NAME?');
+                pos++;
+                const values = [];
+                if (!isOp(')')) {
+                    values.push(...parseArgument());
+                    while (isOp(',') || isOp(';')) {
+                        pos++;
+                        values.push(...parseArgument());
+                    }
+                }
+                expectOp(')');
+                return fn(values);
+            }
+
+            const ref = parseCellName(token.value);
+            if (!ref) throw new FormulaError('#NAME?');
+            const value = getNumber(ref.rowIndex, ref.colIndex);
+            if (value === null) {
+                if (getRaw(ref.rowIndex, ref.colIndex).trim() === '') return 0;
+                throw new FormulaError('#VALUE!');
+            }
+            return value;
+        };
+
+        // 関数の引数: 範囲・列全体・数式
+        const parseArgument = () => {
+            const token = peek();
+            if (token && token.type === 'name') {
+                const next = tokens[pos + 1];
+                const isEndOfArgument = !next || (next.type === 'op' && [',', ';', ')'].includes(next.value));
+
+                if (token.value === 'COL' && isEndOfArgument) {
+                    pos++;
+                    return collectColumn(colIndex, self);
+                }
+                if (/^[A-Z]+$/.test(token.value) && isEndOfArgument) {
+                    pos++;
+                    return collectColumn(columnIndex(token.value), self);
+                }
+                if (next && next.type === 'op' && next.value === ':') {
+                    const end = tokens[pos + 2];
+                    if (!end || end.type !== 'name') throw new FormulaError('#ERROR!');
+                    pos += 3;
+                    // B:B は列全体
+                    if (/^[A-Z]+$/.test(token.value) && end.value === token.value) {
+                        return collectColumn(columnIndex(token.value), self);
+                    }
+                    const from = parseCellName(token.value);
+                    const to = parseCellName(end.value);
+                    if (!from || !to) throw new FormulaError('#REF!');
+                    return collectRange(from, to, self);
+                }
+            }
+            return [parseExpression()];
+        };
+
+        const value = parseExpression();
+        if (pos < tokens.length) throw new FormulaError('#ERROR!');
+        return value;
+    }
+
+    return rows.map((row, rowIndex) => row.map((cell, colIndex) => {
+        if (!isFormula(cell)) return cell;
+        try {
+            return formatNumber(getNumber(rowIndex, colIndex));
+        } catch (error) {
+            return error instanceof FormulaError ? error.code : '#ERROR!';
+        }
+    }));
+}
+
+/* ========== Reference Shifting ========== */
+
+/**
+ * 数式の参照の行または列の位置を付け替える
+ * @param {string} formula
+ * @param {'row'|'col'} axis
+ * @param {Function} mapSpan - (start, end) => [start, end]|null。参照する範囲の axis 方向の位置（セルの参照は start === end）を
+ *                             付け替えた範囲を返す。null を返した参照は #REF! にする
+ */
+function mapFormulaReferences(formula, axis, mapSpan) {
+    const getIndex = name => (axis === 'row' ? parseCellName(name).rowIndex : parseCellName(name).colIndex);
+    const setIndex = (name, index) => {
+        const ref = parseCellName(name);
+        return axis === 'row' ? cellName(index, ref.colIndex) : cellName(ref.rowIndex, index);
+    };
+
+    // 文字列の中の参照だけを置き換える（関数名・col はそのまま）
+    return formula.replace(/\b([A-Za-z]+\d+)(?::([A-Za-z]+\d+))?\b|\b([A-Za-z]+)(?::([A-Za-z]+))?\b(?!\s*\()/g,
+        (all, from, to, columnFrom, columnTo) => {
+            if (from) {
+                if (!parseCellName(from) || (to && !parseCellName(to))) return all;
+                const span = mapSpan(getIndex(from), getIndex(to || from));
+                if (!span) return '#REF!';
+                return to ? `${setIndex(from, span[0])}:${setIndex(to, span[1])}` : setIndex(from, span[0]);
+            }
+            if (columnFrom.toUpperCase() === 'COL' || FUNCTIONS[columnFrom.toUpperCase()]) return all;
+            if (axis !== 'col') return all;
+            const span = mapSpan(columnIndex(columnFrom.toUpperCase()), columnIndex((columnTo || columnFrom).toUpperCase()));
+            if (!span) return '#REF!';
+            return columnTo ? `${columnName(span[0])}:${columnName(span[1])}` : columnName(span[0]);
+        });
+}
+
+/**
+ * 行・列の挿入・削除に合わせて数式の参照を付け替える
+ * 削除した行・列だけを指すセルの参照は #REF! にする（範囲は残りの部分に縮める）
+ * @param {string} formula
+ * @param {'row'|'col'} axis
+ * @param {number} index - 挿入・削除した位置（データの行 / 列の 0 始まりの位置）
+ * @param {number} delta - 挿入した数（正）または削除した数（負）
+ * @returns {string}
+ */
+function shiftFormulaReferences(formula, axis, index, delta) {
+    const shift = i => (i < index ? i : i + delta);
+    const isDeleted = i => delta < 0 && i >= index && i < index - delta;
+    return mapFormulaReferences(formula, axis, (start, end) => {
+        // 削除した範囲の中は、範囲の始まりなら後ろ、終わりなら前に寄せる
+        const newStart = isDeleted(start) ? index : shift(start);
+        const newEnd = isDeleted(end) ? index - 1 : shift(end);
+        return newStart <= newEnd ? [newStart, newEnd] : null;
+    });
+}
+
+/**
+ * 行・列の移動（ドラッグでの並べ替え）に合わせて数式の参照を付け替える
+ * 移動した行・列を指す参照は移動先を、その間の行・列を指す参照は1つずれた位置を指すようにする
+ * 範囲は移動元・移動先がともに範囲内なら（中での並べ替えなので）そのまま、
+ * 移動した行・列が範囲の外へ出た場合は残りの部分を指すようにする
+ * @param {string} formula
+ * @param {'row'|'col'} axis
+ * @param {number} fromIndex - 移動元の位置（データの行 / 列の 0 始まりの位置）
+ * @param {number} toIndex - 移動先の位置
+ * @returns {string}
+ */
+function moveFormulaReferences(formula, axis, fromIndex, toIndex) {
+    const move = (i) => {
+        if (i === fromIndex) return toIndex;
+        if (fromIndex < toIndex && i > fromIndex && i <= toIndex) return i - 1;
+        if (toIndex < fromIndex && i >= toIndex && i < fromIndex) return i + 1;
+        return i;
+    };
+    return mapFormulaReferences(formula, axis, (start, end) => {
+        if (start === end) return [move(start), move(start)];
+        const contains = i => i >= start && i <= end;
+        if (contains(fromIndex) && contains(toIndex)) return [start, end];
+        // 範囲の端を移動した場合は、範囲に残る隣の行・列を端にする
+        const newStart = move(start === fromIndex ? start + 1 : start);
+        const newEnd = move(end === fromIndex ? end - 1 : end);
+        return [newStart, newEnd];
+    });
+}
+
+module.exports = {
+    AGGREGATE_FUNCTIONS,
+    isFormula,
+    columnName,
+    cellName,
+    parseCellName,
+    parseNumber,
+    evaluateTable,
+    shiftFormulaReferences,
+    moveFormulaReferences
+};
@@ -7,6 +7,8 @@
  * - Refactored layout to CSS Grid to fix button overlap issues.
  * - Changed button visibility logic: buttons appear only when hovered directly.
  * - Fix: Prevent text immediately following the table from being merged into the table widget.
+ * - Added formulas (=SUM(B2:B5), =AVG(col), =B2*C2) and an aggregate footer row.
+ *   The computed values are written into the Markdown table and the formulas into a comment after it.
  */
 
 const { StateField } = require("@codemirror/state");
@@ -16,6 +18,9 @@ const { RangeSetBuilder } = require("@codemirror/state");
 const { h, render } = require("preact");
 const { useState, useEffect, useRef } = require("preact/hooks");
 const htm = require("htm");
+const {
+    AGGREGATE_FUNCTIONS, isFormula, cellName, parseCellName, parseNumber, evaluateTable, shiftFormulaReferences, moveFormulaReferences
+} = require("./tableFormula.js");
 
 // Initialize htm with Preact's h function
 const html = htm.bind(h);
@@ -100,6 +105,59 @@ function parseWidthComment(commentText) {
     return null;
 }
 
+// 数式は表の直後のコメントに保存する（表には計算した値を書くので、他のエディタやビューアでも値が読める）
+// <!-- table-formulas: {"cells":{"D2":"=B2*C2"},"footer":true} -->
+function createFormulaComment(rows, hasFooter) {
+    const cells = {};
+    rows.forEach((row, r) => row.forEach((cell, c) => {
+        if (isFormula(cell)) cells[cellName(r, c)] = cell.trim();
+    }));
+    if (Object.keys(cells).length === 0 && !hasFooter) return null;
+    const formulas = hasFooter ? { cells, footer: true } : { cells };
+    return `<!-- table-formulas: ${JSON.stringify(formulas)} -->`;
+}
+
+function parseFormulaComment(commentText) {
+    const match = commentText.match(/<!--\s*table-formulas:\s*(\{.*\})\s*-->/);
+    if (match) {
+        try {
+            const formulas = JSON.parse(match[1]);
+            return { cells: formulas.cells || {}, footer: !!formulas.footer };
+        } catch (e) {
+            return null;
+        }
+    }
+    return null;
+}
+
+// 表の値の代わりにコメントの数式をセルに入れる
+function applyFormulas(data, formulas) {
+    if (!formulas) return data;
+    const rows = data.rows.map(row => row.slice());
+    Object.entries(formulas.cells).forEach(([name, formula]) => {
+        const ref = parseCellName(name);
+        if (ref && rows[ref.rowIndex] && ref.colIndex < rows[ref.rowIndex].length) {
+            rows[ref.rowIndex][ref.colIndex] = formula;
+        }
+    });
+    return { ...data, rows, hasFooter: formulas.footer && rows.length > 0 };
+}
+
+// 行・列の挿入・削除に合わせて、すべての数式の参照を付け替える
+function shiftTableFormulas(rows, axis, index, delta) {
+    return rows.map(row => row.map(cell => (isFormula(cell) ? shiftFormulaReferences(cell, axis, index, delta) : cell)));
+}
+
+// 行・列の並べ替えに合わせて、すべての数式の参照を付け替える
+function moveTableFormulas(rows, axis, fromIndex, toIndex) {
+    return rows.map(row => row.map(cell => (isFormula(cell) ? moveFormulaReferences(cell, axis, fromIndex, toIndex) : cell)));
+}
+
+// 集計行を除いた行数
+function getDataRowCount(data) {
+    return data.hasFooter ? data.rows.length - 1 : data.rows.length;
+}
+
 // Array move helper
 function arrayMove(arr, fromIndex, toIndex) {
     const newArr = [...arr];
@@ -112,7 +170,7 @@ function arrayMove(arr, fromIndex, toIndex) {
 // ========== 2. UI Components (Preact + HTM) ==========
 
 const Cell = ({
-    value, onChange, isHeader, width,
+    value, displayValue, onChange, isHeader, isFooter, width,
     onResizeStart, isSelected, isEditing, caretPosition,
     onMouseDown, onMouseEnter, onDblClick, onNavigateRequest,
     // Drag & Drop Props
@@ -237,7 +295,7 @@ const Cell = ({
                 title="ドラッグで移動 / クリックで列選択"
             >⋮⋮</div>
         `;
-    } else if (colIndex === 0) {
+    } else if (colIndex === 0 && !isFooter) {
         dragHandle = html`
             <div 
                 class="cm-table-drag-handle row-drag-handle" 
@@ -266,9 +324,10 @@ const Cell = ({
             />
         `;
     } else {
+        // 数式のセルは計算結果を表示する（数式は編集中だけ表示する）
         content = html`
             <div class="cm-table-cell-content view-mode">
-                ${value || h('br')}
+                ${displayValue || h('br')}
             </div>
         `;
     }
@@ -290,11 +349,16 @@ const Cell = ({
     if (dragClass) {
         className += ' ' + dragClass;
     }
+    const hasFormula = !isHeader && isFormula(value);
+    if (hasFormula) {
+        className += displayValue.startsWith('#') ? ' formula formula-error' : ' formula';
+    }
 
     return html`
         <${isHeader ? 'th' : 'td'} 
             style=${style} 
             class=${className}
+            title=${hasFormula ? value : undefined}
             onMouseDown=${(e) => { if (!isEditing) onMouseDown(e); }}
             onMouseEnter=${(e) => { if (!isEditing) onMouseEnter(e); }}
             onDblClick=${(e) => { e.stopPropagation(); onDblClick(); }}
@@ -310,7 +374,9 @@ const Cell = ({
 };
 
 // Context Menu Component
-const TableContextMenu = ({ x, y, rowIndex, colIndex, onAction, onClose }) => {
+const AGGREGATE_LABELS = { SUM: '合計', AVG: '平均', MIN: '最小', MAX: '最大', COUNT: '個数' };
+
+const TableContextMenu = ({ x, y, rowIndex, colIndex, hasFooter, isFooterRow, onAction, onClose }) => {
     useEffect(() => {
         const handleClickOutside = () => onClose();
         document.addEventListener('click', handleClickOutside);
@@ -335,6 +401,19 @@ const TableContextMenu = ({ x, y, rowIndex, colIndex, onAction, onClose }) => {
             <div class="menu-item" onClick=${() => onAction('insertColLeft', rowIndex, colIndex)}>左に列を挿入</div>
             <div class="menu-item" onClick=${() => onAction('insertColRight', rowIndex, colIndex)}>右に列を挿入</div>
             <div class="menu-item" onClick=${() => onAction('deleteCol', rowIndex, colIndex)}>列を削除</div>
+            <div class="menu-separator"></div>
+            ${hasFooter
+            ? html`<div class="menu-item" onClick=${() => onAction('removeFooter', rowIndex, colIndex)}>集計行を削除</div>`
+            : html`<div class="menu-item" onClick=${() => onAction('addFooter', rowIndex, colIndex)}>集計行を追加</div>`}
+            ${isFooterRow && html`
+                <div class="menu-separator"></div>
+                ${AGGREGATE_FUNCTIONS.map(fn => html`
+                    <div class="menu-item" onClick=${() => onAction(`aggregate:${fn}`, rowIndex, colIndex)}>
+                        ${AGGREGATE_LABELS[fn]} (${fn})
+                    </div>
+                `)}
+                <div class="menu-item" onClick=${() => onAction('aggregate:', rowIndex, colIndex)}>集計しない</div>
+            `}
         </div>
     `;
 };
@@ -450,8 +529,9 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
         // For splice, we need array index. 
         // rows array index 0 corresponds to rowIndex 0.
 
-        // Clamp index
-        const spliceIndex = Math.max(0, Math.min(index, newData.rows.length));
+        // Clamp index（集計行の下には挿入しない）
+        const spliceIndex = Math.max(0, Math.min(index, getDataRowCount(newData)));
+        newData.rows = shiftTableFormulas(newData.rows, 'row', spliceIndex, 1);
         newData.rows.splice(spliceIndex, 0, newRow);
 
         setData(newData);
@@ -463,16 +543,20 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
 
         if (index === -1) {
             // ヘッダー削除 -> データ行の先頭をヘッダーに昇格
+            // 以降の行は1つずつ上がる（ヘッダーになった行への参照は #REF!）
             if (newData.rows.length > 0) {
                 newData.headers = newData.rows[0];
-                newData.rows.shift();
+                newData.rows = shiftTableFormulas(newData.rows.slice(1), 'row', 0, -1);
+                if (newData.rows.length === 0) newData.hasFooter = false;
             } else {
                 // 全削除回避：空にする
                 newData.headers = new Array(newData.headers.length).fill("");
             }
         } else {
             if (index >= 0 && index < newData.rows.length) {
+                if (newData.hasFooter && index === newData.rows.length - 1) newData.hasFooter = false;
                 newData.rows.splice(index, 1);
+                newData.rows = shiftTableFormulas(newData.rows, 'row', index, -1);
             }
         }
 
@@ -488,6 +572,7 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
 
         newData.headers.splice(spliceIndex, 0, "");
         if (newData.aligns) newData.aligns.splice(spliceIndex, 0, "left");
+        newData.rows = shiftTableFormulas(newData.rows, 'col', spliceIndex, 1);
         newData.rows.forEach(row => row.splice(spliceIndex, 0, ""));
 
         const newWidths = [...widths];
@@ -507,6 +592,7 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
             newData.headers.splice(index, 1);
             if (newData.aligns) newData.aligns.splice(index, 1);
             newData.rows.forEach(row => row.splice(index, 1));
+            newData.rows = shiftTableFormulas(newData.rows, 'col', index, -1);
 
             const newWidths = [...widths];
             newWidths.splice(index, 1);
@@ -543,9 +629,47 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
             case 'deleteCol':
                 deleteColumnAt(colIndex);
                 break;
+            case 'addFooter':
+                addFooter();
+                break;
+            case 'removeFooter':
+                deleteRowAt(data.rows.length - 1);
+                break;
+            default:
+                if (action.startsWith('aggregate:')) setAggregate(colIndex, action.slice('aggregate:'.length));
+                break;
         }
     };
 
+    // --- Footer (Aggregate Row) ---
+    // 数値の列は合計、最初の列は「合計」の見出しにする
+    const addFooter = () => {
+        if (data.hasFooter) return;
+        const newData = { ...data };
+        const footer = newData.headers.map((_, c) => {
+            const isNumeric = newData.rows.some(row => isFormula(row[c]) || parseNumber(row[c]) !== null);
+            if (isNumeric) return "=SUM(col)";
+            return c === 0 ? AGGREGATE_LABELS.SUM : "";
+        });
+        newData.rows = [...newData.rows, footer];
+        newData.hasFooter = true;
+        setData(newData);
+        requestUpdate(newData, widths);
+    };
+
+    const setAggregate = (colIndex, fn) => {
+        if (!data.hasFooter) return;
+        const newData = { ...data };
+        newData.rows = newData.rows.map((row, r) => {
+            if (r !== newData.rows.length - 1) return row;
+            const footer = [...row];
+            footer[colIndex] = fn ? `=${fn}(col)` : "";
+            return footer;
+        });
+        setData(newData);
+        requestUpdate(newData, widths);
+    };
+
     const handleContextMenuOpen = (e, rowIndex, colIndex) => {
         setContextMenu({
             x: e.clientX,
@@ -575,6 +699,7 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
                     newData.headers = survivingCols;
                     if (newData.aligns) newData.aligns = newData.aligns.filter((_, i) => keepColIndex(i));
                     newData.rows = newData.rows.map(row => row.filter((_, i) => keepColIndex(i)));
+                    newData.rows = shiftTableFormulas(newData.rows, 'col', minC, minC - maxC - 1);
                     newWidths = newWidths.filter((_, i) => keepColIndex(i));
                     handled = true;
                 }
@@ -584,18 +709,21 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
             const keepRowIndex = (i) => i < minR || i > maxR;
             const headerDeleted = (minR <= -1 && maxR >= -1);
             const survivingDataRows = newData.rows.filter((_, i) => keepRowIndex(i));
+            if (newData.hasFooter && !keepRowIndex(newData.rows.length - 1)) newData.hasFooter = false;
 
             if (headerDeleted) {
                 if (survivingDataRows.length > 0) {
+                    // 削除した行とヘッダーになった行の分だけ、以降の行が上がる
                     newData.headers = survivingDataRows[0];
-                    newData.rows = survivingDataRows.slice(1);
+                    newData.rows = shiftTableFormulas(survivingDataRows.slice(1), 'row', 0, -(maxR + 2));
                 } else {
                     newData.headers = new Array(newData.headers.length).fill("");
                     newData.rows = [];
                 }
+                if (newData.rows.length === 0) newData.hasFooter = false;
                 handled = true;
             } else {
-                newData.rows = survivingDataRows;
+                newData.rows = shiftTableFormulas(survivingDataRows, 'row', minR, minR - maxR - 1);
                 handled = true;
             }
         }
@@ -633,11 +761,13 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
     const addRowBtn = () => {
         const newData = { ...data };
         const newRow = new Array(newData.headers.length).fill("");
-        newData.rows.push(newRow);
+        // 集計行がある場合はその上に追加する
+        const lastRowIdx = getDataRowCount(newData);
+        newData.rows = shiftTableFormulas(newData.rows, 'row', lastRowIdx, 1);
+        newData.rows.splice(lastRowIdx, 0, newRow);
         setData(newData);
         requestUpdate(newData, widths);
 
-        const lastRowIdx = newData.rows.length - 1;
         setSelection({ anchor: { r: lastRowIdx, c: 0 }, head: { r: lastRowIdx, c: 0 } });
     };
 
@@ -675,7 +805,10 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
         e.preventDefault();
         const { fromIndex, type: dragType } = dragState;
 
-        if (dragType === type && fromIndex !== null && fromIndex !== index) {
+        // 集計行は常に最後の行にする
+        const isFooterMove = type === 'row' && data.hasFooter && Math.max(fromIndex, index) >= data.rows.length - 1;
+
+        if (dragType === type && fromIndex !== null && fromIndex !== index && !isFooterMove) {
             const newData = { ...data };
             let newWidths = [...widths];
 
@@ -683,9 +816,11 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
                 newData.headers = arrayMove(newData.headers, fromIndex, index);
                 if (newData.aligns) newData.aligns = arrayMove(newData.aligns, fromIndex, index);
                 newData.rows = newData.rows.map(row => arrayMove(row, fromIndex, index));
+                newData.rows = moveTableFormulas(newData.rows, 'col', fromIndex, index);
                 newWidths = arrayMove(newWidths, fromIndex, index);
             } else if (type === 'row') {
                 newData.rows = arrayMove(newData.rows, fromIndex, index);
+                newData.rows = moveTableFormulas(newData.rows, 'row', fromIndex, index);
             }
 
             setData(newData);
@@ -705,6 +840,8 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
         timeoutRef.current = setTimeout(() => { onUpdate(newData, newWidths); }, 500);
     };
 
+    const isFooterRow = (rowIndex) => !!data.hasFooter && rowIndex === data.rows.length - 1;
+
     // --- Selection Helpers ---
     const getNormalizedSelection = () => {
         if (!selection) return { minR: 0, maxR: -1, minC: 0, maxC: -1 };
@@ -873,6 +1010,9 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
         document.addEventListener('mouseup', onMouseUp);
     };
 
+    // 数式のセルの計算結果（表示用）
+    const values = evaluateTable(data.headers, data.rows, { hasFooter: data.hasFooter });
+
     // CSS Grid Layout Structure:
     // [Table] [AddColBtn]
     // [AddRowBtn] [ (empty) ]
@@ -898,6 +1038,7 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
                                 <${Cell} 
                                     key=${i}
                                     value=${h} 
+                                    displayValue=${h}
                                     isHeader=${true}
                                     width=${widths[i]}
                                     rowIndex=${-1}
@@ -927,7 +1068,7 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
                 </thead>
                 <tbody>
                     ${data.rows.map((row, rI) => html`
-                        <tr key=${rI}>
+                        <tr key=${rI} class=${isFooterRow(rI) ? 'cm-table-footer-row' : undefined}>
                             ${row.map((cell, cI) => {
         const isDragTarget = dragState.type === 'row' && dragState.toIndex === rI;
         let dragClass = '';
@@ -940,6 +1081,8 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
                                     <${Cell} 
                                         key=${`${rI}-${cI}`}
                                         value=${cell}
+                                        displayValue=${values[rI][cI]}
+                                        isFooter=${isFooterRow(rI)}
                                         width=${widths[cI]}
                                         rowIndex=${rI}
                                         colIndex=${cI}
@@ -990,6 +1133,8 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
                     y=${contextMenu.y} 
                     rowIndex=${contextMenu.rowIndex} 
                     colIndex=${contextMenu.colIndex} 
+                    hasFooter=${data.hasFooter}
+                    isFooterRow=${isFooterRow(contextMenu.rowIndex)}
                     onAction=${handleMenuAction}
                     onClose=${() => setContextMenu(null)}
                 />
@@ -1001,13 +1146,17 @@ const TableComponent = ({ initialData, initialWidths, onUpdate, onRender }) => {
 // ========== 3. CodeMirror Integration ==========
 
 class TableWidget extends WidgetType {
-    constructor(markdownText, widthComment, from, to) {
+    constructor(markdownText, widthComment, formulaComment, from, to) {
         super();
         this.markdownText = markdownText;
         this.widthComment = widthComment;
+        this.formulaComment = formulaComment;
         this.from = from;
         this.to = to;
-        this.parsedData = parseMarkdownTable(markdownText);
+        this.parsedData = applyFormulas(
+            parseMarkdownTable(markdownText),
+            formulaComment ? parseFormulaComment(formulaComment) : null
+        );
         this.widths = widthComment ? parseWidthComment(widthComment) : [];
 
         if (this.widths && this.widths.length < this.parsedData.headers.length) {
@@ -1018,7 +1167,8 @@ class TableWidget extends WidgetType {
     }
 
     eq(other) {
-        return other.markdownText === this.markdownText && other.widthComment === this.widthComment;
+        return other.markdownText === this.markdownText && other.widthComment === this.widthComment &&
+            other.formulaComment === this.formulaComment;
     }
 
     toDOM(view) {
@@ -1030,13 +1180,15 @@ class TableWidget extends WidgetType {
 
     mountComponent(container, view) {
         const onUpdate = (newData, newWidths) => {
+            // 表には数式の計算結果を書き、数式は表の後のコメントに書く
             const newMarkdown = serializeMarkdownTable(
                 newData.headers,
-                newData.rows,
+                evaluateTable(newData.headers, newData.rows, { hasFooter: newData.hasFooter }),
                 newData.aligns
             );
             const newComment = createWidthComment(newWidths);
-            const fullText = (newComment + "\n" + newMarkdown).trim();
+            const formulaComment = createFormulaComment(newData.rows, newData.hasFooter);
+            const fullText = (newComment + "\n" + newMarkdown + (formulaComment ? "\n" + formulaComment : "")).trim();
 
             view.dispatch({
                 changes: {
@@ -1106,6 +1258,18 @@ function buildTableDecorations(state) {
                 const tableText = state.sliceDoc(tableFrom, tableTo);
                 const line = state.doc.lineAt(tableFrom);
                 let commentText = null;
+                let formulaCommentText = null;
+
+                // 表の直後の数式のコメントもウィジェットに含める
+                const lastLine = state.doc.lineAt(tableTo - 1);
+                if (lastLine.number < state.doc.lines) {
+                    const nextLine = state.doc.line(lastLine.number + 1);
+                    const nextLineText = nextLine.text.trim();
+                    if (nextLineText.match(/^<!--\s*table-formulas:/)) {
+                        formulaCommentText = nextLineText;
+                        tableTo = nextLine.to;
+                    }
+                }
 
                 if (line.number > 1) {
                     const prevLine = state.doc.line(line.number - 1);
@@ -1117,7 +1281,7 @@ function buildTableDecorations(state) {
                 }
 
                 builder.add(tableFrom, tableTo, Decoration.replace({
-                    widget: new TableWidget(tableText, commentText, tableFrom, tableTo),
+                    widget: new TableWidget(tableText, commentText, formulaCommentText, tableFrom, tableTo),
                     block: true
                 }));
             }
@@ -1277,6 +1441,18 @@ const tableStyles = EditorView.baseTheme({
         boxShadow: "0 0 0 2px rgba(35, 131, 226, 0.4) inset",
         userSelect: "text"
     },
+    /* Formulas & Footer (Aggregate Row) */
+    ".cm-table-cell.formula": {
+        color: "#2383e2"
+    },
+    ".cm-table-cell.formula-error": {
+        color: "#d73a49"
+    },
+    ".cm-table-footer-row .cm-table-cell": {
+        backgroundColor: "var(--cb-header-bg, #f7f7f5)",
+        borderTop: "2px solid var(--cb-border-color, #e0e0e0)",
+        fontWeight: "600"
+    },
     ".cm-table-resize-handle": {
         position: "absolute",
         right: "-3px",
@@ -1396,6 +1572,16 @@ const tableStyles = EditorView.baseTheme({
     },
     "&dark .cm-table-context-menu .menu-separator": {
         backgroundColor: "#444"
+    },
+    "&dark .cm-table-cell.formula": {
+        color: "#58a6ff"
+    },
+    "&dark .cm-table-cell.formula-error": {
+        color: "#f85149"
+    },
+    "&dark .cm-table-footer-row .cm-table-cell": {
+        backgroundColor: "#161b22",
+        borderTopColor: "#30363d"
     }
 });
 
@@ -0,0 +1,120 @@
+/* tagPlugin.js */
+/* 本文の #tag の強調表示・入力補完と、Ctrl+クリックでのタグの一覧の表示 */
+const { ViewPlugin, Decoration } = require("@codemirror/view");
+const { syntaxTree } = require("@codemirror/language");
+const { findFrontMatter } = require("./frontMatter.js");
+const { findTags } = require("./tagUtils.js");
+
+/* ========== Helper Functions ========== */
+
+// コード・HTML・URL の中か（# が別の意味を持つ）
+function isInCode(state, pos) {
+    let node = syntaxTree(state).resolveInner(pos, 1);
+    while (node) {
+        if (["InlineCode", "FencedCode", "CodeBlock", "CodeText", "HTMLBlock", "URL", "LinkMark"].includes(node.name)) return true;
+        node = node.parent;
+    }
+    return false;
+}
+
+// front matter の最後の行（なければ 0）
+function getFrontMatterEndLine(state) {
+    const lines = [];
+    for (let i = 1; i <= Math.min(state.doc.lines, 200); i++) {
+        lines.push(state.doc.line(i).text);
+        if (i > 1 && /^(---|\.\.\.)\s*$/.test(lines[i - 1])) break;
+    }
+    const block = findFrontMatter(lines);
+    return block ? block.endLine + 1 : 0;
+}
+
+/* ========== Decoration Logic ========== */
+
+function buildDecorations(view) {
+    const { state } = view;
+    const frontMatterEnd = getFrontMatterEndLine(state);
+    const decorations = [];
+
+    for (const { from, to } of view.visibleRanges) {
+        for (let pos = from; pos <= to;) {
+            const line = state.doc.lineAt(pos);
+            pos = line.to + 1;
+            if (line.number <= frontMatterEnd) continue;
+
+            findTags(line.text).forEach(tag => {
+                const start = line.from + tag.from;
+                if (isInCode(state, start)) return;
+                decorations.push(Decoration.mark({
+                    class: "cm-tag",
+                    attributes: { "data-tag": tag.tag, title: "Ctrl (Cmd) + クリックでこのタグのノートを表示" }
+                }).range(start, line.from + tag.to));
+            });
+        }
+    }
+    return Decoration.set(decorations, true);
+}
+
+/* ========== Completion ========== */
+
+/**
+ * #tag の補完候補を返す CompletionSource を作る
+ * autocompletion の override は1つしか指定できないため、wikiLinkPlugin の completionSources に渡して使う
+ * @param {Object} options - tagPlugin と同じもの
+ */
+function createTagCompletionSource(options) {
+    return (context) => {
+        const before = context.matchBefore(/(?:^|[\s(（「『、。，,;；:：!！?？"'*~>])#[\p{L}\p{M}\p{N}_\-/]*$/u);
+        if (!before) return null;
+
+        const from = before.text.startsWith("#") ? before.from + 1 : before.from + 2;
+        // 見出しの # と区別するため、# の後に1文字以上入力してから候補を出す
+        if (from === context.pos && !context.explicit) return null;
+        if (isInCode(context.state, from - 1)) return null;
+
+        return {
+            from,
+            options: options.getTags(context.view).map(({ tag, count }) => ({
+                label: tag,
+                detail: `${count}`,
+                type: "keyword"
+            })),
+            validFor: /^[\p{L}\p{M}\p{N}_\-/]*$/u
+        };
+    };
+}
+
+/* ========== Extension ========== */
+
+/**
+ * #tag の拡張を作る
+ * @param {Object} options
+ * @param {Function} options.getTags - (view) => Array<{tag: string, count: number}> 補完するタグ
+ * @param {Function} options.openTag - (view, tag) => void タグの付いたノートを表示する
+ */
+function tagPlugin(options) {
+    return ViewPlugin.define(
+        (view) => ({
+            decorations: buildDecorations(view),
+            update(update) {
+                if (update.docChanged || update.viewportChanged) {
+                    this.decorations = buildDecorations(update.view);
+                }
+            }
+        }),
+        {
+            decorations: v => v.decorations,
+            eventHandlers: {
+                mousedown: (e, view) => {
+                    const tagElement = e.target.closest(".cm-tag");
+                    if (!tagElement || !(e.ctrlKey || e.metaKey)) return false;
+                    e.preventDefault();
+                    options.openTag(view, tagElement.getAttribute("data-tag"));
+                    return true;
+                }
+            }
+        }
+    );
+}
+
+exports.tagPlugin = tagPlugin;
+exports.createTagCompletionSource = createTagCompletionSource;
@@ -0,0 +1,123 @@
+/**
+ * tagUtils.js
+ * 本文の #tag と front matter の tags: の抽出、階層のあるタグ (a/b/c) の木の組み立て
+ * ライブプレビュー・補完 (tagPlugin.js)、タグの一覧 (renderer)、ワークスペースの索引 (main プロセス) で共通に使う
+ */
+
+const { findFrontMatter, getNoteProperties } = require('./frontMatter');
+const { isInInlineCode } = require('./wikiLinkUtils');
+
+// # の前は行頭・空白・句読点だけ（URL の #fragment や [[Note#Heading]]、&#123; をタグにしない）
+const TAG_PATTERN = /(^|[\s(（「『、。，,;；:：!！?？"'*~>])#([\p{L}\p{M}\p{N}_\-/]+)/gu;
+// 数字だけのもの (#1) は issue 番号などと区別できないのでタグにしない
+const DIGITS_ONLY_PATTERN = /^[\d/]+$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * 1行の中の #tag を列挙する（インラインコード・Markdown リンクの (#anchor) は除く）
+ * @param {string} lineText
+ * @returns {Array<{from: number, to: number, tag: string}>} from / to は行内の位置（# を含む）、tag は # を除いた名前
+ */
+function findTags(lineText) {
+    if (!lineText.includes('#')) return [];
+
+    const tags = [];
+    const re = new RegExp(TAG_PATTERN.source, 'gu');
+    let match;
+    while ((match = re.exec(lineText)) !== null) {
+        const from = match.index + match[1].length;
+        const tag = match[2].replace(/\/+$/, '');
+        if (!tag || DIGITS_ONLY_PATTERN.test(tag) || tag.startsWith('/')) continue;
+        if (match[1] === '(' && lineText[from - 2] === ']') continue;
+        if (isInInlineCode(lineText, from)) continue;
+        tags.push({ from, to: from + 1 + tag.length, tag });
+    }
+    return tags;
+}
+
+/**
+ * ノートのタグを列挙する（front matter の tags: と本文の #tag。コードブロック内は除く）
+ * 大文字・小文字の違いは同じタグとして扱い、最初に現れた表記を使う
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractTags(text) {
+    const tags = new Map();
+    const addTag = tag => {
+        const key = tag.toLowerCase();
+        if (!tags.has(key)) tags.set(key, tag);
+    };
+
+    getNoteProperties(text).tags.forEach(tag => addTag(tag.replace(/\/+$/, '')));
+
+    const lines = text.split('\n');
+    const frontMatter = findFrontMatter(lines);
+    const bodyStart = frontMatter ? frontMatter.endLine + 1 : 0;
+    let fence = null;
+
+    for (let i = bodyStart; i < lines.length; i++) {
+        const fenceMatch = lines[i].match(FENCE_PATTERN);
+        if (fenceMatch) {
+            if (!fence) fence = fenceMatch[1][0];
+            else if (fenceMatch[1][0] === fence) fence = null;
+            continue;
+        }
+        if (!fence) findTags(lines[i]).forEach(({ tag }) => addTag(tag));
+    }
+    return Array.from(tags.values());
+}
+
+/**
+ * タグが指定したタグ、またはその下の階層のタグか（'project' は 'project/web' にも一致する）
+ * @param {string} tag
+ * @param {string} parentTag
+ */
+function isTagOrChild(tag, parentTag) {
+    const lower = tag.toLowerCase();
+    const parent = parentTag.toLowerCase();
+    return lower === parent || lower.startsWith(`${parent}/`);
+}
+
+/**
+ * ノートごとのタグから、階層のあるタグの木を作る
+ * 親のタグの数には下の階層のタグが付いたノートも含める（同じノートは1回だけ数える）
+ * @param {Array<{filePath: string, tags: string[]}>} notes
+ * @returns {Array<{name: string, tag: string, count: number, filePaths: string[], children: Array}>}
+ *          name は階層の1段分の名前、tag は親を含めた名前。名前順に並べる
+ */
+function buildTagTree(notes) {
+    const root = { children: new Map() };
+
+    notes.forEach(({ filePath, tags }) => {
+        tags.forEach(tag => {
+            let node = root;
+            const parts = tag.split('/').filter(Boolean);
+            parts.forEach((name, i) => {
+                const key = name.toLowerCase();
+                if (!node.children.has(key)) {
+                    node.children.set(key, { name, tag: parts.slice(0, i + 1).join('/'), filePaths: new Set(), children: new Map() });
+                }
+                node = node.children.get(key);
+                node.filePaths.add(filePath);
+            });
+        });
+    });
+
+    const toArray = node => Array.from(node.children.values())
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(child => ({
+            name: child.name,
+            tag: child.tag,
+            count: child.filePaths.size,
+            filePaths: Array.from(child.filePaths),
+            children: toArray(child)
+        }));
+    return toArray(root);
+}
+
+module.exports = {
+    findTags,
+    extractTags,
+    isTagOrChild,
+    buildTagTree
+};
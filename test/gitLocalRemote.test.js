@@ -0,0 +1,89 @@
+// gitLocalRemote.js のテスト（node --test で実行する）
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const git = require('isomorphic-git');
+const { pushToLocal, fetchFromLocal } = require('../gitLocalRemote');
+
+const author = { name: 'test', email: 'test@example.com' };
+
+async function createRepo(dir, files) {
+    await git.init({ fs, dir, defaultBranch: 'main' });
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, name), content);
+        await git.add({ fs, dir, filepath: name });
+    }
+    return git.commit({ fs, dir, message: 'initial', author });
+}
+
+// 全オブジェクトを packfile にまとめ、loose オブジェクトを削除する（clone や gc 後のリポジトリと同じ状態）
+async function packAllObjects(dir) {
+    const objectsDir = path.join(dir, '.git', 'objects');
+    const oids = fs.readdirSync(objectsDir)
+        .filter(name => /^[0-9a-f]{2}$/.test(name))
+        .flatMap(prefix => fs.readdirSync(path.join(objectsDir, prefix)).map(rest => prefix + rest));
+
+    const { filename } = await git.packObjects({ fs, dir, oids, write: true });
+    await git.indexPack({ fs, dir, filepath: path.join('.git', 'objects', 'pack', filename) });
+    fs.readdirSync(objectsDir)
+        .filter(name => /^[0-9a-f]{2}$/.test(name))
+        .forEach(name => fs.rmSync(path.join(objectsDir, name), { recursive: true }));
+}
+
+function createTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-local-remote-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('fetchFromLocal copies objects from a packed repository', async (t) => {
+    const root = createTempDir(t);
+    const source = path.join(root, 'source');
+    const local = path.join(root, 'local');
+    fs.mkdirSync(source);
+    fs.mkdirSync(local);
+
+    const oid = await createRepo(source, { 'note.md': '# note\n' });
+    await packAllObjects(source);
+    await git.init({ fs, dir: local, defaultBranch: 'main' });
+
+    const fetched = await fetchFromLocal({ dir: local, remote: 'origin', url: source, remoteRef: 'main' });
+    assert.strictEqual(fetched, oid);
+    assert.strictEqual(await git.resolveRef({ fs, dir: local, ref: 'refs/remotes/origin/main' }), oid);
+
+    // コピーした loose オブジェクトが読めること
+    const { blob } = await git.readBlob({ fs, dir: local, oid, filepath: 'note.md' });
+    assert.strictEqual(Buffer.from(blob).toString('utf8'), '# note\n');
+});
+
+test('pushToLocal refuses to update the checked-out branch of a non-bare repository', async (t) => {
+    const root = createTempDir(t);
+    const target = path.join(root, 'target');
+    const local = path.join(root, 'local');
+    fs.mkdirSync(target);
+    fs.mkdirSync(local);
+
+    const targetOid = await createRepo(target, { 'a.md': 'a\n' });
+    await fetchFromLocal({ dir: local, remote: 'origin', url: target, remoteRef: 'main' });
+    await git.writeRef({ fs, dir: local, ref: 'refs/heads/main', value: targetOid });
+    await git.checkout({ fs, dir: local, ref: 'main' });
+    fs.writeFileSync(path.join(local, 'b.md'), 'b\n');
+    await git.add({ fs, dir: local, filepath: 'b.md' });
+    await git.commit({ fs, dir: local, message: 'add b', author });
+
+    await assert.rejects(
+        pushToLocal({ dir: local, remote: 'origin', url: target, ref: 'main', remoteRef: 'main' }),
+        /チェックアウトされている/
+    );
+    assert.strictEqual(await git.resolveRef({ fs, dir: target, ref: 'refs/heads/main' }), targetOid);
+
+    // 別のブランチへの push はできる
+    await pushToLocal({ dir: local, remote: 'origin', url: target, ref: 'main', remoteRef: 'feature' });
+    assert.strictEqual(
+        await git.resolveRef({ fs, dir: target, ref: 'refs/heads/feature' }),
+        await git.resolveRef({ fs, dir: local, ref: 'refs/heads/main' })
+    );
+});
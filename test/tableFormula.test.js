@@ -0,0 +1,37 @@
+// tableFormula.js のテスト（node --test で実行する）
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { shiftFormulaReferences, moveFormulaReferences } = require('../tableFormula');
+
+test('shiftFormulaReferences follows inserted and deleted rows and columns', () => {
+    assert.strictEqual(shiftFormulaReferences('=SUM(B2:B5)+C3*2+AVG(col)', 'row', 1, 1), '=SUM(B2:B6)+C4*2+AVG(col)');
+    assert.strictEqual(shiftFormulaReferences('=SUM(B2:B5)+C3*2+B4', 'row', 1, -1), '=SUM(B2:B4)+#REF!*2+B3');
+    assert.strictEqual(shiftFormulaReferences('=SUM(B2:B5)+SUM(B:C)+MAX(D)', 'col', 1, -1), '=SUM(#REF!)+SUM(B:B)+MAX(C)');
+    assert.strictEqual(shiftFormulaReferences('=SUM(B3:B3)', 'row', 1, -1), '=SUM(#REF!)');
+});
+
+test('shiftFormulaReferences treats lowercase references like uppercase ones', () => {
+    assert.strictEqual(shiftFormulaReferences('=SUM(b)', 'col', 0, 1), '=SUM(C)');
+    assert.strictEqual(shiftFormulaReferences('=sum(a:b)+avg(col)', 'col', 0, 1), '=sum(B:C)+avg(col)');
+    assert.strictEqual(shiftFormulaReferences('=b2*c3', 'row', 0, 1), '=B3*C4');
+});
+
+test('moveFormulaReferences keeps a range when the move stays inside it', () => {
+    assert.strictEqual(moveFormulaReferences('=SUM(B2:B5)', 'row', 0, 3), '=SUM(B2:B5)');
+    assert.strictEqual(moveFormulaReferences('=SUM(B2:B5)', 'row', 3, 0), '=SUM(B2:B5)');
+    assert.strictEqual(moveFormulaReferences('=SUM(B2:B5)', 'row', 1, 2), '=SUM(B2:B5)');
+    assert.strictEqual(moveFormulaReferences('=SUM(A:C)', 'col', 0, 2), '=SUM(A:C)');
+});
+
+test('moveFormulaReferences follows moved cells and shifts the rows in between', () => {
+    assert.strictEqual(moveFormulaReferences('=B2+B3+B4', 'row', 0, 2), '=B4+B2+B3');
+    assert.strictEqual(moveFormulaReferences('=SUM(B3:B4)', 'row', 0, 3), '=SUM(B2:B3)');
+    assert.strictEqual(moveFormulaReferences('=SUM(B3:B4)', 'row', 4, 0), '=SUM(B4:B5)');
+});
+
+test('moveFormulaReferences narrows a range to the rest when an end moves out of it', () => {
+    assert.strictEqual(moveFormulaReferences('=SUM(B2:B5)', 'row', 0, 5), '=SUM(B2:B4)');
+    assert.strictEqual(moveFormulaReferences('=SUM(A:C)', 'col', 2, 4), '=SUM(A:B)');
+    assert.strictEqual(moveFormulaReferences('=SUM(B2:D2)', 'col', 1, 0), '=SUM(C2:D2)');
+});
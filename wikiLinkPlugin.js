@@ -0,0 +1,170 @@
+/* wikiLinkPlugin.js */
+/* [[Note Name]] / [[Note#Heading|alias]] 形式のリンクのライブプレビュー表示と入力補完 */
+const { ViewPlugin, Decoration } = require("@codemirror/view");
+const { StateEffect } = require("@codemirror/state");
+const { syntaxTree } = require("@codemirror/language");
+const { autocompletion } = require("@codemirror/autocomplete");
+const { WIKI_LINK_PATTERN } = require("./wikiLinkUtils.js");
+
+// ノートの一覧が変わったときに送る（リンク切れの表示を更新する）
+const wikiLinksChanged = StateEffect.define();
+
+/* ========== Helper Functions ========== */
+
+// コード（インラインコード・コードブロック）の中か
+function isInCode(state, pos) {
+    let node = syntaxTree(state).resolveInner(pos, 1);
+    while (node) {
+        if (node.name === "InlineCode" || node.name === "FencedCode" || node.name === "CodeBlock") return true;
+        node = node.parent;
+    }
+    return false;
+}
+
+/* ========== Decoration Logic ========== */
+
+function buildDecorations(view, options) {
+    const { state } = view;
+    const cursor = state.selection.main.head;
+    const decorations = [];
+
+    for (const { from, to } of view.visibleRanges) {
+        for (let pos = from; pos <= to;) {
+            const line = state.doc.lineAt(pos);
+            pos = line.to + 1;
+            if (!line.text.includes("[[")) continue;
+
+            const re = new RegExp(WIKI_LINK_PATTERN.source, "g");
+            let match;
+            while ((match = re.exec(line.text)) !== null) {
+                const start = line.from + match.index;
+                const end = start + match[0].length;
+                // カーソルがリンク内にある間は記法をそのまま表示する
+                if (cursor >= start && cursor <= end) continue;
+                if (isInCode(state, start)) continue;
+
+                const target = match[1].trim();
+                const heading = match[2] !== undefined ? match[2].trim() : "";
+                const hasAlias = match[3] !== undefined && match[3].trim() !== "";
+                if (!target && !heading) continue;
+                const isResolved = options.resolveLink(view, target);
+
+                const textFrom = hasAlias ? end - 2 - match[3].length : start + 2;
+                const linkDeco = Decoration.mark({
+                    tagName: "span",
+                    class: isResolved ? "cm-wiki-link" : "cm-wiki-link unresolved",
+                    attributes: {
+                        "data-target": target,
+                        "data-heading": heading,
+                        title: isResolved ? "Ctrl (or Cmd) + Click to open note" : "ノートが見つかりません"
+                    }
+                });
+
+                decorations.push(Decoration.mark({ class: "cm-hide-marker" }).range(start, textFrom));
+                if (textFrom < end - 2) decorations.push(linkDeco.range(textFrom, end - 2));
+                decorations.push(Decoration.mark({ class: "cm-hide-marker" }).range(end - 2, end));
+            }
+        }
+    }
+    return Decoration.set(decorations, true);
+}
+
+/* ========== Completion ========== */
+
+// 補完候補を挿入し、閉じ括弧がなければ補う
+function applyCompletion(text) {
+    return (view, completion, from, to) => {
+        const hasClosing = view.state.sliceDoc(to, to + 2) === "]]";
+        const insert = hasClosing ? text : text + "]]";
+        view.dispatch({
+            changes: { from, to, insert },
+            selection: { anchor: from + insert.length + (hasClosing ? 2 : 0) }
+        });
+    };
+}
+
+function createCompletionSource(options) {
+    return (context) => {
+        const before = context.matchBefore(/\[\[[^\[\]\n|]*$/);
+        if (!before) return null;
+
+        const query = before.text.slice(2);
+        const hashIndex = query.indexOf("#");
+
+        // [[Note#... は見出しを補完する
+        if (hashIndex >= 0) {
+            const target = query.slice(0, hashIndex);
+            const headings = options.getHeadings(context.view, target);
+            return {
+                from: before.from + 2 + hashIndex + 1,
+                options: headings.map(heading => ({
+                    label: heading.text,
+                    detail: "H" + heading.level,
+                    type: "property",
+                    apply: applyCompletion(heading.text)
+                })),
+                validFor: /^[^\[\]\n|#]*$/
+            };
+        }
+
+        const notes = options.getNotes(context.view);
+        return {
+            from: before.from + 2,
+            options: notes.map(note => ({
+                label: note.name,
+                detail: note.detail,
+                type: "text",
+                apply: applyCompletion(note.name)
+            })),
+            validFor: /^[^\[\]\n|#]*$/
+        };
+    };
+}
+
+/* ========== Extension ========== */
+
+/**
+ * wiki リンクの拡張を作る
+ * @param {Object} options
+ * @param {Function} options.resolveLink - (view, target) => boolean リンク先のノートが存在するか
+ * @param {Function} options.openLink - (view, { target, heading }) => void リンクを開く
+ * @param {Function} options.getNotes - (view) => Array<{name: string, detail: string}> 補完するノート
+ * @param {Function} options.getHeadings - (view, target) => Array<{text: string, level: number}> 補完する見出し
+ * @param {Function[]} [options.completionSources] - 併せて使う補完（autocompletion の override は1か所でしか指定できないため）
+ */
+function wikiLinkPlugin(options) {
+    const plugin = ViewPlugin.define(
+        (view) => ({
+            decorations: buildDecorations(view, options),
+            update(update) {
+                const isIndexChanged = update.transactions.some(tr => tr.effects.some(e => e.is(wikiLinksChanged)));
+                if (update.docChanged || update.viewportChanged || update.selectionSet || isIndexChanged) {
+                    this.decorations = buildDecorations(update.view, options);
+                }
+            }
+        }),
+        {
+            decorations: v => v.decorations,
+            eventHandlers: {
+                mousedown: (e, view) => {
+                    const linkElement = e.target.closest(".cm-wiki-link");
+                    if (!linkElement || !(e.ctrlKey || e.metaKey)) return false;
+                    e.preventDefault();
+                    options.openLink(view, {
+                        target: linkElement.getAttribute("data-target"),
+                        heading: linkElement.getAttribute("data-heading") || null
+                    });
+                    return true;
+                }
+            }
+        }
+    );
+
+    return [
+        plugin,
+        autocompletion({ override: [createCompletionSource(options), ...(options.completionSources || [])] })
+    ];
+}
+
+exports.wikiLinkPlugin = wikiLinkPlugin;
+exports.wikiLinksChanged = wikiLinksChanged;
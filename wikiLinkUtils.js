@@ -0,0 +1,158 @@
+/**
+ * wikiLinkUtils.js
+ * [[Note Name]] / [[Note#Heading|alias]] 形式のリンクの解析と解決（メインプロセスとレンダラーの両方から使う）
+ */
+
+const path = require('path');
+const { findFrontMatter } = require('./frontMatter');
+
+// [[target#heading|alias]]  target・heading・alias はいずれも省略可（[[#Heading]] は同じノート内）
+const WIKI_LINK_PATTERN = /\[\[([^\[\]\n|#]*)(?:#([^\[\]\n|]*))?(?:\|([^\[\]\n]*))?\]\]/g;
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+const MARKDOWN_EXT_PATTERN = /\.(md|markdown)$/i;
+
+/**
+ * テキスト中の wiki リンクを列挙する（コードブロック内は除く）
+ * @param {string} text
+ * @returns {Array<{from: number, to: number, target: string, heading: string|null, alias: string|null, line: number, lineText: string}>}
+ *          line は1始まり
+ */
+function parseWikiLinks(text) {
+    const links = [];
+    let offset = 0;
+    let fence = null;
+
+    text.split('\n').forEach((lineText, i) => {
+        const fenceMatch = lineText.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            if (!fence) fence = fenceMatch[1][0];
+            else if (fenceMatch[1][0] === fence) fence = null;
+        } else if (!fence && lineText.includes('[[')) {
+            const re = new RegExp(WIKI_LINK_PATTERN.source, 'g');
+            let match;
+            while ((match = re.exec(lineText)) !== null) {
+                if (isInInlineCode(lineText, match.index)) continue;
+                links.push({
+                    from: offset + match.index,
+                    to: offset + match.index + match[0].length,
+                    target: match[1].trim(),
+                    heading: match[2] !== undefined ? match[2].trim() : null,
+                    alias: match[3] !== undefined ? match[3].trim() : null,
+                    line: i + 1,
+                    lineText
+                });
+            }
+        }
+        offset += lineText.length + 1;
+    });
+    return links;
+}
+
+// 行内の位置がインラインコード (`...`) の中にあるか
+function isInInlineCode(lineText, index) {
+    let count = 0;
+    for (let i = 0; i < index; i++) {
+        if (lineText[i] === '`') count++;
+    }
+    return count % 2 === 1;
+}
+
+/**
+ * 見出しを列挙する（コードブロック内は除く）
+ * @param {string} text
+ * @returns {Array<{text: string, level: number, line: number}>}
+ */
+function extractHeadings(text) {
+    const headings = [];
+    let fence = null;
+    const lines = text.split('\n');
+    // front matter の中の # で始まる行（YAML のコメント）は見出しではない
+    const frontMatter = findFrontMatter(lines);
+    const bodyStart = frontMatter ? frontMatter.endLine + 1 : 0;
+
+    lines.forEach((lineText, i) => {
+        if (i < bodyStart) return;
+        const fenceMatch = lineText.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            if (!fence) fence = fenceMatch[1][0];
+            else if (fenceMatch[1][0] === fence) fence = null;
+            return;
+        }
+        if (fence) return;
+
+        const match = lineText.match(HEADING_PATTERN);
+        if (match && match[2]) {
+            headings.push({ text: match[2], level: match[1].length, line: i + 1 });
+        }
+    });
+    return headings;
+}
+
+// リンク先の表記を比較用にそろえる（区切りは /、拡張子は省略、大文字小文字は区別しない）
+function normalizeLinkTarget(target) {
+    return target.trim()
+        .replace(/\\/g, '/')
+        .replace(/^\.\//, '')
+        .replace(MARKDOWN_EXT_PATTERN, '')
+        .toLowerCase();
+}
+
+// ルートからの相対パス（拡張子なし・区切りは /）
+function toLinkPath(rootDir, filePath) {
+    return path.relative(rootDir, filePath).split(path.sep).join('/').replace(MARKDOWN_EXT_PATTERN, '');
+}
+
+/**
+ * wiki リンクのリンク先を解決する
+ * ノート名だけの場合はどのフォルダのノートでもよく、候補が複数あればリンク元と同じフォルダ、次にパスの短いものを選ぶ
+ * @param {string} target - リンク先の表記。空ならリンク元自身
+ * @param {string[]} filePaths - ワークスペースの Markdown ファイル（絶対パス）
+ * @param {string} rootDir
+ * @param {string} [fromFile] - リンク元のファイル
+ * @returns {string|null} 解決したファイルの絶対パス
+ */
+function resolveWikiTarget(target, filePaths, rootDir, fromFile) {
+    const normalized = normalizeLinkTarget(target);
+    if (!normalized) return fromFile || null;
+
+    const candidates = filePaths.filter(filePath => {
+        const linkPath = toLinkPath(rootDir, filePath).toLowerCase();
+        return linkPath === normalized || linkPath.endsWith('/' + normalized);
+    });
+    if (candidates.length === 0) return null;
+
+    const fromDir = fromFile ? path.dirname(fromFile) : null;
+    const sameDir = candidates.find(filePath => path.dirname(filePath) === fromDir);
+    if (sameDir) return sameDir;
+
+    return candidates.reduce((best, filePath) =>
+        toLinkPath(rootDir, filePath).length < toLinkPath(rootDir, best).length ? filePath : best
+    );
+}
+
+/**
+ * ファイルを指す最短の wiki リンク表記（ノート名が一意ならノート名、そうでなければルートからのパス）
+ * @param {string} filePath
+ * @param {string[]} filePaths
+ * @param {string} rootDir
+ * @returns {string}
+ */
+function getLinkTargetName(filePath, filePaths, rootDir) {
+    const name = path.basename(filePath).replace(MARKDOWN_EXT_PATTERN, '');
+    const lowerName = name.toLowerCase();
+    const isUnique = filePaths.filter(fp => path.basename(fp).replace(MARKDOWN_EXT_PATTERN, '').toLowerCase() === lowerName).length <= 1;
+    return isUnique ? name : toLinkPath(rootDir, filePath);
+}
+
+module.exports = {
+    WIKI_LINK_PATTERN,
+    parseWikiLinks,
+    isInInlineCode,
+    extractHeadings,
+    normalizeLinkTarget,
+    toLinkPath,
+    resolveWikiTarget,
+    getLinkTargetName
+};